@@ -4,6 +4,8 @@ import { Toaster } from './components/ui/sonner';
 import DashboardLayout from './components/DashboardLayout';
 import ProtectedRoute from './components/ProtectedRoute';
 import AdminLoginPage from './pages/admin/login';
+import AcceptInvitePage from './pages/admin/AcceptInvite';
+import ChangePasswordPage from './pages/admin/ChangePassword';
 import { AuthProvider } from './contexts/AuthContext';
 import Dashboard from './pages/Dashboard';
 import CreditCheckInquiries from './pages/CreditCheckInquiries';
@@ -13,6 +15,11 @@ import Tracking from './pages/Tracking';
 import Referrals from './pages/Referrals';
 import Users from './pages/Users';
 import CreditReports from './pages/CreditReports';
+import Security from './pages/Security';
+import Admins from './pages/Admins';
+import Customer360 from './pages/Customer360';
+import LenderProducts from './pages/LenderProducts';
+import ErasureRequests from './pages/ErasureRequests';
 
 
 const App = () => {
@@ -23,6 +30,17 @@ const App = () => {
           <Routes>
             {/* Public route */}
             <Route path="/login" element={<AdminLoginPage />} />
+            <Route path="/accept-invite" element={<AcceptInvitePage />} />
+
+            {/* Forced password rotation - protected, no dashboard chrome */}
+            <Route
+              path="/change-password"
+              element={
+                <ProtectedRoute>
+                  <ChangePasswordPage />
+                </ProtectedRoute>
+              }
+            />
 
             {/* Protected routes */}
             <Route
@@ -103,6 +121,16 @@ const App = () => {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/customers/:id"
+              element={
+                <ProtectedRoute>
+                  <DashboardLayout>
+                    <Customer360 />
+                  </DashboardLayout>
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/credit-reports"
               element={
@@ -113,6 +141,46 @@ const App = () => {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/lender-products"
+              element={
+                <ProtectedRoute>
+                  <DashboardLayout>
+                    <LenderProducts />
+                  </DashboardLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/erasure-requests"
+              element={
+                <ProtectedRoute>
+                  <DashboardLayout>
+                    <ErasureRequests />
+                  </DashboardLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/security"
+              element={
+                <ProtectedRoute>
+                  <DashboardLayout>
+                    <Security />
+                  </DashboardLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin"
+              element={
+                <ProtectedRoute>
+                  <DashboardLayout>
+                    <Admins />
+                  </DashboardLayout>
+                </ProtectedRoute>
+              }
+            />
             {/* Catch all route */}
             <Route path="*" element={<Navigate to="/dashboard" replace />} />
           </Routes>
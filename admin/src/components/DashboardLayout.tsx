@@ -15,6 +15,10 @@ import {
   ChevronDown,
   ChevronRight,
   Shield,
+  KeyRound,
+  UserCog,
+  Landmark,
+  UserX,
 } from 'lucide-react';
 
 import { useAuth } from '../contexts/useAuth';
@@ -30,59 +34,99 @@ const DashboardLayout: React.FC<DashboardLayoutProps> = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [inquiriesOpen, setInquiriesOpen] = useState(true);
 
+  // Hide links the admin's role cannot open (server enforces the same permissions)
+  const can = (permission: string) => !!admin?.permissions?.includes(permission);
+
   const mainNavigation = [
     {
       name: 'Dashboard',
       href: '/dashboard',
+      permission: 'dashboard:view',
       icon: LayoutDashboard,
       current: location.pathname === '/dashboard',
     },
     {
       name: 'Users',
       href: '/users',
+      permission: 'users:read',
       icon: Users,
       current: location.pathname === '/users',
     },
     {
       name: 'Tracking',
       href: '/tracking',
+      permission: 'users:read',
       icon: Activity,
       current: location.pathname === '/tracking',
     },
     {
       name: 'Credit Reports',
       href: '/credit-reports',
+      permission: 'reports:read',
       icon: Shield,
       current: location.pathname === '/credit-reports',
     },
-  ];
+    {
+      name: 'Lender Products',
+      href: '/lender-products',
+      permission: 'loans:read',
+      icon: Landmark,
+      current: location.pathname === '/lender-products',
+    },
+    {
+      name: 'Erasure Requests',
+      href: '/erasure-requests',
+      permission: 'users:read',
+      icon: UserX,
+      current: location.pathname === '/erasure-requests',
+    },
+    {
+      name: 'Admins',
+      href: '/admin',
+      permission: 'admins:manage',
+      icon: UserCog,
+      current: location.pathname === '/admin',
+    },
+    {
+      // Own 2FA + sessions - every admin
+      name: 'Security',
+      href: '/security',
+      permission: null,
+      icon: KeyRound,
+      current: location.pathname === '/security',
+    },
+  ].filter(item => !item.permission || can(item.permission));
 
   const inquiriesNavigation = [
     {
       name: 'Credit Check',
       href: '/credit-check-inquiries',
+      permission: 'inquiries:read',
       icon: CreditCard,
       current: location.pathname === '/credit-check-inquiries',
     },
     {
       name: 'Home Loan',
       href: '/home-loan-inquiries',
+      permission: 'inquiries:read',
       icon: Home,
       current: location.pathname === '/home-loan-inquiries',
     },
     {
       name: 'Contact',
       href: '/contact-inquiries',
+      permission: 'inquiries:read',
       icon: MessageSquare,
       current: location.pathname === '/contact-inquiries',
     },
     {
       name: 'Referrals',
       href: '/referrals',
+      permission: 'inquiries:read',
       icon: UserPlus,
       current: location.pathname === '/referrals',
     },
-  ];
+  ].filter(item => can(item.permission));
 
   const isAnyInquiryActive = inquiriesNavigation.some(item => item.current);
 
@@ -125,6 +169,7 @@ const DashboardLayout: React.FC<DashboardLayoutProps> = ({ children }) => {
         </div>
 
         {/* Inquiries Section */}
+        {inquiriesNavigation.length > 0 && (
         <div className="pt-4">
           <button
             onClick={() => setInquiriesOpen(!inquiriesOpen)}
@@ -161,6 +206,7 @@ const DashboardLayout: React.FC<DashboardLayoutProps> = ({ children }) => {
             </div>
           )}
         </div>
+        )}
       </nav>
 
       {/* User Section */}
@@ -174,6 +220,9 @@ const DashboardLayout: React.FC<DashboardLayoutProps> = ({ children }) => {
           <div className="flex-1 min-w-0">
             <p className="text-sm font-semibold text-white truncate">{admin?.name || 'Admin'}</p>
             <p className="text-xs text-gray-400 truncate">{admin?.email || 'admin@borrowww.com'}</p>
+            {admin?.role && (
+              <p className="text-[10px] uppercase tracking-wider text-blue-400 truncate">{admin.role.replace('_', ' ')}</p>
+            )}
           </div>
         </div>
         <button
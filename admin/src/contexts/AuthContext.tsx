@@ -16,18 +16,30 @@ import React, { useEffect, useState, useCallback } from 'react';
 import { AuthContext } from './AuthContextInstance';
 import type { ReactNode } from 'react';
 
+export type AdminRole = 'SUPER_ADMIN' | 'OPS' | 'SALES' | 'AUDITOR';
+
 interface Admin {
   id: string;
   name: string;
   email: string;
   userType?: string;
   lastLogin?: string;
+  role?: AdminRole;
+  // Resolved server-side (role + extra grants), e.g. 'users:read', 'pii:view'
+  permissions?: string[];
+  totpEnabled?: boolean;
+  // Forced rotation pending - only the change-password screen is usable
+  passwordChangeRequired?: boolean;
 }
 
+// 'two_factor' = password accepted, waiting for the authenticator / recovery code
+export type LoginResult = 'success' | 'two_factor';
+
 export interface AuthContextType {
   admin: Admin | null;
   loading: boolean;
-  login: (email: string, password: string) => Promise<void>;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  verifyTwoFactor: (code: string, useRecoveryCode?: boolean) => Promise<void>;
   logout: () => Promise<void>;
   checkAuth: () => Promise<void>;
 }
@@ -43,12 +55,23 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   // In dev use relative /api so Vite proxy sends to backend → session cookie works (same origin)
   const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || ((import.meta.env.DEV ? '' : 'https://borrowww.com') + '/api');
 
+  /** Store admin from a login / verify response */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  const applyAdminResponse = (data: any) => {
+    if (data.data?.admin) {
+      setAdmin(data.data.admin);
+    } else if (data.admin) {
+      setAdmin(data.admin);
+    }
+  };
+
   /**
    * Login - Server creates session, sets HTTP-only cookie
    * 
    * SECURITY: No token stored in localStorage
+   * Admins with 2FA get 'two_factor' back and must call verifyTwoFactor()
    */
-  const login = async (email: string, password: string): Promise<void> => {
+  const login = async (email: string, password: string): Promise<LoginResult> => {
     try {
       const response = await fetch(`${API_BASE_URL}/admin/login`, {
         method: 'POST',
@@ -66,19 +89,42 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
         throw new CustomError(data.message || data.error || 'Login failed', { data });
       }
 
+      if (data.data?.twoFactorRequired) {
+        return 'two_factor';
+      }
+
       // SECURITY: No token storage - session is in HTTP-only cookie
       // Server response contains admin info only
-      if (data.data?.admin) {
-        setAdmin(data.data.admin);
-      } else if (data.admin) {
-        setAdmin(data.admin);
-      }
+      applyAdminResponse(data);
+      return 'success';
     } catch (error) {
       console.error('Login error:', error);
       throw error;
     }
   };
 
+  /**
+   * Second login step - TOTP code or one-time recovery code
+   */
+  const verifyTwoFactor = async (code: string, useRecoveryCode = false): Promise<void> => {
+    const response = await fetch(`${API_BASE_URL}/admin/login/2fa`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+      body: JSON.stringify(useRecoveryCode ? { recoveryCode: code } : { code }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new CustomError(data.message || data.error || 'Verification failed', { data });
+    }
+
+    applyAdminResponse(data);
+  };
+
   /**
    * Logout - Server destroys session and clears cookie
    */
@@ -133,18 +179,25 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   }, [API_BASE_URL]);
 
   /**
-   * Listen for session expiry events from API service
+   * Listen for session expiry / forced password change events from API service
    */
   useEffect(() => {
     const handleSessionExpiry = () => {
       setAdmin(null);
     };
 
+    // Rotation became due mid-session - refresh admin so routes redirect
+    const handlePasswordChangeRequired = () => {
+      checkAuth();
+    };
+
     window.addEventListener('session-expired', handleSessionExpiry);
+    window.addEventListener('password-change-required', handlePasswordChangeRequired);
     return () => {
       window.removeEventListener('session-expired', handleSessionExpiry);
+      window.removeEventListener('password-change-required', handlePasswordChangeRequired);
     };
-  }, []);
+  }, [checkAuth]);
 
   /**
    * Check auth on mount
@@ -157,6 +210,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     admin,
     loading: checking,
     login,
+    verifyTwoFactor,
     logout,
     checkAuth,
   };
@@ -0,0 +1,351 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+    UserCog,
+    UserPlus,
+    RefreshCw,
+    Loader,
+    Copy,
+    Ban,
+    RotateCcw,
+    KeyRound,
+    X,
+} from 'lucide-react';
+
+import { toast } from "sonner";
+import { adminManagementService } from '../services/api';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from '../components/ui/select';
+import { useAuth } from '../contexts/useAuth';
+import type { AdminRole } from '../contexts/AuthContext';
+
+interface AdminAccount {
+    id: string;
+    email: string;
+    name: string | null;
+    role: AdminRole;
+    isActive: boolean;
+    lastLogin: string | null;
+    totpEnabled: boolean;
+    passwordChangeRequired: boolean;
+    deactivatedAt: string | null;
+    createdAt: string;
+}
+
+interface PendingInvite {
+    id: string;
+    email: string;
+    name: string | null;
+    role: AdminRole;
+    expiresAt: string;
+    createdAt: string;
+}
+
+const roles: AdminRole[] = ['SUPER_ADMIN', 'OPS', 'SALES', 'AUDITOR'];
+
+const formatDate = (value: string | null) =>
+    value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+const getErrorMessage = (error: unknown) =>
+    error instanceof Error ? error.message : 'Something went wrong';
+
+export default function Admins() {
+    const { admin: currentAdmin } = useAuth();
+
+    const [admins, setAdmins] = useState<AdminAccount[]>([]);
+    const [invites, setInvites] = useState<PendingInvite[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState<string | null>(null);
+
+    // Invite form
+    const [inviteEmail, setInviteEmail] = useState('');
+    const [inviteName, setInviteName] = useState('');
+    const [inviteRole, setInviteRole] = useState<AdminRole>('AUDITOR');
+    const [inviting, setInviting] = useState(false);
+    const [inviteUrl, setInviteUrl] = useState<string | null>(null);
+
+    const fetchData = useCallback(async () => {
+        setLoading(true);
+        try {
+            const [adminsRes, invitesRes] = await Promise.all([
+                adminManagementService.getAdmins(),
+                adminManagementService.getInvites(),
+            ]);
+            setAdmins(adminsRes.data?.admins || []);
+            setInvites(invitesRes.data?.invites || []);
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const runAction = async (id: string, action: () => Promise<{ message?: string }>) => {
+        setBusyId(id);
+        try {
+            const res = await action();
+            toast.success(res?.message || 'Done');
+            await fetchData();
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleInvite = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setInviting(true);
+        try {
+            const res = await adminManagementService.createInvite({
+                email: inviteEmail.trim(),
+                name: inviteName.trim() || undefined,
+                role: inviteRole,
+            });
+            setInviteUrl(res.data?.inviteUrl || null);
+            setInviteEmail('');
+            setInviteName('');
+            toast.success('Invite created');
+            await fetchData();
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setInviting(false);
+        }
+    };
+
+    const handleDeactivate = (target: AdminAccount) => {
+        if (!confirm(`Deactivate ${target.email}? They will be signed out everywhere immediately.`)) return;
+        runAction(target.id, () => adminManagementService.deactivateAdmin(target.id));
+    };
+
+    const handleReactivate = (target: AdminAccount) => {
+        runAction(target.id, () => adminManagementService.reactivateAdmin(target.id));
+    };
+
+    const handleForcePasswordChange = (target: AdminAccount) => {
+        if (!confirm(`Require ${target.email} to set a new password?`)) return;
+        runAction(target.id, () => adminManagementService.forcePasswordChange(target.id));
+    };
+
+    const handleRevokeInvite = (invite: PendingInvite) => {
+        runAction(invite.id, () => adminManagementService.revokeInvite(invite.id));
+    };
+
+    const copyInviteUrl = async () => {
+        if (!inviteUrl) return;
+        try {
+            await navigator.clipboard.writeText(inviteUrl);
+            toast.success('Invite link copied');
+        } catch {
+            toast.error('Could not copy');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+                        <UserCog className="h-8 w-8 text-[#2D3E50]" />
+                        Admin Management
+                    </h1>
+                    <p className="text-gray-600 mt-1">Invite, deactivate and reactivate admin accounts</p>
+                </div>
+                <Button variant="outline" onClick={fetchData} disabled={loading}>
+                    <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+                    Refresh
+                </Button>
+            </div>
+
+            {/* Invite */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+                <div className="flex items-center gap-3">
+                    <UserPlus className="h-6 w-6 text-indigo-600" />
+                    <h2 className="text-lg font-semibold text-gray-900">Invite an admin</h2>
+                </div>
+                <form onSubmit={handleInvite} className="flex flex-col md:flex-row gap-3">
+                    <Input
+                        type="email"
+                        value={inviteEmail}
+                        onChange={e => setInviteEmail(e.target.value)}
+                        placeholder="name@borrowww.com"
+                        required
+                    />
+                    <Input
+                        value={inviteName}
+                        onChange={e => setInviteName(e.target.value)}
+                        placeholder="Name (optional)"
+                    />
+                    <Select value={inviteRole} onValueChange={(value) => setInviteRole(value as AdminRole)}>
+                        <SelectTrigger className="md:w-[160px]">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {roles.map(role => (
+                                <SelectItem key={role} value={role}>{role.replace('_', ' ')}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                    <Button type="submit" disabled={inviting}>
+                        {inviting ? <Loader className="h-4 w-4 animate-spin" /> : 'Send invite'}
+                    </Button>
+                </form>
+
+                {inviteUrl && (
+                    <div className="p-4 rounded-lg bg-amber-50 border border-amber-200 space-y-2">
+                        <div className="flex items-start justify-between gap-2">
+                            <p className="text-sm font-medium text-amber-800">
+                                Share this one-time link with the invitee. It will not be shown again.
+                            </p>
+                            <button onClick={() => setInviteUrl(null)} className="text-amber-700 hover:text-amber-900">
+                                <X className="h-4 w-4" />
+                            </button>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <code className="flex-1 px-3 py-2 bg-white rounded text-xs font-mono break-all">{inviteUrl}</code>
+                            <Button variant="outline" size="icon" onClick={copyInviteUrl}>
+                                <Copy className="h-4 w-4" />
+                            </Button>
+                        </div>
+                    </div>
+                )}
+
+                {invites.length > 0 && (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-500 border-b border-gray-100">
+                                    <th className="py-2 pr-4 font-medium">Pending invite</th>
+                                    <th className="py-2 pr-4 font-medium">Role</th>
+                                    <th className="py-2 pr-4 font-medium">Expires</th>
+                                    <th className="py-2 font-medium"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {invites.map(invite => (
+                                    <tr key={invite.id} className="border-b border-gray-50">
+                                        <td className="py-3 pr-4">
+                                            <p className="font-medium text-gray-900">{invite.email}</p>
+                                            {invite.name && <p className="text-xs text-gray-500">{invite.name}</p>}
+                                        </td>
+                                        <td className="py-3 pr-4">{invite.role.replace('_', ' ')}</td>
+                                        <td className="py-3 pr-4">{formatDate(invite.expiresAt)}</td>
+                                        <td className="py-3 text-right">
+                                            <Button variant="ghost" size="sm" onClick={() => handleRevokeInvite(invite)} disabled={busyId === invite.id}>
+                                                Revoke
+                                            </Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Admins */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+                {loading && admins.length === 0 ? (
+                    <div className="flex items-center justify-center py-12">
+                        <Loader className="h-8 w-8 animate-spin text-gray-400" />
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-500 border-b border-gray-100">
+                                    <th className="py-2 pr-4 font-medium">Admin</th>
+                                    <th className="py-2 pr-4 font-medium">Role</th>
+                                    <th className="py-2 pr-4 font-medium">Status</th>
+                                    <th className="py-2 pr-4 font-medium">2FA</th>
+                                    <th className="py-2 pr-4 font-medium">Last login</th>
+                                    <th className="py-2 font-medium text-right">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {admins.map(account => {
+                                    const isSelf = account.id === currentAdmin?.id;
+                                    return (
+                                        <tr key={account.id} className="border-b border-gray-50">
+                                            <td className="py-3 pr-4">
+                                                <p className="font-medium text-gray-900">
+                                                    {account.name || '—'}
+                                                    {isSelf && <span className="ml-2 text-xs text-gray-400">(you)</span>}
+                                                </p>
+                                                <p className="text-xs text-gray-500">{account.email}</p>
+                                            </td>
+                                            <td className="py-3 pr-4">{account.role.replace('_', ' ')}</td>
+                                            <td className="py-3 pr-4">
+                                                {account.isActive ? (
+                                                    <span className="text-xs px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-700">Active</span>
+                                                ) : (
+                                                    <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600" title={formatDate(account.deactivatedAt)}>
+                                                        Deactivated
+                                                    </span>
+                                                )}
+                                                {account.isActive && account.passwordChangeRequired && (
+                                                    <span className="ml-1 text-xs px-2 py-0.5 rounded-full bg-amber-100 text-amber-700">Password change due</span>
+                                                )}
+                                            </td>
+                                            <td className="py-3 pr-4">{account.totpEnabled ? 'On' : 'Off'}</td>
+                                            <td className="py-3 pr-4">{formatDate(account.lastLogin)}</td>
+                                            <td className="py-3 text-right whitespace-nowrap">
+                                                {account.isActive ? (
+                                                    <>
+                                                        <Button
+                                                            variant="ghost"
+                                                            size="sm"
+                                                            onClick={() => handleForcePasswordChange(account)}
+                                                            disabled={busyId === account.id}
+                                                            title="Force password change"
+                                                        >
+                                                            <KeyRound className="h-4 w-4" />
+                                                        </Button>
+                                                        {!isSelf && (
+                                                            <Button
+                                                                variant="ghost"
+                                                                size="sm"
+                                                                className="text-red-600 hover:text-red-700"
+                                                                onClick={() => handleDeactivate(account)}
+                                                                disabled={busyId === account.id}
+                                                                title="Deactivate"
+                                                            >
+                                                                <Ban className="h-4 w-4" />
+                                                            </Button>
+                                                        )}
+                                                    </>
+                                                ) : (
+                                                    <Button
+                                                        variant="ghost"
+                                                        size="sm"
+                                                        onClick={() => handleReactivate(account)}
+                                                        disabled={busyId === account.id}
+                                                    >
+                                                        <RotateCcw className="h-4 w-4 mr-1" />
+                                                        Reactivate
+                                                    </Button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
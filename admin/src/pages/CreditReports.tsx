@@ -185,7 +185,7 @@ const CreditReports = () => {
                         <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
                         <input
                             type="text"
-                            placeholder="Search by phone..."
+                            placeholder="Search by phone, PAN or name..."
                             value={searchTerm}
                             onChange={(e) => setSearchTerm(e.target.value)}
                             className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 w-full md:w-52 text-sm"
@@ -419,8 +419,13 @@ const CreditReports = () => {
                                         <div className="bg-gray-50 rounded-lg p-3 text-sm font-mono space-y-1">
                                             {[
                                                 ['Report ID', selectedReport.id],
+                                                ['Bureau', selectedReport.bureau || 'N/A'],
                                                 ['Transaction ID', selectedReport.transactionId],
                                                 ['DO Path', selectedReport.pdfSpacesPath || 'N/A'],
+                                                ['PDF Status', selectedReport.pdfStatus
+                                                    ? `${selectedReport.pdfStatus}${selectedReport.pdfStorageDriver ? ` (${selectedReport.pdfStorageDriver})` : ''}`
+                                                    : 'N/A'],
+                                                ...(selectedReport.pdfError ? [['PDF Error', selectedReport.pdfError]] : []),
                                             ].map(([k, v]) => (
                                                 <div key={k} className="flex justify-between gap-4">
                                                     <span className="text-gray-500 flex-shrink-0">{k}:</span>
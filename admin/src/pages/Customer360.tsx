@@ -0,0 +1,382 @@
+import { useCallback, useEffect, useState, type ReactNode } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+    ArrowLeft,
+    RefreshCw,
+    Loader,
+    User as UserIcon,
+    Phone,
+    CreditCard,
+    FileText,
+    Landmark,
+    MessageSquare,
+    Monitor,
+    Clock,
+    Lock,
+} from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { toast } from 'sonner';
+import { userService } from '../services/api';
+
+interface Profile {
+    id: string;
+    firstName: string | null;
+    middleName: string | null;
+    lastName: string | null;
+    phoneNumber: string;
+    identityType: string | null;
+    identityNumber: string | null;
+    state: string | null;
+    isActive: boolean;
+    isVerified: boolean;
+    lastLogin: string | null;
+    createdAt: string;
+}
+
+interface CreditReportRow {
+    id: string;
+    status: string;
+    creditScore: number | null;
+    totalAccounts: number | null;
+    activeAccounts: number | null;
+    totalOverdue: number | null;
+    hasPdf: boolean;
+    fetchedAt: string;
+    expiresAt: string;
+}
+
+interface LoanRow {
+    id: string;
+    type: string;
+    amount: string | null;
+    status: string;
+    purpose: string | null;
+    createdAt: string;
+}
+
+interface SessionRow {
+    id: string;
+    startTime: string;
+    lastActivity: string;
+    isActive: boolean;
+    totalPageViews: number;
+    currentPage: string | null;
+    ipAddress: string | null;
+}
+
+interface InquiryRow {
+    id: string;
+    status: string;
+    createdAt: string;
+    role?: 'referrer' | 'referee';
+    [key: string]: unknown;
+}
+
+interface ScorePoint {
+    date: string;
+    score: number;
+    source: 'CreditReport' | 'CibilData';
+    id: string;
+}
+
+interface TimelineEvent {
+    at: string;
+    type: string;
+    model: string;
+    id: string;
+    summary: string;
+}
+
+interface Customer360Data {
+    profile: Profile;
+    creditReports: CreditReportRow[];
+    cibilChecks: { id: string }[];
+    loans: LoanRow[];
+    sessions: SessionRow[];
+    inquiries: {
+        creditCheck: InquiryRow[];
+        contact: InquiryRow[];
+        homeLoan: InquiryRow[];
+        referral: InquiryRow[];
+    };
+    scoreHistory: ScorePoint[];
+    timeline: TimelineEvent[];
+    counts: Record<string, number | null>;
+    hidden: string[];
+}
+
+const INQUIRY_LABELS: Record<keyof Customer360Data['inquiries'], string> = {
+    creditCheck: 'Credit check',
+    contact: 'Contact',
+    homeLoan: 'Home loan',
+    referral: 'Referral',
+};
+
+const TIMELINE_COLORS: Record<string, string> = {
+    ACCOUNT_CREATED: 'bg-emerald-500',
+    LAST_LOGIN: 'bg-emerald-300',
+    CREDIT_REPORT_FETCHED: 'bg-blue-500',
+    CIBIL_CHECK: 'bg-blue-300',
+    LOAN_APPLIED: 'bg-amber-500',
+    LOAN_APPROVED: 'bg-green-600',
+    LOAN_REJECTED: 'bg-red-500',
+    SESSION: 'bg-gray-300',
+    INQUIRY: 'bg-purple-500',
+    REFERRAL: 'bg-pink-500',
+};
+
+const formatDate = (value: string | null) =>
+    value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+const formatShortDate = (value: string) =>
+    new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: '2-digit' });
+
+const getErrorMessage = (error: unknown) =>
+    error instanceof Error ? error.message : 'Something went wrong';
+
+const fullName = (profile: Profile) =>
+    [profile.firstName, profile.middleName, profile.lastName].filter(Boolean).join(' ') || 'Unnamed User';
+
+const Section = ({ title, icon: Icon, count, hidden, children }: {
+    title: string;
+    icon: typeof UserIcon;
+    count?: number | null;
+    hidden?: boolean;
+    children: ReactNode;
+}) => (
+    <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+        <div className="flex items-center gap-3">
+            <Icon className="h-5 w-5 text-indigo-600" />
+            <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+            {count != null && <span className="text-sm text-gray-500">({count})</span>}
+        </div>
+        {hidden ? (
+            <p className="flex items-center gap-2 text-sm text-gray-400">
+                <Lock className="h-4 w-4" /> Your role cannot view this section
+            </p>
+        ) : children}
+    </div>
+);
+
+export default function Customer360() {
+    const { id = '' } = useParams();
+    const [data, setData] = useState<Customer360Data | null>(null);
+    const [loading, setLoading] = useState(true);
+
+    const fetchData = useCallback(async () => {
+        setLoading(true);
+        try {
+            const res = await userService.getCustomer360(id);
+            setData(res.data);
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setLoading(false);
+        }
+    }, [id]);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    if (loading && !data) {
+        return (
+            <div className="flex items-center justify-center py-24">
+                <Loader className="h-8 w-8 animate-spin text-gray-400" />
+            </div>
+        );
+    }
+
+    if (!data) {
+        return (
+            <div className="text-center py-24 text-gray-500">
+                Customer not found. <Link to="/users" className="text-indigo-600 hover:underline">Back to users</Link>
+            </div>
+        );
+    }
+
+    const { profile, counts, hidden } = data;
+    const isHidden = (section: string) => hidden.includes(section);
+    const inquiryEntries = Object.entries(data.inquiries) as [keyof Customer360Data['inquiries'], InquiryRow[]][];
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                <div>
+                    <Link to="/users" className="text-sm text-gray-500 hover:text-gray-800 flex items-center gap-1 mb-2">
+                        <ArrowLeft className="h-4 w-4" /> Users
+                    </Link>
+                    <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+                        <UserIcon className="h-8 w-8 text-[#2D3E50]" />
+                        {fullName(profile)}
+                    </h1>
+                    <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 mt-2">
+                        <span className="flex items-center gap-1"><Phone className="h-4 w-4" />{profile.phoneNumber}</span>
+                        {profile.identityType && (
+                            <span className="flex items-center gap-1 font-mono text-xs bg-gray-100 px-2 py-0.5 rounded">
+                                <CreditCard className="h-3 w-3" />
+                                {profile.identityType}: {profile.identityNumber}
+                            </span>
+                        )}
+                        <span>{profile.isVerified ? 'Verified' : 'Unverified'} · {profile.isActive ? 'Active' : 'Inactive'}</span>
+                        <span>Joined {formatDate(profile.createdAt)}</span>
+                    </div>
+                </div>
+                <button
+                    onClick={fetchData}
+                    disabled={loading}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium border border-gray-200 bg-white hover:bg-gray-50"
+                >
+                    <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                    Refresh
+                </button>
+            </div>
+
+            {/* Counts */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                {[
+                    { label: 'Credit reports', value: counts.creditReports },
+                    { label: 'CIBIL checks', value: counts.cibilChecks },
+                    { label: 'Loans', value: counts.loans },
+                    { label: 'Inquiries', value: counts.inquiries },
+                    { label: 'Sessions', value: counts.sessions },
+                ].map((item) => (
+                    <div key={item.label} className="bg-white p-4 rounded-xl shadow-sm border border-gray-200">
+                        <p className="text-xs text-gray-500">{item.label}</p>
+                        <p className="text-2xl font-bold text-gray-900">{item.value ?? '—'}</p>
+                    </div>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+                <div className="xl:col-span-2 space-y-6">
+                    {/* Score history */}
+                    <Section title="Score history" icon={FileText} hidden={isHidden('creditReports') && isHidden('cibilChecks')}>
+                        {data.scoreHistory.length === 0 ? (
+                            <p className="text-sm text-gray-400">No scores on record</p>
+                        ) : (
+                            <div className="h-56">
+                                <ResponsiveContainer width="100%" height="100%">
+                                    <LineChart data={data.scoreHistory.map((point) => ({ ...point, label: formatShortDate(point.date) }))}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                                        <XAxis dataKey="label" fontSize={12} />
+                                        <YAxis domain={[300, 900]} fontSize={12} />
+                                        <Tooltip />
+                                        <Line type="monotone" dataKey="score" stroke="#4f46e5" strokeWidth={2} dot />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                            </div>
+                        )}
+                    </Section>
+
+                    {/* Credit reports */}
+                    <Section title="Credit reports" icon={FileText} count={counts.creditReports} hidden={isHidden('creditReports')}>
+                        {data.creditReports.length === 0 ? (
+                            <p className="text-sm text-gray-400">No credit reports</p>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-gray-500 border-b border-gray-100">
+                                            <th className="py-2 pr-4 font-medium">Fetched</th>
+                                            <th className="py-2 pr-4 font-medium">Score</th>
+                                            <th className="py-2 pr-4 font-medium">Accounts</th>
+                                            <th className="py-2 pr-4 font-medium">Overdue</th>
+                                            <th className="py-2 pr-4 font-medium">Status</th>
+                                            <th className="py-2 font-medium">PDF</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {data.creditReports.map((report) => (
+                                            <tr key={report.id} className="border-b border-gray-50">
+                                                <td className="py-2 pr-4">{formatDate(report.fetchedAt)}</td>
+                                                <td className="py-2 pr-4 font-semibold">{report.creditScore ?? 'N/A'}</td>
+                                                <td className="py-2 pr-4">{report.activeAccounts ?? 0} / {report.totalAccounts ?? 0}</td>
+                                                <td className="py-2 pr-4">₹{(report.totalOverdue ?? 0).toLocaleString('en-IN')}</td>
+                                                <td className="py-2 pr-4">{report.status}</td>
+                                                <td className="py-2">{report.hasPdf ? 'Yes' : 'No'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </Section>
+
+                    {/* Loans */}
+                    <Section title="Loans" icon={Landmark} count={counts.loans} hidden={isHidden('loans')}>
+                        {data.loans.length === 0 ? (
+                            <p className="text-sm text-gray-400">No loan applications</p>
+                        ) : (
+                            <div className="space-y-2">
+                                {data.loans.map((loan) => (
+                                    <div key={loan.id} className="flex items-center justify-between text-sm border-b border-gray-50 pb-2">
+                                        <span className="font-medium">{loan.type}{loan.purpose ? ` · ${loan.purpose}` : ''}</span>
+                                        <span className="text-gray-600">
+                                            {loan.amount ? `₹${Number(loan.amount).toLocaleString('en-IN')} · ` : ''}{loan.status} · {formatDate(loan.createdAt)}
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </Section>
+
+                    {/* Inquiries (matched by phone number) */}
+                    <Section title="Inquiries & referrals" icon={MessageSquare} count={counts.inquiries} hidden={isHidden('inquiries')}>
+                        <p className="text-xs text-gray-400">Matched on this customer's phone number</p>
+                        {inquiryEntries.every(([, rows]) => rows.length === 0) ? (
+                            <p className="text-sm text-gray-400">No inquiries</p>
+                        ) : (
+                            <div className="space-y-2">
+                                {inquiryEntries.flatMap(([key, rows]) => rows.map((inquiry) => (
+                                    <div key={inquiry.id} className="flex items-center justify-between text-sm border-b border-gray-50 pb-2">
+                                        <span className="font-medium">
+                                            {INQUIRY_LABELS[key]}
+                                            {inquiry.role && <span className="ml-2 text-xs text-gray-500">({inquiry.role})</span>}
+                                        </span>
+                                        <span className="text-gray-600">{inquiry.status} · {formatDate(inquiry.createdAt)}</span>
+                                    </div>
+                                )))}
+                            </div>
+                        )}
+                    </Section>
+
+                    {/* Sessions */}
+                    <Section title="Website sessions" icon={Monitor} count={counts.sessions}>
+                        {data.sessions.length === 0 ? (
+                            <p className="text-sm text-gray-400">No tracked sessions</p>
+                        ) : (
+                            <div className="space-y-2">
+                                {data.sessions.map((session) => (
+                                    <div key={session.id} className="flex items-center justify-between text-sm border-b border-gray-50 pb-2">
+                                        <span>
+                                            {formatDate(session.startTime)}
+                                            {session.isActive && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-700">Active</span>}
+                                        </span>
+                                        <span className="text-gray-600">
+                                            {session.totalPageViews} page view(s) · {session.currentPage || '—'} · <span className="font-mono">{session.ipAddress || '—'}</span>
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </Section>
+                </div>
+
+                {/* Timeline */}
+                <Section title="Timeline" icon={Clock}>
+                    <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+                        {data.timeline.map((item) => (
+                            <li key={`${item.type}-${item.id}-${item.at}`} className="ml-4">
+                                <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ${TIMELINE_COLORS[item.type] || 'bg-gray-400'}`} />
+                                <p className="text-xs text-gray-400">{formatDate(item.at)}</p>
+                                <p className="text-sm text-gray-800">{item.summary}</p>
+                            </li>
+                        ))}
+                    </ol>
+                </Section>
+            </div>
+        </div>
+    );
+}
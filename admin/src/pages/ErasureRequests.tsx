@@ -0,0 +1,249 @@
+import { useEffect, useState, useCallback } from 'react';
+import {
+    UserX,
+    RefreshCw,
+    Loader,
+    AlertTriangle,
+} from 'lucide-react';
+
+import { toast } from "sonner";
+import { erasureRequestService } from '../services/api';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from '../components/ui/select';
+import { useAuth } from '../contexts/useAuth';
+
+interface LegalHold {
+    model: string;
+    id: string;
+    reason: string;
+}
+
+interface ErasureRequest {
+    id: string;
+    status: 'PENDING' | 'IN_PROGRESS' | 'COMPLETED' | 'REJECTED' | 'CANCELLED';
+    reason: string | null;
+    legalHolds: LegalHold[];
+    error: string | null;
+    reviewNote: string | null;
+    reviewedAt: string | null;
+    completedAt: string | null;
+    createdAt: string;
+    user: {
+        id: string;
+        phoneNumber: string;
+        isDeleted: boolean;
+        anonymizedAt: string | null;
+    };
+}
+
+const STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'REJECTED', 'CANCELLED'];
+
+const STATUS_STYLES: Record<ErasureRequest['status'], string> = {
+    PENDING: 'bg-amber-100 text-amber-700',
+    IN_PROGRESS: 'bg-blue-100 text-blue-700',
+    COMPLETED: 'bg-emerald-100 text-emerald-700',
+    REJECTED: 'bg-red-100 text-red-700',
+    CANCELLED: 'bg-gray-100 text-gray-600',
+};
+
+const formatDate = (value: string | null) =>
+    value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+const getErrorMessage = (error: unknown) =>
+    error instanceof Error ? error.message : 'Something went wrong';
+
+export default function ErasureRequests() {
+    const { admin } = useAuth();
+    const canErase = !!admin?.permissions?.includes('users:delete');
+
+    const [requests, setRequests] = useState<ErasureRequest[]>([]);
+    const [status, setStatus] = useState('PENDING');
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState<string | null>(null);
+    // Review note per request - required to reject, optional to approve
+    const [notes, setNotes] = useState<Record<string, string>>({});
+
+    const fetchRequests = useCallback(async () => {
+        setLoading(true);
+        try {
+            const res = await erasureRequestService.getRequests({ status, limit: 100 });
+            setRequests(res.data?.requests || []);
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setLoading(false);
+        }
+    }, [status]);
+
+    useEffect(() => {
+        fetchRequests();
+    }, [fetchRequests]);
+
+    const handleApprove = async (request: ErasureRequest) => {
+        if (!confirm(`Erase all personal data for user ${request.user.phoneNumber}? This cannot be undone.`)) return;
+        setBusyId(request.id);
+        try {
+            await erasureRequestService.approveRequest(request.id, notes[request.id] || undefined);
+            toast.success('User data erased');
+        } catch (error) {
+            // Legal holds are saved on the request and shown after the refresh
+            toast.error(getErrorMessage(error));
+        } finally {
+            setBusyId(null);
+            await fetchRequests();
+        }
+    };
+
+    const handleReject = async (request: ErasureRequest) => {
+        const note = notes[request.id]?.trim();
+        if (!note) {
+            toast.error('Add a note telling the user why the request is rejected');
+            return;
+        }
+        setBusyId(request.id);
+        try {
+            await erasureRequestService.rejectRequest(request.id, note);
+            toast.success('Erasure request rejected');
+            await fetchRequests();
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+                        <UserX className="h-8 w-8 text-[#2D3E50]" />
+                        Erasure Requests
+                    </h1>
+                    <p className="text-gray-600 mt-1">Users asking for their data to be erased (DPDP right to erasure)</p>
+                </div>
+                <div className="flex gap-2">
+                    <Select value={status} onValueChange={setStatus}>
+                        <SelectTrigger className="w-40">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {STATUSES.map(value => (
+                                <SelectItem key={value} value={value}>{value}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                    <Button variant="outline" onClick={fetchRequests} disabled={loading}>
+                        <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+                        Refresh
+                    </Button>
+                </div>
+            </div>
+
+            {/* Requests */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+                {loading && requests.length === 0 ? (
+                    <div className="flex items-center justify-center py-12">
+                        <Loader className="h-8 w-8 animate-spin text-gray-400" />
+                    </div>
+                ) : requests.length === 0 ? (
+                    <p className="text-center text-gray-500 py-12">No {status.toLowerCase()} erasure requests.</p>
+                ) : (
+                    <div className="divide-y divide-gray-100">
+                        {requests.map(request => (
+                            <div key={request.id} className="py-4 space-y-3">
+                                <div className="flex flex-wrap items-start justify-between gap-3">
+                                    <div>
+                                        <p className="font-medium text-gray-900">{request.user.phoneNumber}</p>
+                                        <p className="text-xs text-gray-500">
+                                            Requested {formatDate(request.createdAt)}
+                                            {request.completedAt && ` · Erased ${formatDate(request.completedAt)}`}
+                                            {!request.completedAt && request.reviewedAt && ` · Reviewed ${formatDate(request.reviewedAt)}`}
+                                        </p>
+                                    </div>
+                                    <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[request.status]}`}>
+                                        {request.status}
+                                    </span>
+                                </div>
+
+                                {request.reason && (
+                                    <p className="text-sm text-gray-700">
+                                        <span className="text-gray-500">Reason:</span> {request.reason}
+                                    </p>
+                                )}
+                                {request.reviewNote && (
+                                    <p className="text-sm text-gray-700">
+                                        <span className="text-gray-500">Review note:</span> {request.reviewNote}
+                                    </p>
+                                )}
+
+                                {request.status === 'PENDING' && request.legalHolds.length > 0 && (
+                                    <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800 space-y-1">
+                                        <p className="font-medium flex items-center gap-2">
+                                            <AlertTriangle className="h-4 w-4" />
+                                            Legal hold — data cannot be erased yet
+                                        </p>
+                                        {request.legalHolds.map(hold => (
+                                            <p key={`${hold.model}-${hold.id}`}>{hold.reason}</p>
+                                        ))}
+                                    </div>
+                                )}
+                                {request.status === 'PENDING' && request.error && (
+                                    <p className="text-sm text-red-600">Last attempt failed: {request.error}</p>
+                                )}
+
+                                {request.status === 'IN_PROGRESS' && (
+                                    <p className="text-sm text-blue-700">
+                                        Erasure is running. If it stays here, it can be approved again after 15 minutes.
+                                    </p>
+                                )}
+                                {request.status === 'IN_PROGRESS' && canErase && (
+                                    <Button
+                                        variant="outline"
+                                        onClick={() => handleApprove(request)}
+                                        disabled={busyId === request.id}
+                                    >
+                                        {busyId === request.id ? <Loader className="h-4 w-4 animate-spin" /> : 'Retry erasure'}
+                                    </Button>
+                                )}
+                                {request.status === 'PENDING' && canErase && (
+                                    <div className="flex flex-col sm:flex-row gap-2">
+                                        <Input
+                                            value={notes[request.id] || ''}
+                                            onChange={e => setNotes(prev => ({ ...prev, [request.id]: e.target.value }))}
+                                            placeholder="Review note (required to reject, shown to the user)"
+                                        />
+                                        <div className="flex gap-2 shrink-0">
+                                            <Button
+                                                variant="outline"
+                                                onClick={() => handleReject(request)}
+                                                disabled={busyId === request.id}
+                                            >
+                                                Reject
+                                            </Button>
+                                            <Button
+                                                className="bg-red-600 hover:bg-red-700"
+                                                onClick={() => handleApprove(request)}
+                                                disabled={busyId === request.id}
+                                            >
+                                                {busyId === request.id ? <Loader className="h-4 w-4 animate-spin" /> : 'Approve & erase'}
+                                            </Button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,462 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+    Landmark,
+    Plus,
+    RefreshCw,
+    Loader,
+    Pencil,
+    Trash2,
+    X,
+} from 'lucide-react';
+
+import { toast } from "sonner";
+import { lenderProductService } from '../services/api';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from '../components/ui/select';
+import { useAuth } from '../contexts/useAuth';
+
+interface RateBand {
+    minScore: number;
+    rate: number;
+}
+
+interface LenderProduct {
+    id: string;
+    lenderName: string;
+    productName: string;
+    loanType: string;
+    isActive: boolean;
+    minScore: number;
+    rateBands: RateBand[];
+    maxFoir: number;
+    minMonthlyIncome: number;
+    minAmount: number;
+    maxAmount: number;
+    maxTenureMonths: number;
+    processingFeePct: number | null;
+    allowWriteOffs: boolean;
+    maxOverdue: number;
+    updatedAt: string;
+}
+
+// Form state keeps numbers as strings so inputs can be cleared while typing
+interface ProductForm {
+    lenderName: string;
+    productName: string;
+    loanType: string;
+    isActive: boolean;
+    minScore: string;
+    rateBands: Array<{ minScore: string; rate: string }>;
+    maxFoir: string;
+    minMonthlyIncome: string;
+    minAmount: string;
+    maxAmount: string;
+    maxTenureMonths: string;
+    processingFeePct: string;
+    allowWriteOffs: boolean;
+    maxOverdue: string;
+}
+
+const emptyForm: ProductForm = {
+    lenderName: '',
+    productName: '',
+    loanType: 'PERSONAL',
+    isActive: true,
+    minScore: '700',
+    rateBands: [{ minScore: '700', rate: '' }],
+    maxFoir: '50',
+    minMonthlyIncome: '0',
+    minAmount: '',
+    maxAmount: '',
+    maxTenureMonths: '',
+    processingFeePct: '',
+    allowWriteOffs: false,
+    maxOverdue: '0',
+};
+
+const toForm = (product: LenderProduct): ProductForm => ({
+    lenderName: product.lenderName,
+    productName: product.productName,
+    loanType: product.loanType,
+    isActive: product.isActive,
+    minScore: String(product.minScore),
+    rateBands: product.rateBands.map(band => ({ minScore: String(band.minScore), rate: String(band.rate) })),
+    maxFoir: String(product.maxFoir),
+    minMonthlyIncome: String(product.minMonthlyIncome),
+    minAmount: String(product.minAmount),
+    maxAmount: String(product.maxAmount),
+    maxTenureMonths: String(product.maxTenureMonths),
+    processingFeePct: product.processingFeePct === null ? '' : String(product.processingFeePct),
+    allowWriteOffs: product.allowWriteOffs,
+    maxOverdue: String(product.maxOverdue),
+});
+
+// The server validates ranges; this only converts types
+const toPayload = (form: ProductForm) => ({
+    lenderName: form.lenderName,
+    productName: form.productName,
+    loanType: form.loanType,
+    isActive: form.isActive,
+    minScore: Number(form.minScore),
+    rateBands: form.rateBands.map(band => ({ minScore: Number(band.minScore), rate: Number(band.rate) })),
+    maxFoir: Number(form.maxFoir),
+    minMonthlyIncome: Number(form.minMonthlyIncome || 0),
+    minAmount: Number(form.minAmount),
+    maxAmount: Number(form.maxAmount),
+    maxTenureMonths: Number(form.maxTenureMonths),
+    processingFeePct: form.processingFeePct === '' ? null : Number(form.processingFeePct),
+    allowWriteOffs: form.allowWriteOffs,
+    maxOverdue: Number(form.maxOverdue || 0),
+});
+
+const formatAmount = (value: number) => `₹${value.toLocaleString('en-IN')}`;
+
+const getErrorMessage = (error: unknown) =>
+    error instanceof Error ? error.message : 'Something went wrong';
+
+export default function LenderProducts() {
+    const { admin } = useAuth();
+    const canWrite = !!admin?.permissions?.includes('loans:write');
+
+    const [products, setProducts] = useState<LenderProduct[]>([]);
+    const [loanTypes, setLoanTypes] = useState<string[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState<string | null>(null);
+
+    // Create / edit form - editingId null means a new product
+    const [formOpen, setFormOpen] = useState(false);
+    const [editingId, setEditingId] = useState<string | null>(null);
+    const [form, setForm] = useState<ProductForm>(emptyForm);
+    const [saving, setSaving] = useState(false);
+
+    const fetchProducts = useCallback(async () => {
+        setLoading(true);
+        try {
+            const res = await lenderProductService.getProducts();
+            setProducts(res.data?.products || []);
+            setLoanTypes(res.data?.loanTypes || []);
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchProducts();
+    }, [fetchProducts]);
+
+    const setField = <K extends keyof ProductForm>(field: K, value: ProductForm[K]) =>
+        setForm(prev => ({ ...prev, [field]: value }));
+
+    const setBand = (index: number, field: 'minScore' | 'rate', value: string) =>
+        setForm(prev => ({
+            ...prev,
+            rateBands: prev.rateBands.map((band, i) => (i === index ? { ...band, [field]: value } : band)),
+        }));
+
+    const openCreate = () => {
+        setEditingId(null);
+        setForm(emptyForm);
+        setFormOpen(true);
+    };
+
+    const openEdit = (product: LenderProduct) => {
+        setEditingId(product.id);
+        setForm(toForm(product));
+        setFormOpen(true);
+    };
+
+    const handleSave = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            if (editingId) {
+                await lenderProductService.updateProduct(editingId, toPayload(form));
+                toast.success('Lender product updated');
+            } else {
+                await lenderProductService.createProduct(toPayload(form));
+                toast.success('Lender product created');
+            }
+            setFormOpen(false);
+            await fetchProducts();
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggleActive = async (product: LenderProduct) => {
+        setBusyId(product.id);
+        try {
+            await lenderProductService.updateProduct(product.id, { isActive: !product.isActive });
+            toast.success(product.isActive ? 'Product paused' : 'Product activated');
+            await fetchProducts();
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (product: LenderProduct) => {
+        if (!confirm(`Delete ${product.lenderName} — ${product.productName}? Pausing keeps it for later.`)) return;
+        setBusyId(product.id);
+        try {
+            await lenderProductService.deleteProduct(product.id);
+            toast.success('Lender product deleted');
+            await fetchProducts();
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const numberField = (field: keyof ProductForm, label: string, props: React.InputHTMLAttributes<HTMLInputElement> = {}) => (
+        <label className="space-y-1 text-sm">
+            <span className="text-gray-600">{label}</span>
+            <Input
+                type="number"
+                value={form[field] as string}
+                onChange={e => setField(field, e.target.value as never)}
+                {...props}
+            />
+        </label>
+    );
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+                        <Landmark className="h-8 w-8 text-[#2D3E50]" />
+                        Lender Products
+                    </h1>
+                    <p className="text-gray-600 mt-1">Catalogue used to match users to pre-qualified loan offers</p>
+                </div>
+                <div className="flex gap-2">
+                    <Button variant="outline" onClick={fetchProducts} disabled={loading}>
+                        <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+                        Refresh
+                    </Button>
+                    {canWrite && (
+                        <Button onClick={openCreate}>
+                            <Plus className="h-4 w-4 mr-2" />
+                            Add product
+                        </Button>
+                    )}
+                </div>
+            </div>
+
+            {/* Create / edit */}
+            {formOpen && (
+                <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+                    <div className="flex items-center justify-between">
+                        <h2 className="text-lg font-semibold text-gray-900">
+                            {editingId ? 'Edit lender product' : 'New lender product'}
+                        </h2>
+                        <button onClick={() => setFormOpen(false)} className="text-gray-500 hover:text-gray-700">
+                            <X className="h-5 w-5" />
+                        </button>
+                    </div>
+                    <form onSubmit={handleSave} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                            <label className="space-y-1 text-sm">
+                                <span className="text-gray-600">Lender</span>
+                                <Input value={form.lenderName} onChange={e => setField('lenderName', e.target.value)} required />
+                            </label>
+                            <label className="space-y-1 text-sm">
+                                <span className="text-gray-600">Product</span>
+                                <Input value={form.productName} onChange={e => setField('productName', e.target.value)} required />
+                            </label>
+                            <label className="space-y-1 text-sm">
+                                <span className="text-gray-600">Loan type</span>
+                                <Select value={form.loanType} onValueChange={(value) => setField('loanType', value)}>
+                                    <SelectTrigger>
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {loanTypes.map(type => (
+                                            <SelectItem key={type} value={type}>{type}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </label>
+                        </div>
+
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                            {numberField('minScore', 'Minimum score', { min: 0, max: 900, required: true })}
+                            {numberField('maxFoir', 'Max FOIR %', { min: 1, max: 100, step: 'any', required: true })}
+                            {numberField('minMonthlyIncome', 'Min monthly income', { min: 0 })}
+                            {numberField('maxTenureMonths', 'Max tenure (months)', { min: 1, max: 480, required: true })}
+                            {numberField('minAmount', 'Min amount', { min: 1, required: true })}
+                            {numberField('maxAmount', 'Max amount', { min: 1, required: true })}
+                            {numberField('processingFeePct', 'Processing fee %', { min: 0, max: 10, step: 'any' })}
+                            {numberField('maxOverdue', 'Max overdue allowed', { min: 0 })}
+                        </div>
+
+                        {/* Rate bands */}
+                        <div className="space-y-2">
+                            <p className="text-sm font-medium text-gray-700">Rate bands — the highest band at or below the user's score applies</p>
+                            {form.rateBands.map((band, index) => (
+                                <div key={index} className="flex items-center gap-2">
+                                    <Input
+                                        type="number"
+                                        className="w-36"
+                                        value={band.minScore}
+                                        onChange={e => setBand(index, 'minScore', e.target.value)}
+                                        placeholder="Score from"
+                                        min={0}
+                                        max={900}
+                                        required
+                                    />
+                                    <Input
+                                        type="number"
+                                        className="w-36"
+                                        value={band.rate}
+                                        onChange={e => setBand(index, 'rate', e.target.value)}
+                                        placeholder="Rate % p.a."
+                                        step="any"
+                                        min={0.1}
+                                        max={60}
+                                        required
+                                    />
+                                    {form.rateBands.length > 1 && (
+                                        <Button
+                                            type="button"
+                                            variant="ghost"
+                                            size="sm"
+                                            onClick={() => setField('rateBands', form.rateBands.filter((_, i) => i !== index))}
+                                        >
+                                            <X className="h-4 w-4" />
+                                        </Button>
+                                    )}
+                                </div>
+                            ))}
+                            <Button
+                                type="button"
+                                variant="outline"
+                                size="sm"
+                                onClick={() => setField('rateBands', [...form.rateBands, { minScore: '', rate: '' }])}
+                            >
+                                <Plus className="h-4 w-4 mr-1" />
+                                Add band
+                            </Button>
+                        </div>
+
+                        <div className="flex flex-wrap items-center gap-6 text-sm">
+                            <label className="flex items-center gap-2">
+                                <input type="checkbox" checked={form.isActive} onChange={e => setField('isActive', e.target.checked)} />
+                                Active
+                            </label>
+                            <label className="flex items-center gap-2">
+                                <input type="checkbox" checked={form.allowWriteOffs} onChange={e => setField('allowWriteOffs', e.target.checked)} />
+                                Allow written-off accounts
+                            </label>
+                        </div>
+
+                        <div className="flex justify-end gap-2">
+                            <Button type="button" variant="outline" onClick={() => setFormOpen(false)}>Cancel</Button>
+                            <Button type="submit" disabled={saving}>
+                                {saving ? <Loader className="h-4 w-4 animate-spin" /> : editingId ? 'Save changes' : 'Create product'}
+                            </Button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Catalogue */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+                {loading && products.length === 0 ? (
+                    <div className="flex items-center justify-center py-12">
+                        <Loader className="h-8 w-8 animate-spin text-gray-400" />
+                    </div>
+                ) : products.length === 0 ? (
+                    <p className="text-center text-gray-500 py-12">No lender products yet — users will not see any offers.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-500 border-b border-gray-100">
+                                    <th className="py-2 pr-4 font-medium">Product</th>
+                                    <th className="py-2 pr-4 font-medium">Type</th>
+                                    <th className="py-2 pr-4 font-medium">Min score</th>
+                                    <th className="py-2 pr-4 font-medium">Rates</th>
+                                    <th className="py-2 pr-4 font-medium">FOIR</th>
+                                    <th className="py-2 pr-4 font-medium">Amount</th>
+                                    <th className="py-2 pr-4 font-medium">Tenure</th>
+                                    <th className="py-2 pr-4 font-medium">Status</th>
+                                    {canWrite && <th className="py-2 font-medium text-right">Actions</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {products.map(product => (
+                                    <tr key={product.id} className="border-b border-gray-50">
+                                        <td className="py-3 pr-4">
+                                            <p className="font-medium text-gray-900">{product.productName}</p>
+                                            <p className="text-xs text-gray-500">{product.lenderName}</p>
+                                        </td>
+                                        <td className="py-3 pr-4">{product.loanType}</td>
+                                        <td className="py-3 pr-4">{product.minScore}</td>
+                                        <td className="py-3 pr-4 text-xs">
+                                            {product.rateBands.map(band => (
+                                                <p key={band.minScore}>{band.minScore}+: {band.rate}%</p>
+                                            ))}
+                                        </td>
+                                        <td className="py-3 pr-4">{product.maxFoir}%</td>
+                                        <td className="py-3 pr-4 whitespace-nowrap">
+                                            {formatAmount(product.minAmount)} – {formatAmount(product.maxAmount)}
+                                        </td>
+                                        <td className="py-3 pr-4">{product.maxTenureMonths} mo</td>
+                                        <td className="py-3 pr-4">
+                                            {product.isActive ? (
+                                                <span className="text-xs px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-700">Active</span>
+                                            ) : (
+                                                <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">Paused</span>
+                                            )}
+                                        </td>
+                                        {canWrite && (
+                                            <td className="py-3 text-right whitespace-nowrap">
+                                                <Button
+                                                    variant="ghost"
+                                                    size="sm"
+                                                    onClick={() => handleToggleActive(product)}
+                                                    disabled={busyId === product.id}
+                                                >
+                                                    {product.isActive ? 'Pause' : 'Activate'}
+                                                </Button>
+                                                <Button variant="ghost" size="sm" onClick={() => openEdit(product)} title="Edit">
+                                                    <Pencil className="h-4 w-4" />
+                                                </Button>
+                                                <Button
+                                                    variant="ghost"
+                                                    size="sm"
+                                                    className="text-red-600 hover:text-red-700"
+                                                    onClick={() => handleDelete(product)}
+                                                    disabled={busyId === product.id}
+                                                    title="Delete"
+                                                >
+                                                    <Trash2 className="h-4 w-4" />
+                                                </Button>
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
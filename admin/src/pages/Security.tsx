@@ -0,0 +1,319 @@
+import { useEffect, useState, useCallback } from 'react';
+import {
+    ShieldCheck,
+    KeyRound,
+    Monitor,
+    RefreshCw,
+    Loader,
+    LogOut,
+    Copy,
+} from 'lucide-react';
+
+import { Link } from 'react-router-dom';
+import { toast } from "sonner";
+import { adminSecurityService } from '../services/api';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { useAuth } from '../contexts/useAuth';
+
+interface AdminSession {
+    sessionKey: string;
+    current: boolean;
+    ipAddress: string | null;
+    userAgent: string | null;
+    loginAt: string | null;
+    twoFactor: boolean;
+    expiresAt: string;
+}
+
+interface TwoFactorStatus {
+    enabled: boolean;
+    recoveryCodesRemaining: number;
+}
+
+interface PendingSetup {
+    secret: string;
+    otpauthUrl: string;
+}
+
+const formatDate = (value: string | null) =>
+    value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+const getErrorMessage = (error: unknown) =>
+    error instanceof Error ? error.message : 'Something went wrong';
+
+export default function Security() {
+    const { checkAuth } = useAuth();
+
+    const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+    const [sessions, setSessions] = useState<AdminSession[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+
+    // 2FA setup / management form state
+    const [pendingSetup, setPendingSetup] = useState<PendingSetup | null>(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+
+    const fetchData = useCallback(async () => {
+        setLoading(true);
+        try {
+            const [statusRes, sessionsRes] = await Promise.all([
+                adminSecurityService.getTwoFactorStatus(),
+                adminSecurityService.getSessions(),
+            ]);
+            setStatus(statusRes.data);
+            setSessions(sessionsRes.data?.sessions || []);
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const runAction = async (action: () => Promise<void>) => {
+        setBusy(true);
+        try {
+            await action();
+        } catch (error) {
+            toast.error(getErrorMessage(error));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleStartSetup = () => runAction(async () => {
+        const res = await adminSecurityService.setupTwoFactor();
+        setPendingSetup(res.data);
+        setRecoveryCodes(null);
+        setCode('');
+    });
+
+    const handleEnable = () => runAction(async () => {
+        const res = await adminSecurityService.enableTwoFactor(code.trim());
+        setRecoveryCodes(res.data?.recoveryCodes || []);
+        setPendingSetup(null);
+        setCode('');
+        toast.success('Two-factor authentication enabled');
+        await Promise.all([fetchData(), checkAuth()]);
+    });
+
+    const handleDisable = () => runAction(async () => {
+        await adminSecurityService.disableTwoFactor(password, code.trim());
+        setPassword('');
+        setCode('');
+        setRecoveryCodes(null);
+        toast.success('Two-factor authentication disabled');
+        await Promise.all([fetchData(), checkAuth()]);
+    });
+
+    const handleRegenerate = () => runAction(async () => {
+        const res = await adminSecurityService.regenerateRecoveryCodes(code.trim());
+        setRecoveryCodes(res.data?.recoveryCodes || []);
+        setCode('');
+        toast.success('New recovery codes generated');
+        await fetchData();
+    });
+
+    const handleRevoke = (sessionKey: string) => runAction(async () => {
+        await adminSecurityService.revokeSession(sessionKey);
+        toast.success('Session revoked');
+        await fetchData();
+    });
+
+    const handleRevokeOthers = () => runAction(async () => {
+        const res = await adminSecurityService.revokeOtherSessions();
+        toast.success(`Signed out ${res.data?.revoked ?? 0} other session(s)`);
+        await fetchData();
+    });
+
+    const copyToClipboard = async (text: string) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            toast.success('Copied');
+        } catch {
+            toast.error('Could not copy');
+        }
+    };
+
+    if (loading && !status) {
+        return (
+            <div className="flex items-center justify-center py-24">
+                <Loader className="h-8 w-8 animate-spin text-gray-400" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+                        <ShieldCheck className="h-8 w-8 text-[#2D3E50]" />
+                        Account Security
+                    </h1>
+                    <p className="text-gray-600 mt-1">Two-factor authentication and active sessions</p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <Link to="/change-password">
+                        <Button variant="outline">Change password</Button>
+                    </Link>
+                    <Button variant="outline" onClick={fetchData} disabled={loading}>
+                        <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+                        Refresh
+                    </Button>
+                </div>
+            </div>
+
+            {/* Two-factor authentication */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+                <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                        <KeyRound className="h-6 w-6 text-indigo-600" />
+                        <div>
+                            <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+                            <p className="text-sm text-gray-500">
+                                {status?.enabled
+                                    ? `Enabled · ${status.recoveryCodesRemaining} recovery code(s) left`
+                                    : 'Not enabled'}
+                            </p>
+                        </div>
+                    </div>
+                    {!status?.enabled && !pendingSetup && (
+                        <Button onClick={handleStartSetup} disabled={busy}>Set up</Button>
+                    )}
+                </div>
+
+                {pendingSetup && (
+                    <div className="space-y-3 border-t border-gray-100 pt-4">
+                        <p className="text-sm text-gray-600">
+                            Add this key to your authenticator app (Google Authenticator, 1Password, Authy…), then enter the 6-digit code it shows.
+                        </p>
+                        <div className="flex items-center gap-2">
+                            <code className="px-3 py-2 bg-gray-100 rounded-lg text-sm font-mono break-all">{pendingSetup.secret}</code>
+                            <Button variant="ghost" size="icon" onClick={() => copyToClipboard(pendingSetup.secret)}>
+                                <Copy className="h-4 w-4" />
+                            </Button>
+                        </div>
+                        <p className="text-xs text-gray-400 break-all">{pendingSetup.otpauthUrl}</p>
+                        <div className="flex gap-2 max-w-sm">
+                            <Input
+                                value={code}
+                                onChange={e => setCode(e.target.value)}
+                                placeholder="123456"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                            />
+                            <Button onClick={handleEnable} disabled={busy || !code}>Enable</Button>
+                        </div>
+                    </div>
+                )}
+
+                {recoveryCodes && (
+                    <div className="space-y-3 border-t border-gray-100 pt-4">
+                        <p className="text-sm font-medium text-amber-700">
+                            Save these recovery codes now — each works once and they will not be shown again.
+                        </p>
+                        <div className="grid grid-cols-2 gap-2 max-w-sm font-mono text-sm">
+                            {recoveryCodes.map(rc => (
+                                <span key={rc} className="px-2 py-1 bg-gray-100 rounded">{rc}</span>
+                            ))}
+                        </div>
+                        <Button variant="outline" size="sm" onClick={() => copyToClipboard(recoveryCodes.join('\n'))}>
+                            <Copy className="h-4 w-4 mr-2" />
+                            Copy all
+                        </Button>
+                    </div>
+                )}
+
+                {status?.enabled && (
+                    <div className="space-y-3 border-t border-gray-100 pt-4 max-w-sm">
+                        <p className="text-sm text-gray-600">Enter a current authentication code to manage two-factor settings.</p>
+                        <Input
+                            value={code}
+                            onChange={e => setCode(e.target.value)}
+                            placeholder="Authentication code"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                        />
+                        <Button variant="outline" onClick={handleRegenerate} disabled={busy || !code}>
+                            Regenerate recovery codes
+                        </Button>
+                        <Input
+                            type="password"
+                            value={password}
+                            onChange={e => setPassword(e.target.value)}
+                            placeholder="Password (required to disable)"
+                        />
+                        <Button variant="destructive" onClick={handleDisable} disabled={busy || !code || !password}>
+                            Disable two-factor
+                        </Button>
+                    </div>
+                )}
+            </div>
+
+            {/* Sessions */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+                <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                        <Monitor className="h-6 w-6 text-indigo-600" />
+                        <h2 className="text-lg font-semibold text-gray-900">Active sessions</h2>
+                    </div>
+                    {sessions.length > 1 && (
+                        <Button variant="outline" onClick={handleRevokeOthers} disabled={busy}>
+                            <LogOut className="h-4 w-4 mr-2" />
+                            Sign out other sessions
+                        </Button>
+                    )}
+                </div>
+
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b border-gray-100">
+                                <th className="py-2 pr-4 font-medium">Device</th>
+                                <th className="py-2 pr-4 font-medium">IP address</th>
+                                <th className="py-2 pr-4 font-medium">Signed in</th>
+                                <th className="py-2 pr-4 font-medium">2FA</th>
+                                <th className="py-2 font-medium"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sessions.map(session => (
+                                <tr key={session.sessionKey} className="border-b border-gray-50">
+                                    <td className="py-3 pr-4 max-w-xs truncate" title={session.userAgent || ''}>
+                                        {session.userAgent || 'Unknown'}
+                                        {session.current && (
+                                            <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-700">This session</span>
+                                        )}
+                                    </td>
+                                    <td className="py-3 pr-4 font-mono">{session.ipAddress || '—'}</td>
+                                    <td className="py-3 pr-4">{formatDate(session.loginAt)}</td>
+                                    <td className="py-3 pr-4">{session.twoFactor ? 'Yes' : 'No'}</td>
+                                    <td className="py-3 text-right">
+                                        {!session.current && (
+                                            <Button variant="ghost" size="sm" onClick={() => handleRevoke(session.sessionKey)} disabled={busy}>
+                                                Revoke
+                                            </Button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                            {sessions.length === 0 && (
+                                <tr>
+                                    <td colSpan={5} className="py-6 text-center text-gray-400">No active sessions</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
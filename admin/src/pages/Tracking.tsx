@@ -64,6 +64,16 @@ interface UserSession {
     endTime?: string;
 }
 
+// Debounce hook
+function useDebounce<T>(value: T, delay: number): T {
+    const [debouncedValue, setDebouncedValue] = useState<T>(value);
+    useEffect(() => {
+        const handler = setTimeout(() => setDebouncedValue(value), delay);
+        return () => clearTimeout(handler);
+    }, [value, delay]);
+    return debouncedValue;
+}
+
 const Tracking = () => {
     const [userSessions, setUserSessions] = useState<UserSession[]>([]);
     const [nonUserSessions, setNonUserSessions] = useState<UserSession[]>([]);
@@ -73,6 +83,7 @@ const Tracking = () => {
     const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set());
     const [deleting, setDeleting] = useState(false);
     const [searchQuery, setSearchQuery] = useState('');
+    const debouncedSearch = useDebounce(searchQuery.trim(), 300);
 
     const navigate = useNavigate();
 
@@ -100,7 +111,7 @@ const Tracking = () => {
         setError("");
         try {
             // SECURITY: Session cookie is sent automatically via credentials: 'include'
-            const data = await fetchAllSessions();
+            const data = await fetchAllSessions(debouncedSearch || undefined);
             const processedUser = (data.userSessions || []).map(processSession);
             const processedNonUser = (data.nonUserSessions || []).map(processSession);
 
@@ -120,7 +131,7 @@ const Tracking = () => {
 
     useEffect(() => {
         fetchSessions();
-    }, [navigate]);
+    }, [navigate, debouncedSearch]);
 
     const handleBulkDelete = async () => {
         if (selectedIds.size === 0) {
@@ -162,20 +173,9 @@ const Tracking = () => {
         (a, b) => new Date(b.lastActivity).getTime() - new Date(a.lastActivity).getTime()
     );
 
-    // Filter by tab and search
-    const getFilteredSessions = () => {
-        let sessions = activeTab === 'all' ? allSessions : activeTab === 'users' ? userSessions : nonUserSessions;
-        if (searchQuery) {
-            const q = searchQuery.toLowerCase();
-            sessions = sessions.filter(s =>
-                s.user?.firstName?.toLowerCase().includes(q) ||
-                s.user?.phoneNumber?.includes(q) ||
-                s.ipAddress?.includes(q) ||
-                s.currentPage?.toLowerCase().includes(q)
-            );
-        }
-        return sessions;
-    };
+    // Filter by tab (search runs server-side: user names and phones are encrypted)
+    const getFilteredSessions = () =>
+        activeTab === 'all' ? allSessions : activeTab === 'users' ? userSessions : nonUserSessions;
 
     const filteredSessions = getFilteredSessions();
 
@@ -357,7 +357,7 @@ const Tracking = () => {
                         <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
                         <input
                             type="text"
-                            placeholder="Search by name, phone, IP, page..."
+                            placeholder="Search by name, full phone, IP, page..."
                             value={searchQuery}
                             onChange={(e) => setSearchQuery(e.target.value)}
                             className="w-full pl-10 pr-4 py-2.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500"
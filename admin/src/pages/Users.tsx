@@ -18,7 +18,9 @@ import {
     CreditCard,
     User as UserIcon,
     Trash2,
+    LayoutList,
 } from 'lucide-react';
+import { Link } from 'react-router-dom';
 import { userService, userBulkService } from '../services/api';
 import { toast } from "sonner";
 
@@ -49,6 +51,16 @@ interface Pagination {
     totalPages: number;
 }
 
+// Debounce hook
+function useDebounce<T>(value: T, delay: number): T {
+    const [debouncedValue, setDebouncedValue] = useState<T>(value);
+    useEffect(() => {
+        const handler = setTimeout(() => setDebouncedValue(value), delay);
+        return () => clearTimeout(handler);
+    }, [value, delay]);
+    return debouncedValue;
+}
+
 const Users = () => {
     const [users, setUsers] = useState<User[]>([]);
     const [pagination, setPagination] = useState<Pagination | null>(null);
@@ -63,17 +75,25 @@ const Users = () => {
     const [viewingUser, setViewingUser] = useState<User | null>(null);
     const [loadingDetail, setLoadingDetail] = useState(false);
 
+    const debouncedSearch = useDebounce(searchQuery.trim(), 300);
+
     useEffect(() => {
         fetchUsers();
-    }, [currentPage]);
+    }, [currentPage, debouncedSearch]);
+
+    useEffect(() => {
+        setCurrentPage(1);
+    }, [debouncedSearch]);
 
     const fetchUsers = async () => {
         try {
             setLoading(true);
-            const params: { page?: number; limit?: number } = {
+            const params: { page?: number; limit?: number; search?: string } = {
                 page: currentPage,
                 limit: 20,
             };
+            // Server-side search (names and phones are encrypted, matched via blind index)
+            if (debouncedSearch) params.search = debouncedSearch;
             const response = await userService.getAllUsers(params);
             if (response?.data?.users) {
                 setUsers(response.data.users || []);
@@ -160,27 +180,11 @@ const Users = () => {
         });
     };
 
-    // Filter users by search query
-    const filteredUsers = users.filter(user => {
-        const query = searchQuery.toLowerCase();
-        const name = `${user.firstName || ''} ${user.middleName || ''} ${user.lastName || ''}`.toLowerCase();
-        const phone = user.phoneNumber || '';
-        const email = user.email || '';
-        const idNum = user.identityNumber || '';
-
-        return (
-            name.includes(query) ||
-            email.toLowerCase().includes(query) ||
-            phone.includes(query) ||
-            idNum.toLowerCase().includes(query)
-        );
-    });
-
     const toggleSelectAll = () => {
-        if (selectedIds.size === filteredUsers.length) {
+        if (selectedIds.size === users.length) {
             setSelectedIds(new Set());
         } else {
-            setSelectedIds(new Set(filteredUsers.map(u => u.id)));
+            setSelectedIds(new Set(users.map(u => u.id)));
         }
     };
 
@@ -196,8 +200,8 @@ const Users = () => {
 
     const exportToExcel = () => {
         const dataToExport = selectedIds.size > 0
-            ? filteredUsers.filter(u => selectedIds.has(u.id))
-            : filteredUsers;
+            ? users.filter(u => selectedIds.has(u.id))
+            : users;
 
         const excelData = dataToExport.map(user => ({
             'User ID': user.id,
@@ -288,7 +292,7 @@ const Users = () => {
                         <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
                         <input
                             type="text"
-                            placeholder="Search by name, email, phone, PAN..."
+                            placeholder="Search by full phone, PAN / Aadhaar or name..."
                             value={searchQuery}
                             onChange={(e) => setSearchQuery(e.target.value)}
                             className="w-full pl-10 pr-4 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-[#2D3E50] focus:border-transparent"
@@ -296,20 +300,20 @@ const Users = () => {
                     </div>
                     {pagination && (
                         <span className="text-sm text-gray-500 ml-auto">
-                            Showing {filteredUsers.length} of {pagination.total} users
+                            Showing {users.length} of {pagination.total} users
                         </span>
                     )}
                 </div>
             </div>
 
             {/* Select All */}
-            {filteredUsers.length > 0 && (
+            {users.length > 0 && (
                 <div className="bg-white rounded-xl p-3 shadow-sm border border-gray-100 flex items-center gap-4">
                     <button
                         onClick={toggleSelectAll}
                         className="flex items-center gap-2 text-sm text-gray-700 hover:text-gray-900"
                     >
-                        {selectedIds.size === filteredUsers.length ? (
+                        {selectedIds.size === users.length ? (
                             <CheckSquare className="h-5 w-5 text-blue-600" />
                         ) : (
                             <Square className="h-5 w-5 text-gray-400" />
@@ -330,13 +334,13 @@ const Users = () => {
                     <div className="flex items-center justify-center py-20">
                         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#2D3E50]"></div>
                     </div>
-                ) : filteredUsers.length === 0 ? (
+                ) : users.length === 0 ? (
                     <div className="text-center py-20 bg-white rounded-xl shadow-lg border border-gray-100">
                         <UsersIcon className="h-16 w-16 text-gray-300 mx-auto mb-4" />
                         <p className="text-gray-500 text-lg">No users found</p>
                     </div>
                 ) : (
-                    filteredUsers.map((user) => (
+                    users.map((user) => (
                         <div
                             key={user.id}
                             className={`bg-white rounded-xl shadow-lg border overflow-hidden ${selectedIds.has(user.id) ? 'border-blue-400 ring-2 ring-blue-100' : 'border-gray-100'}`}
@@ -395,6 +399,12 @@ const Users = () => {
                                         >
                                             <Eye className="h-4 w-4" /> View Details
                                         </button>
+                                        <Link
+                                            to={`/customers/${user.id}`}
+                                            className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-slate-50 text-slate-700 hover:bg-slate-100 border border-slate-200"
+                                        >
+                                            <LayoutList className="h-4 w-4" /> 360° View
+                                        </Link>
                                         <button
                                             onClick={() => toggleVerification(user)}
                                             disabled={updatingId === user.id}
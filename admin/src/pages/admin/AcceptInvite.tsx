@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { toast } from "sonner";
+import { Button } from "../../components/ui/button";
+import { Input } from "../../components/ui/input";
+import { adminManagementService } from "../../services/api";
+
+interface InviteDetails {
+    email: string;
+    name: string | null;
+    role: string;
+    expiresAt: string;
+    passwordRules: string[];
+}
+
+export default function AcceptInvitePage() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get("token") || "";
+    const navigate = useNavigate();
+
+    const [invite, setInvite] = useState<InviteDetails | null>(null);
+    const [lookupError, setLookupError] = useState("");
+    const [name, setName] = useState("");
+    const [password, setPassword] = useState("");
+    const [confirmPassword, setConfirmPassword] = useState("");
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        if (!token) {
+            setLookupError("This invite link is incomplete.");
+            return;
+        }
+        adminManagementService.lookupInvite(token)
+            .then(res => {
+                setInvite(res.data);
+                setName(res.data?.name || "");
+            })
+            .catch((err: unknown) => {
+                setLookupError(err instanceof Error ? err.message : "This invite is no longer valid.");
+            });
+    }, [token]);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError("");
+        if (password !== confirmPassword) {
+            setError("Passwords do not match");
+            return;
+        }
+        setLoading(true);
+        try {
+            await adminManagementService.acceptInvite({ token, password, name: name.trim() || undefined });
+            toast.success("Account created. Please sign in.");
+            navigate("/login", { replace: true });
+        } catch (err: unknown) {
+            setError(err instanceof Error ? err.message : "An unknown error occurred");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+            <div className="w-full max-w-md p-8 rounded-xl shadow-lg bg-white border border-gray-100">
+                <h1 className="text-3xl font-bold text-center mb-2 text-indigo-700">borrowww</h1>
+                <h2 className="text-xl font-semibold text-center mb-6 text-gray-700">Join the Admin Panel</h2>
+
+                {lookupError && (
+                    <div className="space-y-4 text-center">
+                        <p className="text-red-500 text-sm">{lookupError}</p>
+                        <Link to="/login" className="text-sm text-indigo-600 hover:underline">Go to login</Link>
+                    </div>
+                )}
+
+                {!lookupError && !invite && (
+                    <p className="text-center text-gray-500 text-sm">Checking invite...</p>
+                )}
+
+                {invite && (
+                    <form onSubmit={handleSubmit} className="space-y-5">
+                        <p className="text-sm text-gray-600 text-center">
+                            <span className="font-medium">{invite.email}</span> · {invite.role.replace('_', ' ')}
+                        </p>
+                        <div>
+                            <label className="block text-sm font-medium mb-1 text-gray-600">Name</label>
+                            <Input
+                                value={name}
+                                onChange={e => setName(e.target.value)}
+                                placeholder="Your name"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium mb-1 text-gray-600">Password</label>
+                            <Input
+                                type="password"
+                                value={password}
+                                onChange={e => setPassword(e.target.value)}
+                                autoComplete="new-password"
+                                required
+                            />
+                            <ul className="mt-1 text-xs text-gray-500 list-disc list-inside">
+                                {invite.passwordRules.map(rule => <li key={rule}>{rule}</li>)}
+                            </ul>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium mb-1 text-gray-600">Confirm password</label>
+                            <Input
+                                type="password"
+                                value={confirmPassword}
+                                onChange={e => setConfirmPassword(e.target.value)}
+                                autoComplete="new-password"
+                                required
+                            />
+                        </div>
+                        {error && <div className="text-red-500 text-sm text-center">{error}</div>}
+                        <Button type="submit" className="w-full" disabled={loading}>
+                            {loading ? "Creating account..." : "Create account"}
+                        </Button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "sonner";
+import { Button } from "../../components/ui/button";
+import { Input } from "../../components/ui/input";
+import { useAuth } from "../../contexts/useAuth";
+import { adminAuthService } from "../../services/api";
+
+export default function ChangePasswordPage() {
+    const [currentPassword, setCurrentPassword] = useState("");
+    const [newPassword, setNewPassword] = useState("");
+    const [confirmPassword, setConfirmPassword] = useState("");
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+    const navigate = useNavigate();
+    const { admin, checkAuth, logout } = useAuth();
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError("");
+        if (newPassword !== confirmPassword) {
+            setError("New passwords do not match");
+            return;
+        }
+        setLoading(true);
+        try {
+            await adminAuthService.changePassword({ currentPassword, newPassword });
+            toast.success("Password changed. Other sessions were signed out.");
+            await checkAuth();
+            navigate("/dashboard", { replace: true });
+        } catch (err: unknown) {
+            setError(err instanceof Error ? err.message : "An unknown error occurred");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+            <div className="w-full max-w-md p-8 rounded-xl shadow-lg bg-white border border-gray-100">
+                <h1 className="text-3xl font-bold text-center mb-2 text-indigo-700">borrowww</h1>
+                <h2 className="text-xl font-semibold text-center mb-2 text-gray-700">Change Password</h2>
+                {admin?.passwordChangeRequired && (
+                    <p className="text-sm text-center text-amber-700 mb-6">
+                        Your password has expired or was reset by an administrator. Choose a new one to continue.
+                    </p>
+                )}
+                <form onSubmit={handleSubmit} className="space-y-5">
+                    <div>
+                        <label className="block text-sm font-medium mb-1 text-gray-600">Current password</label>
+                        <Input
+                            type="password"
+                            value={currentPassword}
+                            onChange={e => setCurrentPassword(e.target.value)}
+                            autoComplete="current-password"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium mb-1 text-gray-600">New password</label>
+                        <Input
+                            type="password"
+                            value={newPassword}
+                            onChange={e => setNewPassword(e.target.value)}
+                            autoComplete="new-password"
+                            required
+                        />
+                        <p className="mt-1 text-xs text-gray-500">
+                            At least 12 characters with upper and lower case, a digit and a symbol.
+                        </p>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium mb-1 text-gray-600">Confirm new password</label>
+                        <Input
+                            type="password"
+                            value={confirmPassword}
+                            onChange={e => setConfirmPassword(e.target.value)}
+                            autoComplete="new-password"
+                            required
+                        />
+                    </div>
+                    {error && <div className="text-red-500 text-sm text-center">{error}</div>}
+                    <Button type="submit" className="w-full" disabled={loading}>
+                        {loading ? "Saving..." : "Change password"}
+                    </Button>
+                    <button
+                        type="button"
+                        className="w-full text-xs text-gray-500 hover:underline"
+                        onClick={logout}
+                    >
+                        Log out
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+}
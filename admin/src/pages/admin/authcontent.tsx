@@ -9,16 +9,28 @@ export default function AdminLoginContent() {
     const [password, setPassword] = useState("");
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState("");
+    // Second step for admins with two-factor authentication
+    const [twoFactorStep, setTwoFactorStep] = useState(false);
+    const [code, setCode] = useState("");
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
     const navigate = useNavigate();
-    const { login } = useAuth();
+    const { login, verifyTwoFactor } = useAuth();
 
     const handleSubmit = async (e: React.FormEvent) => {
         e.preventDefault();
         setLoading(true);
         setError("");
         try {
-            // Use AuthContext login which properly sets admin state
-            await login(email, password);
+            if (twoFactorStep) {
+                await verifyTwoFactor(code.trim(), useRecoveryCode);
+            } else {
+                // Use AuthContext login which properly sets admin state
+                const result = await login(email, password);
+                if (result === "two_factor") {
+                    setTwoFactorStep(true);
+                    return;
+                }
+            }
             // Navigate after successful login - state is already updated by login()
             navigate("/dashboard", { replace: true });
         } catch (err: unknown) {
@@ -38,30 +50,77 @@ export default function AdminLoginContent() {
                 <h1 className="text-3xl font-bold text-center mb-2 text-indigo-700">borrowww</h1>
                 <h2 className="text-xl font-semibold text-center mb-6 text-gray-700">Admin Login</h2>
                 <form onSubmit={handleSubmit} className="space-y-5">
-                    <div>
-                        <label className="block text-sm font-medium mb-1 text-gray-600">Email</label>
-                        <Input
-                            type="email"
-                            value={email}
-                            onChange={e => setEmail(e.target.value)}
-                            placeholder="your@email.com"
-                            required
-                        />
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium mb-1 text-gray-600">Password</label>
-                        <Input
-                            type="password"
-                            value={password}
-                            onChange={e => setPassword(e.target.value)}
-                            placeholder="••••••••"
-                            required
-                        />
-                    </div>
+                    {twoFactorStep ? (
+                        <div>
+                            <label className="block text-sm font-medium mb-1 text-gray-600">
+                                {useRecoveryCode ? "Recovery code" : "Authentication code"}
+                            </label>
+                            <Input
+                                type="text"
+                                value={code}
+                                onChange={e => setCode(e.target.value)}
+                                placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                                inputMode={useRecoveryCode ? "text" : "numeric"}
+                                autoComplete="one-time-code"
+                                autoFocus
+                                required
+                            />
+                            <button
+                                type="button"
+                                className="mt-2 text-xs text-indigo-600 hover:underline"
+                                onClick={() => {
+                                    setUseRecoveryCode(!useRecoveryCode);
+                                    setCode("");
+                                    setError("");
+                                }}
+                            >
+                                {useRecoveryCode ? "Use authenticator app instead" : "Use a recovery code instead"}
+                            </button>
+                        </div>
+                    ) : (
+                        <>
+                            <div>
+                                <label className="block text-sm font-medium mb-1 text-gray-600">Email</label>
+                                <Input
+                                    type="email"
+                                    value={email}
+                                    onChange={e => setEmail(e.target.value)}
+                                    placeholder="your@email.com"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium mb-1 text-gray-600">Password</label>
+                                <Input
+                                    type="password"
+                                    value={password}
+                                    onChange={e => setPassword(e.target.value)}
+                                    placeholder="••••••••"
+                                    required
+                                />
+                            </div>
+                        </>
+                    )}
                     {error && <div className="text-red-500 text-sm text-center">{error}</div>}
                     <Button type="submit" className="w-full" disabled={loading}>
-                        {loading ? "Logging in..." : "Login"}
+                        {loading
+                            ? (twoFactorStep ? "Verifying..." : "Logging in...")
+                            : (twoFactorStep ? "Verify" : "Login")}
                     </Button>
+                    {twoFactorStep && (
+                        <button
+                            type="button"
+                            className="w-full text-xs text-gray-500 hover:underline"
+                            onClick={() => {
+                                setTwoFactorStep(false);
+                                setCode("");
+                                setPassword("");
+                                setError("");
+                            }}
+                        >
+                            Back to login
+                        </button>
+                    )}
                 </form>
             </div>
         </div>
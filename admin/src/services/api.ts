@@ -36,7 +36,10 @@ const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || ((import.meta.env.DEV
 
 // API Response handler
 interface ApiError {
-  message: string;
+  message?: string;
+  // Server error handler sends { error, errors }
+  error?: string;
+  errors?: Array<{ code?: string } | string>;
 }
 
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
@@ -51,7 +54,12 @@ const handleResponse = async (response: Response): Promise<any> => {
       throw new Error('Session expired. Please login again.');
     }
 
-    throw new Error(error.message || `HTTP error! status: ${response.status}`);
+    // Handle 403 - Password rotation pending: auth context re-checks and redirects
+    if (response.status === 403 && error.errors?.some(e => typeof e === 'object' && e.code === 'PASSWORD_CHANGE_REQUIRED')) {
+      window.dispatchEvent(new CustomEvent('password-change-required'));
+    }
+
+    throw new Error(error.message || error.error || `HTTP error! status: ${response.status}`);
   }
   return response.json();
 };
@@ -145,7 +153,7 @@ export const adminAuthService = {
    */
   changePassword: async (passwordData: { currentPassword: string; newPassword: string }) => {
     return apiFetch('/admin/change-password', {
-      method: 'PUT',
+      method: 'POST',
       body: JSON.stringify(passwordData),
     });
   },
@@ -166,15 +174,6 @@ export const adminAuthService = {
     return apiFetch('/admin/dashboard/comprehensive');
   },
 
-  /**
-   * Create new admin (super admin only)
-   */
-  createAdmin: async (adminData: { name: string; email: string; password: string }) => {
-    return apiFetch('/admin/register', {
-      method: 'POST',
-      body: JSON.stringify(adminData),
-    });
-  },
 };
 
 // ================================================================================
@@ -212,6 +211,11 @@ export const userService = {
     return apiFetch(`/admin/users/${userId}/details`);
   },
 
+  // Customer 360: profile, reports, score history, loans, sessions, inquiries + timeline
+  getCustomer360: async (userId: string) => {
+    return apiFetch(`/admin/customers/${encodeURIComponent(userId)}/360`);
+  },
+
   // Get user activity
   getUserActivity: async (userId: string, days: number = 30) => {
     return apiFetch(`/admin/users/${userId}/activity?days=${days}`);
@@ -378,6 +382,36 @@ export const loanService = {
   },
 };
 
+// ================================================================================
+// LENDER PRODUCT SERVICE - PRE-QUALIFIED OFFER CATALOGUE
+// ================================================================================
+
+export const lenderProductService = {
+  getProducts: async () => {
+    return apiFetch('/admin/lender-products');
+  },
+
+  createProduct: async (product: Record<string, unknown>) => {
+    return apiFetch('/admin/lender-products', {
+      method: 'POST',
+      body: JSON.stringify(product),
+    });
+  },
+
+  updateProduct: async (productId: string, product: Record<string, unknown>) => {
+    return apiFetch(`/admin/lender-products/${productId}`, {
+      method: 'PUT',
+      body: JSON.stringify(product),
+    });
+  },
+
+  deleteProduct: async (productId: string) => {
+    return apiFetch(`/admin/lender-products/${productId}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
 // ================================================================================
 // UTILITY SERVICES
 // ================================================================================
@@ -544,6 +578,135 @@ export const userBulkService = {
   },
 };
 
+// ================================================================================
+// ADMIN SECURITY SERVICE - TWO-FACTOR + SESSIONS
+// ================================================================================
+
+export const adminSecurityService = {
+  // Two-factor status
+  getTwoFactorStatus: async () => {
+    return apiFetch('/admin/2fa');
+  },
+
+  // Generate secret + otpauth URL (not active until enabled)
+  setupTwoFactor: async () => {
+    return apiFetch('/admin/2fa/setup', { method: 'POST' });
+  },
+
+  // Confirm setup with the first code - returns recovery codes once
+  enableTwoFactor: async (code: string) => {
+    return apiFetch('/admin/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  disableTwoFactor: async (password: string, code: string) => {
+    return apiFetch('/admin/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code }),
+    });
+  },
+
+  regenerateRecoveryCodes: async (code: string) => {
+    return apiFetch('/admin/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  // My live sessions
+  getSessions: async () => {
+    return apiFetch('/admin/sessions');
+  },
+
+  revokeSession: async (sessionKey: string) => {
+    return apiFetch(`/admin/sessions/${sessionKey}/revoke`, { method: 'POST' });
+  },
+
+  revokeOtherSessions: async () => {
+    return apiFetch('/admin/sessions/revoke-others', { method: 'POST' });
+  },
+};
+
+// ================================================================================
+// ADMIN MANAGEMENT SERVICE - INVITES + LIFECYCLE (admins:manage)
+// ================================================================================
+
+export const adminManagementService = {
+  getAdmins: async () => {
+    return apiFetch('/admin/admins');
+  },
+
+  deactivateAdmin: async (adminId: string, reason?: string) => {
+    return apiFetch(`/admin/admins/${adminId}/deactivate`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  reactivateAdmin: async (adminId: string) => {
+    return apiFetch(`/admin/admins/${adminId}/reactivate`, { method: 'POST' });
+  },
+
+  forcePasswordChange: async (adminId: string) => {
+    return apiFetch(`/admin/admins/${adminId}/force-password-change`, { method: 'POST' });
+  },
+
+  getInvites: async () => {
+    return apiFetch('/admin/invites');
+  },
+
+  // Returns the invite link once
+  createInvite: async (invite: { email: string; name?: string; role: string; permissions?: string[] }) => {
+    return apiFetch('/admin/invites', {
+      method: 'POST',
+      body: JSON.stringify(invite),
+    });
+  },
+
+  revokeInvite: async (inviteId: string) => {
+    return apiFetch(`/admin/invites/${inviteId}/revoke`, { method: 'POST' });
+  },
+
+  // Public - invitee side
+  lookupInvite: async (token: string) => {
+    return apiFetch(`/admin/invites/lookup?token=${encodeURIComponent(token)}`);
+  },
+
+  acceptInvite: async (data: { token: string; password: string; name?: string }) => {
+    return apiFetch('/admin/invites/accept', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+};
+
+// ================================================================================
+// ERASURE REQUEST SERVICE - DPDP DATA ERASURE REVIEW
+// ================================================================================
+
+export const erasureRequestService = {
+  getRequests: async (params: PaginationParams & { status?: string } = {}) => {
+    const queryString = new URLSearchParams(params as Record<string, string>).toString();
+    return apiFetch(`/admin/erasure-requests?${queryString}`);
+  },
+
+  approveRequest: async (requestId: string, note?: string) => {
+    return apiFetch(`/admin/erasure-requests/${requestId}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  },
+
+  rejectRequest: async (requestId: string, note: string) => {
+    return apiFetch(`/admin/erasure-requests/${requestId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  },
+};
+
 // ================================================================================
 // ERROR HANDLING
 // ================================================================================
@@ -582,11 +745,15 @@ const api = {
   users: userService,
   cibil: cibilService,
   loans: loanService,
+  lenderProducts: lenderProductService,
   util: utilService,
   inquiries: inquiryService,
   referrals: referralService,
   sessions: sessionService,
   userBulk: userBulkService,
+  adminSecurity: adminSecurityService,
+  adminManagement: adminManagementService,
+  erasureRequests: erasureRequestService,
   handleError: handleApiError,
 };
 
@@ -10,10 +10,13 @@ const API_URL = import.meta.env.VITE_API_BASE_URL || ((import.meta.env.DEV ? ''
 /**
  * Fetch all sessions grouped by user/non-user
  * 
+ * Optional search: user name / full phone (blind index), IP address or page
+ * 
  * SECURITY: Uses credentials: 'include' for session cookie authentication
  */
-export const fetchAllSessions = async () => {
-    const response = await fetch(`${API_URL}/sessions/all/grouped`, {
+export const fetchAllSessions = async (search?: string) => {
+    const query = search ? `?${new URLSearchParams({ search }).toString()}` : '';
+    const response = await fetch(`${API_URL}/sessions/all/grouped${query}`, {
         method: 'GET',
         credentials: 'include', // Include session cookie
         headers: {
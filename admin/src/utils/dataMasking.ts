@@ -3,11 +3,15 @@
  * Handles encrypted data display and privacy protection
  */
 
-// Check if data appears to be encrypted (contains colons indicating iv:encrypted:tag format)
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Check if data appears to be server ciphertext (see server/utils/kms.util.js):
+// "bw1:<keyId>:<base64>", or a legacy value — { k, iv, t, d } JSON or a long base64 blob
 export const isEncryptedData = (data: string): boolean => {
     if (!data || typeof data !== 'string') return false;
-    const parts = data.split(':');
-    return parts.length === 3 && parts.every(part => /^[a-fA-F0-9]+$/.test(part));
+    if (/^bw1:[a-z0-9-]+:[A-Za-z0-9+/=]+$/.test(data)) return true;
+    if (data.startsWith('{"k":')) return true;
+    return data.length >= 44 && BASE64_PATTERN.test(data);
 };
 
 // Display masked data for admin view
@@ -78,7 +78,7 @@ function AuthPageContent() {
             setStep('otp');
             setResendTimer(RESEND_TIMER_SECONDS); // Start resend timer
         } catch (err) {
-            const msg = err.response?.data?.message || err.message;
+            const msg = err.response?.data?.message || err.response?.data?.error || err.message;
             setError(msg || 'Failed to send OTP. Please try again.');
         } finally {
             setLoading(false);
@@ -120,7 +120,7 @@ function AuthPageContent() {
             }
         } catch (err) {
             console.error(err);
-            const msg = err.response?.data?.message || 'Failed to verify OTP';
+            const msg = err.response?.data?.message || err.response?.data?.error || 'Failed to verify OTP';
             setError(msg);
         } finally {
             setLoading(false);
@@ -142,7 +142,10 @@ function AuthPageContent() {
             setError('');
             setResendTimer(RESEND_TIMER_SECONDS); // Reset timer
         } catch (err) {
-            setError('Failed to resend OTP');
+            // 429: server throttles resends — sync the timer with its Retry-After
+            const retryAfter = parseInt(err.response?.headers?.['retry-after']);
+            if (retryAfter > 0) setResendTimer(retryAfter);
+            setError(err.response?.data?.error || 'Failed to resend OTP');
         } finally {
             setLoading(false);
         }
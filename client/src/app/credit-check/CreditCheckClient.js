@@ -21,14 +21,168 @@ import { isValidIndianNumber } from '@/utils/validation';
 import { toast } from 'sonner';
 import { api } from '@/lib/api';
 import { useAuth } from '@/context/AuthContext';
-import { Loader2, AlertCircle, FileText } from 'lucide-react';
+import { Loader2, AlertCircle, FileText, TrendingUp, TrendingDown } from 'lucide-react';
 import ScoreGauge from '@/components/ScoreGauge';
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
 import ChartLineLabel from '@/components/ChartLineLabel';
 import { Skeleton } from "@/components/ui/skeleton";
+import LoanOffers from '@/components/LoanOffers';
+
+// Typed bureau error codes from /api/credit-report (server/services/deepvue.service.js)
+const BUREAU_ERROR_MESSAGES = {
+    UNAVAILABLE: 'The credit bureau is temporarily unavailable. Please try again in a few minutes.',
+    RATE_LIMIT: 'The credit bureau is busy right now. Please try again in a minute.',
+    INVALID_INPUT: 'The credit bureau could not verify these details. Please check your name and mobile number.',
+    AUTH: 'We could not connect to the credit bureau. Please try again later.',
+    UPSTREAM: 'The credit bureau did not respond. Please try again.',
+};
+
+// Codes meaning the bureau itself is down or throttling us
+const BUREAU_DOWN_CODES = ['UNAVAILABLE', 'RATE_LIMIT'];
+
+
+const formatAmount = (value) => `₹${Number(value || 0).toLocaleString('en-IN')}`;
+
+const describeAccount = (a) => [a.institution, a.accountType, a.accountNumberLast4 && `••${a.accountNumberLast4}`].filter(Boolean).join(' · ');
+
+/** "What changed" since the previous report (server/services/creditReportDiff.service.js) */
+function ReportChanges({ changes }) {
+    const since = new Date(changes.previousFetchedAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+    const delta = changes.scoreDelta;
+
+    const sections = [
+        {
+            title: 'New overdues',
+            tone: 'text-red-600',
+            items: changes.newOverdues.map((a) => `${describeAccount(a)} — ${formatAmount(a.overdue)} overdue`),
+        },
+        {
+            title: 'New enquiries',
+            tone: 'text-amber-600',
+            items: changes.newEnquiries.map((e) => [e.institution, e.purpose, e.enquiredAt].filter(Boolean).join(' · ')),
+        },
+        {
+            title: 'New accounts',
+            tone: 'text-gray-900',
+            items: changes.newAccounts.map((a) => `${describeAccount(a)} — ${formatAmount(a.sanctionAmount)}`),
+        },
+        {
+            title: 'Closed accounts',
+            tone: 'text-gray-900',
+            items: changes.closedAccounts.map(describeAccount),
+        },
+    ].filter((section) => section.items.length > 0);
 
+    return (
+        <Card className="border-none shadow-sm rounded-2xl bg-white">
+            <CardHeader className="pb-2">
+                <CardTitle className="text-lg font-semibold text-gray-800">What changed since {since}</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <div className="flex flex-wrap gap-6">
+                    <div className="flex items-center gap-2">
+                        {delta > 0 && <TrendingUp className="h-5 w-5 text-green-600" />}
+                        {delta < 0 && <TrendingDown className="h-5 w-5 text-red-600" />}
+                        <span className="text-sm text-gray-500">Score</span>
+                        <span className={`text-lg font-bold ${delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                            {delta === null ? '—' : `${delta > 0 ? '+' : ''}${delta}`}
+                        </span>
+                    </div>
+                    {changes.utilizationAfter !== null && (
+                        <div className="flex items-center gap-2">
+                            <span className="text-sm text-gray-500">Card utilization</span>
+                            <span className="text-lg font-bold text-gray-900">
+                                {changes.utilizationBefore !== null ? `${changes.utilizationBefore}% → ` : ''}{changes.utilizationAfter}%
+                            </span>
+                        </div>
+                    )}
+                </div>
+
+                {sections.length === 0 ? (
+                    <p className="text-sm text-gray-500">No new accounts, enquiries or overdues since your last report.</p>
+                ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {sections.map((section) => (
+                            <div key={section.title}>
+                                <p className={`text-sm font-semibold ${section.tone}`}>{section.title} ({section.items.length})</p>
+                                <ul className="mt-1 space-y-1 text-sm text-gray-600">
+                                    {section.items.map((item, idx) => <li key={idx}>{item}</li>)}
+                                </ul>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+const RATING_STYLES = {
+    excellent: 'bg-green-100 text-green-700',
+    good: 'bg-emerald-50 text-emerald-700',
+    fair: 'bg-amber-100 text-amber-700',
+    poor: 'bg-red-100 text-red-700',
+};
+
+/** Score factors and ranked recommendations (server/services/creditInsights.service.js) */
+function ReportInsights({ insights }) {
+    return (
+        <div className="mt-6 grid grid-cols-12 gap-6">
+            <Card className="col-span-12 lg:col-span-7 border-none shadow-sm rounded-2xl bg-white">
+                <CardHeader className="border-b border-gray-100 pb-4">
+                    <CardTitle>What shapes your score</CardTitle>
+                </CardHeader>
+                <CardContent className="pt-4 divide-y divide-gray-100">
+                    {insights.factors.map((factor) => (
+                        <div key={factor.key} className="py-4 flex items-start justify-between gap-4">
+                            <div>
+                                <p className="font-semibold text-gray-900">
+                                    {factor.label}
+                                    <span className="ml-2 text-xs font-normal text-gray-400">{factor.weight}% weight</span>
+                                </p>
+                                <p className="text-sm text-gray-500 mt-1">{factor.detail}</p>
+                            </div>
+                            <div className="text-right flex-shrink-0">
+                                <p className="text-sm font-semibold text-gray-900">{factor.value}</p>
+                                {factor.rating && (
+                                    <span className={`inline-block mt-1 px-2 py-0.5 text-xs font-medium rounded-full capitalize ${RATING_STYLES[factor.rating]}`}>
+                                        {factor.rating}
+                                    </span>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </CardContent>
+            </Card>
+
+            <Card className="col-span-12 lg:col-span-5 border-none shadow-sm rounded-2xl bg-white">
+                <CardHeader className="border-b border-gray-100 pb-4">
+                    <CardTitle>How to improve</CardTitle>
+                </CardHeader>
+                <CardContent className="pt-4 space-y-4">
+                    {insights.recommendations.length === 0 ? (
+                        <p className="text-sm text-gray-500">Your report is in great shape. Keep paying on time and using little of your card limits.</p>
+                    ) : (
+                        insights.recommendations.map((rec) => (
+                            <div key={rec.id} className="flex gap-3">
+                                <span className="flex-shrink-0 h-6 w-6 rounded-full bg-blue-50 text-[var(--primary-blue)] text-xs font-bold flex items-center justify-center">
+                                    {rec.rank}
+                                </span>
+                                <div>
+                                    <p className="font-medium text-gray-900">{rec.title}</p>
+                                    <p className="text-sm text-gray-500 mt-1">{rec.detail}</p>
+                                </div>
+                            </div>
+                        ))
+                    )}
+                    <p className="text-xs text-gray-400 pt-2">Point estimates are indicative. Bureaus do not publish how scores are calculated.</p>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
 
 function CIBILCheckContent() {
     const searchParams = useSearchParams();
@@ -43,7 +197,7 @@ function CIBILCheckContent() {
     });
     const [errors, setErrors] = useState({});
     const [isSubmitting, setIsSubmitting] = useState(false);
-    const [isDownloadingPdf, setIsDownloadingPdf] = useState(false);
+    const [isDownloadingPdf, setIsDownloadingPdf] = useState(null);   // PDF type being downloaded
 
     // Report State
     const [report, setReport] = useState(null);
@@ -52,6 +206,7 @@ function CIBILCheckContent() {
     const [fetchingReport, setFetchingReport] = useState(false);
     const [reportError, setReportError] = useState(null);
     const [retryCount, setRetryCount] = useState(0);
+    const [bureauDown, setBureauDown] = useState(null); // { retryAfter } while the bureau is unavailable
 
     const transactionId = searchParams.get('transaction_id');
     const fetchedRef = useRef(false);
@@ -66,6 +221,7 @@ function CIBILCheckContent() {
         }
         else if (user && !transactionId) {
             checkCache();
+            checkBureauStatus();
         }
         else {
             setLoadingReport(false);
@@ -116,6 +272,7 @@ function CIBILCheckContent() {
             } catch (error) {
                 console.error(`Attempt ${attempts} failed:`, error);
                 const status = error.response?.status;
+                const code = error.response?.data?.code;
 
                 if (status === 401) {
                     toast.error("Session expired. Please login again.");
@@ -123,6 +280,20 @@ function CIBILCheckContent() {
                     return { stop: true };
                 }
 
+                // The session is paid for — the server saves the report once the bureau is back
+                if (BUREAU_DOWN_CODES.includes(code)) {
+                    setBureauDown({ retryAfter: error.response.data.retryAfter });
+                    setReportError(`${BUREAU_ERROR_MESSAGES[code]} Your report will be saved automatically as soon as it is ready.`);
+                    setFetchingReport(false);
+                    return { stop: true };
+                }
+
+                if (code === 'INVALID_INPUT' || code === 'AUTH') {
+                    setReportError(BUREAU_ERROR_MESSAGES[code]);
+                    setFetchingReport(false);
+                    return { stop: true };
+                }
+
                 if (status && [400, 404, 500].includes(status)) {
                     setReportError("Something went wrong. Please try again.");
                     setFetchingReport(false);
@@ -148,6 +319,16 @@ function CIBILCheckContent() {
         setReportError("Something went wrong. Please try again.");
     };
 
+    const checkBureauStatus = async () => {
+        try {
+            const res = await api.get('/credit-report/bureau-status');
+            setBureauDown(res.data?.available === false ? { retryAfter: res.data.retryAfter } : null);
+        } catch (err) {
+            // Status is advisory — the session call reports the real error
+            console.error('Bureau status check failed:', err);
+        }
+    };
+
     const checkCache = async () => {
         try {
             setLoadingReport(true);
@@ -175,55 +356,57 @@ function CIBILCheckContent() {
         }
     };
 
-    const handleDownloadPdf = async () => {
+    // type: 'bureau' — the bureau's own PDF; 'branded' — Borrowww's password-protected PDF
+    const handleDownloadPdf = async (type) => {
         if (isDownloadingPdf) return;
-        setIsDownloadingPdf(true);
+        setIsDownloadingPdf(type);
 
         try {
-            // Use fetch (not axios) to handle binary blob response properly
-            const response = await fetch(
-                `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000/api'}/credit-report/download-pdf`,
-                {
-                    method: 'GET',
-                    credentials: 'include',    // sends HTTP-only session cookie
-                    headers: { 'Accept': 'application/pdf' },
-                }
-            );
+            // Shared api instance: an expired access token is refreshed and the download retried
+            const response = await api.get('/credit-report/download-pdf', {
+                params: { type },
+                responseType: 'blob',
+                headers: { 'Accept': 'application/pdf' },
+            });
+
+            // Trigger browser download from the blob
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${type === 'branded' ? 'borrowww-' : ''}credit-report-${new Date().toISOString().slice(0, 10)}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);   // Free memory
+
+            if (type === 'branded' && report?.pdfPasswordHint) {
+                toast.success('PDF downloaded. It is password protected.', { description: report.pdfPasswordHint });
+            } else {
+                toast.success('PDF downloaded successfully');
+            }
+        } catch (err) {
+            const status = err.response?.status;
 
-            if (response.status === 401) {
+            // Still 401 after the refresh attempt — the session is over
+            if (status === 401) {
                 toast.error('Session expired. Please login again.');
                 router.push('/auth?redirect=/credit-check');
                 return;
             }
 
-            if (response.status === 404) {
+            if (status === 404) {
                 toast.error('PDF not available for this report.');
                 return;
             }
 
-            if (!response.ok) {
-                const errData = await response.json().catch(() => ({}));
-                toast.error(errData.message || 'Failed to download PDF');
-                return;
-            }
-
-            // Convert response to blob and trigger browser download
-            const blob = await response.blob();
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `credit-report-${new Date().toISOString().slice(0, 10)}.pdf`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);   // Free memory
-
-            toast.success('PDF downloaded successfully');
-        } catch (err) {
+            // Error bodies arrive as a Blob too (responseType: 'blob')
+            const errData = err.response?.data instanceof Blob
+                ? await err.response.data.text().then(JSON.parse).catch(() => ({}))
+                : {};
             console.error('PDF Download Error:', err);
-            toast.error('Failed to download PDF. Please try again.');
+            toast.error(errData.message || 'Failed to download PDF. Please try again.');
         } finally {
-            setIsDownloadingPdf(false);
+            setIsDownloadingPdf(null);
         }
     };
 
@@ -300,6 +483,7 @@ function CIBILCheckContent() {
             const res = await api.post('/credit-report/session', sessionPayload);
 
             if (res.data.success && res.data.redirect_url) {
+                setBureauDown(null);
                 toast.success("Redirecting to verification...");
                 window.location.href = res.data.redirect_url;
             } else {
@@ -317,7 +501,12 @@ function CIBILCheckContent() {
                 return;
             }
 
-            const errorMsg = error.response?.data?.message || "Failed to start verification.";
+            const code = error.response?.data?.code;
+            if (BUREAU_DOWN_CODES.includes(code)) {
+                setBureauDown({ retryAfter: error.response.data.retryAfter });
+            }
+
+            const errorMsg = BUREAU_ERROR_MESSAGES[code] || error.response?.data?.message || "Failed to start verification.";
             toast.error(errorMsg);
             setIsSubmitting(false);
         }
@@ -362,9 +551,9 @@ function CIBILCheckContent() {
 
     // 2. Report Display
     if (report) {
-        const { creditScore, totalAccounts, activeAccounts, fetch_date_formatted, expiry_date_formatted, fullReport, history } = report;
-        const accounts = fullReport?.credit_report?.CCRResponse?.CIRReportDataLst?.[0]?.CIRReportData?.RetailAccountDetails || [];
-        const personalInfo = fullReport?.credit_report?.CCRResponse?.CIRReportDataLst?.[0]?.CIRReportData?.IDAndContactInfo?.PersonalInfo || {};
+        const { creditScore, totalAccounts, activeAccounts, fetch_date_formatted, expiry_date_formatted, creditReport, history, changes, insights } = report;
+        // Bureau-neutral report model (server/services/bureauAdapter.service.js)
+        const personalInfo = creditReport?.person || {};
 
         return (
             <div className="min-h-screen bg-gray-50/50">
@@ -380,32 +569,65 @@ function CIBILCheckContent() {
                                 )}
                             </p>
                         </div>
-                        <Button
-                            variant="outline"
-                            onClick={handleDownloadPdf}
-                            disabled={isDownloadingPdf}
-                            className="w-full md:w-auto mt-4 md:mt-0 shadow-sm border-gray-200"
-                        >
-                            {isDownloadingPdf ? (
-                                <>
-                                    <Loader2 className="mr-2 h-4 w-4 animate-spin" /> Generating...
-                                </>
-                            ) : (
-                                <>
-                                    <FileText className="mr-2 h-4 w-4" /> Download Official PDF
-                                </>
+                        <div className="flex flex-col md:flex-row gap-2 w-full md:w-auto mt-4 md:mt-0">
+                            {report.hasPdf && (
+                                <Button
+                                    variant="outline"
+                                    onClick={() => handleDownloadPdf('bureau')}
+                                    disabled={!!isDownloadingPdf}
+                                    className="w-full md:w-auto shadow-sm border-gray-200"
+                                >
+                                    {isDownloadingPdf === 'bureau' ? (
+                                        <>
+                                            <Loader2 className="mr-2 h-4 w-4 animate-spin" /> Generating...
+                                        </>
+                                    ) : (
+                                        <>
+                                            <FileText className="mr-2 h-4 w-4" /> Download Official PDF
+                                        </>
+                                    )}
+                                </Button>
+                            )}
+                            {report.pdfPasswordHint && (
+                                <Button
+                                    variant="outline"
+                                    onClick={() => handleDownloadPdf('branded')}
+                                    disabled={!!isDownloadingPdf}
+                                    className="w-full md:w-auto shadow-sm border-gray-200"
+                                >
+                                    {isDownloadingPdf === 'branded' ? (
+                                        <>
+                                            <Loader2 className="mr-2 h-4 w-4 animate-spin" /> Generating...
+                                        </>
+                                    ) : (
+                                        <>
+                                            <FileText className="mr-2 h-4 w-4" /> Download Borrowww Report
+                                        </>
+                                    )}
+                                </Button>
                             )}
-                        </Button>
+                        </div>
                     </div>
+                    {report.pdfPasswordHint && (
+                        <p className="text-xs text-gray-500 -mt-3 mb-4 md:text-right">
+                            Borrowww Report password: {report.pdfPasswordHint}
+                        </p>
+                    )}
 
                     <Tabs defaultValue="overview" className="mt-4 space-y-6">
                         <TabsList className="bg-white p-1 rounded-xl border border-gray-200 w-full md:w-auto justify-start overflow-x-auto shadow-sm">
                             <TabsTrigger value="overview" className="rounded-lg data-[state=active]:bg-[var(--primary-blue)] data-[state=active]:text-white px-4 py-2">Overview</TabsTrigger>
+                            {insights && (
+                                <TabsTrigger value="insights" className="rounded-lg data-[state=active]:bg-[var(--primary-blue)] data-[state=active]:text-white px-4 py-2">Insights</TabsTrigger>
+                            )}
+                            <TabsTrigger value="offers" className="rounded-lg data-[state=active]:bg-[var(--primary-blue)] data-[state=active]:text-white px-4 py-2">Offers</TabsTrigger>
                             <TabsTrigger value="personal" className="rounded-lg data-[state=active]:bg-[var(--primary-blue)] data-[state=active]:text-white px-4 py-2">Personal Info</TabsTrigger>
                         </TabsList>
 
                         {/* Overview Tab */}
                         <TabsContent value="overview" className="space-y-6">
+                            {changes && <ReportChanges changes={changes} />}
+
                             <div className="grid grid-cols-12 gap-6">
                                 {/* Left Column: Chart (8 cols) */}
                                 <div className="col-span-12 lg:col-span-8 flex flex-col h-full">
@@ -456,7 +678,17 @@ function CIBILCheckContent() {
                             </div>
                         </TabsContent>
 
+                        {/* Insights Tab */}
+                        {insights && (
+                            <TabsContent value="insights">
+                                <ReportInsights insights={insights} />
+                            </TabsContent>
+                        )}
 
+                        {/* Offers Tab */}
+                        <TabsContent value="offers" className="mt-6">
+                            <LoanOffers />
+                        </TabsContent>
 
                         {/* Personal Info Tab */}
                         <TabsContent value="personal">
@@ -467,11 +699,12 @@ function CIBILCheckContent() {
                                 <CardContent className="pt-6">
                                     <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
                                         {[
-                                            { label: 'Full Name', value: personalInfo?.Name?.FullName || report.name },
+                                            { label: 'Full Name', value: personalInfo?.name || report.name },
                                             { label: 'PAN Number', value: report.maskedPan || report.pan },
                                             { label: 'Mobile Number', value: report.mobile },
-                                            { label: 'Date of Birth', value: personalInfo?.DateOfBirth },
-                                            { label: 'Gender', value: personalInfo?.Gender },
+                                            { label: 'Date of Birth', value: personalInfo?.dateOfBirth },
+                                            { label: 'Gender', value: personalInfo?.gender },
+                                            { label: 'Credit Bureau', value: report.bureau },
                                         ].map((item, idx) => (
                                             <div key={idx} className="flex flex-col">
                                                 <p className="text-sm font-medium text-gray-500 mb-1">{item.label}</p>
@@ -527,6 +760,17 @@ function CIBILCheckContent() {
                 </Alert>
             )}
 
+            {bureauDown && !reportError && (
+                <Alert className="max-w-7xl mx-auto mt-4 mb-4 border-amber-200 bg-amber-50 text-amber-900">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertTitle>Credit bureau temporarily unavailable</AlertTitle>
+                    <AlertDescription>
+                        {BUREAU_ERROR_MESSAGES.UNAVAILABLE}
+                        {bureauDown.retryAfter ? ` (about ${Math.max(1, Math.ceil(bureauDown.retryAfter / 60))} min)` : ''}
+                    </AlertDescription>
+                </Alert>
+            )}
+
             {/* Hero Section */}
             <section className="relative overflow-hidden bg-gradient-to-br from-gray-50 via-white to-[var(--primary-blue-light)] py-12 md:py-20">
                 <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -27,6 +27,7 @@ import {
 } from "@/components/ui/select";
 import { toast } from 'sonner';
 import { isValidIndianNumber } from '@/utils/validation';
+import LoanOffers from '@/components/LoanOffers';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000/api';
 
@@ -705,6 +706,13 @@ export default function HomeLoanClient() {
                 </div>
             </section>
 
+            {/* PRE-QUALIFIED OFFERS - logged-in users only */}
+            <section className="pt-10 bg-white">
+                <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <LoanOffers loanType="HOME" />
+                </div>
+            </section>
+
             {/* FEATURES */}
             <section className="py-10 bg-gradient-to-b from-white to-gray-50">
                 <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
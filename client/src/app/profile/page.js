@@ -19,9 +19,10 @@ import {
     SelectValue,
 } from "@/components/ui/select";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import PrivacyRights from "@/components/PrivacyRights";
 
 export default function ProfilePage() {
-    const { user, loading: authLoading, logout, login } = useAuth();
+    const { user, loading: authLoading, logout, logoutAll, login } = useAuth();
     const [isEditing, setIsEditing] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
 
@@ -106,6 +107,12 @@ export default function ProfilePage() {
         await logout();
     };
 
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Log out from all devices, including this one?')) return;
+        await logoutAll();
+        toast.success('Logged out from all devices');
+    };
+
     const handleInputChange = (field, value) => {
         setFormData(prev => ({ ...prev, [field]: value }));
     };
@@ -496,6 +503,9 @@ export default function ProfilePage() {
                             </CardContent>
                         </Card>
 
+                        {/* Data export and erasure (DPDP) */}
+                        <PrivacyRights />
+
                         {/* Quick Actions */}
                         <div className="grid grid-cols-1 gap-3">
 
@@ -525,6 +535,9 @@ export default function ProfilePage() {
                             <Button variant="destructive" className="w-full gap-2" onClick={handleLogout}>
                                 <LogOut className="h-4 w-4" /> Logout
                             </Button>
+                            <Button variant="outline" className="w-full gap-2" onClick={handleLogoutAll}>
+                                <LogOut className="h-4 w-4" /> Log out all devices
+                            </Button>
                         </div>
 
                     </div>
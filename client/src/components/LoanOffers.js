@@ -0,0 +1,179 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { Loader2, Landmark, BadgeCheck } from 'lucide-react';
+import { toast } from 'sonner';
+
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { api } from '@/lib/api';
+import { useAuth } from '@/context/AuthContext';
+
+const formatAmount = (value) => `₹${Number(value || 0).toLocaleString('en-IN')}`;
+
+/**
+ * Pre-qualified loan offers from the user's active credit report
+ * (server/services/loanOffer.service.js). Renders nothing when logged out.
+ *
+ * @param {{ loanType?: string }} props - limit offers to one loan type
+ */
+export default function LoanOffers({ loanType }) {
+    const { user } = useAuth();
+
+    const [monthlyIncome, setMonthlyIncome] = useState('');
+    const [result, setResult] = useState(null);
+    const [needsReport, setNeedsReport] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [applyingId, setApplyingId] = useState(null);
+    const [appliedIds, setAppliedIds] = useState([]);
+
+    if (!user) return null;
+
+    const handleCheck = async (e) => {
+        e.preventDefault();
+        const income = Number(monthlyIncome);
+        if (!income || income <= 0) {
+            toast.error('Enter your monthly income');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const res = await api.get('/offers/my', { params: { monthlyIncome: income, loanType } });
+            setResult(res.data.data);
+            setNeedsReport(false);
+        } catch (err) {
+            if (err.response?.status === 404) {
+                setNeedsReport(true);
+                setResult(null);
+            } else {
+                toast.error(err.response?.data?.message || 'Could not load offers. Please try again.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleApply = async (offer) => {
+        setApplyingId(offer.productId);
+        try {
+            await api.post(`/offers/${offer.productId}/apply`, {
+                monthlyIncome: Number(monthlyIncome),
+                amount: offer.amount,
+                tenureMonths: offer.tenureMonths,
+            });
+            setAppliedIds((ids) => [...ids, offer.productId]);
+            toast.success('Application submitted. Our team will call you shortly.');
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not submit your application. Please try again.');
+        } finally {
+            setApplyingId(null);
+        }
+    };
+
+    return (
+        <Card className="border-none shadow-sm rounded-2xl bg-white">
+            <CardHeader className="border-b border-gray-100 pb-4">
+                <CardTitle className="flex items-center gap-2 text-lg font-semibold text-gray-800">
+                    <Landmark className="h-5 w-5 text-[var(--primary-blue)]" />
+                    Pre-qualified loan offers
+                </CardTitle>
+            </CardHeader>
+            <CardContent className="pt-4 space-y-6">
+                <form onSubmit={handleCheck} className="flex flex-col sm:flex-row sm:items-end gap-3">
+                    <div className="flex-1 space-y-1">
+                        <Label htmlFor="offer-income">Monthly income (₹, after tax)</Label>
+                        <Input
+                            id="offer-income"
+                            type="number"
+                            min="1"
+                            value={monthlyIncome}
+                            onChange={(e) => setMonthlyIncome(e.target.value)}
+                            placeholder="e.g. 75000"
+                        />
+                    </div>
+                    <Button type="submit" disabled={loading} className="bg-[var(--primary-blue)] hover:bg-[var(--primary-blue-dark)] text-white">
+                        {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : 'See my offers'}
+                    </Button>
+                </form>
+
+                {needsReport && (
+                    <div className="p-4 rounded-xl bg-blue-50 text-sm text-gray-700 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                        <p>Offers are matched from your credit report. Check your free credit score first.</p>
+                        <Link href="/credit-check" className="font-semibold text-[var(--primary-blue)] whitespace-nowrap">
+                            Check credit score →
+                        </Link>
+                    </div>
+                )}
+
+                {result && (
+                    <div className="space-y-4">
+                        {result.offers.length === 0 ? (
+                            <p className="text-sm text-gray-500">
+                                No lender matches your profile right now. Paying down existing EMIs or card balances improves your eligibility.
+                            </p>
+                        ) : (
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                {result.offers.map((offer) => {
+                                    const applied = appliedIds.includes(offer.productId);
+                                    return (
+                                        <div key={offer.productId} className="p-4 rounded-xl border border-gray-200 space-y-3">
+                                            <div>
+                                                <p className="font-semibold text-gray-900">{offer.lenderName}</p>
+                                                <p className="text-xs text-gray-500">{offer.productName}</p>
+                                            </div>
+                                            <div className="grid grid-cols-2 gap-2 text-sm">
+                                                <div>
+                                                    <p className="text-gray-500">Amount</p>
+                                                    <p className="font-semibold text-gray-900">{formatAmount(offer.amount)}</p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-gray-500">Interest</p>
+                                                    <p className="font-semibold text-gray-900">{offer.rate}% p.a.</p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-gray-500">EMI</p>
+                                                    <p className="font-semibold text-gray-900">{formatAmount(offer.emi)}/mo</p>
+                                                </div>
+                                                <div>
+                                                    <p className="text-gray-500">Tenure</p>
+                                                    <p className="font-semibold text-gray-900">{offer.tenureMonths} months</p>
+                                                </div>
+                                            </div>
+                                            {offer.processingFee !== null && (
+                                                <p className="text-xs text-gray-500">Processing fee {formatAmount(offer.processingFee)}</p>
+                                            )}
+                                            <Button
+                                                className="w-full"
+                                                variant={applied ? 'outline' : 'default'}
+                                                disabled={applied || applyingId === offer.productId}
+                                                onClick={() => handleApply(offer)}
+                                            >
+                                                {applyingId === offer.productId ? (
+                                                    <Loader2 className="h-4 w-4 animate-spin" />
+                                                ) : applied ? (
+                                                    <>
+                                                        <BadgeCheck className="mr-2 h-4 w-4" /> Applied
+                                                    </>
+                                                ) : (
+                                                    'Apply'
+                                                )}
+                                            </Button>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        )}
+                        <p className="text-xs text-gray-400">
+                            Based on your credit score of {result.creditScore ?? 'N/A'} and existing EMIs of {formatAmount(result.existingEmi)}/mo.
+                            Offers are indicative and valid until {new Date(result.validUntil).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}; the lender decides on the final application.
+                        </p>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,171 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Download, Loader, ShieldCheck, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { api } from '@/lib/api';
+
+const STATUS_TEXT = {
+    PENDING: 'Under review',
+    IN_PROGRESS: 'Being erased',
+    COMPLETED: 'Completed',
+    REJECTED: 'Rejected',
+    CANCELLED: 'Cancelled',
+};
+
+const formatDate = (value) =>
+    new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+/**
+ * DPDP data principal rights (server/services/dataRights.service.js):
+ * download everything we hold on the user, and ask for it to be erased.
+ */
+export default function PrivacyRights() {
+    const [request, setRequest] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [exporting, setExporting] = useState(false);
+    const [showForm, setShowForm] = useState(false);
+    const [reason, setReason] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        api.get('/users/me/erasure-request')
+            .then((res) => setRequest(res.data?.data?.request || null))
+            .catch(() => setRequest(null))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            const res = await api.get('/users/me/data-export', { responseType: 'blob' });
+            const url = URL.createObjectURL(res.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `borrowww-data-export-${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+            toast.success('Your data has been downloaded');
+        } catch (err) {
+            console.error('Data Export Error:', err);
+            toast.error('Failed to download your data. Please try again.');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleRequestErasure = async (e) => {
+        e.preventDefault();
+        if (!confirm('Erasing your account removes your profile, credit reports and history. You will be logged out once it is done. Continue?')) return;
+        setSubmitting(true);
+        try {
+            const res = await api.post('/users/me/erasure-request', { reason: reason.trim() || undefined });
+            setRequest(res.data?.data?.request);
+            setShowForm(false);
+            setReason('');
+            toast.success('Erasure request submitted', { description: 'Our team will review it and update you here.' });
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to submit request');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleCancel = async () => {
+        setSubmitting(true);
+        try {
+            const res = await api.post('/users/me/erasure-request/cancel');
+            setRequest(res.data?.data?.request);
+            toast.success('Erasure request cancelled');
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to cancel request');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const pending = request?.status === 'PENDING';
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <ShieldCheck className="h-5 w-5 text-indigo-500" />
+                    Privacy &amp; Your Data
+                </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <div className="space-y-2">
+                    <p className="text-sm text-gray-600">
+                        Download a copy of everything we hold about you — profile, credit reports, loans and activity.
+                    </p>
+                    <Button variant="outline" className="w-full gap-2" onClick={handleExport} disabled={exporting}>
+                        {exporting ? <Loader className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+                        Download my data
+                    </Button>
+                </div>
+
+                <div className="border-t pt-4 space-y-3">
+                    {loading ? (
+                        <Loader className="h-4 w-4 animate-spin text-gray-400" />
+                    ) : (
+                        <>
+                            {request && (
+                                <div className="p-3 bg-gray-50 rounded-lg text-sm space-y-1">
+                                    <p className="font-medium text-gray-800">
+                                        Erasure request: {STATUS_TEXT[request.status]}
+                                    </p>
+                                    <p className="text-xs text-gray-500">Requested on {formatDate(request.createdAt)}</p>
+                                    {pending && request.legalHolds?.length > 0 && (
+                                        <p className="text-xs text-amber-700">
+                                            Some of your data must be kept for now: {request.legalHolds.map((hold) => hold.reason).join('; ')}
+                                        </p>
+                                    )}
+                                    {request.status === 'REJECTED' && request.reviewNote && (
+                                        <p className="text-xs text-gray-600">{request.reviewNote}</p>
+                                    )}
+                                </div>
+                            )}
+
+                            {pending ? (
+                                <Button variant="ghost" size="sm" className="w-full text-gray-500" onClick={handleCancel} disabled={submitting}>
+                                    {submitting ? <Loader className="h-4 w-4 animate-spin" /> : 'Cancel erasure request'}
+                                </Button>
+                            ) : request?.status === 'IN_PROGRESS' ? null : showForm ? (
+                                <form onSubmit={handleRequestErasure} className="space-y-2">
+                                    <Label htmlFor="erasure-reason">Reason (optional)</Label>
+                                    <textarea
+                                        id="erasure-reason"
+                                        value={reason}
+                                        onChange={(e) => setReason(e.target.value.slice(0, 1000))}
+                                        rows={3}
+                                        className="w-full rounded-md border border-gray-200 p-2 text-sm"
+                                        placeholder="Tell us why you want your data erased"
+                                    />
+                                    <div className="flex gap-2">
+                                        <Button type="button" variant="ghost" size="sm" className="flex-1" onClick={() => setShowForm(false)}>
+                                            Cancel
+                                        </Button>
+                                        <Button type="submit" variant="destructive" size="sm" className="flex-1" disabled={submitting}>
+                                            {submitting ? <Loader className="h-4 w-4 animate-spin" /> : 'Submit request'}
+                                        </Button>
+                                    </div>
+                                </form>
+                            ) : (
+                                <Button variant="ghost" size="sm" className="w-full gap-2 text-red-600 hover:text-red-700" onClick={() => setShowForm(true)}>
+                                    <Trash2 className="h-4 w-4" /> Request data erasure
+                                </Button>
+                            )}
+                        </>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
@@ -53,8 +53,21 @@ export function AuthProvider({ children }) {
         }
     };
 
+    // Revoke every device session for this account, including this one
+    const logoutAll = async () => {
+        try {
+            await api.post('/users/logout-all');
+        } catch (e) {
+            console.error('Logout from all devices failed', e);
+        } finally {
+            setUser(null);
+            Cookies.remove('user_token');
+            router.push('/');
+        }
+    };
+
     return (
-        <AuthContext.Provider value={{ user, loading, login, logout, refreshUser: fetchUser }}>
+        <AuthContext.Provider value={{ user, loading, login, logout, logoutAll, refreshUser: fetchUser }}>
             {children}
         </AuthContext.Provider>
     );
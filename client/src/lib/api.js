@@ -16,13 +16,42 @@ export const api = axios.create({
     },
 });
 
-// Response interceptor to handle 401s universally
+// Auth endpoints that must never trigger a refresh (would loop or mask real errors)
+const NO_REFRESH_URLS = ['/users/refresh', '/users/send-otp', '/users/retry-otp', '/users/verify-otp', '/users/logout'];
+
+// Single in-flight refresh shared by every request that hits a 401 at the same time.
+// The refresh token rotates on each call, so parallel refreshes would look like token reuse.
+let refreshPromise = null;
+
+const refreshSession = () => {
+    if (!refreshPromise) {
+        refreshPromise = api.post('/users/refresh').finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+// Response interceptor: on 401, rotate the refresh token once and replay the request
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401 && typeof window !== 'undefined') {
-            // Optional: Dispatch event or handle logout if needed globaly
-            // For now, let the caller or AuthContext handle it to avoid loops
+    async (error) => {
+        const original = error.config;
+
+        if (
+            error.response?.status === 401 &&
+            typeof window !== 'undefined' &&
+            original &&
+            !original._retry &&
+            !NO_REFRESH_URLS.some((url) => original.url?.includes(url))
+        ) {
+            original._retry = true;
+            try {
+                await refreshSession();
+                return api(original);
+            } catch {
+                // Refresh failed — let the caller or AuthContext handle the logged-out state
+            }
         }
         return Promise.reject(error);
     }
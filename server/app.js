@@ -17,6 +17,7 @@ config();
 import { ApiResponsive } from "./utils/ApiResponsive.js";
 import { enforceSoftDelete } from "./middlewares/prodSafety.js";
 import { prisma } from "./config/db.js";
+import { requestContext } from "./utils/requestContext.js";
 
 // Import routes
 import adminRoutes from "./routes/admin.routes.js";
@@ -25,6 +26,7 @@ import cibilRoutes from "./routes/cibil.routes.js";
 import creditReportRoutes from "./routes/creditReport.routes.js";
 import loanRoutes from "./routes/loan.routes.js";
 import userLoanRoutes from "./routes/userLoan.routes.js";
+import offerRoutes from "./routes/offer.routes.js";
 import sessionRoutes from "./routes/session.routes.js";
 import consentRoutes from "./routes/consent.routes.js";
 import inquiryRoutes from "./routes/inquiry.routes.js";
@@ -32,6 +34,9 @@ import referralRoutes from "./routes/referral.routes.js";
 import trackingRoutes from "./routes/tracking.routes.js";
 import clientRoutes from "./routes/client.routes.js";
 import { startCreditReportExpiryJob } from "./jobs/creditReportExpiry.job.js";
+import { startReencryptionJob } from "./jobs/reencryption.job.js";
+import { startCreditReconciliationJob } from "./jobs/creditReconciliation.job.js";
+import { startRetentionJob } from "./jobs/retention.job.js";
 
 const app = express();
 
@@ -90,7 +95,13 @@ app.use(cors(corsOptions));
 // BODY PARSING MIDDLEWARE
 // ================================================================================
 
-app.use(express.json({ limit: "10mb" }));
+app.use(express.json({
+  limit: "10mb",
+  // Keep the exact bytes for signed webhooks (signature is over the raw body)
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/credit-report/callback")) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(cookieParser());
 
@@ -190,6 +201,13 @@ app.get("/", (req, res) => {
   );
 });
 
+// ================================================================================
+// REQUEST CONTEXT (IP / user agent / route for audit logging)
+// ================================================================================
+
+// Mounted after the session middleware so the context survives the session store lookup
+app.use(requestContext);
+
 // ================================================================================
 // API ROUTES
 // ================================================================================
@@ -224,6 +242,9 @@ app.use("/api/loans", loanRoutes);
 // User loan routes
 app.use("/api/user/loans", userLoanRoutes);
 
+// Pre-qualified loan offer routes
+app.use("/api/offers", offerRoutes);
+
 // Referral routes
 app.use("/api/referrals", referralRoutes);
 
@@ -321,5 +342,8 @@ process.on("uncaughtException", (err) => {
 
 // Start scheduled jobs
 startCreditReportExpiryJob();
+startReencryptionJob();
+startCreditReconciliationJob();
+startRetentionJob();
 
 export default app;
@@ -1,12 +1,34 @@
+// Local simulator (npm run deepvue:sim) — ignored in production
+const USE_SIMULATOR = process.env.DEEPVUE_SIMULATOR === 'true' && process.env.NODE_ENV !== 'production';
+
 export const getDeepvueCallbackUrl = () => {
+    // The simulator sends the browser back to the local frontend
+    if (USE_SIMULATOR) {
+        return process.env.DEEPVUE_SIM_REDIRECT_URL || 'http://localhost:3000/credit-check';
+    }
+
     // DeepVue requires TLD (e.g. .com), so localhost is rejected.
     // Always use production URL for callback.
     return 'https://borrowww.com/credit-check';
 };
 
 export const DEEPVUE_CONFIG = {
-    BASE_URL: process.env.DEEPVUE_BASE_URL || 'https://production.deepvue.tech',
-    CLIENT_ID: process.env.DEEPVUE_CLIENT_ID,
-    CLIENT_SECRET: process.env.DEEPVUE_CLIENT_SECRET,
-    API_KEY: process.env.DEEPVUE_API_KEY
+    SIMULATOR: USE_SIMULATOR,
+    BASE_URL: USE_SIMULATOR
+        ? process.env.DEEPVUE_SIM_URL || 'http://localhost:4010'
+        : process.env.DEEPVUE_BASE_URL || 'https://production.deepvue.tech',
+    CLIENT_ID: process.env.DEEPVUE_CLIENT_ID || (USE_SIMULATOR ? 'simulator' : undefined),
+    CLIENT_SECRET: process.env.DEEPVUE_CLIENT_SECRET || (USE_SIMULATOR ? 'simulator' : undefined),
+    API_KEY: process.env.DEEPVUE_API_KEY,
+    // Shared secret for POST /api/credit-report/callback (utils/webhookSignature.util.js)
+    WEBHOOK_SECRET: process.env.DEEPVUE_WEBHOOK_SECRET,
+
+    // Resilience (services/deepvue.service.js)
+    TIMEOUT_MS: parseInt(process.env.DEEPVUE_TIMEOUT_MS) || 15000,
+    PDF_TIMEOUT_MS: parseInt(process.env.DEEPVUE_PDF_TIMEOUT_MS) || 30000,
+    MAX_RETRIES: parseInt(process.env.DEEPVUE_MAX_RETRIES ?? 2) || 0,   // GET requests only
+    RETRY_BASE_MS: parseInt(process.env.DEEPVUE_RETRY_BASE_MS) || 500,
+    RETRY_MAX_MS: parseInt(process.env.DEEPVUE_RETRY_MAX_MS) || 5000,
+    BREAKER_FAILURE_THRESHOLD: parseInt(process.env.DEEPVUE_BREAKER_THRESHOLD) || 5,
+    BREAKER_RESET_MS: parseInt(process.env.DEEPVUE_BREAKER_RESET_MS) || 30000,
 };
@@ -0,0 +1,33 @@
+// Key provider names: 'aws' | 'local'
+// Without an explicit KEY_PROVIDER, AWS KMS is used when AWS_KMS_KEY_ID is set
+// (always in production); otherwise the local master key, so dev and CI run offline.
+export const KMS_CONFIG = {
+    PROVIDER: process.env.KEY_PROVIDER
+        || (process.env.NODE_ENV === 'production' || process.env.AWS_KMS_KEY_ID ? 'aws' : 'local'),
+
+    AWS: {
+        REGION: process.env.AWS_REGION,
+        KEY_ID: process.env.AWS_KMS_KEY_ID,
+        ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
+        SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
+    },
+
+    // 32-byte master key: LOCAL_MASTER_KEY (base64 or hex) or a file holding it.
+    // Outside production the file is generated on first use if missing.
+    LOCAL: {
+        MASTER_KEY: process.env.LOCAL_MASTER_KEY,
+        MASTER_KEY_FILE: process.env.LOCAL_MASTER_KEY_FILE || '.local-master-key',
+        // Retired keys (comma-separated), still used to decrypt until re-encryption finishes
+        PREVIOUS_MASTER_KEYS: process.env.LOCAL_PREVIOUS_MASTER_KEYS
+            ? process.env.LOCAL_PREVIOUS_MASTER_KEYS.split(',').map((k) => k.trim()).filter(Boolean)
+            : [],
+    },
+
+    // HMAC key for blind search indexes (utils/blindIndex.util.js). Separate from the
+    // master key so key rotation does not invalidate the indexes. Same format and
+    // dev-only auto-generation as LOCAL_MASTER_KEY.
+    BLIND_INDEX: {
+        KEY: process.env.BLIND_INDEX_KEY,
+        KEY_FILE: process.env.BLIND_INDEX_KEY_FILE || '.blind-index-key',
+    },
+};
@@ -0,0 +1,105 @@
+/**
+ * ================================================================================
+ * ADMIN ROLE-BASED ACCESS CONTROL (RBAC)
+ * ================================================================================
+ *
+ * - Every admin has exactly one role (Admin.role) that grants a fixed permission set
+ * - Admin.permissions holds extra per-admin grants on top of the role
+ * - Routes declare what they need with hasPermission(...) (middlewares/isAdmin.js)
+ * - PII is unmasked only for admins holding `pii:view`
+ *
+ * ROLES:
+ * - SUPER_ADMIN: everything, including admin management and hard deletes
+ * - OPS:         day-to-day operations with full PII access
+ * - SALES:       call center — inquiries and loans, PII stays masked (no full PAN)
+ * - AUDITOR:     read-only across the board + audit log, PII stays masked
+ *
+ * ================================================================================
+ */
+
+export const PERMISSIONS = {
+    DASHBOARD_VIEW: 'dashboard:view',
+
+    USERS_READ: 'users:read',
+    USERS_WRITE: 'users:write',
+    USERS_DELETE: 'users:delete',
+
+    INQUIRIES_READ: 'inquiries:read',
+    INQUIRIES_WRITE: 'inquiries:write',
+    INQUIRIES_DELETE: 'inquiries:delete',
+
+    CIBIL_READ: 'cibil:read',
+    CIBIL_WRITE: 'cibil:write',
+    CIBIL_DELETE: 'cibil:delete',
+
+    LOANS_READ: 'loans:read',
+    LOANS_WRITE: 'loans:write',
+    LOANS_DELETE: 'loans:delete',
+
+    REPORTS_READ: 'reports:read',
+    REPORTS_DOWNLOAD: 'reports:download',
+
+    ADMINS_MANAGE: 'admins:manage',
+
+    // Search / export / verify the hash-chained audit log
+    AUDIT_READ: 'audit:read',
+
+    // Start / pause / resume key-rotation re-encryption jobs
+    KEYS_MANAGE: 'keys:manage',
+
+    // Run data retention policies on demand (services/retention.service.js)
+    RETENTION_MANAGE: 'retention:manage',
+
+    // Unmasked PAN / Aadhaar / phone numbers in admin responses
+    PII_VIEW: 'pii:view',
+};
+
+const P = PERMISSIONS;
+
+export const ADMIN_ROLES = ['SUPER_ADMIN', 'OPS', 'SALES', 'AUDITOR'];
+
+export const ROLE_PERMISSIONS = {
+    SUPER_ADMIN: Object.values(PERMISSIONS),
+
+    OPS: [
+        P.DASHBOARD_VIEW,
+        P.USERS_READ, P.USERS_WRITE,
+        P.INQUIRIES_READ, P.INQUIRIES_WRITE, P.INQUIRIES_DELETE,
+        P.CIBIL_READ, P.CIBIL_WRITE,
+        P.LOANS_READ, P.LOANS_WRITE,
+        P.REPORTS_READ, P.REPORTS_DOWNLOAD,
+        P.PII_VIEW,
+    ],
+
+    SALES: [
+        P.DASHBOARD_VIEW,
+        P.USERS_READ,
+        P.INQUIRIES_READ, P.INQUIRIES_WRITE,
+        P.LOANS_READ, P.LOANS_WRITE,
+        P.REPORTS_READ,
+    ],
+
+    AUDITOR: [
+        P.DASHBOARD_VIEW,
+        P.USERS_READ,
+        P.INQUIRIES_READ,
+        P.CIBIL_READ,
+        P.LOANS_READ,
+        P.REPORTS_READ,
+        P.AUDIT_READ,
+    ],
+};
+
+/**
+ * Effective permissions for an admin: role permissions + extra grants.
+ * Unknown permission strings in Admin.permissions are ignored.
+ *
+ * @param {{ role?: string, permissions?: string[] }} admin
+ * @returns {string[]}
+ */
+export const resolvePermissions = (admin) => {
+    const fromRole = ROLE_PERMISSIONS[admin?.role] || [];
+    const known = new Set(Object.values(PERMISSIONS));
+    const extra = (admin?.permissions || []).filter((p) => known.has(p));
+    return [...new Set([...fromRole, ...extra])];
+};
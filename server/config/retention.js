@@ -0,0 +1,41 @@
+// Data retention (services/retention.service.js). One policy per data class:
+// a TTL in days, counted from the class's reference date, and the action applied
+// once it passes. Override per class with RETENTION_<CLASS>_DAYS and
+// RETENTION_<CLASS>_ACTION (e.g. RETENTION_OTP_SESSIONS_DAYS=1); DAYS=off disables it.
+
+export const RETENTION_ACTIONS = {
+    PURGE_BLOB: 'PURGE_BLOB',           // delete the stored file, keep the row
+    CRYPTO_SHRED: 'CRYPTO_SHRED',       // discard the key / ciphertext — the data can no longer be decrypted
+    ANONYMIZE: 'ANONYMIZE',             // strip personal data, keep the row for statistics and audit
+    HARD_DELETE: 'HARD_DELETE',         // delete the row
+};
+
+const A = RETENTION_ACTIONS;
+
+const envName = (dataClass) => dataClass.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase();
+
+const policy = (dataClass, ttlDays, action) => {
+    const days = process.env[`RETENTION_${envName(dataClass)}_DAYS`];
+    return {
+        enabled: days !== 'off',
+        ttlDays: days && days !== 'off' ? Number(days) : ttlDays,
+        action: process.env[`RETENTION_${envName(dataClass)}_ACTION`] || action,
+    };
+};
+
+export const RETENTION_CONFIG = {
+    // Credit reports are served from cache (no new bureau pull) this long after fetching
+    REPORT_VALIDITY_DAYS: parseInt(process.env.REPORT_VALIDITY_DAYS) || 28,
+
+    POLICIES: {
+        creditReportPdf: policy('creditReportPdf', 0, A.PURGE_BLOB),          // days after report expiry
+        creditReportData: policy('creditReportData', 180, A.CRYPTO_SHRED),    // days after report expiry
+        sessions: policy('sessions', 90, A.ANONYMIZE),                        // days after last activity
+        otpSessions: policy('otpSessions', 1, A.HARD_DELETE),                 // days after OTP expiry
+        inquiries: policy('inquiries', 365, A.ANONYMIZE),                     // days after last update
+        deletedUsers: policy('deletedUsers', 30, A.ANONYMIZE),                // days after soft delete
+    },
+
+    // Rows read per query while applying a policy
+    BATCH_SIZE: parseInt(process.env.RETENTION_BATCH_SIZE) || 100,
+};
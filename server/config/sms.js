@@ -0,0 +1,23 @@
+// Provider names: 'msg91' | 'console' | 'http'
+// Non-production defaults to the console provider so OTPs are logged, not sent.
+export const SMS_CONFIG = {
+    PROVIDER: process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? 'msg91' : 'console'),
+    FALLBACK_PROVIDER: process.env.SMS_FALLBACK_PROVIDER || null,
+    TIMEOUT_MS: parseInt(process.env.SMS_TIMEOUT_MS) || 10000,
+
+    MSG91: {
+        BASE_URL: process.env.MSG91_BASE_URL || 'https://control.msg91.com',
+        AUTH_KEY: process.env.MSG91_AUTH_KEY,
+        TEMPLATE_ID: process.env.MSG91_TEMPLATE_ID,
+        // DLT-approved templates for non-OTP messages, by SmsService template name
+        TEMPLATES: {
+            CREDIT_CHANGE: process.env.MSG91_CREDIT_CHANGE_TEMPLATE_ID,
+        },
+    },
+
+    // Local stand-in (e.g. a fake SMS gateway used in integration tests)
+    HTTP: {
+        URL: process.env.SMS_HTTP_URL || 'http://localhost:4010/sms/otp',
+        MESSAGE_URL: process.env.SMS_HTTP_MESSAGE_URL || 'http://localhost:4010/sms/message',
+    },
+};
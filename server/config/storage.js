@@ -0,0 +1,25 @@
+// Storage driver names: 'spaces' | 'local' | 'memory'
+// Without an explicit STORAGE_DRIVER, DigitalOcean Spaces is used when SPACES_BUCKET
+// is set (always in production); otherwise local disk, so dev and CI store PDFs offline.
+export const STORAGE_CONFIG = {
+    DRIVER: process.env.STORAGE_DRIVER
+        || (process.env.NODE_ENV === 'production' || process.env.SPACES_BUCKET ? 'spaces' : 'local'),
+
+    // S3-compatible (DigitalOcean Spaces). Objects are private — no ACL.
+    SPACES: {
+        ENDPOINT: process.env.SPACES_ENDPOINT,
+        REGION: process.env.SPACES_REGION,
+        BUCKET: process.env.SPACES_BUCKET,
+        ACCESS_KEY: process.env.SPACES_ACCESS_KEY,
+        SECRET_KEY: process.env.SPACES_SECRET_KEY,
+    },
+
+    // Relative paths resolve from the server root
+    LOCAL: {
+        DIR: process.env.STORAGE_LOCAL_DIR || '.storage',
+    },
+
+    // Bureau PDF download (uploadPdfFromUrl)
+    DOWNLOAD_TIMEOUT_MS: parseInt(process.env.PDF_DOWNLOAD_TIMEOUT_MS) || 30000,
+    MAX_PDF_BYTES: parseInt(process.env.PDF_MAX_BYTES) || 20 * 1024 * 1024,
+};
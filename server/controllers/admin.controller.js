@@ -6,6 +6,7 @@
  * SECURITY ARCHITECTURE:
  * - ONLY this controller can decrypt sensitive data
  * - ALL routes must be protected by isAdmin middleware
+ * - Identity numbers / phone numbers are masked unless the admin holds pii:view
  * - ALL data access is logged for audit compliance
  * - Session-based auth with HTTP-only cookies
  * 
@@ -28,17 +29,109 @@ import {
     logDataAccess
 } from '../utils/kms.util.js';
 import { softDelete, softDeleteMany } from '../middlewares/prodSafety.js';
+import { canViewPii } from '../middlewares/isAdmin.js';
+import { resolvePermissions } from '../config/rbac.js';
+import { getClientIp, getUserAgent } from '../middleware/consentMiddleware.js';
+import { enforceLoginThrottle, recordLoginFailure, clearAccountFailures } from '../utils/loginThrottle.util.js';
+import { verifySecondFactor } from '../services/adminTwoFactor.service.js';
+import { revokeAllAdminSessions } from '../services/adminSession.service.js';
+import { assertPasswordPolicy, isPasswordChangeRequired } from '../utils/passwordPolicy.util.js';
+import { maskIdentityNumber, maskPhone } from '../services/encryption.service.js';
+import { searchIndexFilter } from '../utils/blindIndex.util.js';
+import { searchAllRecords } from '../services/searchIndex.service.js';
+import { buildCustomer360 } from '../services/customer360.service.js';
+import { normalizeEmail } from '../services/adminInvite.service.js';
+
+/**
+ * Mask government ID + phone on a decrypted user unless the admin holds pii:view.
+ */
+const maskUserPii = (req, user) => {
+    if (canViewPii(req)) return user;
+    return {
+        ...user,
+        identityNumber: maskIdentityNumber(user.identityNumber, user.identityType),
+        phoneNumber: maskPhone(user.phoneNumber),
+    };
+};
 
 // ================================================================================
 // ADMIN AUTHENTICATION - SESSION BASED
 // ================================================================================
 
+// Compared against when the email is unknown, so response timing doesn't reveal which accounts exist
+const DUMMY_PASSWORD_HASH = '$2b$12$IY1btbvXYdruasN4TZRVq.oC5MrR4opzMR2pxnXTUKcmBGg5ocsAi';
+
+// Password OK, waiting for the TOTP / recovery code
+const TWO_FACTOR_PENDING_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Start a fresh authenticated session for an admin.
+ * Regenerates the session id first (prevents session fixation and drops any
+ * pending two-factor state), then records who/where for the session listing.
+ */
+const establishAdminSession = (req, admin, { twoFactor = false } = {}) =>
+    new Promise((resolve, reject) => {
+        req.session.regenerate((regenErr) => {
+            if (regenErr) return reject(regenErr);
+
+            req.session.adminId = admin.id;
+            req.session.email = admin.email;
+            req.session.role = 'admin';
+            req.session.loginAt = new Date().toISOString();
+            req.session.ipAddress = getClientIp(req);
+            req.session.userAgent = getUserAgent(req);
+            req.session.twoFactor = twoFactor;
+
+            // Save before responding so the cookie is set and subsequent requests are authenticated
+            req.session.save((saveErr) => (saveErr ? reject(saveErr) : resolve()));
+        });
+    });
+
+const completeAdminLogin = async (req, res, admin, { twoFactorMethod = null } = {}) => {
+    await clearAccountFailures(admin.email);
+
+    try {
+        await establishAdminSession(req, admin, { twoFactor: !!twoFactorMethod });
+    } catch (err) {
+        console.error('Session save error on login:', err);
+        throw new ApiError(500, 'Session error. Please try again.');
+    }
+
+    // Update last login
+    await prisma.admin.update({
+        where: { id: admin.id },
+        data: { lastLogin: new Date() },
+    });
+
+    // AUDIT: Log successful login
+    logDataAccess('admin_login', 'Admin', admin.id, admin.id, {
+        metadata: { twoFactorMethod },
+    });
+
+    res.status(200).json(
+        new ApiResponsive(200, {
+            admin: {
+                id: admin.id,
+                email: admin.email,
+                name: admin.name,
+                role: admin.role,
+                permissions: resolvePermissions(admin),
+                totpEnabled: admin.totpEnabled,
+                passwordChangeRequired: isPasswordChangeRequired(admin),
+            },
+        }, 'Login successful')
+    );
+};
+
 /**
  * Admin Login - Creates secure session
  * 
  * SECURITY:
  * - Password verified with bcrypt
- * - Session stored server-side in PostgreSQL
+ * - Per-account and per-IP lockout with exponential backoff (429 + Retry-After)
+ * - If TOTP is enabled, password alone only opens a short-lived pending step;
+ *   the session is authenticated by POST /api/admin/login/2fa
+ * - Session id regenerated on login; stored server-side in PostgreSQL
  * - HTTP-only cookie prevents XSS
  * - Secure cookie in production prevents MITM
  * 
@@ -46,19 +139,26 @@ import { softDelete, softDeleteMany } from '../middlewares/prodSafety.js';
  * @access Public
  */
 export const loginAdmin = asyncHandler(async (req, res) => {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
 
     if (!email || !password) {
         throw new ApiError(400, 'Email and password are required');
     }
 
-    const admin = await prisma.admin.findUnique({ where: { email } });
-    if (!admin) {
-        throw new ApiError(401, 'Invalid credentials');
-    }
+    const ip = getClientIp(req);
+    await enforceLoginThrottle(res, email, ip);
+
+    // Case-insensitive so admins created before invites (mixed-case emails) still match
+    const admin = await prisma.admin.findFirst({ where: { email: { equals: email, mode: 'insensitive' } } });
+    const isMatch = await bcrypt.compare(password, admin?.password || DUMMY_PASSWORD_HASH);
 
-    const isMatch = await bcrypt.compare(password, admin.password);
-    if (!isMatch) {
+    if (!admin || !isMatch) {
+        await recordLoginFailure(email, ip);
+        logDataAccess('admin_login', 'Admin', admin?.id, admin?.id, {
+            outcome: 'failure',
+            metadata: { email, reason: 'invalid_credentials' },
+        });
         throw new ApiError(401, 'Invalid credentials');
     }
 
@@ -66,22 +166,16 @@ export const loginAdmin = asyncHandler(async (req, res) => {
         throw new ApiError(401, 'Account deactivated. Contact super admin.');
     }
 
-    // SECURITY: Create session with admin info
-    req.session.adminId = admin.id;
-    req.session.email = admin.email;
-    req.session.role = 'admin';
-    req.session.loginAt = new Date().toISOString();
-
-    // Update last login
-    await prisma.admin.update({
-        where: { id: admin.id },
-        data: { lastLogin: new Date() },
-    });
-
-    // AUDIT: Log successful login
-    logDataAccess('admin_login', 'Admin', admin.id, admin.id);
+    if (!admin.totpEnabled) {
+        return completeAdminLogin(req, res, admin);
+    }
 
-    // Save session before sending response so cookie is set and subsequent requests are authenticated
+    // Password OK — hold the login until the second factor arrives
+    req.session.pendingTwoFactor = {
+        adminId: admin.id,
+        email: admin.email,
+        expiresAt: Date.now() + TWO_FACTOR_PENDING_TTL_MS,
+    };
     req.session.save((err) => {
         if (err) {
             console.error('Session save error on login:', err);
@@ -90,13 +184,52 @@ export const loginAdmin = asyncHandler(async (req, res) => {
             );
         }
         res.status(200).json(
-            new ApiResponsive(200, {
-                admin: { id: admin.id, email: admin.email, name: admin.name },
-            }, 'Login successful')
+            new ApiResponsive(200, { twoFactorRequired: true }, 'Enter your authentication code')
         );
     });
 });
 
+/**
+ * Admin Login, step 2 - TOTP or recovery code
+ * 
+ * @route POST /api/admin/login/2fa
+ * @body { code } or { recoveryCode }
+ * @access Public (requires the pending state set by /login)
+ */
+export const verifyAdminTwoFactor = asyncHandler(async (req, res) => {
+    const { code, recoveryCode } = req.body;
+    const pending = req.session?.pendingTwoFactor;
+
+    if (!pending || pending.expiresAt < Date.now()) {
+        if (req.session) delete req.session.pendingTwoFactor;
+        throw new ApiError(401, 'Login expired. Please sign in again.');
+    }
+    if (!code && !recoveryCode) {
+        throw new ApiError(400, 'Authentication code or recovery code is required');
+    }
+
+    const ip = getClientIp(req);
+    await enforceLoginThrottle(res, pending.email, ip);
+
+    const admin = await prisma.admin.findUnique({ where: { id: pending.adminId } });
+    if (!admin || !admin.isActive) {
+        delete req.session.pendingTwoFactor;
+        throw new ApiError(401, 'Account not available. Please sign in again.');
+    }
+
+    const method = await verifySecondFactor(admin, { code, recoveryCode });
+    if (!method) {
+        await recordLoginFailure(pending.email, ip);
+        logDataAccess('admin_login_2fa', 'Admin', admin.id, admin.id, {
+            outcome: 'failure',
+            metadata: { reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_totp' },
+        });
+        throw new ApiError(401, 'Invalid authentication code');
+    }
+
+    return completeAdminLogin(req, res, admin, { twoFactorMethod: method });
+});
+
 /**
  * Admin Logout - Destroys session
  * 
@@ -130,49 +263,68 @@ export const verifyAdminSession = asyncHandler(async (req, res) => {
     // If we get here, isAdmin middleware already validated the session
     res.status(200).json(
         new ApiResponsive(200, {
-            admin: { id: req.admin.id, email: req.admin.email, name: req.admin.name },
+            admin: {
+                id: req.admin.id,
+                email: req.admin.email,
+                name: req.admin.name,
+                role: req.admin.role,
+                permissions: req.admin.permissions,
+                totpEnabled: req.admin.totpEnabled,
+                passwordChangeRequired: req.admin.passwordChangeRequired,
+            },
             sessionExpiresAt: req.session.cookie.expires,
         }, 'Session valid')
     );
 });
 
 /**
- * Admin Register
+ * Change own password
  * 
- * SECURITY: Should be restricted to super admin only in production
+ * SECURITY:
+ * - Current password required; new one must meet the policy and differ from it
+ * - Clears a forced rotation (mustChangePassword / expired password)
+ * - Signs out the admin's other sessions
  * 
- * @route POST /api/admin/register
- * @access Protected (super admin only)
+ * @route POST /api/admin/change-password
+ * @body { currentPassword, newPassword }
+ * @access Protected (allowed while a password change is pending)
  */
-export const registerAdmin = asyncHandler(async (req, res) => {
-    const { email, password, name } = req.body;
+export const changeAdminPassword = asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
 
-    if (!email || !password) {
-        throw new ApiError(400, 'Email and password are required');
+    if (!currentPassword || !newPassword) {
+        throw new ApiError(400, 'Current and new password are required');
     }
 
-    const existing = await prisma.admin.findUnique({ where: { email } });
-    if (existing) {
-        throw new ApiError(409, 'Admin already exists');
+    const admin = await prisma.admin.findUnique({ where: { id: req.admin.id } });
+
+    // 400 rather than 401: the admin app treats 401 as an expired session
+    if (!(await bcrypt.compare(currentPassword, admin.password))) {
+        logDataAccess('admin_password_change', 'Admin', admin.id, admin.id, { outcome: 'failure' });
+        throw new ApiError(400, 'Current password is incorrect');
     }
 
-    // SECURITY: Use bcrypt with cost factor 12 for better security
-    const hashedPassword = await bcrypt.hash(password, 12);
+    assertPasswordPolicy(newPassword, { email: admin.email });
+    if (await bcrypt.compare(newPassword, admin.password)) {
+        throw new ApiError(400, 'New password must be different from the current one');
+    }
 
-    const admin = await prisma.admin.create({
-        data: { email, password: hashedPassword, name },
+    await prisma.admin.update({
+        where: { id: admin.id },
+        data: {
+            password: await bcrypt.hash(newPassword, 12),
+            passwordChangedAt: new Date(),
+            mustChangePassword: false,
+        },
     });
 
-    // AUDIT: Log admin creation
-    logDataAccess('admin_create', 'Admin', admin.id, req.admin?.id);
+    const revoked = await revokeAllAdminSessions(admin.id, { exceptSid: req.sessionID });
 
-    res.status(201).json(
-        new ApiResponsive(201, {
-            id: admin.id,
-            email: admin.email,
-            name: admin.name,
-        }, 'Admin registered successfully')
-    );
+    logDataAccess('admin_password_change', 'Admin', admin.id, admin.id, {
+        metadata: { otherSessionsRevoked: revoked },
+    });
+
+    res.status(200).json(new ApiResponsive(200, null, 'Password changed'));
 });
 
 /**
@@ -187,6 +339,10 @@ export const getAdminProfile = asyncHandler(async (req, res) => {
             id: req.admin.id,
             email: req.admin.email,
             name: req.admin.name,
+            role: req.admin.role,
+            permissions: req.admin.permissions,
+            totpEnabled: req.admin.totpEnabled,
+            passwordChangeRequired: req.admin.passwordChangeRequired,
         }, 'Profile fetched')
     );
 });
@@ -211,24 +367,31 @@ export const listUsers = asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    const where = { isDeleted: false }; // Exclude soft deleted
+    // Blind index search: name, phone, PAN / Aadhaar
+    const searchFilter = searchIndexFilter(req.query.search);
+    if (searchFilter) where.AND = [searchFilter];
+
     const [users, total] = await Promise.all([
         prisma.user.findMany({
-            where: { isDeleted: false }, // Exclude soft deleted
+            where,
+            omit: { searchIndex: true },
             skip,
             take: limit,
             orderBy: { createdAt: 'desc' },
         }),
-        prisma.user.count({ where: { isDeleted: false } }),
+        prisma.user.count({ where }),
     ]);
 
     // SECURITY: Decrypt sensitive fields for admin view
     const decryptedUsers = await Promise.all(
-        users.map(async (user) => {
-            const decrypted = await decryptFields(user, SENSITIVE_FIELDS.User);
-            logDataAccess('decrypt', 'User', user.id, req.admin.id);
-            return decrypted;
-        })
+        users.map(async (user) => maskUserPii(req, await decryptFields(user, SENSITIVE_FIELDS.User)))
     );
+    // AUDIT: one entry per page, listing every user shown
+    logDataAccess('list', 'User', users.map((user) => user.id), req.admin.id, {
+        piiUnmasked: canViewPii(req),
+        metadata: { page, count: users.length },
+    });
 
     res.json(new ApiResponsive(200, {
         users: decryptedUsers,
@@ -255,9 +418,12 @@ export const getUser = asyncHandler(async (req, res) => {
 
     // SECURITY: Decrypt for admin view
     const decryptedUser = await decryptFields(user, SENSITIVE_FIELDS.User);
-    logDataAccess('decrypt', 'User', user.id, req.admin.id);
+    logDataAccess('decrypt', 'User', user.id, req.admin.id, {
+        subjectUserId: user.id,
+        piiUnmasked: canViewPii(req),
+    });
 
-    res.json(new ApiResponsive(200, { user: decryptedUser }, 'User fetched'));
+    res.json(new ApiResponsive(200, { user: maskUserPii(req, decryptedUser) }, 'User fetched'));
 });
 
 /**
@@ -313,7 +479,7 @@ export const softDeleteUsers = asyncHandler(async (req, res) => {
     }
 
     const result = await softDeleteMany(prisma, 'user', ids);
-    logDataAccess('soft_delete_many', 'User', ids.join(','), req.admin.id);
+    logDataAccess('soft_delete_many', 'User', ids, req.admin.id);
 
     res.status(200).json(
         new ApiResponsive(200, { deletedCount: result.count }, `Soft deleted ${result.count} users`)
@@ -341,10 +507,14 @@ export const getAllCreditCheckInquiries = asyncHandler(async (req, res) => {
         if (dateFrom) where.createdAt.gte = new Date(dateFrom);
         if (dateTo) where.createdAt.lte = new Date(dateTo);
     }
+    // Blind index search over encrypted name / phone / email
+    const searchFilter = searchIndexFilter(search);
+    if (searchFilter) where.AND = [searchFilter];
 
     const [inquiries, total] = await Promise.all([
         prisma.creditCheckInquiry.findMany({
             where,
+            omit: { searchIndex: true },
             orderBy: { createdAt: 'desc' },
             skip,
             take: parseInt(limit),
@@ -354,12 +524,12 @@ export const getAllCreditCheckInquiries = asyncHandler(async (req, res) => {
 
     // SECURITY: Decrypt for admin view
     const decrypted = await Promise.all(
-        inquiries.map(async (inquiry) => {
-            const dec = await decryptFields(inquiry, SENSITIVE_FIELDS.CreditCheckInquiry);
-            logDataAccess('decrypt', 'CreditCheckInquiry', inquiry.id, req.admin.id);
-            return dec;
-        })
+        inquiries.map((inquiry) => decryptFields(inquiry, SENSITIVE_FIELDS.CreditCheckInquiry))
     );
+    // AUDIT: one entry per page, listing every inquiry shown
+    logDataAccess('list', 'CreditCheckInquiry', inquiries.map((inquiry) => inquiry.id), req.admin.id, {
+        metadata: { page: parseInt(page), count: inquiries.length },
+    });
 
     res.status(200).json(
         new ApiResponsive(200, {
@@ -381,7 +551,7 @@ export const getAllCreditCheckInquiries = asyncHandler(async (req, res) => {
  * @access Protected
  */
 export const getAllContactInquiries = asyncHandler(async (req, res) => {
-    const { status, page = 1, limit = 20, dateFrom, dateTo } = req.query;
+    const { status, page = 1, limit = 20, search, dateFrom, dateTo } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const where = { isDeleted: false };
@@ -391,10 +561,14 @@ export const getAllContactInquiries = asyncHandler(async (req, res) => {
         if (dateFrom) where.createdAt.gte = new Date(dateFrom);
         if (dateTo) where.createdAt.lte = new Date(dateTo);
     }
+    // Blind index search over encrypted name / phone / email
+    const searchFilter = searchIndexFilter(search);
+    if (searchFilter) where.AND = [searchFilter];
 
     const [inquiries, total] = await Promise.all([
         prisma.contactInquiry.findMany({
             where,
+            omit: { searchIndex: true },
             orderBy: { createdAt: 'desc' },
             skip,
             take: parseInt(limit),
@@ -403,12 +577,12 @@ export const getAllContactInquiries = asyncHandler(async (req, res) => {
     ]);
 
     const decrypted = await Promise.all(
-        inquiries.map(async (inquiry) => {
-            const dec = await decryptFields(inquiry, SENSITIVE_FIELDS.ContactInquiry);
-            logDataAccess('decrypt', 'ContactInquiry', inquiry.id, req.admin.id);
-            return dec;
-        })
+        inquiries.map((inquiry) => decryptFields(inquiry, SENSITIVE_FIELDS.ContactInquiry))
     );
+    // AUDIT: one entry per page, listing every inquiry shown
+    logDataAccess('list', 'ContactInquiry', inquiries.map((inquiry) => inquiry.id), req.admin.id, {
+        metadata: { page: parseInt(page), count: inquiries.length },
+    });
 
     res.status(200).json(
         new ApiResponsive(200, {
@@ -430,7 +604,7 @@ export const getAllContactInquiries = asyncHandler(async (req, res) => {
  * @access Protected
  */
 export const getAllHomeLoanInquiries = asyncHandler(async (req, res) => {
-    const { status, page = 1, limit = 20, dateFrom, dateTo } = req.query;
+    const { status, page = 1, limit = 20, search, dateFrom, dateTo } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const where = { isDeleted: false };
@@ -440,10 +614,14 @@ export const getAllHomeLoanInquiries = asyncHandler(async (req, res) => {
         if (dateFrom) where.createdAt.gte = new Date(dateFrom);
         if (dateTo) where.createdAt.lte = new Date(dateTo);
     }
+    // Blind index search over encrypted name / phone / email
+    const searchFilter = searchIndexFilter(search);
+    if (searchFilter) where.AND = [searchFilter];
 
     const [inquiries, total] = await Promise.all([
         prisma.homeLoanInquiry.findMany({
             where,
+            omit: { searchIndex: true },
             orderBy: { createdAt: 'desc' },
             skip,
             take: parseInt(limit),
@@ -452,12 +630,12 @@ export const getAllHomeLoanInquiries = asyncHandler(async (req, res) => {
     ]);
 
     const decrypted = await Promise.all(
-        inquiries.map(async (inquiry) => {
-            const dec = await decryptFields(inquiry, SENSITIVE_FIELDS.HomeLoanInquiry);
-            logDataAccess('decrypt', 'HomeLoanInquiry', inquiry.id, req.admin.id);
-            return dec;
-        })
+        inquiries.map((inquiry) => decryptFields(inquiry, SENSITIVE_FIELDS.HomeLoanInquiry))
     );
+    // AUDIT: one entry per page, listing every inquiry shown
+    logDataAccess('list', 'HomeLoanInquiry', inquiries.map((inquiry) => inquiry.id), req.admin.id, {
+        metadata: { page: parseInt(page), count: inquiries.length },
+    });
 
     res.status(200).json(
         new ApiResponsive(200, {
@@ -479,7 +657,7 @@ export const getAllHomeLoanInquiries = asyncHandler(async (req, res) => {
  * @access Protected
  */
 export const getAllReferralInquiries = asyncHandler(async (req, res) => {
-    const { status, page = 1, limit = 20, dateFrom, dateTo } = req.query;
+    const { status, page = 1, limit = 20, search, dateFrom, dateTo } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const where = { isDeleted: false };
@@ -489,10 +667,14 @@ export const getAllReferralInquiries = asyncHandler(async (req, res) => {
         if (dateFrom) where.createdAt.gte = new Date(dateFrom);
         if (dateTo) where.createdAt.lte = new Date(dateTo);
     }
+    // Blind index search over encrypted name / phone / email
+    const searchFilter = searchIndexFilter(search);
+    if (searchFilter) where.AND = [searchFilter];
 
     const [inquiries, total] = await Promise.all([
         prisma.referralInquiry.findMany({
             where,
+            omit: { searchIndex: true },
             orderBy: { createdAt: 'desc' },
             skip,
             take: parseInt(limit),
@@ -501,12 +683,12 @@ export const getAllReferralInquiries = asyncHandler(async (req, res) => {
     ]);
 
     const decrypted = await Promise.all(
-        inquiries.map(async (inquiry) => {
-            const dec = await decryptFields(inquiry, SENSITIVE_FIELDS.ReferralInquiry);
-            logDataAccess('decrypt', 'ReferralInquiry', inquiry.id, req.admin.id);
-            return dec;
-        })
+        inquiries.map((inquiry) => decryptFields(inquiry, SENSITIVE_FIELDS.ReferralInquiry))
     );
+    // AUDIT: one entry per page, listing every inquiry shown
+    logDataAccess('list', 'ReferralInquiry', inquiries.map((inquiry) => inquiry.id), req.admin.id, {
+        metadata: { page: parseInt(page), count: inquiries.length },
+    });
 
     res.status(200).json(
         new ApiResponsive(200, {
@@ -541,7 +723,7 @@ export const softDeleteCreditCheckInquiries = asyncHandler(async (req, res) => {
     }
 
     const result = await softDeleteMany(prisma, 'creditCheckInquiry', ids);
-    logDataAccess('soft_delete_many', 'CreditCheckInquiry', ids.join(','), req.admin.id);
+    logDataAccess('soft_delete_many', 'CreditCheckInquiry', ids, req.admin.id);
 
     res.status(200).json(
         new ApiResponsive(200, { deletedCount: result.count },
@@ -560,7 +742,7 @@ export const softDeleteContactInquiries = asyncHandler(async (req, res) => {
     }
 
     const result = await softDeleteMany(prisma, 'contactInquiry', ids);
-    logDataAccess('soft_delete_many', 'ContactInquiry', ids.join(','), req.admin.id);
+    logDataAccess('soft_delete_many', 'ContactInquiry', ids, req.admin.id);
 
     res.status(200).json(
         new ApiResponsive(200, { deletedCount: result.count },
@@ -579,7 +761,7 @@ export const softDeleteHomeLoanInquiries = asyncHandler(async (req, res) => {
     }
 
     const result = await softDeleteMany(prisma, 'homeLoanInquiry', ids);
-    logDataAccess('soft_delete_many', 'HomeLoanInquiry', ids.join(','), req.admin.id);
+    logDataAccess('soft_delete_many', 'HomeLoanInquiry', ids, req.admin.id);
 
     res.status(200).json(
         new ApiResponsive(200, { deletedCount: result.count },
@@ -598,7 +780,7 @@ export const softDeleteReferralInquiries = asyncHandler(async (req, res) => {
     }
 
     const result = await softDeleteMany(prisma, 'referralInquiry', ids);
-    logDataAccess('soft_delete_many', 'ReferralInquiry', ids.join(','), req.admin.id);
+    logDataAccess('soft_delete_many', 'ReferralInquiry', ids, req.admin.id);
 
     res.status(200).json(
         new ApiResponsive(200, { deletedCount: result.count },
@@ -776,3 +958,68 @@ export const getComprehensiveDashboard = asyncHandler(async (req, res) => {
         activityData
     }, 'Comprehensive dashboard data fetched'));
 });
+
+// ================================================================================
+// CROSS-TABLE SEARCH
+// ================================================================================
+
+/**
+ * Find every record matching a phone, email, PAN / Aadhaar or name across users,
+ * CIBIL data, credit reports and all inquiry tables (blind index — exact matches).
+ * Only tables the admin can read are searched; results carry ids, not PII.
+ * 
+ * @route GET /api/admin/search?search=<query>
+ * @access Protected
+ */
+export const searchRecords = asyncHandler(async (req, res) => {
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    if (!search) {
+        throw new ApiError(400, 'search query parameter is required');
+    }
+
+    const results = await searchAllRecords(search, req.admin.permissions);
+    const matches = results.filter((result) => result.total > 0);
+
+    logDataAccess('search', 'CrossTable', matches.flatMap((m) => m.records.map((r) => r.id)), req.admin.id, {
+        metadata: { models: matches.map((m) => m.model) },
+    });
+
+    res.json(new ApiResponsive(200, {
+        results,
+        total: results.reduce((sum, r) => sum + r.total, 0),
+    }, 'Search completed'));
+});
+
+// ================================================================================
+// CUSTOMER 360
+// ================================================================================
+
+/**
+ * Everything held on one user, across every table, with a single timeline
+ * 
+ * @route GET /api/admin/customers/:id/360
+ * @access Protected
+ */
+export const getCustomer360 = asyncHandler(async (req, res) => {
+    const userId = req.params.id.trim();
+    const showPii = canViewPii(req);
+
+    const customer = await buildCustomer360(userId, {
+        permissions: req.admin.permissions,
+        showPii,
+    });
+    if (!customer) {
+        throw new ApiError(404, 'User not found');
+    }
+
+    const inquiryIds = Object.values(customer.inquiries).flat().map((inquiry) => inquiry.id);
+    logDataAccess('decrypt', 'Customer360', [userId, ...inquiryIds], req.admin.id, {
+        subjectUserId: userId,
+        piiUnmasked: showPii,
+    });
+
+    res.json(new ApiResponsive(200, {
+        ...customer,
+        profile: maskUserPii(req, customer.profile),
+    }, 'Customer 360 fetched'));
+});
@@ -0,0 +1,281 @@
+/**
+ * ================================================================================
+ * ADMIN MANAGEMENT CONTROLLER - INVITES + ACCOUNT LIFECYCLE
+ * ================================================================================
+ *
+ * SECURITY:
+ * - Admin accounts are only created by accepting an invite (no direct register)
+ * - Issuing invites and changing another admin's status requires admins:manage
+ * - An invite cannot grant more than the inviter holds: only a SUPER_ADMIN can
+ *   invite a SUPER_ADMIN, and every permission of the invited role + extra
+ *   grants must be one the inviter has
+ * - Deactivation destroys every admin_sessions row of the target immediately
+ * - An admin cannot deactivate themselves, and the last active SUPER_ADMIN
+ *   cannot be deactivated
+ * - Every action is written to the audit log
+ *
+ * ================================================================================
+ */
+
+import { prisma } from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import ApiError from '../utils/ApiError.js';
+import { ApiResponsive } from '../utils/ApiResponsive.js';
+import { logDataAccess } from '../utils/kms.util.js';
+import { ADMIN_ROLES, PERMISSIONS, resolvePermissions } from '../config/rbac.js';
+import { isPasswordChangeRequired, checkPasswordPolicy } from '../utils/passwordPolicy.util.js';
+import { revokeAllAdminSessions } from '../services/adminSession.service.js';
+import {
+    createAdminInvite,
+    revokeAdminInvite,
+    listPendingInvites,
+    getPendingInvite,
+    acceptAdminInvite,
+} from '../services/adminInvite.service.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ADMIN_LIST_SELECT = {
+    id: true,
+    email: true,
+    name: true,
+    role: true,
+    permissions: true,
+    isActive: true,
+    lastLogin: true,
+    totpEnabled: true,
+    mustChangePassword: true,
+    passwordChangedAt: true,
+    deactivatedAt: true,
+    createdAt: true,
+};
+
+const loadTargetAdmin = async (adminId) => {
+    const admin = await prisma.admin.findUnique({ where: { id: adminId }, select: ADMIN_LIST_SELECT });
+    if (!admin) throw new ApiError(404, 'Admin not found');
+    return admin;
+};
+
+// ================================================================================
+// ADMINS
+// ================================================================================
+
+/**
+ * @route GET /api/admin/admins
+ * @access Protected (admins:manage)
+ */
+export const listAdmins = asyncHandler(async (req, res) => {
+    const admins = await prisma.admin.findMany({
+        select: ADMIN_LIST_SELECT,
+        orderBy: [{ isActive: 'desc' }, { createdAt: 'asc' }],
+    });
+
+    res.status(200).json(
+        new ApiResponsive(200, {
+            admins: admins.map((admin) => ({
+                ...admin,
+                passwordChangeRequired: isPasswordChangeRequired(admin),
+            })),
+        }, 'Admins fetched')
+    );
+});
+
+/**
+ * Deactivate an admin and sign them out everywhere
+ *
+ * @route POST /api/admin/admins/:adminId/deactivate
+ * @access Protected (admins:manage)
+ */
+export const deactivateAdmin = asyncHandler(async (req, res) => {
+    const target = await loadTargetAdmin(req.params.adminId);
+
+    if (target.id === req.admin.id) {
+        throw new ApiError(400, 'You cannot deactivate your own account');
+    }
+    if (!target.isActive) {
+        throw new ApiError(400, 'Admin is already deactivated');
+    }
+    if (target.role === 'SUPER_ADMIN') {
+        const activeSuperAdmins = await prisma.admin.count({ where: { role: 'SUPER_ADMIN', isActive: true } });
+        if (activeSuperAdmins <= 1) {
+            throw new ApiError(400, 'Cannot deactivate the last active super admin');
+        }
+    }
+
+    await prisma.admin.update({
+        where: { id: target.id },
+        data: { isActive: false, deactivatedAt: new Date(), deactivatedById: req.admin.id },
+    });
+    const sessionsRevoked = await revokeAllAdminSessions(target.id);
+
+    logDataAccess('admin_deactivate', 'Admin', target.id, req.admin.id, {
+        metadata: { sessionsRevoked, reason: req.body?.reason || null },
+    });
+
+    res.status(200).json(
+        new ApiResponsive(200, { sessionsRevoked }, `${target.email} deactivated`)
+    );
+});
+
+/**
+ * Reactivate an admin. They must set a new password on next login.
+ *
+ * @route POST /api/admin/admins/:adminId/reactivate
+ * @access Protected (admins:manage)
+ */
+export const reactivateAdmin = asyncHandler(async (req, res) => {
+    const target = await loadTargetAdmin(req.params.adminId);
+
+    if (target.isActive) {
+        throw new ApiError(400, 'Admin is already active');
+    }
+
+    await prisma.admin.update({
+        where: { id: target.id },
+        data: { isActive: true, deactivatedAt: null, deactivatedById: null, mustChangePassword: true },
+    });
+
+    logDataAccess('admin_reactivate', 'Admin', target.id, req.admin.id);
+
+    res.status(200).json(new ApiResponsive(200, null, `${target.email} reactivated`));
+});
+
+/**
+ * Force an admin to choose a new password before doing anything else
+ *
+ * @route POST /api/admin/admins/:adminId/force-password-change
+ * @access Protected (admins:manage)
+ */
+export const forceAdminPasswordChange = asyncHandler(async (req, res) => {
+    const target = await loadTargetAdmin(req.params.adminId);
+
+    await prisma.admin.update({
+        where: { id: target.id },
+        data: { mustChangePassword: true },
+    });
+
+    logDataAccess('admin_force_password_change', 'Admin', target.id, req.admin.id);
+
+    res.status(200).json(
+        new ApiResponsive(200, null, `${target.email} must change their password on the next request`)
+    );
+});
+
+// ================================================================================
+// INVITES
+// ================================================================================
+
+/**
+ * Issue a one-time invite. The link is returned once — share it with the invitee.
+ *
+ * @route POST /api/admin/invites
+ * @body { email, role, name?, permissions? }
+ * @access Protected (admins:manage)
+ */
+export const createInvite = asyncHandler(async (req, res) => {
+    const { email, name, role, permissions = [] } = req.body;
+
+    if (!email || !EMAIL_REGEX.test(String(email).trim())) {
+        throw new ApiError(400, 'A valid email is required');
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+        throw new ApiError(400, `Invalid role. Allowed: ${ADMIN_ROLES.join(', ')}`);
+    }
+
+    const knownPermissions = Object.values(PERMISSIONS);
+    if (!Array.isArray(permissions) || permissions.some((p) => !knownPermissions.includes(p))) {
+        throw new ApiError(400, 'Invalid permissions');
+    }
+
+    // SECURITY: no escalation through invites
+    if (role === 'SUPER_ADMIN' && req.admin.role !== 'SUPER_ADMIN') {
+        throw new ApiError(403, 'Only a SUPER_ADMIN can invite a SUPER_ADMIN');
+    }
+    const notHeld = resolvePermissions({ role, permissions }).filter((p) => !req.admin.permissions.includes(p));
+    if (notHeld.length > 0) {
+        throw new ApiError(403, 'You cannot grant permissions you do not hold', notHeld);
+    }
+
+    const { invite, inviteUrl } = await createAdminInvite({
+        email,
+        name,
+        role,
+        permissions,
+        invitedById: req.admin.id,
+    });
+
+    logDataAccess('admin_invite_create', 'AdminInvite', invite.id, req.admin.id, {
+        metadata: { email: invite.email, role: invite.role, permissions: invite.permissions },
+    });
+
+    res.status(201).json(
+        new ApiResponsive(201, { invite, inviteUrl }, 'Invite created. The link is shown only once.')
+    );
+});
+
+/**
+ * @route GET /api/admin/invites
+ * @access Protected (admins:manage)
+ */
+export const listInvites = asyncHandler(async (req, res) => {
+    const invites = await listPendingInvites();
+    res.status(200).json(new ApiResponsive(200, { invites }, 'Pending invites fetched'));
+});
+
+/**
+ * @route POST /api/admin/invites/:inviteId/revoke
+ * @access Protected (admins:manage)
+ */
+export const revokeInvite = asyncHandler(async (req, res) => {
+    const revoked = await revokeAdminInvite(req.params.inviteId);
+    if (!revoked) throw new ApiError(404, 'Pending invite not found');
+
+    logDataAccess('admin_invite_revoke', 'AdminInvite', req.params.inviteId, req.admin.id);
+
+    res.status(200).json(new ApiResponsive(200, null, 'Invite revoked'));
+});
+
+/**
+ * Invite details for the accept page (who is invited, with which role)
+ *
+ * @route GET /api/admin/invites/lookup?token=
+ * @access Public (token holder)
+ */
+export const getInviteForToken = asyncHandler(async (req, res) => {
+    const invite = await getPendingInvite(req.query.token);
+
+    res.status(200).json(
+        new ApiResponsive(200, {
+            email: invite.email,
+            name: invite.name,
+            role: invite.role,
+            expiresAt: invite.expiresAt,
+            passwordRules: checkPasswordPolicy('', { email: invite.email }),
+        }, 'Invite is valid')
+    );
+});
+
+/**
+ * Accept an invite: creates the admin account with the chosen password.
+ * The invitee then signs in normally.
+ *
+ * @route POST /api/admin/invites/accept
+ * @body { token, password, name? }
+ * @access Public (token holder)
+ */
+export const acceptInvite = asyncHandler(async (req, res) => {
+    const { token, password, name } = req.body;
+    if (!token || !password) {
+        throw new ApiError(400, 'Token and password are required');
+    }
+
+    const admin = await acceptAdminInvite({ token, password, name });
+
+    logDataAccess('admin_invite_accept', 'Admin', admin.id, admin.id, {
+        metadata: { invitedById: admin.invitedById, role: admin.role },
+    });
+
+    res.status(201).json(
+        new ApiResponsive(201, { email: admin.email }, 'Account created. You can now sign in.')
+    );
+});
@@ -0,0 +1,223 @@
+/**
+ * ================================================================================
+ * ADMIN SECURITY CONTROLLER - TWO-FACTOR ENROLLMENT + SESSION MANAGEMENT
+ * ================================================================================
+ *
+ * SECURITY:
+ * - Disabling 2FA or regenerating recovery codes needs a fresh second factor
+ *   (disabling also needs the password) — a hijacked session alone can't do it
+ * - Sessions are identified by sessionKey (hash of the sid), never the raw sid
+ * - Managing OTHER admins' sessions requires admins:manage
+ * - Every change is written to the audit log
+ * - Wrong password / code answers 400, not 401: the caller IS signed in, and the
+ *   admin app treats any 401 as an expired session
+ *
+ * ================================================================================
+ */
+
+import bcrypt from 'bcryptjs';
+import { prisma } from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import ApiError from '../utils/ApiError.js';
+import { ApiResponsive } from '../utils/ApiResponsive.js';
+import { logDataAccess } from '../utils/kms.util.js';
+import {
+    startTotpSetup,
+    enableTotp,
+    disableTotp,
+    regenerateRecoveryCodes,
+    verifySecondFactor,
+} from '../services/adminTwoFactor.service.js';
+import {
+    listAdminSessions,
+    revokeAdminSession,
+    revokeAllAdminSessions,
+} from '../services/adminSession.service.js';
+
+const loadAdmin = async (adminId) => {
+    const admin = await prisma.admin.findUnique({ where: { id: adminId } });
+    if (!admin) throw new ApiError(404, 'Admin not found');
+    return admin;
+};
+
+/** Require a valid TOTP / recovery code from the current admin */
+const requireSecondFactor = async (admin, body) => {
+    const method = await verifySecondFactor(admin, { code: body.code, recoveryCode: body.recoveryCode });
+    if (!method) {
+        logDataAccess('admin_2fa_challenge', 'Admin', admin.id, admin.id, { outcome: 'failure' });
+        throw new ApiError(400, 'Invalid authentication code');
+    }
+    return method;
+};
+
+// ================================================================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ================================================================================
+
+/**
+ * @route GET /api/admin/2fa
+ * @access Protected
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const admin = await loadAdmin(req.admin.id);
+
+    res.status(200).json(
+        new ApiResponsive(200, {
+            enabled: admin.totpEnabled,
+            recoveryCodesRemaining: admin.totpEnabled ? admin.totpRecoveryCodes.length : 0,
+        }, 'Two-factor status fetched')
+    );
+});
+
+/**
+ * Generate a secret for the authenticator app (2FA stays off until confirmed)
+ *
+ * @route POST /api/admin/2fa/setup
+ * @access Protected
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+    const admin = await loadAdmin(req.admin.id);
+    const { secret, otpauthUrl } = await startTotpSetup(admin);
+
+    logDataAccess('admin_2fa_setup', 'Admin', admin.id, admin.id);
+
+    res.status(200).json(
+        new ApiResponsive(200, { secret, otpauthUrl }, 'Scan the code in your authenticator app, then confirm')
+    );
+});
+
+/**
+ * Confirm setup with the first code; returns recovery codes ONCE
+ *
+ * @route POST /api/admin/2fa/enable
+ * @body { code }
+ * @access Protected
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+    if (!req.body.code) throw new ApiError(400, 'Authentication code is required');
+
+    const admin = await loadAdmin(req.admin.id);
+    const recoveryCodes = await enableTotp(admin, req.body.code);
+
+    req.session.twoFactor = true;
+    logDataAccess('admin_2fa_enable', 'Admin', admin.id, admin.id);
+
+    res.status(200).json(
+        new ApiResponsive(200, { recoveryCodes }, 'Two-factor authentication enabled. Store your recovery codes safely.')
+    );
+});
+
+/**
+ * @route POST /api/admin/2fa/disable
+ * @body { password, code } or { password, recoveryCode }
+ * @access Protected
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password } = req.body;
+    if (!password) throw new ApiError(400, 'Password is required');
+
+    const admin = await loadAdmin(req.admin.id);
+    if (!admin.totpEnabled) throw new ApiError(400, 'Two-factor authentication is not enabled');
+
+    if (!(await bcrypt.compare(password, admin.password))) {
+        logDataAccess('admin_2fa_disable', 'Admin', admin.id, admin.id, { outcome: 'failure' });
+        throw new ApiError(400, 'Invalid password');
+    }
+    await requireSecondFactor(admin, req.body);
+
+    await disableTotp(admin.id);
+    logDataAccess('admin_2fa_disable', 'Admin', admin.id, admin.id);
+
+    res.status(200).json(new ApiResponsive(200, null, 'Two-factor authentication disabled'));
+});
+
+/**
+ * @route POST /api/admin/2fa/recovery-codes
+ * @body { code } or { recoveryCode }
+ * @access Protected
+ */
+export const regenerateTwoFactorRecoveryCodes = asyncHandler(async (req, res) => {
+    const admin = await loadAdmin(req.admin.id);
+    if (!admin.totpEnabled) throw new ApiError(400, 'Two-factor authentication is not enabled');
+
+    await requireSecondFactor(admin, req.body);
+    const recoveryCodes = await regenerateRecoveryCodes(admin.id);
+
+    logDataAccess('admin_2fa_recovery_regenerate', 'Admin', admin.id, admin.id);
+
+    res.status(200).json(
+        new ApiResponsive(200, { recoveryCodes }, 'New recovery codes generated. Old codes no longer work.')
+    );
+});
+
+// ================================================================================
+// SESSIONS (admin_sessions)
+// ================================================================================
+
+/**
+ * @route GET /api/admin/sessions
+ * @access Protected
+ */
+export const getMySessions = asyncHandler(async (req, res) => {
+    const sessions = await listAdminSessions(req.admin.id, req.sessionID);
+    res.status(200).json(new ApiResponsive(200, { sessions }, 'Sessions fetched'));
+});
+
+/**
+ * @route POST /api/admin/sessions/:sessionKey/revoke
+ * @access Protected
+ */
+export const revokeMySession = asyncHandler(async (req, res) => {
+    const revoked = await revokeAdminSession(req.admin.id, req.params.sessionKey);
+    if (!revoked) throw new ApiError(404, 'Session not found');
+
+    logDataAccess('admin_session_revoke', 'Admin', req.admin.id, req.admin.id, {
+        metadata: { sessionKey: req.params.sessionKey },
+    });
+
+    res.status(200).json(new ApiResponsive(200, null, 'Session revoked'));
+});
+
+/**
+ * Sign out everywhere except this browser
+ *
+ * @route POST /api/admin/sessions/revoke-others
+ * @access Protected
+ */
+export const revokeMyOtherSessions = asyncHandler(async (req, res) => {
+    const count = await revokeAllAdminSessions(req.admin.id, { exceptSid: req.sessionID });
+
+    logDataAccess('admin_session_revoke_others', 'Admin', req.admin.id, req.admin.id, {
+        metadata: { revoked: count },
+    });
+
+    res.status(200).json(new ApiResponsive(200, { revoked: count }, `Revoked ${count} other session(s)`));
+});
+
+/**
+ * @route GET /api/admin/admins/:adminId/sessions
+ * @access Protected (admins:manage)
+ */
+export const getAdminSessionsForAdmin = asyncHandler(async (req, res) => {
+    await loadAdmin(req.params.adminId);
+    const sessions = await listAdminSessions(req.params.adminId, req.sessionID);
+
+    res.status(200).json(new ApiResponsive(200, { sessions }, 'Sessions fetched'));
+});
+
+/**
+ * @route POST /api/admin/admins/:adminId/sessions/:sessionKey/revoke
+ * @access Protected (admins:manage)
+ */
+export const revokeAdminSessionForAdmin = asyncHandler(async (req, res) => {
+    const { adminId, sessionKey } = req.params;
+
+    const revoked = await revokeAdminSession(adminId, sessionKey);
+    if (!revoked) throw new ApiError(404, 'Session not found');
+
+    logDataAccess('admin_session_revoke', 'Admin', adminId, req.admin.id, {
+        metadata: { sessionKey },
+    });
+
+    res.status(200).json(new ApiResponsive(200, null, 'Session revoked'));
+});
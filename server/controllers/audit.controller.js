@@ -0,0 +1,117 @@
+/**
+ * ================================================================================
+ * AUDIT LOG CONTROLLER - SEARCH, EXPORT, CHAIN VERIFICATION
+ * ================================================================================
+ *
+ * All routes require audit:read. Exports are themselves audited.
+ *
+ * Filters (query): adminId, model, recordId, subjectUserId, action, outcome,
+ *                  piiUnmasked (true|false), from, to (ISO dates)
+ *
+ * Example — "who viewed this customer's PAN":
+ *   GET /api/admin/audit-logs?recordId=<userId>&piiUnmasked=true
+ *
+ * ================================================================================
+ */
+
+import { asyncHandler } from '../utils/asyncHandler.js';
+import ApiError from '../utils/ApiError.js';
+import { ApiResponsive } from '../utils/ApiResponsive.js';
+import { logDataAccess } from '../utils/kms.util.js';
+import {
+    searchAuditLogs,
+    exportAuditLogs,
+    auditLogsToCsv,
+    verifyAuditChain,
+} from '../services/audit.service.js';
+
+const FILTER_KEYS = ['adminId', 'model', 'recordId', 'subjectUserId', 'action', 'outcome', 'piiUnmasked', 'from', 'to'];
+
+const pickFilters = (query) => {
+    const filters = {};
+    for (const key of FILTER_KEYS) {
+        if (query[key]) filters[key] = String(query[key]);
+    }
+    for (const key of ['from', 'to']) {
+        if (filters[key] && Number.isNaN(new Date(filters[key]).getTime())) {
+            throw new ApiError(400, `Invalid date for ${key}`);
+        }
+    }
+    return filters;
+};
+
+/**
+ * Search audit log (newest first)
+ *
+ * @route GET /api/admin/audit-logs
+ * @access Protected (audit:read)
+ */
+export const getAuditLogs = asyncHandler(async (req, res) => {
+    const filters = pickFilters(req.query);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const { logs, total } = await searchAuditLogs(filters, page, limit);
+
+    res.status(200).json(
+        new ApiResponsive(200, {
+            logs,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit),
+            },
+        }, 'Audit logs fetched')
+    );
+});
+
+/**
+ * Export audit log as CSV (default) or JSON, oldest first
+ *
+ * @route GET /api/admin/audit-logs/export?format=csv|json
+ * @access Protected (audit:read)
+ */
+export const exportAuditLogsHandler = asyncHandler(async (req, res) => {
+    const filters = pickFilters(req.query);
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+
+    const { logs, truncated } = await exportAuditLogs(filters);
+
+    logDataAccess('export', 'AuditLog', null, req.admin.id, {
+        metadata: { filters, format, rows: logs.length, truncated },
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Export-Truncated', String(truncated));
+
+    if (format === 'json') {
+        return res.status(200).json({ filters, truncated, count: logs.length, logs });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.status(200).send(auditLogsToCsv(logs));
+});
+
+/**
+ * Walk the hash chain and report gaps / edits
+ *
+ * @route GET /api/admin/audit-logs/verify
+ * @access Protected (audit:read)
+ */
+export const verifyAuditLogs = asyncHandler(async (req, res) => {
+    const result = await verifyAuditChain();
+
+    if (!result.valid) {
+        console.error('[SECURITY ALERT] Audit log chain verification failed:', {
+            timestamp: new Date().toISOString(),
+            problemCount: result.problemCount,
+            firstProblems: result.problems.slice(0, 5),
+        });
+    }
+
+    res.status(200).json(
+        new ApiResponsive(200, result, result.valid ? 'Audit log chain intact' : 'Audit log chain verification FAILED')
+    );
+});
@@ -1,9 +1,13 @@
 import { prisma } from "../config/db.js";
+import { RETENTION_CONFIG } from "../config/retention.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiResponsive } from "../utils/ApiResponsive.js";
 import { ApiError } from "../utils/ApiError.js";
-import { deepVueService } from "../services/deepvue.service.js";
+import { deepVueService, DeepVueError } from "../services/deepvue.service.js";
 import { encryptCibilData, decryptCibilData } from "../services/encryption.service.js";
+import { refreshSearchIndex } from "../services/searchIndex.service.js";
+import { createReportRequest, markRequestRedirected, markRequestFailed } from "../services/creditReportRequest.service.js";
+import { searchIndexFilter } from "../utils/blindIndex.util.js";
 
 // User: Submit CIBIL data and create DeepVue session
 export const userSummitCibil = asyncHandler(async (req, res) => {
@@ -18,7 +22,7 @@ export const userSummitCibil = asyncHandler(async (req, res) => {
         }
     }
 
-    // Check for valid cached data first (within 28 days)
+    // Check for valid cached data first (within REPORT_VALIDITY_DAYS)
     const cachedData = await prisma.cibilData.findFirst({
         where: {
             userId,
@@ -45,16 +49,22 @@ export const userSummitCibil = asyncHandler(async (req, res) => {
     }
 
     try {
-        // Create DeepVue session for fresh data
+        // Create DeepVue session for fresh data (tracked as a paid transaction)
+        const request = await createReportRequest(userId);
         const sessionResponse = await deepVueService.createCibilSession({
             firstName: data.firstName,
             lastName: data.lastName || data.middleName || "",
             mobileNumber: data.mobileNumber
+        }).catch(async (error) => {
+            await markRequestFailed({ requestId: request.id }, error.message);
+            throw error;
         });
 
         if (!sessionResponse.success) {
+            await markRequestFailed({ requestId: request.id }, sessionResponse.message);
             throw new ApiError(500, "Failed to create CIBIL check session");
         }
+        await markRequestRedirected(request.id, sessionResponse.transaction_id);
 
         // Prepare data for storage (simplified)
         let cibilDataToStore = {
@@ -90,6 +100,7 @@ export const userSummitCibil = asyncHandler(async (req, res) => {
         const cibil = await prisma.cibilData.create({
             data: cibilDataToStore
         });
+        await refreshSearchIndex("CibilData", cibil);
 
         res.json(new ApiResponsive(200, {
             id: cibil.id,
@@ -100,6 +111,8 @@ export const userSummitCibil = asyncHandler(async (req, res) => {
 
     } catch (error) {
         console.error("CIBIL Summit Error:", error);
+        // DeepVueError keeps its status and typed code
+        if (error instanceof DeepVueError) throw error;
         throw new ApiError(500, error.message || "Failed to create CIBIL session");
     }
 });
@@ -151,9 +164,9 @@ export const userGetCibilReport = asyncHandler(async (req, res) => {
         const reportResponse = await deepVueService.fetchCibilReport(transactionId);
 
         if (reportResponse.success) {
-            // Calculate cache expiry (28 days from now)
+            // Calculate cache expiry (REPORT_VALIDITY_DAYS from now)
             const cacheValidUntil = new Date();
-            cacheValidUntil.setDate(cacheValidUntil.getDate() + 28);
+            cacheValidUntil.setDate(cacheValidUntil.getDate() + RETENTION_CONFIG.REPORT_VALIDITY_DAYS);
 
             // Update record with fetched data and cache info
             let updateData = {
@@ -198,6 +211,7 @@ export const userGetCibilReport = asyncHandler(async (req, res) => {
 
     } catch (error) {
         console.error("Get CIBIL Report Error:", error);
+        if (error instanceof DeepVueError) throw error;
         throw new ApiError(500, error.message || "Failed to retrieve CIBIL report");
     }
 });
@@ -208,9 +222,12 @@ export const listCibilData = asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
 
+    // Search filter (blind index: name, mobile, PAN)
+    const where = searchIndexFilter(req.query.search) || {};
+
     const [cibils, total] = await Promise.all([
-        prisma.cibilData.findMany({ skip, take: limit, orderBy: { createdAt: "desc" } }),
-        prisma.cibilData.count(),
+        prisma.cibilData.findMany({ where, skip, take: limit, orderBy: { createdAt: "desc" }, omit: { searchIndex: true } }),
+        prisma.cibilData.count({ where }),
     ]);
 
 
@@ -229,16 +246,18 @@ export const cibilStats = asyncHandler(async (req, res) => {
 
 export const listSubmittedCibil = asyncHandler(async (req, res) => {
     const cibils = await prisma.cibilData.findMany({
-        where: { isSubmitted: true },
-        orderBy: { createdAt: 'desc' }
+        where: { isSubmitted: true, ...searchIndexFilter(req.query.search) },
+        orderBy: { createdAt: 'desc' },
+        omit: { searchIndex: true }
     });
     res.json(new ApiResponsive(200, cibils, "Submitted CIBIL data fetched"));
 });
 
 export const listUnsubmittedCibil = asyncHandler(async (req, res) => {
     const cibils = await prisma.cibilData.findMany({
-        where: { isSubmitted: false },
-        orderBy: { createdAt: 'desc' }
+        where: { isSubmitted: false, ...searchIndexFilter(req.query.search) },
+        orderBy: { createdAt: 'desc' },
+        omit: { searchIndex: true }
     });
     res.json(new ApiResponsive(200, cibils, "Unsubmitted CIBIL data fetched"));
 });
@@ -249,6 +268,7 @@ export const updateCibilData = asyncHandler(async (req, res) => {
         where: { id },
         data: req.body
     });
+    await refreshSearchIndex("CibilData", updatedCibil);
     res.json(new ApiResponsive(200, updatedCibil, "CIBIL data updated"));
 });
 
@@ -269,6 +289,7 @@ export const getUserCibilData = asyncHandler(async (req, res) => {
 
 export const createCibilData = asyncHandler(async (req, res) => {
     const cibil = await prisma.cibilData.create({ data: req.body });
+    await refreshSearchIndex("CibilData", cibil);
     res.json(new ApiResponsive(201, cibil, "CIBIL data created"));
 });
 
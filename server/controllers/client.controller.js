@@ -25,6 +25,7 @@ import { ApiResponsive } from '../utils/ApiResponsive.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { isValidIndianNumber } from '../utils/validation.js';
 import { encryptFields, SENSITIVE_FIELDS, logDataAccess } from '../utils/kms.util.js';
+import { computeSearchIndex } from '../utils/blindIndex.util.js';
 
 // ================================================================================
 // CREDIT CHECK INQUIRY - CLIENT SUBMISSION
@@ -70,6 +71,7 @@ export const createCreditCheckInquiry = asyncHandler(async (req, res) => {
         data: {
             firstName: encryptedData.firstName,
             mobileNumber: encryptedData.mobileNumber,
+            searchIndex: computeSearchIndex('CreditCheckInquiry', { firstName, mobileNumber }),
             consent: consent !== false, // Default true
             ipAddress: req.ip || req.headers['x-forwarded-for'] || null,
             userAgent: req.headers['user-agent'] || null,
@@ -134,6 +136,7 @@ export const createContactInquiry = asyncHandler(async (req, res) => {
             phone: encryptedData.phone || null,
             subject: subject || null, // Subject is not PII, no encryption
             message: encryptedData.message,
+            searchIndex: computeSearchIndex('ContactInquiry', { name, email, phone }),
             ipAddress: req.ip || req.headers['x-forwarded-for'] || null,
             userAgent: req.headers['user-agent'] || null,
         },
@@ -202,6 +205,7 @@ export const createHomeLoanInquiry = asyncHandler(async (req, res) => {
             monthlyIncome: encryptedData.monthlyIncome || null,
             employmentType: employmentType || null,
             remarks: remarks || null,
+            searchIndex: computeSearchIndex('HomeLoanInquiry', { name, phone }),
             ipAddress: req.ip || req.headers['x-forwarded-for'] || null,
             userAgent: req.headers['user-agent'] || null,
         },
@@ -281,6 +285,10 @@ export const createReferralInquiry = asyncHandler(async (req, res) => {
             relationship: relationship || null,
             loanType: loanType || null,
             remarks: remarks || null,
+            searchIndex: computeSearchIndex('ReferralInquiry', {
+                referrerName, referrerPhone, referrerEmail,
+                refereeName, refereePhone, refereeEmail,
+            }),
             ipAddress: req.ip || req.headers['x-forwarded-for'] || null,
             userAgent: req.headers['user-agent'] || null,
         },
@@ -5,24 +5,37 @@
  *
  * SECURITY NOTES:
  * - All user endpoints: userId from req.user.id (JWT-verified)
- * - SUPER_ADMIN check: req.session.role === 'SUPER_ADMIN'
- *   (isAdmin middleware sets req.admin without role — role lives in session)
+ * - PII unmasking: admin must hold pii:view (resolved by isAdmin onto req.admin)
  * - PDF downloads: stream via S3 GetObject — CDN URL never sent to client
  * =============================================================
  */
 
 import * as creditReportService from '../services/creditReport.service.js';
 import * as storage from '../utils/storage.js';
-
-// ─── Helpers ──────────────────────────────────────────────────────────────────
+import { canViewPii } from '../middlewares/isAdmin.js';
+import { logDataAccess } from '../utils/kms.util.js';
+import { verifyWebhookSignature } from '../utils/webhookSignature.util.js';
+import { DEEPVUE_CONFIG } from '../config/deepvue.js';
+import * as requests from '../services/creditReportRequest.service.js';
+import * as reconciliation from '../services/creditReconciliation.service.js';
+import { DeepVueError } from '../services/deepvue.service.js';
 
 /**
- * Determine if the admin making the request is a SUPER_ADMIN.
- * SECURITY: role is stored in server-side session — cannot be spoofed by client.
+ * Bureau failures carry a typed code (AUTH, RATE_LIMIT, INVALID_INPUT, UPSTREAM,
+ * UNAVAILABLE — see services/deepvue.service.js) that CreditCheckClient switches on.
+ * Anything else goes to the global error handler.
  */
-function isSuperAdmin(req) {
-    return req.session?.role === 'SUPER_ADMIN';
-}
+const sendBureauError = (res, error) => {
+    if (!(error instanceof DeepVueError)) throw error;
+
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+        retryAfter: error.retryAfter,
+    });
+};
 
 // ─── USER Endpoints ───────────────────────────────────────────────────────────
 
@@ -38,8 +51,18 @@ export const getSession = async (req, res) => {
         mobileNumber: req.body.mobileNumber || req.user.phoneNumber,
     };
 
-    const session = await creditReportService.getSession(userData);
-    res.json(session);
+    try {
+        const session = await creditReportService.getSession(req.user.id, userData);
+        res.json(session);
+    } catch (error) {
+        sendBureauError(res, error);
+    }
+};
+
+/** Lets the client show "bureau temporarily unavailable" before starting a session */
+export const getBureauStatus = async (req, res) => {
+    const { available, retryAfterSeconds } = creditReportService.getBureauStatus();
+    res.json({ success: true, available, retryAfter: available ? null : retryAfterSeconds });
 };
 
 export const fetchReport = async (req, res) => {
@@ -53,8 +76,71 @@ export const fetchReport = async (req, res) => {
     }
 
     // SECURITY: userId from JWT — never from req.body
-    const result = await creditReportService.fetchAndSaveReport(req.user.id, transactionId.trim());
-    res.json(result);
+    try {
+        const result = await creditReportService.fetchAndSaveReport(req.user.id, transactionId.trim());
+        res.json(result);
+    } catch (error) {
+        sendBureauError(res, error);
+    }
+};
+
+// ─── DeepVue Callback ─────────────────────────────────────────────────────────
+
+// DeepVue callback statuses meaning the user never completed the bureau check
+const CALLBACK_FAILURE_STATUSES = ['failed', 'failure', 'error', 'cancelled', 'expired'];
+
+/**
+ * Server-to-server completion callback from DeepVue.
+ * Runs the same save pipeline as the browser poll, so the report is stored
+ * even if the user closed the tab.
+ *
+ * SECURITY:
+ * - No user auth — the request is authenticated by an HMAC signature over the
+ *   raw body (X-DeepVue-Signature / X-DeepVue-Timestamp, DEEPVUE_WEBHOOK_SECRET)
+ * - The user comes from our CreditReportRequest row, never from the payload
+ * - Idempotent: a completed request returns its stored report
+ */
+export const deepvueCallback = async (req, res) => {
+    const check = verifyWebhookSignature({
+        secret: DEEPVUE_CONFIG.WEBHOOK_SECRET,
+        rawBody: req.rawBody,
+        signature: req.get('x-deepvue-signature'),
+        timestamp: req.get('x-deepvue-timestamp'),
+    });
+    if (!check.valid) {
+        console.warn('[DeepVue Callback] Rejected:', check.reason);
+        return res.status(401).json({ success: false, message: 'Invalid signature' });
+    }
+
+    const transactionId = String(req.body?.transaction_id || req.body?.transactionId || '').trim();
+    if (!transactionId) {
+        return res.status(400).json({ success: false, message: 'transaction_id is required' });
+    }
+
+    const request = await requests.findRequestByTransaction(transactionId);
+    if (!request) {
+        return res.status(404).json({ success: false, message: 'Unknown transaction' });
+    }
+
+    const callbackStatus = String(req.body?.status || '').toLowerCase();
+    if (CALLBACK_FAILURE_STATUSES.includes(callbackStatus)) {
+        await requests.markRequestFailed({ transactionId }, `DeepVue callback: ${callbackStatus}`, { final: true });
+        return res.json({ success: true, status: requests.REQUEST_STATUS.FAILED });
+    }
+
+    let result;
+    try {
+        result = await creditReportService.fetchAndSaveReport(request.userId, transactionId, { source: 'callback' });
+    } catch (error) {
+        // 5xx / 429 make DeepVue redeliver; reconciliation retries either way
+        return sendBureauError(res, error);
+    }
+
+    // Not ready yet — 202 so DeepVue (or reconciliation) tries again later
+    if (result.status === 'PROCESSING') {
+        return res.status(202).json({ success: true, status: requests.REQUEST_STATUS.PROCESSING });
+    }
+    res.json({ success: true, status: requests.REQUEST_STATUS.COMPLETED });
 };
 
 export const getMyReport = async (req, res) => {
@@ -108,6 +194,13 @@ export const downloadMyPdf = async (req, res) => {
     // SECURITY: userId strictly from verified JWT token
     const userId = req.user.id;
 
+    // ?type=bureau — the bureau's PDF; ?type=branded — our own, rendered from the
+    // stored report. Default: the bureau's PDF when saved, else branded.
+    const { type } = req.query;
+    if (type && !['bureau', 'branded'].includes(type)) {
+        return res.status(400).json({ success: false, message: "type must be 'bureau' or 'branded'" });
+    }
+
     const report = await creditReportService.getMyPdfPath(userId);
 
     if (!report) {
@@ -117,18 +210,38 @@ export const downloadMyPdf = async (req, res) => {
         });
     }
 
+    if (type === 'branded' || (!type && !report.pdfSpacesPath)) {
+        const pdf = await creditReportService.getMyBrandedPdf(userId);
+        if (!pdf) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active credit report found. Generate a new report first.',
+            });
+        }
+        // Same secure download headers as storage.streamPdfToResponse()
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="borrowww-credit-report-${new Date().toISOString().slice(0, 10)}.pdf"`);
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Length', pdf.length);
+        return res.end(pdf);
+    }
+
     if (!report.pdfSpacesPath) {
         return res.status(404).json({
             success: false,
-            message: 'PDF not available for this report.',
+            message: report.pdfStatus === storage.PDF_STATUS.FAILED
+                ? 'The PDF could not be saved for this report. Please contact support.'
+                : 'PDF not available for this report.',
         });
     }
 
-    // Stream directly from Spaces — browser never sees the CDN URL
+    // Stream from storage — browser never sees a storage URL
     await storage.streamPdfToResponse(
         report.pdfSpacesPath,
         res,
         `credit-report-${new Date().toISOString().slice(0, 10)}.pdf`,
+        { driver: report.pdfStorageDriver, checksum: report.pdfChecksum, keyEncrypted: report.pdfKeyEncrypted },
     );
 };
 
@@ -141,7 +254,7 @@ export const getAllReportsAdmin = async (req, res) => {
         parseInt(page) || 1,
         parseInt(limit) || 10,
         search || '',
-        isSuperAdmin(req),                  // FIX: read from session, not req.admin.role
+        canViewPii(req),
         month ? parseInt(month) : undefined,
         year ? parseInt(year) : undefined,
     );
@@ -152,13 +265,19 @@ export const getAllReportsAdmin = async (req, res) => {
 export const getReportDetailAdmin = async (req, res) => {
     const report = await creditReportService.getReportDetailAdmin(
         req.params.id,
-        isSuperAdmin(req),                  // FIX: read from session
+        canViewPii(req),
     );
 
     if (!report) {
         return res.status(404).json({ success: false, message: 'Report not found' });
     }
 
+    // AUDIT: answers "who viewed this customer's PAN"
+    logDataAccess('view', 'CreditReport', report.id, req.admin.id, {
+        subjectUserId: report.userId,
+        piiUnmasked: canViewPii(req),
+    });
+
     res.json(report);
 };
 
@@ -167,6 +286,36 @@ export const getAdminStats = async (req, res) => {
     res.json(stats);
 };
 
+// ─── ADMIN Reconciliation (DeepVue billing) ───────────────────────────────────
+
+export const getReconciliationSummaries = async (req, res) => {
+    const summaries = await reconciliation.listReconciliationSummaries(req.query.limit);
+    res.json({ success: true, summaries });
+};
+
+/**
+ * One IST day: totals + every DeepVue transaction of that day.
+ * ?format=csv downloads the transaction list, ?refresh=1 rebuilds the summary.
+ */
+export const getReconciliationSummary = async (req, res) => {
+    const summary = await reconciliation.getReconciliationSummary(req.params.day, {
+        refresh: req.query.refresh === '1' || req.query.refresh === 'true',
+    });
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+    logDataAccess('export', 'CreditReconciliationSummary', summary.id, req.admin.id, {
+        metadata: { day: summary.day, format, transactions: summary.details.length },
+    });
+
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="deepvue-reconciliation-${summary.day}.csv"`);
+        return res.status(200).send(reconciliation.reconciliationDetailsToCsv(summary));
+    }
+
+    res.json({ success: true, summary });
+};
+
 /**
  * ADMIN: Secure PDF download for any user's report.
  *
@@ -192,15 +341,23 @@ export const downloadAdminPdf = async (req, res) => {
     if (!report.pdfSpacesPath) {
         return res.status(404).json({
             success: false,
-            message: 'No PDF available — it may have been deleted after expiry',
+            message: {
+                [storage.PDF_STATUS.FAILED]: 'PDF upload failed for this report — see the PDF error on the report',
+                [storage.PDF_STATUS.NOT_AVAILABLE]: 'The bureau did not return a PDF for this report',
+            }[report.pdfStatus] || 'No PDF available — it may have been deleted after expiry',
         });
     }
 
-    console.info(`[Audit] Admin (${req.admin?.id}) downloading PDF for report ${reportId} (user ${report.userId})`);
+    // AUDIT: the bureau PDF always carries the full PAN
+    logDataAccess('download_pdf', 'CreditReport', reportId, req.admin?.id, {
+        subjectUserId: report.userId,
+        piiUnmasked: true,
+    });
 
     await storage.streamPdfToResponse(
         report.pdfSpacesPath,
         res,
         `credit-report-${reportId}.pdf`,
+        { driver: report.pdfStorageDriver, checksum: report.pdfChecksum, keyEncrypted: report.pdfKeyEncrypted },
     );
 };
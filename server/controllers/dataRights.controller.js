@@ -0,0 +1,118 @@
+/**
+ * ================================================================================
+ * DATA RIGHTS CONTROLLER - DPDP ACCESS AND ERASURE REQUESTS
+ * ================================================================================
+ *
+ * User side (/api/users/me/...): download a data export, and raise, view or
+ * cancel an erasure request. Admin side (/api/admin/erasure-requests): review
+ * requests and approve (erase) or reject them. The work is done in
+ * services/dataRights.service.js.
+ *
+ * ================================================================================
+ */
+
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponsive } from '../utils/ApiResponsive.js';
+import ApiError from '../utils/ApiError.js';
+import { canViewPii } from '../middlewares/isAdmin.js';
+import {
+    buildDataExport,
+    getMyErasureRequest,
+    createErasureRequest,
+    cancelErasureRequest,
+    listErasureRequests,
+    approveErasureRequest,
+    rejectErasureRequest,
+} from '../services/dataRights.service.js';
+
+const ERASURE_STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'REJECTED', 'CANCELLED'];
+
+// ─── User ────────────────────────────────────────────────────────────────────
+
+/**
+ * Everything held on the user, as a JSON file download
+ *
+ * @route GET /api/users/me/data-export
+ * @access Private (user)
+ */
+export const downloadMyData = asyncHandler(async (req, res) => {
+    const bundle = await buildDataExport(req.user.id);
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="borrowww-data-export-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.status(200).send(JSON.stringify(bundle, null, 2));
+});
+
+/**
+ * The user's latest erasure request (null when they have never made one)
+ *
+ * @route GET /api/users/me/erasure-request
+ * @access Private (user)
+ */
+export const getMyErasure = asyncHandler(async (req, res) => {
+    const request = await getMyErasureRequest(req.user.id);
+    res.status(200).json(new ApiResponsive(200, { request }, 'Erasure request fetched'));
+});
+
+/**
+ * Ask for the account and its data to be erased — reviewed by an admin
+ *
+ * @route POST /api/users/me/erasure-request
+ * @body { reason?: string }
+ * @access Private (user)
+ */
+export const requestErasure = asyncHandler(async (req, res) => {
+    const request = await createErasureRequest(req.user.id, req.body?.reason);
+    res.status(201).json(new ApiResponsive(201, { request }, 'Erasure request submitted for review'));
+});
+
+/**
+ * @route POST /api/users/me/erasure-request/cancel
+ * @access Private (user)
+ */
+export const cancelMyErasure = asyncHandler(async (req, res) => {
+    const request = await cancelErasureRequest(req.user.id);
+    res.status(200).json(new ApiResponsive(200, { request }, 'Erasure request cancelled'));
+});
+
+// ─── Admin ───────────────────────────────────────────────────────────────────
+
+/**
+ * @route GET /api/admin/erasure-requests
+ * @query { status?: string, page?: number, limit?: number }
+ * @access Protected (users:read)
+ */
+export const getErasureRequests = asyncHandler(async (req, res) => {
+    const { status, page, limit } = req.query;
+    if (status && !ERASURE_STATUSES.includes(status)) {
+        throw new ApiError(400, `status must be one of ${ERASURE_STATUSES.join(', ')}`);
+    }
+
+    const result = await listErasureRequests({ status, page, limit, showPii: canViewPii(req) });
+    res.status(200).json(new ApiResponsive(200, result, 'Erasure requests fetched'));
+});
+
+/**
+ * Erase the user's data. 409 with the legal holds as errors when it must be kept,
+ * or when the request was cancelled, reviewed or claimed by another admin meanwhile.
+ *
+ * @route POST /api/admin/erasure-requests/:id/approve
+ * @body { note?: string }
+ * @access Protected (users:delete)
+ */
+export const approveErasure = asyncHandler(async (req, res) => {
+    const request = await approveErasureRequest(req.params.id, req.admin.id, req.body?.note);
+    res.status(200).json(new ApiResponsive(200, { request }, 'User data erased'));
+});
+
+/**
+ * @route POST /api/admin/erasure-requests/:id/reject
+ * @body { note: string } - shown to the user
+ * @access Protected (users:delete)
+ */
+export const rejectErasure = asyncHandler(async (req, res) => {
+    const request = await rejectErasureRequest(req.params.id, req.admin.id, req.body?.note);
+    res.status(200).json(new ApiResponsive(200, { request }, 'Erasure request rejected'));
+});
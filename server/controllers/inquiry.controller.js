@@ -2,6 +2,7 @@ import { PrismaClient } from "@prisma/client";
 import { ApiResponsive } from "../utils/ApiResponsive.js";
 import { isValidIndianNumber } from "../utils/validation.js";
 import { decryptFields, SENSITIVE_FIELDS } from "../utils/kms.util.js";
+import { computeSearchIndex, searchIndexFilter } from "../utils/blindIndex.util.js";
 
 const prisma = new PrismaClient();
 
@@ -27,6 +28,7 @@ export const createCreditCheckInquiry = async (req, res) => {
             data: {
                 firstName,
                 mobileNumber,
+                searchIndex: computeSearchIndex("CreditCheckInquiry", { firstName, mobileNumber }),
                 consent: consent || true,
                 ipAddress: req.ip || req.headers["x-forwarded-for"] || null,
                 userAgent: req.headers["user-agent"] || null,
@@ -56,13 +58,9 @@ export const getAllCreditCheckInquiries = async (req, res) => {
         // Status filter
         if (status) where.status = status;
 
-        // Search filter (name or phone)
-        if (search) {
-            where.OR = [
-                { firstName: { contains: search, mode: 'insensitive' } },
-                { mobileNumber: { contains: search } },
-            ];
-        }
+        // Search filter (blind index: name, phone, email)
+        const searchFilter = searchIndexFilter(search);
+        if (searchFilter) where.AND = [searchFilter];
 
         // Date range filter
         if (dateFrom || dateTo) {
@@ -158,6 +156,7 @@ export const createContactInquiry = async (req, res) => {
                 phone: phone || null,
                 subject: subject || null,
                 message,
+                searchIndex: computeSearchIndex("ContactInquiry", { name, email, phone }),
                 ipAddress: req.ip || req.headers["x-forwarded-for"] || null,
                 userAgent: req.headers["user-agent"] || null,
             },
@@ -186,14 +185,9 @@ export const getAllContactInquiries = async (req, res) => {
         // Status filter
         if (status) where.status = status;
 
-        // Search filter (name, email, or phone)
-        if (search) {
-            where.OR = [
-                { name: { contains: search, mode: 'insensitive' } },
-                { email: { contains: search, mode: 'insensitive' } },
-                { phone: { contains: search } },
-            ];
-        }
+        // Search filter (blind index: name, email, phone)
+        const searchFilter = searchIndexFilter(search);
+        if (searchFilter) where.AND = [searchFilter];
 
         // Date range filter
         if (dateFrom || dateTo) {
@@ -293,6 +287,7 @@ export const createHomeLoanInquiry = async (req, res) => {
                 monthlyIncome: monthlyIncome || null,
                 employmentType: employmentType || null,
                 remarks: remarks || null,
+                searchIndex: computeSearchIndex("HomeLoanInquiry", { name, phone }),
                 ipAddress: req.ip || req.headers["x-forwarded-for"] || null,
                 userAgent: req.headers["user-agent"] || null,
             },
@@ -321,14 +316,9 @@ export const getAllHomeLoanInquiries = async (req, res) => {
         // Status filter
         if (status) where.status = status;
 
-        // Search filter (name, phone, or city)
-        if (search) {
-            where.OR = [
-                { name: { contains: search, mode: 'insensitive' } },
-                { phone: { contains: search } },
-                { city: { contains: search, mode: 'insensitive' } },
-            ];
-        }
+        // Search filter (blind index: name, phone)
+        const searchFilter = searchIndexFilter(search);
+        if (searchFilter) where.AND = [searchFilter];
 
         // Date range filter
         if (dateFrom || dateTo) {
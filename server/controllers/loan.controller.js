@@ -3,6 +3,7 @@ import { prisma } from "../config/db.js";
 import ApiError from "../utils/ApiError.js";
 import { ApiResponsive } from "../utils/ApiResponsive.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { searchIndexFilter } from "../utils/blindIndex.util.js";
 
 
 
@@ -33,8 +34,11 @@ export const listLoans = asyncHandler(async (req, res) => {
         where.purpose = req.query.purpose;
     }
 
-
-
+    // Search filter (blind index on the applicant's user record)
+    const searchFilter = searchIndexFilter(req.query.search);
+    if (searchFilter) {
+        where.user = searchFilter;
+    }
 
     const [loans, total] = await Promise.all([
         prisma.loan.findMany({ where, skip, take: limit, orderBy: { createdAt: "desc" } }),
@@ -0,0 +1,116 @@
+/**
+ * ================================================================================
+ * OFFER CONTROLLER - PRE-QUALIFIED LOAN OFFERS
+ * ================================================================================
+ *
+ * User routes (userAuth): offers matched from the user's own active credit
+ * report (services/loanOffer.service.js), and applying for one as a loan lead.
+ * Admin routes (loans:read / loans:write): the lender product catalogue.
+ * Catalogue changes are written to the audit log.
+ *
+ * ================================================================================
+ */
+
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponsive } from '../utils/ApiResponsive.js';
+import { logDataAccess } from '../utils/kms.util.js';
+import * as offers from '../services/loanOffer.service.js';
+
+// Query / body numbers arrive as strings or numbers; '' means not given
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+const offerInput = (source) => ({
+    monthlyIncome: toNumber(source.monthlyIncome),
+    amount: toNumber(source.amount),
+    tenureMonths: toNumber(source.tenureMonths),
+});
+
+// ================================================================================
+// USER
+// ================================================================================
+
+/**
+ * Pre-qualified offers for the user's active credit report
+ *
+ * @route GET /api/offers/my?monthlyIncome=&loanType=&amount=&tenureMonths=
+ * @access Protected (user)
+ */
+export const getMyOffers = asyncHandler(async (req, res) => {
+    const result = await offers.matchOffers(req.user.id, {
+        ...offerInput(req.query),
+        loanType: req.query.loanType ? String(req.query.loanType).toUpperCase() : undefined,
+    });
+
+    res.status(200).json(new ApiResponsive(200, result, 'Offers fetched'));
+});
+
+/**
+ * Apply for an offer — re-checked server-side, then saved as a loan lead
+ *
+ * @route POST /api/offers/:productId/apply
+ * @body { monthlyIncome: number, amount?: number, tenureMonths?: number }
+ * @access Protected (user)
+ */
+export const applyForOffer = asyncHandler(async (req, res) => {
+    const loan = await offers.applyForOffer(req.user.id, req.params.productId, offerInput(req.body || {}));
+
+    res.status(201).json(new ApiResponsive(201, { loan }, 'Application submitted'));
+});
+
+// ================================================================================
+// ADMIN - LENDER CATALOGUE
+// ================================================================================
+
+/**
+ * @route GET /api/admin/lender-products?loanType=
+ * @access Protected (loans:read)
+ */
+export const getLenderProducts = asyncHandler(async (req, res) => {
+    const products = await offers.listLenderProducts({
+        loanType: req.query.loanType ? String(req.query.loanType).toUpperCase() : undefined,
+    });
+
+    res.status(200).json(new ApiResponsive(200, { products, loanTypes: offers.LOAN_TYPES }, 'Lender products fetched'));
+});
+
+/**
+ * @route POST /api/admin/lender-products
+ * @access Protected (loans:write)
+ */
+export const createLenderProduct = asyncHandler(async (req, res) => {
+    const product = await offers.createLenderProduct(req.body, req.admin.id);
+
+    logDataAccess('create', 'LenderProduct', product.id, req.admin.id, {
+        metadata: { lenderName: product.lenderName, productName: product.productName },
+    });
+
+    res.status(201).json(new ApiResponsive(201, { product }, 'Lender product created'));
+});
+
+/**
+ * @route PUT /api/admin/lender-products/:id
+ * @access Protected (loans:write)
+ */
+export const updateLenderProduct = asyncHandler(async (req, res) => {
+    const product = await offers.updateLenderProduct(req.params.id, req.body);
+
+    logDataAccess('update', 'LenderProduct', product.id, req.admin.id, {
+        metadata: { fields: Object.keys(req.body || {}) },
+    });
+
+    res.status(200).json(new ApiResponsive(200, { product }, 'Lender product updated'));
+});
+
+/**
+ * @route DELETE /api/admin/lender-products/:id
+ * @access Protected (loans:write)
+ */
+export const deleteLenderProduct = asyncHandler(async (req, res) => {
+    const product = await offers.deleteLenderProduct(req.params.id);
+
+    logDataAccess('delete', 'LenderProduct', product.id, req.admin.id, {
+        metadata: { lenderName: product.lenderName, productName: product.productName },
+    });
+
+    res.status(200).json(new ApiResponsive(200, { id: product.id }, 'Lender product deleted'));
+});
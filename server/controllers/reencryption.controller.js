@@ -0,0 +1,92 @@
+/**
+ * ================================================================================
+ * RE-ENCRYPTION CONTROLLER - KEY ROTATION JOBS
+ * ================================================================================
+ *
+ * All routes require keys:manage. Jobs run in the background inside the API
+ * process (services/reencryption.service.js); progress is read back from the
+ * job row. Starting, pausing and resuming are written to the audit log.
+ *
+ * ================================================================================
+ */
+
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponsive } from '../utils/ApiResponsive.js';
+import { logDataAccess } from '../utils/kms.util.js';
+import { getKeyProvider } from '../services/keyProvider.service.js';
+import {
+    createReencryptionJob,
+    pauseReencryptionJob,
+    resumeReencryptionJob,
+    listReencryptionJobs,
+    runInBackground,
+    withSummary,
+} from '../services/reencryption.service.js';
+
+/**
+ * List recent re-encryption jobs with per-model progress
+ *
+ * @route GET /api/admin/reencryption-jobs
+ * @access Protected (keys:manage)
+ */
+export const getReencryptionJobs = asyncHandler(async (req, res) => {
+    const provider = getKeyProvider();
+    const jobs = await listReencryptionJobs();
+
+    res.status(200).json(
+        new ApiResponsive(200, {
+            currentKey: { provider: provider.name, keyId: provider.keyId },
+            jobs,
+        }, 'Re-encryption jobs fetched')
+    );
+});
+
+/**
+ * Start re-encrypting all encrypted columns to the current key
+ *
+ * @route POST /api/admin/reencryption-jobs
+ * @body { batchSize?: number }
+ * @access Protected (keys:manage)
+ */
+export const startReencryption = asyncHandler(async (req, res) => {
+    const job = await createReencryptionJob({
+        startedById: req.admin.id,
+        batchSize: req.body?.batchSize,
+    });
+    runInBackground(job.id);
+
+    logDataAccess('reencryption_start', 'ReencryptionJob', job.id, req.admin.id, {
+        metadata: { targetKeyId: job.targetKeyId, batchSize: job.batchSize },
+    });
+
+    res.status(202).json(new ApiResponsive(202, { job: withSummary(job) }, 'Re-encryption job started'));
+});
+
+/**
+ * Pause after the current batch
+ *
+ * @route POST /api/admin/reencryption-jobs/:id/pause
+ * @access Protected (keys:manage)
+ */
+export const pauseReencryption = asyncHandler(async (req, res) => {
+    const job = await pauseReencryptionJob(req.params.id);
+
+    logDataAccess('reencryption_pause', 'ReencryptionJob', job.id, req.admin.id);
+
+    res.status(200).json(new ApiResponsive(200, { job: withSummary(job) }, 'Re-encryption job paused'));
+});
+
+/**
+ * Continue a paused or failed job from where it stopped
+ *
+ * @route POST /api/admin/reencryption-jobs/:id/resume
+ * @access Protected (keys:manage)
+ */
+export const resumeReencryption = asyncHandler(async (req, res) => {
+    const job = await resumeReencryptionJob(req.params.id);
+    runInBackground(job.id);
+
+    logDataAccess('reencryption_resume', 'ReencryptionJob', job.id, req.admin.id);
+
+    res.status(200).json(new ApiResponsive(200, { job: withSummary(job) }, 'Re-encryption job resumed'));
+});
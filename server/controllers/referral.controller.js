@@ -1,6 +1,7 @@
 import { PrismaClient } from "@prisma/client";
 import { ApiResponsive } from "../utils/ApiResponsive.js";
 import { isValidIndianNumber } from "../utils/validation.js";
+import { computeSearchIndex, searchIndexFilter } from "../utils/blindIndex.util.js";
 
 const prisma = new PrismaClient();
 
@@ -40,6 +41,10 @@ export const createReferralInquiry = async (req, res) => {
                 relationship: relationship || null,
                 loanType: loanType || null,
                 remarks: remarks || null,
+                searchIndex: computeSearchIndex("ReferralInquiry", {
+                    referrerName, referrerPhone, referrerEmail,
+                    refereeName, refereePhone, refereeEmail,
+                }),
                 ipAddress: req.ip || req.headers["x-forwarded-for"] || null,
                 userAgent: req.headers["user-agent"] || null,
             },
@@ -69,15 +74,9 @@ export const getAllReferralInquiries = async (req, res) => {
         // Status filter
         if (status) where.status = status;
 
-        // Search filter (referrer/referee name or phone)
-        if (search) {
-            where.OR = [
-                { referrerName: { contains: search, mode: 'insensitive' } },
-                { referrerPhone: { contains: search } },
-                { refereeName: { contains: search, mode: 'insensitive' } },
-                { refereePhone: { contains: search } },
-            ];
-        }
+        // Search filter (blind index: referrer/referee name, phone, email)
+        const searchFilter = searchIndexFilter(search);
+        if (searchFilter) where.AND = [searchFilter];
 
         // Date range filter
         if (dateFrom || dateTo) {
@@ -0,0 +1,65 @@
+/**
+ * ================================================================================
+ * RETENTION CONTROLLER - DATA RETENTION POLICIES
+ * ================================================================================
+ *
+ * Reads the configured retention policies and the retention report (recent
+ * RetentionRun rows), and starts runs on demand. Policies themselves are set
+ * in config (config/retention.js), not through the API. Runs are written to
+ * the audit log by services/retention.service.js.
+ *
+ * ================================================================================
+ */
+
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponsive } from '../utils/ApiResponsive.js';
+import {
+    getRetentionPolicies,
+    listRetentionRuns,
+    createRetentionRun,
+    applyRetentionRun,
+} from '../services/retention.service.js';
+
+/**
+ * Configured policies and recent runs with per-policy results
+ *
+ * @route GET /api/admin/retention
+ * @query { limit?: number }
+ * @access Protected (audit:read)
+ */
+export const getRetention = asyncHandler(async (req, res) => {
+    const runs = await listRetentionRuns(req.query.limit);
+
+    res.status(200).json(
+        new ApiResponsive(200, { policies: getRetentionPolicies(), runs }, 'Retention policies fetched')
+    );
+});
+
+/**
+ * Apply the retention policies now. A dry run is answered with its report;
+ * a real run continues in the background — poll GET /retention for the result.
+ *
+ * @route POST /api/admin/retention/runs
+ * @body { dryRun?: boolean, only?: string[] }
+ * @access Protected (retention:manage)
+ */
+export const startRetentionRun = asyncHandler(async (req, res) => {
+    const { dryRun = false, only } = req.body || {};
+    const started = await createRetentionRun({
+        dryRun: !!dryRun,
+        only: Array.isArray(only) && only.length > 0 ? only : undefined,
+        trigger: 'manual',
+        startedById: req.admin.id,
+    });
+
+    if (started.run.dryRun) {
+        const run = await applyRetentionRun(started);
+        return res.status(200).json(new ApiResponsive(200, { run }, 'Retention dry run complete'));
+    }
+
+    applyRetentionRun(started).catch((error) => {
+        console.error(`[Retention] Run ${started.run.id} failed:`, error.message);
+    });
+
+    res.status(202).json(new ApiResponsive(202, { run: started.run }, 'Retention run started'));
+});
@@ -8,6 +8,23 @@ import {
     getUserAgent,
     parseDeviceInfo
 } from "../middleware/consentMiddleware.js";
+import { searchIndexFilter } from "../utils/blindIndex.util.js";
+
+/**
+ * Admin session search: user name / phone via the blind index, or a plain
+ * IP address / page match (sessions themselves hold no encrypted fields).
+ */
+const sessionSearchWhere = (search) => {
+    const q = typeof search === 'string' ? search.trim() : '';
+    if (!q) return {};
+    return {
+        OR: [
+            { user: searchIndexFilter(q) },
+            { ipAddress: { contains: q } },
+            { currentPage: { contains: q, mode: 'insensitive' } },
+        ],
+    };
+};
 
 // Create a new session (called on login)
 export const createSession = async (req, res) => {
@@ -128,6 +145,7 @@ export const updateSession = async (req, res) => {
 export const getAllSessions = async (req, res) => {
     try {
         const sessions = await prisma.userSession.findMany({
+            where: sessionSearchWhere(req.query.search),
             include: {
                 user: {
                     select: {
@@ -346,6 +364,7 @@ export const updateAnonSession = async (req, res) => {
 export const getAllSessionsGrouped = async (req, res) => {
     try {
         const sessions = await prisma.userSession.findMany({
+            where: sessionSearchWhere(req.query.search),
             include: {
                 user: {
                     select: {
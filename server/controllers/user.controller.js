@@ -1,35 +1,42 @@
-import jwt from "jsonwebtoken";
 import { prisma } from "../config/db.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import { ApiResponsive } from "../utils/ApiResponsive.js";
 import { encryptUserData, decryptUserData } from "../services/encryption.service.js";
 import { isValidIndianNumber } from "../utils/validation.js";
-import axios from "axios";
-
-// Cookie Options
-// Cookie Options
-const COOKIE_OPTIONS = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    path: "/"
-};
+import { canViewPii } from "../middlewares/isAdmin.js";
+import { logDataAccess } from "../utils/kms.util.js";
+import { computeSearchIndex, searchIndexFilter } from "../utils/blindIndex.util.js";
+import { refreshSearchIndex } from "../services/searchIndex.service.js";
+import { smsService } from "../services/sms.service.js";
+import { createOtpSession, verifyOtpCode } from "../utils/otp.util.js";
+import {
+    REFRESH_COOKIE,
+    issueSession,
+    rotateRefreshToken,
+    revokeSessionByRefreshToken,
+    revokeAllUserSessions,
+    setAuthCookies,
+    clearAuthCookies,
+} from "../services/authSession.service.js";
 
 // List users with pagination
 export const listUsers = asyncHandler(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
+
+    // Search filter (blind index: name, phone, PAN / Aadhaar)
+    const where = searchIndexFilter(req.query.search) || {};
+
     const [users, total] = await Promise.all([
-        prisma.user.findMany({ skip, take: limit, orderBy: { createdAt: "desc" } }),
-        prisma.user.count(),
+        prisma.user.findMany({ where, skip, take: limit, orderBy: { createdAt: "desc" }, omit: { searchIndex: true } }),
+        prisma.user.count({ where }),
     ]);
 
-    // Decrypt user data for admin view (No masking only if SUPER_ADMIN)
-    const isSuperAdmin = req.user?.role === 'SUPER_ADMIN';
-    const decryptedUsers = await Promise.all(users.map(async user => await decryptUserData(user, !isSuperAdmin)));
+    // Decrypt user data for admin view (No masking only with pii:view)
+    const showPii = canViewPii(req);
+    const decryptedUsers = await Promise.all(users.map(async user => await decryptUserData(user, !showPii)));
 
     res.json(new ApiResponsive(200, { users: decryptedUsers, total, page, limit }, "Users fetched"));
 });
@@ -40,9 +47,10 @@ export const getUser = asyncHandler(async (req, res) => {
     const user = await prisma.user.findUnique({ where: { id: userId } });
     if (!user) throw new ApiError(404, "User not found");
 
-    // Decrypt user data for admin view (No masking only if SUPER_ADMIN)
-    const isSuperAdmin = req.user?.role === 'SUPER_ADMIN';
-    const decryptedUser = await decryptUserData(user, !isSuperAdmin);
+    // Decrypt user data for admin view (No masking only with pii:view)
+    const showPii = canViewPii(req);
+    const decryptedUser = await decryptUserData(user, !showPii);
+    logDataAccess('decrypt', 'User', user.id, req.admin.id, { subjectUserId: user.id, piiUnmasked: showPii });
 
     res.json(new ApiResponsive(200, { user: decryptedUser }, "User fetched"));
 });
@@ -92,6 +100,7 @@ export const updateUserSelf = asyncHandler(async (req, res) => {
     data = await encryptUserData(data);
 
     const user = await prisma.user.update({ where: { id: userId }, data });
+    await refreshSearchIndex('User', user);
 
     // Decrypt for user response (Masked)
     const decryptedUser = await decryptUserData(user, true);
@@ -140,10 +149,11 @@ export const updateUser = asyncHandler(async (req, res) => {
     data = await encryptUserData(data);
 
     const user = await prisma.user.update({ where: { id: userId }, data });
+    await refreshSearchIndex('User', user);
 
-    // Decrypt for admin view (No masking only if SUPER_ADMIN)
-    const isSuperAdmin = req.user?.role === 'SUPER_ADMIN';
-    const decryptedUser = await decryptUserData(user, !isSuperAdmin);
+    // Decrypt for admin view (No masking only with pii:view)
+    const showPii = canViewPii(req);
+    const decryptedUser = await decryptUserData(user, !showPii);
 
     res.json(new ApiResponsive(200, { user: decryptedUser }, "User updated"));
 });
@@ -170,109 +180,61 @@ export const bulkDeleteUsers = asyncHandler(async (req, res) => {
     res.json(new ApiResponsive(200, { deletedCount: result.count }, `Successfully deleted ${result.count} users`));
 });
 
-// Helper to generate JWT for user
-const generateUserToken = (user) => {
-    return jwt.sign({ id: user.id, phoneNumber: user.phoneNumber }, process.env.JWT_SECRET, {
-        expiresIn: "7d",
-    });
-};
-
-// User Register (phone/OTP)
+// User Register (phone/OTP) - the number must be proven with an OTP from /send-otp, as for login
 export const registerUser = asyncHandler(async (req, res) => {
-    const { phoneNumber } = req.body;
-    if (!phoneNumber) throw new ApiError(400, "Phone number required");
+    const { phoneNumber, otp } = req.body;
+    if (!phoneNumber || !otp) throw new ApiError(400, "Phone number and OTP required");
     if (!isValidIndianNumber(phoneNumber)) throw new ApiError(400, "Invalid or fake phone number");
     let user = await prisma.user.findUnique({ where: { phoneNumber } });
     if (user) throw new ApiError(400, "User already exists");
 
-    // Generate Token
-    const token = generateUserToken(user);
+    await verifyOtpCode(phoneNumber, otp);
 
-    // Save token to user
-    await prisma.user.update({
-        where: { id: user.id },
-        data: { accessToken: token }
+    user = await prisma.user.create({
+        data: {
+            phoneNumber,
+            isVerified: true,
+            lastLogin: new Date(),
+            searchIndex: computeSearchIndex('User', { phoneNumber }),
+        },
     });
 
+    // Access + refresh token pair bound to a new device session
+    const tokens = await issueSession(user, req);
+
     const decryptedUser = await decryptUserData(user, true); // Mask on registration
 
-    res.status(201)
-        .cookie("user_token", token, COOKIE_OPTIONS)
-        .json(new ApiResponsive(201, { user: decryptedUser, token }, "User registered"));
+    setAuthCookies(res.status(201), tokens)
+        .json(new ApiResponsive(201, { user: decryptedUser, token: tokens.accessToken }, "User registered"));
 });
 
-// Send OTP via MSG91 Flow API
+// Send OTP through the configured SMS provider (primary + failover)
+const deliverOtp = async (phoneNumber, otp) => {
+    if (!smsService.isConfigured()) {
+        throw new ApiError(500, 'SMS service not configured. Please contact support.');
+    }
+    const result = await smsService.sendOtp(phoneNumber, otp);
+    console.log(`SMS provider (${result.provider}) response:`, result.response);
+    return result;
+};
+
+const devModeSuffix = (message) => (smsService.isDevMode ? `${message} (Dev Mode)` : message);
+
+// Send OTP
 export const sendOtp = asyncHandler(async (req, res) => {
     const { phoneNumber } = req.body;
     if (!phoneNumber) throw new ApiError(400, "Phone number required");
     if (!isValidIndianNumber(phoneNumber)) throw new ApiError(400, "Invalid or fake phone number");
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 min
+    // Generate 6-digit OTP — only its HMAC is stored. Per-phone lock, resend
+    // cooldown and daily quota are checked with the insert (429 with Retry-After)
+    const otp = await createOtpSession(res, phoneNumber);
 
-    // Save OTP to database
-    await prisma.otpSession.create({
-        data: { phoneNumber, otp, expiresAt },
-    });
-
-    // Development mode: Log OTP to console instead of sending SMS
-    if (process.env.NODE_ENV !== 'production') {
-        console.log(`[DEV] OTP for ${phoneNumber}: ${otp}`);
-        return res.json(new ApiResponsive(200, null, 'OTP sent successfully (Dev Mode)'));
-    }
-
-    const MSG91_AUTH_KEY = process.env.MSG91_AUTH_KEY;
-    const MSG91_TEMPLATE_ID = process.env.MSG91_TEMPLATE_ID;
-
-    if (MSG91_AUTH_KEY && MSG91_TEMPLATE_ID) {
-        try {
-            // Format mobile number with country code
-            const formattedMobile = phoneNumber && phoneNumber.length === 10
-                ? `91${phoneNumber}`
-                : phoneNumber;
-
-            // MSG91 Flow API request body
-            const requestBody = {
-                template_id: MSG91_TEMPLATE_ID,
-                short_url: "0",
-                realTimeResponse: "1",
-                recipients: [
-                    {
-                        mobiles: formattedMobile,
-                        otp: otp
-                    }
-                ]
-            };
-
-            const url = 'https://control.msg91.com/api/v5/flow';
-            const resp = await axios.post(url, requestBody, {
-                headers: {
-                    'accept': 'application/json',
-                    'authkey': MSG91_AUTH_KEY,
-                    'content-type': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            const d = resp.data || {};
-            console.log('MSG91 Flow API response:', d);
-
-            // MSG91 success response has type: 'success'
-            if (d.type === 'success') {
-                return res.json(new ApiResponsive(200, null, 'OTP sent successfully'));
-            } else {
-                console.warn('MSG91 Flow API responded with unexpected body:', d);
-                return res.status(502).json(new ApiResponsive(502, { provider: d }, 'MSG91 rejected OTP request'));
-            }
-        } catch (err) {
-            console.error('MSG91 Flow API failed:', err.message || err, err.response && err.response.data ? err.response.data : '');
-            const prov = err.response && err.response.data ? err.response.data : { message: err.message };
-            return res.status(502).json(new ApiResponsive(502, { provider: prov }, 'MSG91 send failed'));
-        }
+    const result = await deliverOtp(phoneNumber, otp);
+    if (result.success) {
+        return res.json(new ApiResponsive(200, null, devModeSuffix('OTP sent successfully')));
     }
-    // Production: MSG91 is required
-    throw new ApiError(500, 'SMS service not configured. Please contact support.');
+    return res.status(502).json(new ApiResponsive(502, { provider: result.response }, 'SMS provider rejected OTP request'));
 });
 
 // Verify OTP and login (DB verification only)
@@ -280,33 +242,27 @@ export const verifyOtp = asyncHandler(async (req, res) => {
     const { phoneNumber, otp } = req.body;
     if (!phoneNumber || !otp) throw new ApiError(400, "Phone number and OTP required");
 
-    const result = await prisma.$transaction(async (tx) => {
-        // Verify OTP from database
-        const session = await tx.otpSession.findFirst({
-            where: { phoneNumber, otp, isVerified: false, expiresAt: { gt: new Date() } },
-            orderBy: { createdAt: 'desc' },
-        });
-
-        if (!session) throw new ApiError(400, 'Invalid or expired OTP');
-
-        // Mark OTP as verified
-        await tx.otpSession.update({ where: { id: session.id }, data: { isVerified: true } });
+    // Verify OTP against the stored hash. Runs outside the transaction so a
+    // failed attempt is still counted when we throw.
+    await verifyOtpCode(phoneNumber, otp);
 
+    const result = await prisma.$transaction(async (tx) => {
         // Find or create user (Upsert to handle race conditions)
         const user = await tx.user.upsert({
             where: { phoneNumber },
             update: {}, // No changes if user exists, just return it
-            create: { phoneNumber },
+            create: { phoneNumber, searchIndex: computeSearchIndex('User', { phoneNumber }) },
         });
 
-        const token = generateUserToken(user);
-
         // Update user and capture the updated record
         const updatedUser = await tx.user.update({
             where: { id: user.id },
-            data: { accessToken: token, lastLogin: new Date(), isVerified: true }
+            data: { lastLogin: new Date(), isVerified: true }
         });
 
+        // New device session: short-lived access token + rotating refresh token
+        const tokens = await issueSession(updatedUser, req, tx);
+
         // Link guest session if sessionId provided
         if (req.body.sessionId) {
             await tx.userSession.update({
@@ -317,15 +273,14 @@ export const verifyOtp = asyncHandler(async (req, res) => {
             });
         }
 
-        return { token, user: updatedUser };
+        return { tokens, user: updatedUser };
     });
 
     // Decrypt for user response (Masked)
     const decryptedUser = await decryptUserData(result.user, true);
 
-    res
-        .cookie("user_token", result.token, COOKIE_OPTIONS)
-        .json(new ApiResponsive(200, { token: result.token, user: decryptedUser }, 'Login successful'));
+    setAuthCookies(res, result.tokens)
+        .json(new ApiResponsive(200, { token: result.tokens.accessToken, user: decryptedUser }, 'Login successful'));
 });
 
 // User Profile (protected)
@@ -359,9 +314,10 @@ export const getUserDetails = asyncHandler(async (req, res) => {
 
     if (!user) throw new ApiError(404, "User not found");
 
-    // Decrypt user data for admin view (with masking)
-    const isSuperAdmin = req.user?.role === 'SUPER_ADMIN';
-    const decryptedUser = await decryptUserData(user, !isSuperAdmin);
+    // Decrypt user data for admin view (masked unless pii:view)
+    const showPii = canViewPii(req);
+    const decryptedUser = await decryptUserData(user, !showPii);
+    logDataAccess('decrypt', 'User', user.id, req.admin.id, { subjectUserId: user.id, piiUnmasked: showPii });
 
     res.json(new ApiResponsive(200, { user: decryptedUser }, "User details fetched"));
 });
@@ -386,73 +342,21 @@ export const getFullUserProfile = asyncHandler(async (req, res) => {
     res.json(new ApiResponsive(200, { user: decryptedUser, lastCibil, loans }, 'Full user profile fetched'));
 });
 
-// Resend OTP via MSG91 Flow API
+// Resend OTP
 export const retryOtp = asyncHandler(async (req, res) => {
     const { phoneNumber } = req.body;
     if (!phoneNumber) throw new ApiError(400, 'Phone number required');
     if (!isValidIndianNumber(phoneNumber)) throw new ApiError(400, "Invalid or fake phone number");
 
-    // Generate new 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 min
+    // Generate new 6-digit OTP — only its HMAC is stored. Per-phone lock, resend
+    // cooldown and daily quota are checked with the insert (429 with Retry-After)
+    const otp = await createOtpSession(res, phoneNumber);
 
-    // Save new OTP to database
-    await prisma.otpSession.create({ data: { phoneNumber, otp, expiresAt } });
-
-    // Development mode: Log OTP to console instead of sending SMS
-    if (process.env.NODE_ENV !== 'production') {
-        console.log(`[DEV] OTP for ${phoneNumber}: ${otp}`);
-        return res.json(new ApiResponsive(200, null, 'OTP resent successfully (Dev Mode)'));
-    }
-
-    const MSG91_AUTH_KEY = process.env.MSG91_AUTH_KEY;
-    const MSG91_TEMPLATE_ID = process.env.MSG91_TEMPLATE_ID;
-
-    if (MSG91_AUTH_KEY && MSG91_TEMPLATE_ID) {
-        try {
-            // Format mobile number with country code
-            const formattedMobile = phoneNumber && phoneNumber.length === 10
-                ? `91${phoneNumber}`
-                : phoneNumber;
-
-            // MSG91 Flow API request body
-            const requestBody = {
-                template_id: MSG91_TEMPLATE_ID,
-                short_url: "0",
-                realTimeResponse: "1",
-                recipients: [
-                    {
-                        mobiles: formattedMobile,
-                        otp: otp
-                    }
-                ]
-            };
-
-            const url = 'https://control.msg91.com/api/v5/flow';
-            const resp = await axios.post(url, requestBody, {
-                headers: {
-                    'accept': 'application/json',
-                    'authkey': MSG91_AUTH_KEY,
-                    'content-type': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            const d = resp.data || {};
-            console.log('MSG91 Flow API resend response:', d);
-
-            if (d.type === 'success') {
-                return res.json(new ApiResponsive(200, null, 'OTP resent successfully'));
-            }
-            return res.status(502).json(new ApiResponsive(502, { provider: d }, 'MSG91 resend rejected'));
-        } catch (err) {
-            console.error('MSG91 Flow API resend failed:', err.message || err, err.response && err.response.data ? err.response.data : '');
-            const prov = err.response && err.response.data ? err.response.data : { message: err.message };
-            return res.status(502).json(new ApiResponsive(502, { provider: prov }, 'MSG91 resend failed'));
-        }
+    const result = await deliverOtp(phoneNumber, otp);
+    if (result.success) {
+        return res.json(new ApiResponsive(200, null, devModeSuffix('OTP resent successfully')));
     }
-    // Production: MSG91 is required
-    throw new ApiError(500, 'SMS service not configured. Please contact support.');
+    return res.status(502).json(new ApiResponsive(502, { provider: result.response }, 'SMS provider rejected OTP resend'));
 });
 
 // Initiate phone number change (send OTP to new phone)
@@ -469,61 +373,15 @@ export const changePhone = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Phone number already in use by another account");
     }
 
-    // Generate and store 6-digit OTP for new phone
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 min
+    // Generate and store 6-digit OTP for new phone (hash only). Per-phone lock, resend
+    // cooldown and daily quota are checked with the insert (429 with Retry-After)
+    const otp = await createOtpSession(res, newPhoneNumber);
 
-    await prisma.otpSession.create({
-        data: { phoneNumber: newPhoneNumber, otp, expiresAt },
-    });
-
-    // Development mode: Log OTP to console instead of sending SMS
-    if (process.env.NODE_ENV !== 'production') {
-        console.log(`[DEV] OTP for ${newPhoneNumber}: ${otp}`);
-        return res.json(new ApiResponsive(200, null, 'OTP sent to new phone number (Dev Mode)'));
-    }
-
-    // Send OTP via MSG91 Flow API
-    const MSG91_AUTH_KEY = process.env.MSG91_AUTH_KEY;
-    const MSG91_TEMPLATE_ID = process.env.MSG91_TEMPLATE_ID;
-
-    if (MSG91_AUTH_KEY && MSG91_TEMPLATE_ID) {
-        try {
-            const formattedMobile = newPhoneNumber.length === 10
-                ? `91${newPhoneNumber}`
-                : newPhoneNumber;
-
-            const requestBody = {
-                template_id: MSG91_TEMPLATE_ID,
-                short_url: "0",
-                realTimeResponse: "1",
-                recipients: [
-                    {
-                        mobiles: formattedMobile,
-                        otp: otp
-                    }
-                ]
-            };
-
-            const url = 'https://control.msg91.com/api/v5/flow';
-            const resp = await axios.post(url, requestBody, {
-                headers: {
-                    'accept': 'application/json',
-                    'authkey': MSG91_AUTH_KEY,
-                    'content-type': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            if (resp.data && resp.data.type === 'success') {
-                return res.json(new ApiResponsive(200, null, 'OTP sent to new phone number'));
-            }
-        } catch (err) {
-            console.error('Failed to send OTP for phone change:', err.message);
-        }
+    const result = await deliverOtp(newPhoneNumber, otp);
+    if (result.success) {
+        return res.json(new ApiResponsive(200, null, devModeSuffix('OTP sent to new phone number')));
     }
-    // Production: MSG91 is required
-    throw new ApiError(500, 'SMS service not configured. Please contact support.');
+    return res.status(502).json(new ApiResponsive(502, { provider: result.response }, 'SMS provider rejected OTP request'));
 });
 
 // Verify OTP and change phone number
@@ -533,34 +391,52 @@ export const verifyPhoneChange = asyncHandler(async (req, res) => {
 
     if (!newPhoneNumber || !otp) throw new ApiError(400, "Phone number and OTP required");
 
-    // Verify OTP from DB
-    const session = await prisma.otpSession.findFirst({
-        where: { phoneNumber: newPhoneNumber, otp, isVerified: false, expiresAt: { gt: new Date() } },
-        orderBy: { createdAt: 'desc' },
-    });
-
-    if (!session) throw new ApiError(400, 'Invalid or expired OTP');
-
-    // Mark OTP as verified
-    await prisma.otpSession.update({ where: { id: session.id }, data: { isVerified: true } });
+    // Verify OTP against the stored hash (counts attempts, locks at maxAttempts)
+    await verifyOtpCode(newPhoneNumber, otp);
 
     // Update user's phone number
     const user = await prisma.user.update({
         where: { id: userId },
         data: { phoneNumber: newPhoneNumber }
     });
+    await refreshSearchIndex('User', user);
 
     const decryptedUser = await decryptUserData(user, true);
     res.json(new ApiResponsive(200, { user: decryptedUser }, 'Phone number updated successfully'));
 });
 
-// Logout User
+// Exchange the refresh cookie for a new access + refresh token pair
+export const refreshUserToken = asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await rotateRefreshToken(req.cookies?.[REFRESH_COOKIE], req);
+    } catch (error) {
+        clearAuthCookies(res);
+        throw error;
+    }
+
+    const decryptedUser = await decryptUserData(result.user, true);
+
+    setAuthCookies(res, result)
+        .json(new ApiResponsive(200, { token: result.accessToken, user: decryptedUser }, "Token refreshed"));
+});
+
+// Logout User (revokes this device's session)
 export const logoutUser = asyncHandler(async (req, res) => {
-    res
-        .clearCookie("user_token", { ...COOKIE_OPTIONS, maxAge: 0 })
+    await revokeSessionByRefreshToken(req.cookies?.[REFRESH_COOKIE]);
+
+    clearAuthCookies(res)
         .json(new ApiResponsive(200, {}, "Logged out successfully"));
 });
 
+// Logout from every device
+export const logoutAllDevices = asyncHandler(async (req, res) => {
+    const revoked = await revokeAllUserSessions(req.user.id);
+
+    clearAuthCookies(res)
+        .json(new ApiResponsive(200, { revokedSessions: revoked }, "Logged out from all devices"));
+});
+
 // Get Current User (Me)
 export const getMe = asyncHandler(async (req, res) => {
     const user = req.user;
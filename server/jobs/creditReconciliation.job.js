@@ -0,0 +1,80 @@
+/**
+ * =============================================================
+ * CREDIT REPORT RECONCILIATION CRON JOB
+ * =============================================================
+ *
+ * Runs on startup and every 15 minutes:
+ *   Re-checks DeepVue transactions whose report was never saved
+ *   (browser closed, callback lost) — see
+ *   services/creditReconciliation.service.js for backoff / give-up rules.
+ *
+ * Runs daily at 00:30 IST:
+ *   Builds yesterday's reconciliation summary (sessions created,
+ *   reports saved, orphans) for matching DeepVue billing.
+ * =============================================================
+ */
+
+import cron from 'node-cron';
+import {
+    reconcilePendingRequests,
+    buildReconciliationSummary,
+    istDay,
+} from '../services/creditReconciliation.service.js';
+
+let running = false;
+
+async function reconcileStuckTransactions() {
+    // A slow DeepVue can make one run outlast the 15-minute interval
+    if (running) return;
+    running = true;
+
+    try {
+        const result = await reconcilePendingRequests();
+        if (result.checked > 0) {
+            console.log(
+                `[Cron] Reconciliation: ${result.checked} checked, ${result.recovered} recovered, ` +
+                `${result.pending} still processing, ${result.gaveUp} given up, ${result.errors} error(s)`
+            );
+        }
+    } catch (err) {
+        console.error('[Cron] Credit report reconciliation failed:', err.message);
+    } finally {
+        running = false;
+    }
+}
+
+async function buildDailyReconciliationSummary() {
+    const day = istDay(-1);
+    try {
+        const summary = await buildReconciliationSummary(day);
+        console.log(
+            `[Cron] Reconciliation summary ${day}: ${summary.sessionsCreated} session(s), ` +
+            `${summary.reportsSaved} report(s) saved, ${summary.orphans} orphan(s)`
+        );
+    } catch (err) {
+        console.error(`[Cron] Reconciliation summary for ${day} failed:`, err.message);
+    }
+}
+
+/**
+ * Start the credit report reconciliation job.
+ *
+ * Call this once at server startup.
+ */
+export function startCreditReconciliationJob() {
+    reconcileStuckTransactions();
+
+    cron.schedule('*/15 * * * *', () => {
+        reconcileStuckTransactions();
+    });
+
+    cron.schedule('30 0 * * *', () => {
+        buildDailyReconciliationSummary();
+    }, {
+        timezone: 'Asia/Kolkata',
+    });
+
+    console.log('[Cron] Credit reconciliation job scheduled (every 15 minutes, daily summary 00:30 IST)');
+}
+
+export { reconcileStuckTransactions, buildDailyReconciliationSummary };
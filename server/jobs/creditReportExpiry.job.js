@@ -5,86 +5,37 @@
  *
  * Runs daily at midnight (00:00) IST.
  *
- * For each report where expiresAt < now AND status = ACTIVE:
- *   1. Delete PDF from DigitalOcean Spaces
- *   2. Null out pdf path/url in DB
- *   3. Set status = EXPIRED
+ * Every report where expiresAt < now AND status = ACTIVE is set
+ * to EXPIRED, so the user's next check pulls a fresh report.
  *
+ * PDFs and the encrypted bureau payload of expired reports are
+ * removed by the retention policies (jobs/retention.job.js).
  * DB records are NEVER deleted (regulatory compliance).
- * Only the PDF binary is removed after expiry.
  * =============================================================
  */
 
 import cron from 'node-cron';
 import { prisma } from '../config/db.js';    // FIX: use shared singleton, not new PrismaClient()
-import * as storage from '../utils/storage.js';
 
 /**
- * Process expired credit reports:
- * - Delete PDF from object storage
- * - Mark report as EXPIRED in DB
+ * Mark expired credit reports as EXPIRED in DB
  */
 async function processExpiredReports() {
     const now = new Date();
     console.log(`[Cron] Running credit report expiry job at ${now.toISOString()}`);
 
     try {
-        // Find all reports that have passed their expiry and are still marked ACTIVE
-        const expiredReports = await prisma.creditReport.findMany({
+        const { count } = await prisma.creditReport.updateMany({
             where: {
                 status: 'ACTIVE',
                 expiresAt: { lte: now },
             },
-            select: {
-                id: true,
-                userId: true,
-                pdfSpacesPath: true,
-                expiresAt: true,
-            },
+            data: { status: 'EXPIRED' },
         });
 
-        if (expiredReports.length === 0) {
-            console.log('[Cron] No expired reports found.');
-            return;
-        }
-
-        console.log(`[Cron] Found ${expiredReports.length} expired report(s) to process.`);
-
-        let successCount = 0;
-        let errorCount = 0;
-
-        for (const report of expiredReports) {
-            try {
-                // Step 1: Delete PDF from Spaces (if it exists)
-                if (report.pdfSpacesPath) {
-                    try {
-                        await storage.deletePdf(report.pdfSpacesPath);
-                        console.log(`[Cron] PDF deleted for report ${report.id}: ${report.pdfSpacesPath}`);
-                    } catch (pdfErr) {
-                        // Log but don't stop — mark report as expired regardless
-                        console.error(`[Cron] PDF delete failed for report ${report.id}:`, pdfErr.message);
-                    }
-                }
-
-                // Step 2: Mark as EXPIRED in DB, clear pdf fields
-                await prisma.creditReport.update({
-                    where: { id: report.id },
-                    data: {
-                        status: 'EXPIRED',
-                        pdfSpacesPath: null,
-                        pdfSpacesUrl: null,
-                    },
-                });
-
-                successCount++;
-                console.log(`[Cron] Report ${report.id} (user: ${report.userId}) marked as EXPIRED`);
-            } catch (err) {
-                errorCount++;
-                console.error(`[Cron] Failed to process report ${report.id}:`, err.message);
-            }
-        }
-
-        console.log(`[Cron] Expiry job complete. Success: ${successCount}, Errors: ${errorCount}`);
+        console.log(count === 0
+            ? '[Cron] No expired reports found.'
+            : `[Cron] Expiry job complete. ${count} report(s) marked as EXPIRED`);
     } catch (err) {
         console.error('[Cron] Fatal error in expiry job:', err);
     }
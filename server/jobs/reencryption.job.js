@@ -0,0 +1,47 @@
+/**
+ * =============================================================
+ * RE-ENCRYPTION RECOVERY CRON JOB
+ * =============================================================
+ *
+ * Runs on startup and every 5 minutes.
+ *
+ * Re-encryption jobs (services/reencryption.service.js) run inside
+ * the API process. If that process stops mid-job, the job stays
+ * RUNNING with a heartbeat that no longer moves. This job claims
+ * such stale jobs and continues them from their saved cursor.
+ *
+ * Paused jobs are left alone until an admin resumes them.
+ * =============================================================
+ */
+
+import cron from 'node-cron';
+import { claimStaleReencryptionJobs, runInBackground } from '../services/reencryption.service.js';
+
+async function resumeStaleReencryptionJobs() {
+    try {
+        const jobIds = await claimStaleReencryptionJobs();
+        for (const jobId of jobIds) {
+            console.log(`[Cron] Resuming interrupted re-encryption job ${jobId}`);
+            runInBackground(jobId);
+        }
+    } catch (err) {
+        console.error('[Cron] Re-encryption recovery failed:', err.message);
+    }
+}
+
+/**
+ * Start the re-encryption recovery job.
+ *
+ * Call this once at server startup.
+ */
+export function startReencryptionJob() {
+    resumeStaleReencryptionJobs();
+
+    cron.schedule('*/5 * * * *', () => {
+        resumeStaleReencryptionJobs();
+    });
+
+    console.log('[Cron] Re-encryption recovery job scheduled (every 5 minutes)');
+}
+
+export { resumeStaleReencryptionJobs };
@@ -0,0 +1,55 @@
+/**
+ * =============================================================
+ * DATA RETENTION CRON JOB
+ * =============================================================
+ *
+ * Runs daily at 00:15 IST, after the credit report expiry job.
+ *
+ * Applies every enabled retention policy (config/retention.js,
+ * services/retention.service.js) and saves the run as a
+ * RetentionRun — the retention report. Rows that fail are left
+ * for the next day's run.
+ * =============================================================
+ */
+
+import cron from 'node-cron';
+import { runRetention, getRetentionPolicies } from '../services/retention.service.js';
+
+async function applyRetentionPolicies() {
+    try {
+        const run = await runRetention({ trigger: 'schedule' });
+        for (const result of run.results) {
+            if (result.matched > 0 || result.errors.length > 0) {
+                console.log(
+                    `[Cron] Retention ${result.dataClass} (${result.action}, ${result.ttlDays}d): ` +
+                    `${result.processed} processed, ${result.failed} failed` +
+                    (result.errors.length > 0 ? ` — ${result.errors[0].error}` : '')
+                );
+            }
+        }
+        console.log(`[Cron] Retention run ${run.id} complete. Processed: ${run.processed}, Failed: ${run.failed}`);
+    } catch (err) {
+        // Includes a 409 when a run started from the admin API is still going
+        console.error('[Cron] Retention run failed:', err.message);
+    }
+}
+
+/**
+ * Start the daily retention job.
+ * Policies are validated here, so a bad RETENTION_* setting stops startup.
+ *
+ * Call this once at server startup.
+ */
+export function startRetentionJob() {
+    getRetentionPolicies();
+
+    cron.schedule('15 0 * * *', () => {
+        applyRetentionPolicies();
+    }, {
+        timezone: 'Asia/Kolkata',
+    });
+
+    console.log('[Cron] Data retention job scheduled (daily at 00:15 IST)');
+}
+
+export { applyRetentionPolicies };
@@ -1,6 +1,7 @@
 import { prisma } from "../config/db.js";
 import jwt from "jsonwebtoken";
 import ApiError from "../utils/ApiError.js";
+import { resolvePermissions } from "../config/rbac.js";
 
 export const adminAuth = async (req, res, next) => {
     try {
@@ -14,11 +15,9 @@ export const adminAuth = async (req, res, next) => {
         if (!admin || !admin.isActive) {
             throw new ApiError(401, "Not authorized as admin");
         }
-        req.admin = admin;
-
-        // Also expose adminUser on req so shared controllers can check role uniformly.
-        // Controllers check req.user?.role === 'SUPER_ADMIN', so we map admin onto that shape.
-        req.user = { id: admin.id, role: admin.role || 'ADMIN' };
+        // Same shape as isAdmin so hasPermission / canViewPii work behind either middleware
+        req.admin = { ...admin, permissions: resolvePermissions(admin) };
+        req.user = { id: admin.id, role: admin.role };
 
         next();
     } catch (err) {
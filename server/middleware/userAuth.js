@@ -1,6 +1,7 @@
 import { prisma } from "../config/db.js";
 import jwt from "jsonwebtoken";
 import ApiError from "../utils/ApiError.js";
+import { isSessionActive } from "../services/authSession.service.js";
 
 export const userAuth = async (req, res, next) => {
     try {
@@ -15,6 +16,13 @@ export const userAuth = async (req, res, next) => {
             throw new ApiError(401, "No token provided");
         }
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Server-side revocation: the device session behind the token must still be live.
+        // Tokens issued before session tracking carry no sid and are rejected.
+        if (!(await isSessionActive(decoded.sid))) {
+            throw new ApiError(401, "Session expired. Please login again.");
+        }
+
         const user = await prisma.user.findUnique({ where: { id: decoded.id } });
 
         if (!user || !user.isActive) {
@@ -27,8 +35,16 @@ export const userAuth = async (req, res, next) => {
         }
 
         req.user = user;
+        req.authSessionId = decoded.sid;
         next();
     } catch (err) {
+        // Expired/invalid JWTs must surface as 401 so the client can refresh
+        if (err.name === "TokenExpiredError") {
+            return next(new ApiError(401, "Access token expired"));
+        }
+        if (err.name === "JsonWebTokenError") {
+            return next(new ApiError(401, "Invalid token"));
+        }
         next(err);
     }
 };
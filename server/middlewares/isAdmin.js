@@ -26,6 +26,16 @@
 import { prisma } from '../config/db.js';
 import ApiError from '../utils/ApiError.js';
 import { logDataAccess } from '../utils/kms.util.js';
+import { PERMISSIONS, resolvePermissions } from '../config/rbac.js';
+import { isPasswordChangeRequired } from '../utils/passwordPolicy.util.js';
+
+// Routes still open while a password change is pending (everything else → 403)
+const PASSWORD_CHANGE_ALLOWED_PATHS = new Set([
+    '/api/admin/auth/verify',
+    '/api/admin/profile',
+    '/api/admin/change-password',
+    '/api/admin/logout',
+]);
 
 /**
  * Validate admin session and authorize request.
@@ -35,8 +45,13 @@ import { logDataAccess } from '../utils/kms.util.js';
  * 2. Admin exists in database
  * 3. Admin account is active
  * 4. Session has admin role
+ * 5. Password is not due for rotation (else only PASSWORD_CHANGE_ALLOWED_PATHS work)
+ * 
+ * Attaches req.admin = { id, email, name, role, permissions, totpEnabled, passwordChangeRequired }
+ * where permissions is the resolved (role + extra grants) list from config/rbac.js.
  * 
  * @throws {ApiError} 401 if not authenticated or not admin
+ * @throws {ApiError} 403 PASSWORD_CHANGE_REQUIRED while a password change is pending
  */
 export const isAdmin = async (req, res, next) => {
     try {
@@ -66,6 +81,11 @@ export const isAdmin = async (req, res, next) => {
                 email: true,
                 name: true,
                 isActive: true,
+                role: true,
+                permissions: true,
+                totpEnabled: true,
+                mustChangePassword: true,
+                passwordChangedAt: true,
             },
         });
 
@@ -81,12 +101,24 @@ export const isAdmin = async (req, res, next) => {
             throw new ApiError(401, 'Account deactivated. Contact super admin.');
         }
 
-        // SECURITY: Attach admin to request for downstream use
-        req.admin = admin;
+        // SECURITY: Attach admin (with resolved permissions) to request for downstream use
+        req.admin = {
+            id: admin.id,
+            email: admin.email,
+            name: admin.name,
+            role: admin.role,
+            permissions: resolvePermissions(admin),
+            totpEnabled: admin.totpEnabled,
+            passwordChangeRequired: isPasswordChangeRequired(admin),
+        };
+
+        // SECURITY: Forced rotation — nothing but changing the password until it's done
+        if (req.admin.passwordChangeRequired && !PASSWORD_CHANGE_ALLOWED_PATHS.has(req.originalUrl.split('?')[0])) {
+            throw new ApiError(403, 'Password change required', [{ code: 'PASSWORD_CHANGE_REQUIRED' }]);
+        }
 
-        // AUDIT: Log successful admin access (for sensitive operations)
-        // This creates an audit trail for compliance
-        logDataAccess('admin_access', 'session', req.session.id, admin.id);
+        // AUDIT: no per-request entry — routes that read or change data log their
+        // own event (one per request), which keeps audit writes off every page load
 
         next();
     } catch (error) {
@@ -101,22 +133,48 @@ export const isAdmin = async (req, res, next) => {
 };
 
 /**
- * Optional: Check if admin has specific permissions
- * Use for role-based access control (RBAC) if needed in future
+ * Require one or more permissions (ALL must be held).
+ * Must run after isAdmin.
  * 
- * @param {string[]} requiredPermissions - Array of permission strings
+ * @param {string|string[]} requiredPermissions - Permission string(s) from config/rbac.js
+ * @throws {ApiError} 403 if any permission is missing
  */
 export const hasPermission = (requiredPermissions) => {
-    return async (req, res, next) => {
+    const required = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+
+    return (req, res, next) => {
         // Ensure isAdmin ran first
         if (!req.admin) {
             return next(new ApiError(401, 'Authentication required'));
         }
 
-        // Future: Check req.admin.permissions against requiredPermissions
-        // For now, all authenticated admins have full access
+        const missing = required.filter((p) => !req.admin.permissions?.includes(p));
+        if (missing.length > 0) {
+            // AUDIT: Log denied access attempt
+            console.warn('[SECURITY] Admin permission denied:', {
+                timestamp: new Date().toISOString(),
+                adminId: req.admin.id,
+                role: req.admin.role,
+                missing,
+                method: req.method,
+                path: req.originalUrl,
+            });
+            logDataAccess('permission_denied', null, null, req.admin.id, {
+                outcome: 'denied',
+                metadata: { missing },
+            });
+            return next(new ApiError(403, 'You do not have permission to perform this action', missing));
+        }
+
         next();
     };
 };
 
+/**
+ * True if the current admin may see unmasked PII (full PAN, Aadhaar, phone).
+ * 
+ * @param {import('express').Request} req
+ */
+export const canViewPii = (req) => !!req.admin?.permissions?.includes(PERMISSIONS.PII_VIEW);
+
 export default isAdmin;
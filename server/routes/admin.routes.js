@@ -4,7 +4,8 @@
  * ================================================================================
  * 
  * SECURITY:
- * - All routes except login are protected by isAdmin middleware
+ * - All routes except login and invite acceptance are protected by isAdmin middleware
+ * - Each route declares the permission it needs via hasPermission (config/rbac.js)
  * - Session-based authentication with HTTP-only cookies
  * - All data access is logged for audit compliance
  * 
@@ -13,11 +14,12 @@
 
 import express from 'express';
 import {
-    registerAdmin,
     loginAdmin,
+    verifyAdminTwoFactor,
     logoutAdmin,
     verifyAdminSession,
     getAdminProfile,
+    changeAdminPassword,
     listUsers,
     getUser,
     updateUser,
@@ -33,11 +35,64 @@ import {
     softDeleteReferralInquiries,
     updateInquiryStatus,
     getComprehensiveDashboard,
+    searchRecords,
+    getCustomer360,
 } from '../controllers/admin.controller.js';
-import { isAdmin } from '../middlewares/isAdmin.js';
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateTwoFactorRecoveryCodes,
+    getMySessions,
+    revokeMySession,
+    revokeMyOtherSessions,
+    getAdminSessionsForAdmin,
+    revokeAdminSessionForAdmin,
+} from '../controllers/adminSecurity.controller.js';
+import {
+    listAdmins,
+    deactivateAdmin,
+    reactivateAdmin,
+    forceAdminPasswordChange,
+    createInvite,
+    listInvites,
+    revokeInvite,
+    getInviteForToken,
+    acceptInvite,
+} from '../controllers/adminManagement.controller.js';
+import {
+    getAuditLogs,
+    exportAuditLogsHandler,
+    verifyAuditLogs,
+} from '../controllers/audit.controller.js';
+import {
+    getReencryptionJobs,
+    startReencryption,
+    pauseReencryption,
+    resumeReencryption,
+} from '../controllers/reencryption.controller.js';
+import {
+    getRetention,
+    startRetentionRun,
+} from '../controllers/retention.controller.js';
+import {
+    getErasureRequests,
+    approveErasure,
+    rejectErasure,
+} from '../controllers/dataRights.controller.js';
+import {
+    getLenderProducts,
+    createLenderProduct,
+    updateLenderProduct,
+    deleteLenderProduct,
+} from '../controllers/offer.controller.js';
+import { isAdmin, hasPermission } from '../middlewares/isAdmin.js';
+import { PERMISSIONS } from '../config/rbac.js';
 import { prodSafety } from '../middlewares/prodSafety.js';
 
 const router = express.Router();
+const P = PERMISSIONS;
 
 // ================================================================================
 // PUBLIC ROUTES (No Auth)
@@ -50,6 +105,27 @@ const router = express.Router();
  */
 router.post('/login', loginAdmin);
 
+/**
+ * @route POST /api/admin/login/2fa
+ * @desc Second login step for admins with TOTP enabled (body: { code } or { recoveryCode })
+ * @access Public (needs the pending state from /login)
+ */
+router.post('/login/2fa', verifyAdminTwoFactor);
+
+/**
+ * @route GET /api/admin/invites/lookup?token=
+ * @desc Check an invite token and show who it is for
+ * @access Public (token holder)
+ */
+router.get('/invites/lookup', getInviteForToken);
+
+/**
+ * @route POST /api/admin/invites/accept
+ * @desc Accept an invite and set a password (creates the admin account)
+ * @access Public (token holder)
+ */
+router.post('/invites/accept', acceptInvite);
+
 // ================================================================================
 // PROTECTED ROUTES (Session Auth Required)
 // ================================================================================
@@ -76,18 +152,140 @@ router.post('/logout', logoutAdmin);
 router.get('/auth/verify', verifyAdminSession);
 
 /**
- * @route POST /api/admin/register
- * @desc Register new admin (super admin only)
+ * @route GET /api/admin/profile
+ * @desc Get admin profile
+ * @access Protected
+ */
+router.get('/profile', getAdminProfile);
+
+/**
+ * @route POST /api/admin/change-password
+ * @desc Change own password (also clears a forced rotation)
  * @access Protected
  */
-router.post('/register', registerAdmin);
+router.post('/change-password', changeAdminPassword);
 
+// --- Two-Factor Authentication ---
 /**
- * @route GET /api/admin/profile
- * @desc Get admin profile
+ * @route GET /api/admin/2fa
+ * @desc Two-factor status (enabled, recovery codes remaining)
  * @access Protected
  */
-router.get('/profile', getAdminProfile);
+router.get('/2fa', getTwoFactorStatus);
+
+/**
+ * @route POST /api/admin/2fa/setup
+ * @desc Generate TOTP secret + otpauth URL (not active until /2fa/enable)
+ * @access Protected
+ */
+router.post('/2fa/setup', setupTwoFactor);
+
+/**
+ * @route POST /api/admin/2fa/enable
+ * @desc Confirm setup with a code; returns recovery codes once
+ * @access Protected
+ */
+router.post('/2fa/enable', enableTwoFactor);
+
+/**
+ * @route POST /api/admin/2fa/disable
+ * @desc Disable 2FA (body: { password, code | recoveryCode })
+ * @access Protected
+ */
+router.post('/2fa/disable', disableTwoFactor);
+
+/**
+ * @route POST /api/admin/2fa/recovery-codes
+ * @desc Replace recovery codes (body: { code | recoveryCode })
+ * @access Protected
+ */
+router.post('/2fa/recovery-codes', regenerateTwoFactorRecoveryCodes);
+
+// --- Sessions ---
+/**
+ * @route GET /api/admin/sessions
+ * @desc List my live sessions (IP, user agent, login time)
+ * @access Protected
+ */
+router.get('/sessions', getMySessions);
+
+/**
+ * @route POST /api/admin/sessions/revoke-others
+ * @desc Sign out all my other sessions
+ * @access Protected
+ */
+router.post('/sessions/revoke-others', revokeMyOtherSessions);
+
+/**
+ * @route POST /api/admin/sessions/:sessionKey/revoke
+ * @desc Revoke one of my sessions
+ * @access Protected
+ */
+router.post('/sessions/:sessionKey/revoke', revokeMySession);
+
+// --- Admin Management (invites + lifecycle) ---
+/**
+ * @route GET /api/admin/admins
+ * @desc List admin accounts
+ * @access Protected (admins:manage)
+ */
+router.get('/admins', hasPermission(P.ADMINS_MANAGE), listAdmins);
+
+/**
+ * @route POST /api/admin/admins/:adminId/deactivate
+ * @desc Deactivate an admin and destroy their sessions
+ * @access Protected (admins:manage)
+ */
+router.post('/admins/:adminId/deactivate', hasPermission(P.ADMINS_MANAGE), deactivateAdmin);
+
+/**
+ * @route POST /api/admin/admins/:adminId/reactivate
+ * @desc Reactivate an admin (password change forced on next login)
+ * @access Protected (admins:manage)
+ */
+router.post('/admins/:adminId/reactivate', hasPermission(P.ADMINS_MANAGE), reactivateAdmin);
+
+/**
+ * @route POST /api/admin/admins/:adminId/force-password-change
+ * @desc Require an admin to set a new password
+ * @access Protected (admins:manage)
+ */
+router.post('/admins/:adminId/force-password-change', hasPermission(P.ADMINS_MANAGE), forceAdminPasswordChange);
+
+/**
+ * @route GET /api/admin/invites
+ * @desc List pending invites
+ * @access Protected (admins:manage)
+ */
+router.get('/invites', hasPermission(P.ADMINS_MANAGE), listInvites);
+
+/**
+ * @route POST /api/admin/invites
+ * @desc Invite a new admin (one-time, expiring link)
+ * @access Protected (admins:manage)
+ */
+router.post('/invites', hasPermission(P.ADMINS_MANAGE), createInvite);
+
+/**
+ * @route POST /api/admin/invites/:inviteId/revoke
+ * @desc Revoke a pending invite
+ * @access Protected (admins:manage)
+ */
+router.post('/invites/:inviteId/revoke', hasPermission(P.ADMINS_MANAGE), revokeInvite);
+
+/**
+ * @route GET /api/admin/admins/:adminId/sessions
+ * @desc List another admin's live sessions
+ * @access Protected (admins:manage)
+ */
+router.get('/admins/:adminId/sessions', hasPermission(P.ADMINS_MANAGE), getAdminSessionsForAdmin);
+
+/**
+ * @route POST /api/admin/admins/:adminId/sessions/:sessionKey/revoke
+ * @desc Revoke another admin's session
+ * @access Protected (admins:manage)
+ */
+router.post('/admins/:adminId/sessions/:sessionKey/revoke', hasPermission(P.ADMINS_MANAGE), revokeAdminSessionForAdmin);
 
 // --- Dashboard ---
 /**
@@ -95,72 +293,204 @@ router.get('/profile', getAdminProfile);
  * @desc Get comprehensive dashboard stats
  * @access Protected
  */
-router.get('/dashboard/comprehensive', getComprehensiveDashboard);
+router.get('/dashboard/comprehensive', hasPermission(P.DASHBOARD_VIEW), getComprehensiveDashboard);
+
+// --- Search ---
+/**
+ * @route GET /api/admin/search
+ * @desc Find records by phone / email / PAN / name across every table the admin can read
+ * @access Protected (results limited by permission)
+ */
+router.get('/search', searchRecords);
 
 // --- User Management ---
 /**
  * @route GET /api/admin/users
- * @desc List all users with decrypted data
+ * @desc List all users with decrypted data (?search= blind index)
  * @access Protected
  */
-router.get('/users', listUsers);
+router.get('/users', hasPermission(P.USERS_READ), listUsers);
 
 /**
  * @route GET /api/admin/users/:id
  * @desc Get single user with decrypted data
  * @access Protected
  */
-router.get('/users/:id', getUser);
+router.get('/users/:id', hasPermission(P.USERS_READ), getUser);
 
 /**
  * @route PUT /api/admin/users/:id
  * @desc Update user
  * @access Protected
  */
-router.put('/users/:id', updateUser);
+router.put('/users/:id', hasPermission(P.USERS_WRITE), updateUser);
 
 /**
  * @route DELETE /api/admin/users/:id
  * @desc Soft delete user
  * @access Protected
  */
-router.delete('/users/:id', deleteUser);
+router.delete('/users/:id', hasPermission(P.USERS_DELETE), deleteUser);
 
 /**
  * @route POST /api/admin/users/soft-delete
  * @desc Bulk soft delete users (body: { ids: string[] })
  * @access Protected
  */
-router.post('/users/soft-delete', softDeleteUsers);
+router.post('/users/soft-delete', hasPermission(P.USERS_DELETE), softDeleteUsers);
+
+// --- Customer 360 ---
+/**
+ * @route GET /api/admin/customers/:id/360
+ * @desc Profile, credit reports + score history, CIBIL checks, loans, sessions and
+ *       phone-matched inquiries / referrals of one user, with a combined timeline.
+ *       Sections the admin's role cannot read are left out.
+ * @access Protected
+ */
+router.get('/customers/:id/360', hasPermission(P.USERS_READ), getCustomer360);
 
 // --- Inquiry Management ---
 /**
  * Credit Check Inquiries
  */
-router.get('/inquiries/credit-check', getAllCreditCheckInquiries);
-router.post('/inquiries/credit-check/soft-delete', softDeleteCreditCheckInquiries);
+router.get('/inquiries/credit-check', hasPermission(P.INQUIRIES_READ), getAllCreditCheckInquiries);
+router.post('/inquiries/credit-check/soft-delete', hasPermission(P.INQUIRIES_DELETE), softDeleteCreditCheckInquiries);
 
 /**
  * Contact Inquiries
  */
-router.get('/inquiries/contact', getAllContactInquiries);
-router.post('/inquiries/contact/soft-delete', softDeleteContactInquiries);
+router.get('/inquiries/contact', hasPermission(P.INQUIRIES_READ), getAllContactInquiries);
+router.post('/inquiries/contact/soft-delete', hasPermission(P.INQUIRIES_DELETE), softDeleteContactInquiries);
 
 /**
  * Home Loan Inquiries
  */
-router.get('/inquiries/home-loan', getAllHomeLoanInquiries);
-router.post('/inquiries/home-loan/soft-delete', softDeleteHomeLoanInquiries);
+router.get('/inquiries/home-loan', hasPermission(P.INQUIRIES_READ), getAllHomeLoanInquiries);
+router.post('/inquiries/home-loan/soft-delete', hasPermission(P.INQUIRIES_DELETE), softDeleteHomeLoanInquiries);
 
 /**
  * Referral Inquiries
  */
-router.get('/inquiries/referral', getAllReferralInquiries);
-router.post('/inquiries/referral/soft-delete', softDeleteReferralInquiries);
+router.get('/inquiries/referral', hasPermission(P.INQUIRIES_READ), getAllReferralInquiries);
+router.post('/inquiries/referral/soft-delete', hasPermission(P.INQUIRIES_DELETE), softDeleteReferralInquiries);
 
 /**
  * Update Inquiry Status (all types)
  */
-router.patch('/inquiries/:type/:id/status', updateInquiryStatus);
+router.patch('/inquiries/:type/:id/status', hasPermission(P.INQUIRIES_WRITE), updateInquiryStatus);
+
+// --- Audit Log ---
+/**
+ * @route GET /api/admin/audit-logs
+ * @desc Search hash-chained audit log (adminId, model, recordId, subjectUserId, action, outcome, piiUnmasked, from, to)
+ * @access Protected (audit:read)
+ */
+router.get('/audit-logs', hasPermission(P.AUDIT_READ), getAuditLogs);
+
+/**
+ * @route GET /api/admin/audit-logs/export
+ * @desc Export matching entries as CSV (default) or JSON (?format=json)
+ * @access Protected (audit:read)
+ */
+router.get('/audit-logs/export', hasPermission(P.AUDIT_READ), exportAuditLogsHandler);
+
+/**
+ * @route GET /api/admin/audit-logs/verify
+ * @desc Verify the hash chain — reports gaps, broken links and edited rows
+ * @access Protected (audit:read)
+ */
+router.get('/audit-logs/verify', hasPermission(P.AUDIT_READ), verifyAuditLogs);
+
+// --- Key Rotation ---
+/**
+ * @route GET /api/admin/reencryption-jobs
+ * @desc Current key id and recent re-encryption jobs with per-model progress
+ * @access Protected (keys:manage)
+ */
+router.get('/reencryption-jobs', hasPermission(P.KEYS_MANAGE), getReencryptionJobs);
+
+/**
+ * @route POST /api/admin/reencryption-jobs
+ * @desc Start re-encrypting every encrypted column to the current key
+ * @access Protected (keys:manage)
+ */
+router.post('/reencryption-jobs', hasPermission(P.KEYS_MANAGE), startReencryption);
+
+/**
+ * @route POST /api/admin/reencryption-jobs/:id/pause
+ * @desc Pause after the current batch
+ * @access Protected (keys:manage)
+ */
+router.post('/reencryption-jobs/:id/pause', hasPermission(P.KEYS_MANAGE), pauseReencryption);
+
+/**
+ * @route POST /api/admin/reencryption-jobs/:id/resume
+ * @desc Continue a paused or failed job from its saved cursor
+ * @access Protected (keys:manage)
+ */
+router.post('/reencryption-jobs/:id/resume', hasPermission(P.KEYS_MANAGE), resumeReencryption);
+
+// --- Data Retention ---
+/**
+ * @route GET /api/admin/retention
+ * @desc Configured retention policies and recent runs (the retention report)
+ * @access Protected (audit:read)
+ */
+router.get('/retention', hasPermission(P.AUDIT_READ), getRetention);
+
+/**
+ * @route POST /api/admin/retention/runs
+ * @desc Apply the retention policies now ({ dryRun, only }) — dry runs return their counts
+ * @access Protected (retention:manage)
+ */
+router.post('/retention/runs', hasPermission(P.RETENTION_MANAGE), startRetentionRun);
+
+// --- Erasure Requests (DPDP) ---
+/**
+ * @route GET /api/admin/erasure-requests
+ * @desc Users' data erasure requests for review ({ status, page, limit })
+ * @access Protected (users:read)
+ */
+router.get('/erasure-requests', hasPermission(P.USERS_READ), getErasureRequests);
+
+/**
+ * @route POST /api/admin/erasure-requests/:id/approve
+ * @desc Erase the user's data — 409 while a legal hold applies
+ * @access Protected (users:delete)
+ */
+router.post('/erasure-requests/:id/approve', hasPermission(P.USERS_DELETE), approveErasure);
+
+/**
+ * @route POST /api/admin/erasure-requests/:id/reject
+ * @desc Reject with a note shown to the user
+ * @access Protected (users:delete)
+ */
+router.post('/erasure-requests/:id/reject', hasPermission(P.USERS_DELETE), rejectErasure);
+
+// --- Lender Catalogue (pre-qualified offers) ---
+/**
+ * @route GET /api/admin/lender-products
+ * @desc Lender products used to match offers to credit reports
+ * @access Protected (loans:read)
+ */
+router.get('/lender-products', hasPermission(P.LOANS_READ), getLenderProducts);
+
+/**
+ * @route POST /api/admin/lender-products
+ * @access Protected (loans:write)
+ */
+router.post('/lender-products', hasPermission(P.LOANS_WRITE), createLenderProduct);
+
+/**
+ * @route PUT /api/admin/lender-products/:id
+ * @access Protected (loans:write)
+ */
+router.put('/lender-products/:id', hasPermission(P.LOANS_WRITE), updateLenderProduct);
+
+/**
+ * @route DELETE /api/admin/lender-products/:id
+ * @access Protected (loans:write)
+ */
+router.delete('/lender-products/:id', hasPermission(P.LOANS_WRITE), deleteLenderProduct);
 
 export default router;
@@ -6,24 +6,25 @@ import {
     createCibilData, seedCibilData, getCibilDetails, downloadCibilPdf,
     userGetCibilReport
 } from "../controllers/cibil.controller.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { isAdmin, hasPermission } from "../middlewares/isAdmin.js";
+import { PERMISSIONS } from "../config/rbac.js";
 import { userAuth } from "../middleware/userAuth.js";
 
 const router = express.Router();
 
 // Admin routes
-router.get("/", isAdmin, listCibilData);
-router.get("/stats", isAdmin, cibilStats);
-router.get("/submitted", isAdmin, listSubmittedCibil);
-router.get("/summit", isAdmin, listSubmittedCibil); // alias for submitted
-router.post("/summit", isAdmin, listSubmittedCibil); // POST alias for submitted
-router.get("/unsubmitted", isAdmin, listUnsubmittedCibil);
-router.get("/unsummit", isAdmin, listUnsubmittedCibil); // alias for unsubmitted
-router.post("/unsummit", isAdmin, listUnsubmittedCibil); // POST alias for unsubmitted
-router.get("/details/:id", isAdmin, getCibilDetails);
-router.get("/download/:id", isAdmin, downloadCibilPdf);
-router.put("/:id", isAdmin, updateCibilData);
-router.delete("/:id", isAdmin, deleteCibilData);
+router.get("/", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), listCibilData);
+router.get("/stats", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), cibilStats);
+router.get("/submitted", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), listSubmittedCibil);
+router.get("/summit", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), listSubmittedCibil); // alias for submitted
+router.post("/summit", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), listSubmittedCibil); // POST alias for submitted
+router.get("/unsubmitted", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), listUnsubmittedCibil);
+router.get("/unsummit", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), listUnsubmittedCibil); // alias for unsubmitted
+router.post("/unsummit", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), listUnsubmittedCibil); // POST alias for unsubmitted
+router.get("/details/:id", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), getCibilDetails);
+router.get("/download/:id", isAdmin, hasPermission(PERMISSIONS.CIBIL_READ), downloadCibilPdf);
+router.put("/:id", isAdmin, hasPermission(PERMISSIONS.CIBIL_WRITE), updateCibilData);
+router.delete("/:id", isAdmin, hasPermission(PERMISSIONS.CIBIL_DELETE), deleteCibilData);
 
 // User routes
 router.get("/my", userAuth, getUserCibilData);
@@ -52,6 +53,6 @@ router.post("/user/fetch-result/:transactionId", userAuth, userGetCibilReport);
 router.delete("/user/unsummit/:id", userAuth, userDeleteUnsummitCibil);
 
 // Seed API (admin only)
-router.post("/seed", isAdmin, seedCibilData);
+router.post("/seed", isAdmin, hasPermission(PERMISSIONS.CIBIL_WRITE), seedCibilData);
 
 export default router;
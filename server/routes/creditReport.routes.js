@@ -1,7 +1,8 @@
 import express from 'express';
 import * as creditReportController from '../controllers/creditReport.controller.js';
 import { userAuth } from '../middleware/userAuth.js';
-import { isAdmin } from '../middlewares/isAdmin.js';
+import { isAdmin, hasPermission } from '../middlewares/isAdmin.js';
+import { PERMISSIONS } from '../config/rbac.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 
 const router = express.Router();
@@ -11,20 +12,28 @@ const router = express.Router();
 // Never from req.body — prevents user_id spoofing.
 
 router.get('/check-cache', userAuth, asyncHandler(creditReportController.checkCache));
+router.get('/bureau-status', userAuth, asyncHandler(creditReportController.getBureauStatus));
 router.post('/session', userAuth, asyncHandler(creditReportController.getSession));
 router.post('/fetch', userAuth, asyncHandler(creditReportController.fetchReport));
 router.get('/my-report', userAuth, asyncHandler(creditReportController.getMyReport));
 router.get('/pdf', userAuth, asyncHandler(creditReportController.getMyPdf));              // Legacy URL endpoint
 
-// SECURE: Streams PDF from DigitalOcean with proper Content-Type + auth
+// SECURE: Streams the bureau PDF from storage, or renders the branded
+// password-protected PDF (?type=branded, and when no bureau PDF was saved)
 router.get('/download-pdf', userAuth, asyncHandler(creditReportController.downloadMyPdf));
 
+// ─── DeepVue Callback ─────────────────────────────────────────────────────────
+// Server-to-server, no user auth: verified by HMAC signature over the raw body.
+router.post('/callback', asyncHandler(creditReportController.deepvueCallback));
+
 // ─── Admin Routes ─────────────────────────────────────────────────────────────
-router.get('/admin/stats', isAdmin, asyncHandler(creditReportController.getAdminStats));
-router.get('/admin/all', isAdmin, asyncHandler(creditReportController.getAllReportsAdmin));
-router.get('/admin/:id', isAdmin, asyncHandler(creditReportController.getReportDetailAdmin));
+router.get('/admin/stats', isAdmin, hasPermission(PERMISSIONS.REPORTS_READ), asyncHandler(creditReportController.getAdminStats));
+router.get('/admin/all', isAdmin, hasPermission(PERMISSIONS.REPORTS_READ), asyncHandler(creditReportController.getAllReportsAdmin));
+router.get('/admin/reconciliation', isAdmin, hasPermission(PERMISSIONS.REPORTS_READ), asyncHandler(creditReportController.getReconciliationSummaries));
+router.get('/admin/reconciliation/:day', isAdmin, hasPermission(PERMISSIONS.REPORTS_READ), asyncHandler(creditReportController.getReconciliationSummary));
+router.get('/admin/:id', isAdmin, hasPermission(PERMISSIONS.REPORTS_READ), asyncHandler(creditReportController.getReportDetailAdmin));
 
-// SECURE: Admin streams any user's PDF — protected by isAdmin middleware
-router.get('/admin/:id/download-pdf', isAdmin, asyncHandler(creditReportController.downloadAdminPdf));
+// SECURE: Admin streams any user's PDF — protected by isAdmin + reports:download
+router.get('/admin/:id/download-pdf', isAdmin, hasPermission(PERMISSIONS.REPORTS_DOWNLOAD), asyncHandler(creditReportController.downloadAdminPdf));
 
 export default router;
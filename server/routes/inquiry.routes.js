@@ -12,7 +12,8 @@ import {
     updateInquiryStatus,
     getDashboardStats,
 } from "../controllers/inquiry.controller.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { isAdmin, hasPermission } from "../middlewares/isAdmin.js";
+import { PERMISSIONS } from "../config/rbac.js";
 
 const router = express.Router();
 
@@ -22,19 +23,19 @@ router.post("/contact", createContactInquiry);
 router.post("/home-loan", createHomeLoanInquiry);
 
 // Admin routes - Get all inquiries
-router.get("/credit-check", isAdmin, getAllCreditCheckInquiries);
-router.get("/contact", isAdmin, getAllContactInquiries);
-router.get("/home-loan", isAdmin, getAllHomeLoanInquiries);
+router.get("/credit-check", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_READ), getAllCreditCheckInquiries);
+router.get("/contact", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_READ), getAllContactInquiries);
+router.get("/home-loan", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_READ), getAllHomeLoanInquiries);
 
 // Admin routes - Bulk delete inquiries
-router.delete("/credit-check/bulk", isAdmin, bulkDeleteCreditCheckInquiries);
-router.delete("/contact/bulk", isAdmin, bulkDeleteContactInquiries);
-router.delete("/home-loan/bulk", isAdmin, bulkDeleteHomeLoanInquiries);
+router.delete("/credit-check/bulk", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_DELETE), bulkDeleteCreditCheckInquiries);
+router.delete("/contact/bulk", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_DELETE), bulkDeleteContactInquiries);
+router.delete("/home-loan/bulk", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_DELETE), bulkDeleteHomeLoanInquiries);
 
 // Admin routes - Update inquiry status
-router.patch("/:type/:id/status", isAdmin, updateInquiryStatus);
+router.patch("/:type/:id/status", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_WRITE), updateInquiryStatus);
 
 // Admin routes - Dashboard stats
-router.get("/dashboard/stats", isAdmin, getDashboardStats);
+router.get("/dashboard/stats", isAdmin, hasPermission(PERMISSIONS.DASHBOARD_VIEW), getDashboardStats);
 
 export default router;
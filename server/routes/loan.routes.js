@@ -1,5 +1,6 @@
 import express from "express";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { isAdmin, hasPermission } from "../middlewares/isAdmin.js";
+import { PERMISSIONS } from "../config/rbac.js";
 import {
     listLoans,
     getLoan,
@@ -19,25 +20,25 @@ const router = express.Router();
 router.use("/public", createLoanByPublic);
 
 // List loans (admin only)
-router.get("/", isAdmin, listLoans);
+router.get("/", isAdmin, hasPermission(PERMISSIONS.LOANS_READ), listLoans);
 // Loan status summary (admin only) - must be before /:id
-router.get("/stats", isAdmin, getLoanStats);
+router.get("/stats", isAdmin, hasPermission(PERMISSIONS.LOANS_READ), getLoanStats);
 // Get loan by id
-router.get("/:id", isAdmin, getLoan);
+router.get("/:id", isAdmin, hasPermission(PERMISSIONS.LOANS_READ), getLoan);
 // Create loan (admin)
-router.post("/", isAdmin, createLoan);
+router.post("/", isAdmin, hasPermission(PERMISSIONS.LOANS_WRITE), createLoan);
 // Create loan (user)
 router.post("/user", userAuth, createLoanByUser);
 // Update loan
-router.put("/:id", isAdmin, updateLoan);
+router.put("/:id", isAdmin, hasPermission(PERMISSIONS.LOANS_WRITE), updateLoan);
 // Delete loan
-router.delete("/:id", isAdmin, deleteLoan);
+router.delete("/:id", isAdmin, hasPermission(PERMISSIONS.LOANS_DELETE), deleteLoan);
 
 // Update loan status by id
-router.patch("/:id/status", isAdmin, updateLoanStatus);
+router.patch("/:id/status", isAdmin, hasPermission(PERMISSIONS.LOANS_WRITE), updateLoanStatus);
 // Update loan status by id (support both PATCH and PUT)
-router.patch("/:id/status", isAdmin, updateLoanStatus);
-router.put("/:id/status", isAdmin, updateLoanStatus);
+router.patch("/:id/status", isAdmin, hasPermission(PERMISSIONS.LOANS_WRITE), updateLoanStatus);
+router.put("/:id/status", isAdmin, hasPermission(PERMISSIONS.LOANS_WRITE), updateLoanStatus);
 
 
 export default router;
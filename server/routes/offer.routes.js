@@ -0,0 +1,12 @@
+import express from 'express';
+import { userAuth } from '../middleware/userAuth.js';
+import { getMyOffers, applyForOffer } from '../controllers/offer.controller.js';
+
+const router = express.Router();
+
+// Pre-qualified offers from the user's own active credit report (userId from JWT)
+router.get('/my', userAuth, getMyOffers);
+// Apply for an offer — creates a loan lead
+router.post('/:productId/apply', userAuth, applyForOffer);
+
+export default router;
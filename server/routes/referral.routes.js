@@ -6,7 +6,8 @@ import {
     updateReferralStatus,
     getReferralStats,
 } from "../controllers/referral.controller.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { isAdmin, hasPermission } from "../middlewares/isAdmin.js";
+import { PERMISSIONS } from "../config/rbac.js";
 
 const router = express.Router();
 
@@ -14,15 +15,15 @@ const router = express.Router();
 router.post("/", createReferralInquiry);
 
 // Admin routes - Get all referrals
-router.get("/", isAdmin, getAllReferralInquiries);
+router.get("/", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_READ), getAllReferralInquiries);
 
 // Admin routes - Get referral stats
-router.get("/stats", isAdmin, getReferralStats);
+router.get("/stats", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_READ), getReferralStats);
 
 // Admin routes - Bulk delete referrals
-router.delete("/bulk", isAdmin, bulkDeleteReferralInquiries);
+router.delete("/bulk", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_DELETE), bulkDeleteReferralInquiries);
 
 // Admin routes - Update referral status
-router.patch("/:id/status", isAdmin, updateReferralStatus);
+router.patch("/:id/status", isAdmin, hasPermission(PERMISSIONS.INQUIRIES_WRITE), updateReferralStatus);
 
 export default router;
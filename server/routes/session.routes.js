@@ -2,7 +2,8 @@
 import express from "express";
 import { createSession, endSession, updateSession, getAllSessions, getUserSessions, getActiveSession, createAnonSession, endAnonSession, updateAnonSession, getAllSessionsGrouped, bulkDeleteSessions } from "../controllers/session.controller.js";
 import { userAuth } from "../middleware/userAuth.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { isAdmin, hasPermission } from "../middlewares/isAdmin.js";
+import { PERMISSIONS } from "../config/rbac.js";
 import { optionalConsent } from "../middleware/consentMiddleware.js";
 
 const router = express.Router();
@@ -23,14 +24,14 @@ router.post('/update', optionalConsent, userAuth, updateSession);
 router.post('/anon/update', optionalConsent, updateAnonSession);
 
 // Get all sessions (admin only)
-router.get('/all', isAdmin, getAllSessions);
+router.get('/all', isAdmin, hasPermission(PERMISSIONS.USERS_READ), getAllSessions);
 // Get all sessions grouped by user/non-user (admin only)
-router.get('/all/grouped', isAdmin, getAllSessionsGrouped);
+router.get('/all/grouped', isAdmin, hasPermission(PERMISSIONS.USERS_READ), getAllSessionsGrouped);
 
 // Bulk delete sessions (admin only)
-router.delete('/bulk', isAdmin, bulkDeleteSessions);
+router.delete('/bulk', isAdmin, hasPermission(PERMISSIONS.USERS_DELETE), bulkDeleteSessions);
 // Alias for admin app: POST /sessions/soft-delete (same as DELETE /bulk)
-router.post('/soft-delete', isAdmin, bulkDeleteSessions);
+router.post('/soft-delete', isAdmin, hasPermission(PERMISSIONS.USERS_DELETE), bulkDeleteSessions);
 
 // Get sessions for a user (user or admin)
 router.get('/user/:userId?', userAuth, getUserSessions);
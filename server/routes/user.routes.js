@@ -1,34 +1,38 @@
 import express from "express";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { isAdmin, hasPermission } from "../middlewares/isAdmin.js";
+import { PERMISSIONS } from "../config/rbac.js";
 import {
     listUsers, getUser, updateUser, deleteUser, bulkDeleteUsers,
     registerUser, sendOtp, verifyOtp, getUserProfile, getFullUserProfile, updateUserSelf,
-    changePhone, verifyPhoneChange, logoutUser, getMe
+    changePhone, verifyPhoneChange, logoutUser, getMe,
+    refreshUserToken, logoutAllDevices
 } from "../controllers/user.controller.js";
 import { retryOtp } from "../controllers/user.controller.js";
 import { userAuth } from "../middleware/userAuth.js";
 import { getUserDetails } from "../controllers/user.controller.js";
+import { downloadMyData, getMyErasure, requestErasure, cancelMyErasure } from "../controllers/dataRights.controller.js";
 
 const router = express.Router();
 
 // List users (admin only)
-router.get("/", isAdmin, listUsers);
+router.get("/", isAdmin, hasPermission(PERMISSIONS.USERS_READ), listUsers);
 
 // Get user details (admin only)
 
 
-router.get("/:id/details", isAdmin, getUserDetails);
+router.get("/:id/details", isAdmin, hasPermission(PERMISSIONS.USERS_READ), getUserDetails);
 // User self-update (user can update their own profile)
 router.put("/profile", userAuth, updateUserSelf);
 router.patch("/profile", userAuth, updateUserSelf);
 // Bulk delete users (admin only)
-router.delete("/bulk/delete", isAdmin, bulkDeleteUsers);
+router.delete("/bulk/delete", isAdmin, hasPermission(PERMISSIONS.USERS_DELETE), bulkDeleteUsers);
 
 // User registration and OTP
 router.post("/register", registerUser);
 router.post("/send-otp", sendOtp);
 router.post("/retry-otp", retryOtp);
 router.post("/verify-otp", verifyOtp);
+router.post("/refresh", refreshUserToken);
 
 // Phone number change (authenticated user)
 router.post("/change-phone", userAuth, changePhone);
@@ -38,13 +42,20 @@ router.post("/verify-phone-change", userAuth, verifyPhoneChange);
 router.get("/profile", userAuth, getUserProfile);
 router.get("/me", userAuth, getMe);
 router.post("/logout", logoutUser);
+router.post("/logout-all", userAuth, logoutAllDevices);
 // Full user profile (user info, last CIBIL, all loans)
 router.get("/profile/full", userAuth, getFullUserProfile);
 
+// Data principal rights (DPDP): data export and erasure requests
+router.get("/me/data-export", userAuth, downloadMyData);
+router.get("/me/erasure-request", userAuth, getMyErasure);
+router.post("/me/erasure-request", userAuth, requestErasure);
+router.post("/me/erasure-request/cancel", userAuth, cancelMyErasure);
+
 // Get user by id (keep parameterized routes last)
-router.get("/:id", isAdmin, getUser);
-router.put("/:id", isAdmin, updateUser);
-router.delete("/:id", isAdmin, deleteUser);
+router.get("/:id", isAdmin, hasPermission(PERMISSIONS.USERS_READ), getUser);
+router.put("/:id", isAdmin, hasPermission(PERMISSIONS.USERS_WRITE), updateUser);
+router.delete("/:id", isAdmin, hasPermission(PERMISSIONS.USERS_DELETE), deleteUser);
 
 export default router;
 
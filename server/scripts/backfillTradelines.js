@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Convert import.meta.url to __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env from parent directory (server root) BEFORE importing modules that read it
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { prisma } = await import('../config/db.js');
+const { backfillTradelines } = await import('../services/creditTradeline.service.js');
+
+// Usage: npm run credit:tradelines
+// Fills CreditAccount / CreditEnquiry for reports saved before those tables existed.
+// Safe to re-run: only reports without tradelinesExtractedAt are processed.
+async function runBackfill() {
+    try {
+        const result = await backfillTradelines();
+        console.log(`Extracted tradelines for ${result.extracted} report(s), ${result.failed} failed`);
+        if (result.failed) process.exitCode = 1;
+    } catch (error) {
+        console.error('Tradeline backfill error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+// Run
+runBackfill();
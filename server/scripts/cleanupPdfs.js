@@ -1,6 +1,3 @@
-
-import { PrismaClient } from '@prisma/client';
-import { S3Client, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -9,81 +6,41 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load env from parent directory (server root)
+// Load env from parent directory (server root) BEFORE importing modules that read it
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
-const prisma = new PrismaClient();
-
-// Initialize S3 Client (DigitalOcean Spaces)
-const s3Client = new S3Client({
-    endpoint: process.env.DO_SPACES_ENDPOINT,
-    region: "us-east-1", // DigitalOcean Spaces uses this region
-    credentials: {
-        accessKeyId: process.env.DO_SPACES_KEY,
-        secretAccessKey: process.env.DO_SPACES_SECRET
-    }
-});
+const { prisma } = await import('../config/db.js');
+const { runRetention } = await import('../services/retention.service.js');
 
+// Usage: npm run cleanup:pdfs
+// Applies only the creditReportPdf retention policy — same as
+// `npm run retention:run -- creditReportPdf`.
 async function cleanupPdfs() {
     console.log('Starting PDF Cleanup Job...');
 
     try {
-        // 1. Find Expired Reports with PDFs
-        const expiredReports = await prisma.creditReport.findMany({
-            where: {
-                expiresAt: {
-                    lt: new Date() // Expired
-                },
-                pdfSpacesPath: {
-                    not: null // Has a PDF path
-                }
-            },
-            take: 100 // Process in batches to avoid memory issues
-        });
-
-        console.log(`Found ${expiredReports.length} expired reports with PDFs to clean up.`);
-
-        let deletedCount = 0;
-        let errorCount = 0;
-
-        for (const report of expiredReports) {
-            try {
-                // 2. Delete from DigitalOcean Spaces
-                console.log(`Deleting PDF for report ${report.id} path: ${report.pdfSpacesPath}`);
+        const run = await runRetention({ only: ['creditReportPdf'], trigger: 'script' });
+        const [result] = run.results;
 
-                const deleteCommand = new DeleteObjectCommand({
-                    Bucket: process.env.DO_SPACES_BUCKET,
-                    Key: report.pdfSpacesPath
-                });
-
-                await s3Client.send(deleteCommand);
-
-                // 3. Update DB to clear paths
-                await prisma.creditReport.update({
-                    where: { id: report.id },
-                    data: {
-                        pdfSpacesPath: null,
-                        pdfSpacesUrl: null
-                    }
-                });
-
-                deletedCount++;
-            } catch (err) {
-                console.error(`Failed to delete PDF for report ${report.id}:`, err);
-                errorCount++;
-            }
+        if (!result) {
+            console.log('The creditReportPdf retention policy is disabled.');
+            return;
         }
 
         console.log(`Cleanup Complete.`);
-        console.log(`Deleted: ${deletedCount}`);
-        console.log(`Errors: ${errorCount}`);
-
+        console.log(`Deleted: ${result.processed}`);
+        console.log(`Errors: ${result.failed}`);
+        for (const error of result.errors) {
+            console.error(`Failed for report ${error.ids.join(', ')}: ${error.error}`);
+        }
+        if (result.errors.length > 0) process.exitCode = 1;
     } catch (error) {
         console.error('Cleanup Job Critical Error:', error);
+        process.exitCode = 1;
     } finally {
         await prisma.$disconnect();
     }
 }
 
 // Run
-cleanupPdfs().then(() => process.exit(0)).catch(() => process.exit(1));
+cleanupPdfs();
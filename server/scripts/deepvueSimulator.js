@@ -0,0 +1,55 @@
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Convert import.meta.url to __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env from parent directory (server root) BEFORE importing modules that read it
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { createDeepVueSimulator } = await import('../simulators/deepvue/app.js');
+const { SCENARIOS, TEST_MOBILES } = await import('../simulators/deepvue/fixtures.js');
+
+// Usage: npm run deepvue:sim [-- scenario]
+// Starts the local DeepVue simulator. Point the API at it with DEEPVUE_SIMULATOR=true.
+//   DEEPVUE_SIM_PORT             port (default 4010)
+//   DEEPVUE_SIM_SCENARIO         default scenario (default excellent)
+//   DEEPVUE_SIM_PROCESSING_POLLS polls answered "processing" in that scenario (default 2)
+//   DEEPVUE_SIM_CALLBACK_URL     also send a signed callback (needs DEEPVUE_WEBHOOK_SECRET),
+//                                e.g. http://localhost:4000/api/credit-report/callback
+function startSimulator() {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('The DeepVue simulator must not run in production.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const port = parseInt(process.env.DEEPVUE_SIM_PORT, 10) || 4010;
+    const scenario = process.argv[2] || process.env.DEEPVUE_SIM_SCENARIO || 'excellent';
+
+    try {
+        const app = createDeepVueSimulator({
+            publicUrl: process.env.DEEPVUE_SIM_URL || `http://localhost:${port}`,
+            defaultScenario: scenario,
+            processingPolls: parseInt(process.env.DEEPVUE_SIM_PROCESSING_POLLS, 10) || 2,
+            callbackUrl: process.env.DEEPVUE_SIM_CALLBACK_URL,
+            webhookSecret: process.env.DEEPVUE_WEBHOOK_SECRET,
+        });
+
+        app.listen(port, () => {
+            console.log(`DeepVue simulator listening on http://localhost:${port} (default scenario: ${scenario})`);
+            console.log(`Scenarios: ${SCENARIOS.join(', ')}`);
+            console.log('Test mobile numbers:');
+            for (const [mobile, name] of Object.entries(TEST_MOBILES)) console.log(`  ${mobile}  ${name}`);
+        });
+    } catch (error) {
+        console.error('DeepVue simulator error:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+// Run
+startSimulator();
@@ -0,0 +1,43 @@
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ADMIN_ROLES } from '../config/rbac.js';
+
+// Convert import.meta.url to __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env from parent directory (server root)
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// Usage: npm run admin:invite -- <email> [SUPER_ADMIN|OPS|SALES|AUDITOR]
+// Prints a one-time invite link. Use it to bootstrap the first SUPER_ADMIN;
+// after that, invites are issued from the Admins page.
+async function inviteAdmin() {
+    const [email, role = 'SUPER_ADMIN'] = process.argv.slice(2);
+
+    if (!email || !ADMIN_ROLES.includes(role)) {
+        console.error(`Usage: npm run admin:invite -- <email> [${ADMIN_ROLES.join('|')}]`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Imported after dotenv so the service sees DATABASE_URL / ADMIN_APP_URL
+    const { prisma } = await import('../config/db.js');
+    const { createAdminInvite } = await import('../services/adminInvite.service.js');
+
+    try {
+        const { invite, inviteUrl } = await createAdminInvite({ email, role });
+        console.log(`Invite for ${invite.email} (${invite.role}), expires ${invite.expiresAt.toISOString()}:`);
+        console.log(inviteUrl);
+    } catch (error) {
+        console.error(`Failed to invite ${email}:`, error.message);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+// Run
+inviteAdmin();
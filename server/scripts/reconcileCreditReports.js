@@ -0,0 +1,50 @@
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Convert import.meta.url to __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env from parent directory (server root) BEFORE importing modules that read it
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { prisma } = await import('../config/db.js');
+const { reconcilePendingRequests, buildReconciliationSummary } = await import('../services/creditReconciliation.service.js');
+
+// Usage: npm run credit:reconcile [-- YYYY-MM-DD]
+// Without a day: re-checks every stuck DeepVue transaction that is due now.
+// With a day (IST): rebuilds that day's billing summary and prints it.
+async function reconcileCreditReports() {
+    const day = process.argv[2];
+
+    try {
+        if (day) {
+            const summary = await buildReconciliationSummary(day);
+            console.log(`Reconciliation summary ${day}:`);
+            console.log(`  Sessions created:  ${summary.sessionsCreated}`);
+            console.log(`  Session failures:  ${summary.sessionFailures}`);
+            console.log(`  Reports saved:     ${summary.reportsSaved}`);
+            console.log(`  Completed:         ${summary.completed} (${summary.recovered} recovered)`);
+            console.log(`  Failed:            ${summary.failed}`);
+            console.log(`  Abandoned:         ${summary.abandoned}`);
+            console.log(`  Orphans:           ${summary.orphans}`);
+            return;
+        }
+
+        const result = await reconcilePendingRequests();
+        console.log(
+            `Checked ${result.checked}: ${result.recovered} recovered, ${result.pending} still processing, ` +
+            `${result.gaveUp} given up, ${result.errors} error(s)`
+        );
+    } catch (error) {
+        console.error('Reconciliation error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+// Run
+reconcileCreditReports();
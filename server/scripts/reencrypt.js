@@ -0,0 +1,65 @@
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Convert import.meta.url to __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env from parent directory (server root) BEFORE importing modules that read it
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { prisma } = await import('../config/db.js');
+const { getKeyProvider } = await import('../services/keyProvider.service.js');
+const {
+    createReencryptionJob,
+    resumeReencryptionJob,
+    runReencryptionJob,
+    withSummary,
+} = await import('../services/reencryption.service.js');
+
+// Usage: npm run keys:reencrypt -- [--batch-size=100]
+// Runs a re-encryption job in the foreground with progress output. Continues the
+// unfinished (paused / failed) job if there is one, otherwise starts a new one.
+// Do not run while the API is running the same job — pause it there first.
+async function reencrypt() {
+    const batchArg = process.argv.find((arg) => arg.startsWith('--batch-size='));
+    const batchSize = batchArg ? batchArg.split('=')[1] : undefined;
+
+    try {
+        const provider = getKeyProvider();
+        console.log(`Key provider: ${provider.name}, current key: ${provider.keyId}`);
+
+        const unfinished = await prisma.reencryptionJob.findFirst({
+            where: { status: { in: ['PAUSED', 'FAILED'] }, targetKeyId: provider.keyId },
+            orderBy: { createdAt: 'desc' },
+        });
+
+        const job = unfinished
+            ? await resumeReencryptionJob(unfinished.id)
+            : await createReencryptionJob({ batchSize });
+        console.log(`${unfinished ? 'Resuming' : 'Started'} job ${job.id} (batch size ${job.batchSize})`);
+
+        const finalJob = await runReencryptionJob(job.id, {
+            onProgress: (model, state) => {
+                console.log(`  ${model}: ${state.scanned}/${state.total} scanned, ${state.reencrypted} re-encrypted, ${state.failed} failed${state.done ? ' — done' : ''}`);
+            },
+        });
+
+        const { status, error, summary } = withSummary(finalJob);
+        console.log(`Job ${job.id} ${status}: ${summary.reencrypted} value(s) re-encrypted, ${summary.failed} failed`);
+        if (error) console.error(`Error: ${error}`);
+        if (status !== 'COMPLETED' || summary.failed > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Re-encryption error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+// Run
+reencrypt();
@@ -0,0 +1,46 @@
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Convert import.meta.url to __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env from parent directory (server root) BEFORE importing modules that read it
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { prisma } = await import('../config/db.js');
+const { SEARCH_INDEX_MODELS, reindexSearchModel } = await import('../services/searchIndex.service.js');
+
+// Usage: npm run search:reindex [-- Model ...]
+// Rebuilds blind-index search tokens (after first deploy or a BLIND_INDEX_KEY change).
+// Safe to re-run: rows whose tokens are already current are skipped.
+async function reindexSearch() {
+    const requested = process.argv.slice(2);
+    const models = requested.length ? requested : Object.keys(SEARCH_INDEX_MODELS);
+
+    try {
+        for (const model of models) {
+            if (!SEARCH_INDEX_MODELS[model]) {
+                console.error(`Unknown model "${model}". Expected one of: ${Object.keys(SEARCH_INDEX_MODELS).join(', ')}`);
+                process.exitCode = 1;
+                return;
+            }
+
+            const result = await reindexSearchModel(model, {
+                onProgress: ({ scanned, updated }) => process.stdout.write(`\r${model}: ${scanned} scanned, ${updated} updated`),
+            });
+            process.stdout.write(`\r${model}: ${result.scanned} scanned, ${result.updated} updated\n`);
+        }
+        console.log('Search index rebuild complete.');
+    } catch (error) {
+        console.error('Search index rebuild error:', error);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+// Run
+reindexSearch();
@@ -0,0 +1,51 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Convert import.meta.url to __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env from parent directory (server root) BEFORE importing modules that read it
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { prisma } = await import('../config/db.js');
+const { runRetention, getRetentionPolicies } = await import('../services/retention.service.js');
+
+// Usage: npm run retention:run [-- --dry-run] [-- dataClass ...]
+// Applies the retention policies (config/retention.js) now and prints the report.
+// --dry-run only counts what each policy would touch.
+async function runRetentionPolicies() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const only = args.filter((arg) => !arg.startsWith('--'));
+
+    try {
+        for (const policy of getRetentionPolicies()) {
+            console.log(`  ${policy.dataClass.padEnd(18)} ${policy.enabled ? `${policy.action} after ${policy.ttlDays}d` : 'disabled'}`);
+        }
+
+        const run = await runRetention({ dryRun, only: only.length > 0 ? only : undefined, trigger: 'script' });
+
+        console.log(`\nRetention run ${run.id}${dryRun ? ' (dry run)' : ''}:`);
+        for (const result of run.results) {
+            console.log(
+                `  ${result.dataClass.padEnd(18)} ${dryRun ? `${result.matched} would be processed` : `${result.processed} processed, ${result.skipped} skipped, ${result.failed} failed`}`
+            );
+            for (const error of result.errors) {
+                console.log(`    ${error.model} ${error.ids.join(', ')}: ${error.error}`);
+            }
+        }
+        if (run.failed > 0 || run.results.some((result) => result.errors.length > 0)) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Retention error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+// Run
+runRetentionPolicies();
@@ -0,0 +1,45 @@
+
+import { PrismaClient } from '@prisma/client';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ADMIN_ROLES } from '../config/rbac.js';
+
+// Convert import.meta.url to __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env from parent directory (server root)
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const prisma = new PrismaClient();
+
+// Usage: npm run admin:role -- <email> <SUPER_ADMIN|OPS|SALES|AUDITOR>
+// Existing admins land on AUDITOR (read-only, PII masked) when the role column is added —
+// run this for each of them to grant the role they actually need.
+async function setAdminRole() {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !ADMIN_ROLES.includes(role)) {
+        console.error(`Usage: npm run admin:role -- <email> <${ADMIN_ROLES.join('|')}>`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const admin = await prisma.admin.update({
+            where: { email },
+            data: { role },
+            select: { id: true, email: true, role: true },
+        });
+        console.log(`Admin ${admin.email} (${admin.id}) is now ${admin.role}`);
+    } catch (error) {
+        console.error(`Failed to set role for ${email}:`, error.message);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+// Run
+setAdminRole();
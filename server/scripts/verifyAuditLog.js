@@ -0,0 +1,43 @@
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Convert import.meta.url to __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env from parent directory (server root) BEFORE importing modules that read it
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { prisma } = await import('../config/db.js');
+const { verifyAuditChain } = await import('../services/audit.service.js');
+
+// Usage: npm run audit:verify
+// Exits non-zero if the chain has gaps, broken links or edited rows (suitable for cron/CI alerts).
+async function verifyAuditLog() {
+    try {
+        const result = await verifyAuditChain();
+
+        console.log(`Checked ${result.checked} entries. Head seq ${result.headSeq}, head hash ${result.headHash}`);
+
+        if (result.valid) {
+            console.log('Audit log chain intact.');
+            return;
+        }
+
+        console.error(`Audit log chain verification FAILED: ${result.problemCount} problem(s)`);
+        for (const problem of result.problems) {
+            console.error(' -', JSON.stringify(problem));
+        }
+        process.exitCode = 1;
+    } catch (error) {
+        console.error('Audit log verification error:', error);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+// Run
+verifyAuditLog();
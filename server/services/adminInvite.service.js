@@ -0,0 +1,171 @@
+/**
+ * =============================================================
+ * ADMIN INVITE SERVICE — one-time, expiring admin invitations
+ * =============================================================
+ *
+ * Replaces direct admin creation: an admin with admins:manage issues an
+ * invite, and the invitee sets their own password (policy-checked) via the
+ * link. Role and extra permissions are fixed on the invite.
+ *
+ * - Token: 32 random bytes (base64url), returned ONCE; only its SHA-256 is stored
+ * - Expires after ADMIN_INVITE_TTL_HOURS (default 72)
+ * - Issuing a new invite for an email revokes that email's pending invites
+ * - Acceptance is claimed with a guarded updateMany, so a token works once
+ *
+ * ENVIRONMENT VARIABLES:
+ * - ADMIN_APP_URL: admin panel base URL for invite links (default https://admin.borrowww.com)
+ * - ADMIN_INVITE_TTL_HOURS: invite lifetime (default 72)
+ * =============================================================
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { prisma } from '../config/db.js';
+import ApiError from '../utils/ApiError.js';
+import { assertPasswordPolicy } from '../utils/passwordPolicy.util.js';
+
+const INVITE_TTL_MS = (parseInt(process.env.ADMIN_INVITE_TTL_HOURS) || 72) * 60 * 60 * 1000;
+const ADMIN_APP_URL = (process.env.ADMIN_APP_URL || 'https://admin.borrowww.com').replace(/\/+$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Admin emails are stored lowercased; loginAdmin looks them up the same way
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const pendingWhere = () => ({
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { gt: new Date() },
+});
+
+export const buildInviteUrl = (token) => `${ADMIN_APP_URL}/accept-invite?token=${encodeURIComponent(token)}`;
+
+// ─── Issue / revoke ───────────────────────────────────────────────────────────
+
+/**
+ * @param {{ email: string, name?: string, role: string, permissions?: string[], invitedById?: string }} input
+ * @returns {Promise<{ invite: object, token: string, inviteUrl: string }>}
+ */
+export const createAdminInvite = async ({ email, name, role, permissions = [], invitedById = null }) => {
+    const normalized = normalizeEmail(email);
+
+    const existing = await prisma.admin.findFirst({ where: { email: { equals: normalized, mode: 'insensitive' } } });
+    if (existing) {
+        throw new ApiError(409, 'An admin with this email already exists');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const invite = await prisma.$transaction(async (tx) => {
+        await tx.adminInvite.updateMany({
+            where: { email: normalized, ...pendingWhere() },
+            data: { revokedAt: new Date() },
+        });
+
+        return tx.adminInvite.create({
+            data: {
+                email: normalized,
+                name: name || null,
+                role,
+                permissions,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+                invitedById,
+            },
+        });
+    });
+
+    return { invite: toPublicInvite(invite), token, inviteUrl: buildInviteUrl(token) };
+};
+
+/** @returns {Promise<boolean>} true if a pending invite was revoked */
+export const revokeAdminInvite = async (inviteId) => {
+    const { count } = await prisma.adminInvite.updateMany({
+        where: { id: inviteId, ...pendingWhere() },
+        data: { revokedAt: new Date() },
+    });
+    return count === 1;
+};
+
+export const listPendingInvites = async () => {
+    const invites = await prisma.adminInvite.findMany({
+        where: pendingWhere(),
+        orderBy: { createdAt: 'desc' },
+    });
+    return invites.map(toPublicInvite);
+};
+
+// ─── Accept ───────────────────────────────────────────────────────────────────
+
+/**
+ * Look up a pending invite by its raw token.
+ *
+ * @throws {ApiError} 404 unknown token, 410 used / revoked / expired
+ */
+export const getPendingInvite = async (token) => {
+    if (!token) throw new ApiError(400, 'Invite token is required');
+
+    const invite = await prisma.adminInvite.findUnique({ where: { tokenHash: hashToken(token) } });
+    if (!invite) throw new ApiError(404, 'Invite not found');
+    if (invite.acceptedAt || invite.revokedAt || invite.expiresAt <= new Date()) {
+        throw new ApiError(410, 'This invite is no longer valid. Ask for a new one.');
+    }
+    return invite;
+};
+
+/**
+ * Create the admin account for an invite.
+ *
+ * @param {{ token: string, password: string, name?: string }} input
+ * @returns {Promise<object>} the new admin row
+ */
+export const acceptAdminInvite = async ({ token, password, name }) => {
+    const invite = await getPendingInvite(token);
+    assertPasswordPolicy(password, { email: invite.email });
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    return prisma.$transaction(async (tx) => {
+        // Claim the invite — fails if a concurrent request (or revoke) got there first
+        const claimed = await tx.adminInvite.updateMany({
+            where: { id: invite.id, ...pendingWhere() },
+            data: { acceptedAt: new Date() },
+        });
+        if (claimed.count !== 1) {
+            throw new ApiError(410, 'This invite is no longer valid. Ask for a new one.');
+        }
+
+        const existing = await tx.admin.findFirst({ where: { email: { equals: invite.email, mode: 'insensitive' } } });
+        if (existing) {
+            throw new ApiError(409, 'An admin with this email already exists');
+        }
+
+        const admin = await tx.admin.create({
+            data: {
+                email: invite.email,
+                name: name || invite.name,
+                password: hashedPassword,
+                role: invite.role,
+                permissions: invite.permissions,
+                passwordChangedAt: new Date(),
+                invitedById: invite.invitedById,
+            },
+        });
+
+        await tx.adminInvite.update({ where: { id: invite.id }, data: { adminId: admin.id } });
+        return admin;
+    });
+};
+
+function toPublicInvite(invite) {
+    return {
+        id: invite.id,
+        email: invite.email,
+        name: invite.name,
+        role: invite.role,
+        permissions: invite.permissions,
+        expiresAt: invite.expiresAt,
+        invitedById: invite.invitedById,
+        createdAt: invite.createdAt,
+    };
+}
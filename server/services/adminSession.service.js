@@ -0,0 +1,84 @@
+/**
+ * =============================================================
+ * ADMIN SESSION SERVICE — list / revoke rows in admin_sessions
+ * =============================================================
+ *
+ * admin_sessions is owned by connect-pg-simple (sid, sess json, expire) and is
+ * not a Prisma model, so it is queried with raw SQL here.
+ *
+ * - Raw sids are never returned to the client: a session is identified by
+ *   sessionKey = sha256(sid) (first 32 hex chars)
+ * - Revoking deletes the row; the next request with that cookie has no session
+ *   and isAdmin returns 401
+ * =============================================================
+ */
+
+import crypto from 'crypto';
+import { prisma } from '../config/db.js';
+
+const toSessionKey = (sid) => crypto.createHash('sha256').update(sid).digest('hex').slice(0, 32);
+
+const getLiveSessionRows = (adminId) => prisma.$queryRaw`
+    SELECT sid, sess, expire
+    FROM admin_sessions
+    WHERE sess->>'adminId' = ${adminId} AND expire > NOW()
+    ORDER BY expire DESC
+`;
+
+/**
+ * Live sessions for an admin, newest first.
+ *
+ * @param {string} adminId
+ * @param {string} [currentSid] - req.sessionID, to flag the caller's own session
+ * @returns {Promise<Array<{ sessionKey, current, ipAddress, userAgent, loginAt, twoFactor, expiresAt }>>}
+ */
+export const listAdminSessions = async (adminId, currentSid = null) => {
+    const rows = await getLiveSessionRows(adminId);
+
+    return rows
+        .map(({ sid, sess, expire }) => {
+            const data = typeof sess === 'string' ? JSON.parse(sess) : sess;
+            return {
+                sessionKey: toSessionKey(sid),
+                current: sid === currentSid,
+                ipAddress: data.ipAddress || null,
+                userAgent: data.userAgent || null,
+                loginAt: data.loginAt || null,
+                twoFactor: !!data.twoFactor,
+                expiresAt: expire,
+            };
+        })
+        .sort((a, b) => new Date(b.loginAt || 0) - new Date(a.loginAt || 0));
+};
+
+/**
+ * Revoke one session of an admin by its sessionKey.
+ *
+ * @returns {Promise<boolean>} true if a session was removed
+ */
+export const revokeAdminSession = async (adminId, sessionKey) => {
+    const rows = await getLiveSessionRows(adminId);
+    const match = rows.find(({ sid }) => toSessionKey(sid) === sessionKey);
+    if (!match) return false;
+
+    await prisma.$executeRaw`
+        DELETE FROM admin_sessions WHERE sid = ${match.sid} AND sess->>'adminId' = ${adminId}
+    `;
+    return true;
+};
+
+/**
+ * Revoke every session of an admin, optionally keeping one (the caller's).
+ *
+ * @returns {Promise<number>} sessions removed
+ */
+export const revokeAllAdminSessions = async (adminId, { exceptSid = null } = {}) => {
+    if (exceptSid) {
+        return prisma.$executeRaw`
+            DELETE FROM admin_sessions WHERE sess->>'adminId' = ${adminId} AND sid <> ${exceptSid}
+        `;
+    }
+    return prisma.$executeRaw`
+        DELETE FROM admin_sessions WHERE sess->>'adminId' = ${adminId}
+    `;
+};
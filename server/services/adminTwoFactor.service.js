@@ -0,0 +1,134 @@
+/**
+ * =============================================================
+ * ADMIN TWO-FACTOR SERVICE — TOTP enrollment + verification
+ * =============================================================
+ *
+ * Enrollment is two-step so a typo'd authenticator setup can't lock anyone out:
+ *   1. startTotpSetup   → secret stored (encrypted), totpEnabled stays false
+ *   2. enableTotp(code) → first valid code turns 2FA on and issues recovery codes
+ *
+ * verifySecondFactor accepts either a TOTP code or a one-time recovery code.
+ * Both are consumed atomically (guarded updateMany) so a code can't be used twice,
+ * even by two concurrent requests.
+ * =============================================================
+ */
+
+import { prisma } from '../config/db.js';
+import ApiError from '../utils/ApiError.js';
+import { encryptText, decryptText } from '../utils/kms.util.js';
+import {
+    generateTotpSecret,
+    buildOtpAuthUrl,
+    verifyTotp,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+} from '../utils/totp.util.js';
+
+/**
+ * Generate and store a new (not yet active) TOTP secret.
+ *
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+export const startTotpSetup = async (admin) => {
+    if (admin.totpEnabled) {
+        throw new ApiError(400, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    await prisma.admin.update({
+        where: { id: admin.id },
+        data: { totpSecret: await encryptText(secret), totpLastUsedStep: null },
+    });
+
+    return { secret, otpauthUrl: buildOtpAuthUrl(secret, admin.email) };
+};
+
+/**
+ * Confirm setup with the first code from the authenticator app.
+ *
+ * @returns {Promise<string[]>} recovery codes — shown to the admin once
+ */
+export const enableTotp = async (admin, code) => {
+    if (admin.totpEnabled) {
+        throw new ApiError(400, 'Two-factor authentication is already enabled');
+    }
+    if (!admin.totpSecret) {
+        throw new ApiError(400, 'Start two-factor setup first');
+    }
+
+    const secret = await decryptText(admin.totpSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+        throw new ApiError(400, 'Invalid authentication code');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await prisma.admin.update({
+        where: { id: admin.id },
+        data: { totpEnabled: true, totpLastUsedStep: step, totpRecoveryCodes: hashes },
+    });
+
+    return codes;
+};
+
+/** Turn 2FA off and drop the secret + recovery codes */
+export const disableTotp = async (adminId) => {
+    await prisma.admin.update({
+        where: { id: adminId },
+        data: { totpEnabled: false, totpSecret: null, totpLastUsedStep: null, totpRecoveryCodes: [] },
+    });
+};
+
+/** Replace all recovery codes. @returns {Promise<string[]>} new codes */
+export const regenerateRecoveryCodes = async (adminId) => {
+    const { codes, hashes } = generateRecoveryCodes();
+    await prisma.admin.update({
+        where: { id: adminId },
+        data: { totpRecoveryCodes: hashes },
+    });
+    return codes;
+};
+
+/**
+ * Verify a TOTP code or a recovery code for an admin with 2FA enabled,
+ * consuming it so it can't be replayed.
+ *
+ * @param {object} admin - Admin row (needs totpSecret, totpLastUsedStep, totpRecoveryCodes)
+ * @param {{ code?: string, recoveryCode?: string }} input
+ * @returns {Promise<'totp'|'recovery_code'|null>} method used, or null if invalid
+ */
+export const verifySecondFactor = async (admin, { code, recoveryCode }) => {
+    if (!admin.totpEnabled || !admin.totpSecret) return null;
+
+    if (code) {
+        const secret = await decryptText(admin.totpSecret);
+        const step = verifyTotp(secret, code, { lastUsedStep: admin.totpLastUsedStep });
+        if (step === null) return null;
+
+        // Only advance if nobody used this (or a later) step in the meantime
+        const claimed = await prisma.admin.updateMany({
+            where: {
+                id: admin.id,
+                OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+            },
+            data: { totpLastUsedStep: step },
+        });
+        return claimed.count === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        if (!admin.totpRecoveryCodes.includes(hash)) return null;
+
+        // array_remove in SQL — rewriting the array from our snapshot could resurrect
+        // a code consumed by a concurrent request
+        const removed = await prisma.$executeRaw`
+            UPDATE admins
+            SET "totpRecoveryCodes" = array_remove("totpRecoveryCodes", ${hash})
+            WHERE id = ${admin.id} AND ${hash} = ANY("totpRecoveryCodes")
+        `;
+        return removed === 1 ? 'recovery_code' : null;
+    }
+
+    return null;
+};
@@ -0,0 +1,251 @@
+/**
+ * =============================================================
+ * AUDIT LOG SERVICE — Hash-Chained, Tamper-Evident Store
+ * =============================================================
+ *
+ * Every row stores the previous row's hash, and its own hash covers all of its
+ * fields plus that previous hash:
+ *
+ *   hash[n] = HMAC-SHA256(secret, canonical(row[n] incl. seq + prevHash))
+ *   prevHash[n] = hash[n-1]   (GENESIS_HASH for seq 1)
+ *
+ * - Editing a row breaks its hash; deleting a row leaves a seq gap and a broken link
+ * - HMAC (not a bare SHA) means someone with DB write access but without the
+ *   secret cannot recompute the chain after tampering
+ * - Appends are serialized (in-process queue + Postgres advisory lock) so the
+ *   chain stays linear across multiple server instances
+ * - Dropping the NEWEST rows is not visible from the chain alone — record the
+ *   head hash returned by verifyAuditChain() somewhere external to anchor it
+ *
+ * ENVIRONMENT VARIABLES:
+ * - AUDIT_LOG_HMAC_SECRET: chain key (falls back to JWT_SECRET)
+ * =============================================================
+ */
+
+import crypto from 'crypto';
+import { prisma } from '../config/db.js';
+import { toCsv } from '../utils/csv.util.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Arbitrary app-wide key for pg_advisory_xact_lock — serializes appends across instances
+const AUDIT_CHAIN_LOCK_KEY = 740512;
+
+const EXPORT_MAX_ROWS = 50000;
+
+const getHmacSecret = () => {
+    const secret = process.env.AUDIT_LOG_HMAC_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('AUDIT_LOG_HMAC_SECRET (or JWT_SECRET) environment variable is required');
+    }
+    return secret;
+};
+
+// ─── Hashing ──────────────────────────────────────────────────────────────────
+
+/** JSON.stringify with sorted object keys — Postgres jsonb does not keep key order */
+const stableStringify = (value) => {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value ?? null);
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+};
+
+/** Hash of a row as stored (or about to be stored) */
+export const computeAuditHash = (row) =>
+    crypto.createHmac('sha256', getHmacSecret()).update(stableStringify({
+        seq: row.seq,
+        prevHash: row.prevHash,
+        createdAt: new Date(row.createdAt).toISOString(),
+        action: row.action,
+        model: row.model ?? null,
+        recordIds: row.recordIds ?? [],
+        subjectUserId: row.subjectUserId ?? null,
+        adminId: row.adminId ?? null,
+        ipAddress: row.ipAddress ?? null,
+        userAgent: row.userAgent ?? null,
+        method: row.method ?? null,
+        route: row.route ?? null,
+        outcome: row.outcome,
+        piiUnmasked: !!row.piiUnmasked,
+        metadata: row.metadata ?? null,
+    })).digest('hex');
+
+// ─── Append ───────────────────────────────────────────────────────────────────
+
+const writeEntry = (entry) => prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_CHAIN_LOCK_KEY}::bigint)`;
+
+    const last = await tx.auditLog.findFirst({
+        orderBy: { seq: 'desc' },
+        select: { seq: true, hash: true },
+    });
+
+    const row = {
+        ...entry,
+        seq: (last?.seq || 0) + 1,
+        prevHash: last?.hash || GENESIS_HASH,
+        // Truncated to ms — matches what Postgres stores, so the hash re-verifies
+        createdAt: new Date(),
+    };
+    row.hash = computeAuditHash(row);
+
+    return tx.auditLog.create({ data: row });
+});
+
+let appendQueue = Promise.resolve();
+
+/**
+ * Append one entry to the chain. Entries from this process are written in call order.
+ *
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'decrypt', 'download_pdf', 'permission_denied'
+ * @param {string} [entry.model]
+ * @param {string[]} [entry.recordIds]
+ * @param {string} [entry.subjectUserId] - customer whose data was touched
+ * @param {string} [entry.adminId]
+ * @param {string} [entry.ipAddress]
+ * @param {string} [entry.userAgent]
+ * @param {string} [entry.method]
+ * @param {string} [entry.route]
+ * @param {'success'|'denied'|'failure'} [entry.outcome='success']
+ * @param {boolean} [entry.piiUnmasked=false] - full PAN / Aadhaar / phone was returned
+ * @param {object} [entry.metadata]
+ * @returns {Promise<object>} the stored row
+ */
+export const appendAuditLog = (entry) => {
+    const normalized = {
+        action: entry.action,
+        model: entry.model ?? null,
+        recordIds: (entry.recordIds || []).filter(Boolean).map(String),
+        subjectUserId: entry.subjectUserId ?? null,
+        adminId: entry.adminId ?? null,
+        ipAddress: entry.ipAddress ?? null,
+        userAgent: entry.userAgent ?? null,
+        method: entry.method ?? null,
+        route: entry.route ?? null,
+        outcome: entry.outcome || 'success',
+        piiUnmasked: !!entry.piiUnmasked,
+        metadata: entry.metadata ?? undefined,
+    };
+
+    const task = appendQueue.then(() => writeEntry(normalized));
+    // Keep the queue alive if this write fails
+    appendQueue = task.catch(() => { });
+    return task;
+};
+
+// ─── Verification ─────────────────────────────────────────────────────────────
+
+/**
+ * Walk the whole chain and report gaps, broken links and edited rows.
+ *
+ * @returns {Promise<{ valid: boolean, checked: number, headSeq: number, headHash: string, problems: object[] }>}
+ *          problems: [{ type: 'gap' | 'broken_link' | 'hash_mismatch', seq, ... }] (first 100)
+ */
+export const verifyAuditChain = async ({ batchSize = 1000 } = {}) => {
+    const problems = [];
+    let problemCount = 0;
+    const report = (problem) => {
+        problemCount++;
+        if (problems.length < 100) problems.push(problem);
+    };
+
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let checked = 0;
+
+    for (; ;) {
+        const rows = await prisma.auditLog.findMany({
+            where: { seq: { gte: expectedSeq } },
+            orderBy: { seq: 'asc' },
+            take: batchSize,
+        });
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+            if (row.seq !== expectedSeq) {
+                report({ type: 'gap', seq: row.seq, missingFrom: expectedSeq, missingTo: row.seq - 1 });
+            }
+            if (row.prevHash !== prevHash) {
+                report({ type: 'broken_link', seq: row.seq });
+            }
+            if (computeAuditHash(row) !== row.hash) {
+                report({ type: 'hash_mismatch', seq: row.seq, id: row.id });
+            }
+
+            prevHash = row.hash;
+            expectedSeq = row.seq + 1;
+            checked++;
+        }
+    }
+
+    return {
+        valid: problemCount === 0,
+        checked,
+        headSeq: expectedSeq - 1,
+        headHash: prevHash,
+        problemCount,
+        problems,
+    };
+};
+
+// ─── Search / Export ──────────────────────────────────────────────────────────
+
+/**
+ * Build a Prisma where clause from query filters.
+ * recordId matches either a touched record id or the customer (subjectUserId),
+ * so "who viewed this customer's PAN" is: recordId=<userId>&piiUnmasked=true
+ */
+export const buildAuditWhere = ({ adminId, model, recordId, subjectUserId, action, outcome, piiUnmasked, from, to } = {}) => {
+    const where = {};
+    if (adminId) where.adminId = adminId;
+    if (model) where.model = model;
+    if (action) where.action = action;
+    if (outcome) where.outcome = outcome;
+    if (subjectUserId) where.subjectUserId = subjectUserId;
+    if (piiUnmasked === 'true' || piiUnmasked === true) where.piiUnmasked = true;
+    if (piiUnmasked === 'false' || piiUnmasked === false) where.piiUnmasked = false;
+    if (recordId) {
+        where.OR = [{ recordIds: { has: recordId } }, { subjectUserId: recordId }];
+    }
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = new Date(from);
+        if (to) where.createdAt.lte = new Date(to);
+    }
+    return where;
+};
+
+export const searchAuditLogs = async (filters, page = 1, limit = 50) => {
+    const where = buildAuditWhere(filters);
+    const [logs, total] = await Promise.all([
+        prisma.auditLog.findMany({
+            where,
+            orderBy: { seq: 'desc' },
+            skip: (page - 1) * limit,
+            take: limit,
+        }),
+        prisma.auditLog.count({ where }),
+    ]);
+    return { logs, total };
+};
+
+/** Matching rows oldest-first, capped at EXPORT_MAX_ROWS */
+export const exportAuditLogs = async (filters) => {
+    const where = buildAuditWhere(filters);
+    const logs = await prisma.auditLog.findMany({
+        where,
+        orderBy: { seq: 'asc' },
+        take: EXPORT_MAX_ROWS + 1,
+    });
+    return { logs: logs.slice(0, EXPORT_MAX_ROWS), truncated: logs.length > EXPORT_MAX_ROWS };
+};
+
+const CSV_COLUMNS = [
+    'seq', 'createdAt', 'action', 'outcome', 'model', 'recordIds', 'subjectUserId', 'piiUnmasked',
+    'adminId', 'ipAddress', 'userAgent', 'method', 'route', 'metadata', 'prevHash', 'hash',
+];
+
+export const auditLogsToCsv = (logs) => toCsv(CSV_COLUMNS, logs);
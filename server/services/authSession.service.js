@@ -0,0 +1,200 @@
+/**
+ * =============================================================
+ * USER AUTH SESSION SERVICE — Access + Rotating Refresh Tokens
+ * =============================================================
+ *
+ * - Access token: short-lived JWT ({ id, phoneNumber, sid }) in `user_token`
+ * - Refresh token: opaque random string in `user_refresh` (httpOnly, path-scoped)
+ *   stored only as a SHA-256 hash, tied to a UserAuthSession (one per device)
+ * - Every refresh rotates the token. Presenting an already-rotated token is
+ *   treated as theft: the whole session (token family) is revoked.
+ * - userAuth checks the session row on every request, so revocation is instant.
+ *
+ * ENVIRONMENT VARIABLES:
+ * - JWT_SECRET: access token signing key
+ * - USER_ACCESS_TOKEN_TTL_MINUTES: default 15
+ * - USER_REFRESH_TOKEN_TTL_DAYS: default 7 (sliding — extended on each rotation)
+ * =============================================================
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { prisma } from '../config/db.js';
+import ApiError from '../utils/ApiError.js';
+import { getClientIp, getUserAgent, parseDeviceInfo } from '../middleware/consentMiddleware.js';
+
+const ACCESS_TOKEN_TTL_MS = (parseInt(process.env.USER_ACCESS_TOKEN_TTL_MINUTES) || 15) * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.USER_REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+export const ACCESS_COOKIE = 'user_token';
+export const REFRESH_COOKIE = 'user_refresh';
+
+const BASE_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+};
+
+const ACCESS_COOKIE_OPTIONS = { ...BASE_COOKIE_OPTIONS, maxAge: ACCESS_TOKEN_TTL_MS, path: '/' };
+// Refresh cookie is only sent to /api/users/* (refresh, logout, logout-all)
+const REFRESH_COOKIE_OPTIONS = { ...BASE_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_TTL_MS, path: '/api/users' };
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) =>
+    jwt.sign({ id: user.id, phoneNumber: user.phoneNumber, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
+    });
+
+/** Create a new refresh token row for a session and return the raw token */
+const createRefreshToken = async (db, sessionId) => {
+    const raw = crypto.randomBytes(48).toString('base64url');
+    await db.refreshToken.create({
+        data: {
+            sessionId,
+            tokenHash: hashToken(raw),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        },
+    });
+    return raw;
+};
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Start a new device session after a successful login.
+ *
+ * @param {object} user - User row
+ * @param {object} req - Express request (for IP / user agent)
+ * @param {object} [db=prisma] - Prisma client or transaction client
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: string }>}
+ */
+export const issueSession = async (user, req, db = prisma) => {
+    const userAgent = getUserAgent(req);
+    const session = await db.userAuthSession.create({
+        data: {
+            userId: user.id,
+            ipAddress: getClientIp(req),
+            userAgent,
+            deviceInfo: parseDeviceInfo(userAgent),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        },
+    });
+
+    const refreshToken = await createRefreshToken(db, session.id);
+    return { accessToken: signAccessToken(user, session.id), refreshToken, sessionId: session.id };
+};
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ *
+ * @throws {ApiError} 401 if the token is unknown, expired, revoked or reused
+ */
+export const rotateRefreshToken = async (rawToken, req) => {
+    if (!rawToken) throw new ApiError(401, 'No refresh token provided');
+
+    const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(rawToken) },
+        include: { session: { include: { user: true } } },
+    });
+
+    if (!stored) throw new ApiError(401, 'Invalid refresh token');
+
+    const { session } = stored;
+
+    // REUSE DETECTION: a rotated token came back — someone holds a stolen copy
+    if (stored.rotatedAt) {
+        await revokeSession(session.id, 'reuse_detected');
+        console.error('[SECURITY ALERT] Refresh token reuse detected — session revoked:', {
+            timestamp: new Date().toISOString(),
+            sessionId: session.id,
+            userId: session.userId,
+            ip: getClientIp(req),
+        });
+        throw new ApiError(401, 'Session revoked. Please login again.');
+    }
+
+    if (session.revokedAt || stored.expiresAt < new Date() || session.expiresAt < new Date()) {
+        throw new ApiError(401, 'Session expired. Please login again.');
+    }
+
+    const { user } = session;
+    if (!user || !user.isActive || !user.isVerified) {
+        throw new ApiError(401, 'Not authorized as user');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        // Mark as rotated only if nobody beat us to it (concurrent refresh = reuse)
+        const claimed = await tx.refreshToken.updateMany({
+            where: { id: stored.id, rotatedAt: null },
+            data: { rotatedAt: new Date() },
+        });
+        if (claimed.count === 0) {
+            throw new ApiError(401, 'Refresh token already used. Please login again.');
+        }
+
+        await tx.userAuthSession.update({
+            where: { id: session.id },
+            data: {
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+                ipAddress: getClientIp(req),
+            },
+        });
+
+        const refreshToken = await createRefreshToken(tx, session.id);
+        return { accessToken: signAccessToken(user, session.id), refreshToken, user };
+    });
+};
+
+/** Check that the session referenced by an access token is still live */
+export const isSessionActive = async (sessionId) => {
+    if (!sessionId) return false;
+    const session = await prisma.userAuthSession.findUnique({
+        where: { id: sessionId },
+        select: { revokedAt: true, expiresAt: true },
+    });
+    return !!session && !session.revokedAt && session.expiresAt > new Date();
+};
+
+/** Revoke one device session (and with it every refresh token in its family) */
+export const revokeSession = async (sessionId, reason = 'logout') => {
+    if (!sessionId) return;
+    await prisma.userAuthSession.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason },
+    });
+};
+
+/** Revoke a session identified by its raw refresh token (logout without a valid access token) */
+export const revokeSessionByRefreshToken = async (rawToken, reason = 'logout') => {
+    if (!rawToken) return;
+    const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(rawToken) },
+        select: { sessionId: true },
+    });
+    if (stored) await revokeSession(stored.sessionId, reason);
+};
+
+/** "Log out all devices" */
+export const revokeAllUserSessions = async (userId, reason = 'logout_all') => {
+    const result = await prisma.userAuthSession.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return result.count;
+};
+
+// ─── Cookies ──────────────────────────────────────────────────────────────────
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) =>
+    res
+        .cookie(ACCESS_COOKIE, accessToken, ACCESS_COOKIE_OPTIONS)
+        .cookie(REFRESH_COOKIE, refreshToken, REFRESH_COOKIE_OPTIONS);
+
+export const clearAuthCookies = (res) =>
+    res
+        .clearCookie(ACCESS_COOKIE, { ...ACCESS_COOKIE_OPTIONS, maxAge: 0 })
+        .clearCookie(REFRESH_COOKIE, { ...REFRESH_COOKIE_OPTIONS, maxAge: 0 });
@@ -0,0 +1,292 @@
+/**
+ * =============================================================
+ * BUREAU ADAPTERS — one credit report model for every bureau
+ * =============================================================
+ *
+ * Each credit bureau (or aggregator in front of one) gets an adapter
+ * that creates consent sessions, fetches the raw report and
+ * normalizes it into NormalizedCreditReport below. Everything after
+ * the fetch (saving, summaries, the client) reads the normalized model
+ * and never the bureau's own payload shape.
+ *
+ * The raw payload is still stored (encrypted) as CreditReport.fullReport
+ * so a report can be re-normalized when an adapter improves.
+ *
+ * Adapters:
+ *   EQUIFAX   DeepVue SDK (Equifax CIR)          — DeepVueEquifaxAdapter
+ *   CIBIL     TransUnion CIBIL                   — not yet integrated
+ *   EXPERIAN  Experian                           — not yet integrated
+ *   CRIF      CRIF High Mark                     — not yet integrated
+ * =============================================================
+ */
+
+import { ApiError } from '../utils/ApiError.js';
+import { deepVueService, DeepVueError, DEEPVUE_ERROR_CODES } from './deepvue.service.js';
+
+// Matches enum CreditBureau in schema.prisma
+export const CREDIT_BUREAUS = {
+    EQUIFAX: 'EQUIFAX',
+    CIBIL: 'CIBIL',
+    EXPERIAN: 'EXPERIAN',
+    CRIF: 'CRIF',
+};
+
+/**
+ * @typedef {Object} NormalizedDpdMonth
+ * @property {string} month - YYYY-MM
+ * @property {number|null} dpd - days past due; null when not reported
+ * @property {string|null} status - bureau code when it is not a day count (WOF, SUB, DBT, LSS, STD…)
+ *
+ * @typedef {Object} NormalizedAccount
+ * @property {string|null} accountNumber - as reported (bureaus mask it)
+ * @property {string|null} institution
+ * @property {string|null} type - e.g. "Credit Card", "Home Loan"
+ * @property {string|null} ownership
+ * @property {boolean} isOpen
+ * @property {string|null} status - e.g. "Current Account", "Written-off", "Closed"
+ * @property {number} sanctionAmount
+ * @property {number|null} creditLimit
+ * @property {number} balance
+ * @property {number} pastDue
+ * @property {number} emi
+ * @property {number} writeOffAmount
+ * @property {string|null} openedAt - YYYY-MM-DD
+ * @property {string|null} closedAt
+ * @property {string|null} reportedAt
+ * @property {string|null} lastPaymentAt
+ * @property {NormalizedDpdMonth[]} dpd - newest first
+ *
+ * @typedef {Object} NormalizedEnquiry
+ * @property {string|null} institution
+ * @property {string|null} purpose
+ * @property {number} amount
+ * @property {string|null} date - YYYY-MM-DD
+ *
+ * @typedef {Object} NormalizedCreditReport
+ * @property {keyof CREDIT_BUREAUS} bureau
+ * @property {string} provider - who we fetched it through (e.g. "deepvue")
+ * @property {{ name: string|null, pan: string|null, mobile: string|null, dateOfBirth: string|null, gender: string|null }} person
+ * @property {{ value: number|null, model: string|null, factors: string[] }} score - value null when unscored (thin file)
+ * @property {NormalizedAccount[]} accounts
+ * @property {NormalizedEnquiry[]} enquiries
+ * @property {Object} summary - the CreditReport summary columns (totalAccounts … enquiryPast12Months)
+ * @property {string|null} pdfUrl
+ */
+
+/**
+ * Bureau adapter interface. Every adapter implements:
+ * - bureau: keyof CREDIT_BUREAUS
+ * - provider: string
+ * - createSession(userData): Promise<{ transaction_id, redirect_url }>
+ * - fetchReport(transactionId): Promise<{ status: 'PROCESSING' } | { status: 'READY', raw: Object }>
+ * - normalize(raw): NormalizedCreditReport — throws when the payload is unusable
+ */
+export class BureauAdapter {
+    get bureau() {
+        throw new Error('BureauAdapter.bureau not implemented');
+    }
+
+    get provider() {
+        throw new Error(`${this.bureau}: provider not implemented`);
+    }
+
+    async createSession(userData) {
+        throw new Error(`${this.bureau}: createSession not implemented`);
+    }
+
+    async fetchReport(transactionId) {
+        throw new Error(`${this.bureau}: fetchReport not implemented`);
+    }
+
+    normalize(raw) {
+        throw new Error(`${this.bureau}: normalize not implemented`);
+    }
+}
+
+// ─── Shared helpers ──────────────────────────────────────────────────────────
+
+const toNumber = (value) => {
+    const n = parseFloat(String(value ?? '').replace(/,/g, ''));
+    return Number.isFinite(n) ? n : 0;
+};
+
+const toInt = (value) => Math.trunc(toNumber(value));
+
+const toNumberOrNull = (value) => (value === undefined || value === null || value === '' ? null : toNumber(value));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Summary columns computed from normalized accounts and enquiries, used when
+ * a bureau does not send its own summary block (or to fill its gaps).
+ */
+export const summarizeReport = (accounts, enquiries) => {
+    const open = accounts.filter((a) => a.isOpen);
+    const byOpened = accounts.filter((a) => a.openedAt).sort((a, b) => a.openedAt.localeCompare(b.openedAt));
+    const within = (days) => enquiries.filter((e) => e.date && Date.now() - Date.parse(e.date) <= days * DAY_MS).length;
+    const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+
+    return {
+        totalAccounts: accounts.length,
+        activeAccounts: open.length,
+        closedAccounts: accounts.length - open.length,
+        totalBalance: sum(open, 'balance'),
+        totalOverdue: sum(accounts, 'pastDue'),
+        totalSanctionAmount: sum(open, 'sanctionAmount'),
+        totalMonthlyPayment: sum(open, 'emi'),
+        noOfWriteOffs: accounts.filter((a) => a.writeOffAmount > 0 || /written/i.test(a.status || '')).length,
+        oldestAccountDate: byOpened[0]?.openedAt || null,
+        newestAccountDate: byOpened[byOpened.length - 1]?.openedAt || null,
+        enquiryCount: enquiries.length,
+        enquiryPast30Days: within(30),
+        enquiryPast12Months: within(365),
+    };
+};
+
+// ─── Equifax via DeepVue ─────────────────────────────────────────────────────
+
+// History48Months codes that are not day counts
+const EQUIFAX_NON_DPD_CODES = ['STD', 'SMA', 'SUB', 'DBT', 'LSS', 'WOF', 'SET', 'RES', 'SF', 'WDF'];
+
+/** "000" → 0, "090" / "90+" → 90, "WOF" → status only, "*" / "XXX" → not reported */
+const parseEquifaxPaymentStatus = (code) => {
+    const value = String(code ?? '').trim().toUpperCase();
+    const days = value.match(/^(\d{1,3})\+?$/);
+    if (days) return { dpd: parseInt(days[1], 10), status: null };
+    if (value === 'STD' || value === 'CLSD' || value === 'NEW') return { dpd: 0, status: value };
+    if (EQUIFAX_NON_DPD_CODES.includes(value)) return { dpd: null, status: value };
+    return { dpd: null, status: null };
+};
+
+/** "10-25" (MM-YY) → "2025-10" */
+const equifaxHistoryMonth = (key) => {
+    const match = String(key || '').match(/^(\d{2})-(\d{2})$/);
+    return match ? `20${match[2]}-${match[1]}` : null;
+};
+
+export class DeepVueEquifaxAdapter extends BureauAdapter {
+    get bureau() {
+        return CREDIT_BUREAUS.EQUIFAX;
+    }
+
+    get provider() {
+        return 'deepvue';
+    }
+
+    createSession(userData) {
+        return deepVueService.createCibilSession(userData);
+    }
+
+    async fetchReport(transactionId) {
+        const response = await deepVueService.fetchCibilReport(transactionId);
+        if (response.status === 'PROCESSING') return { status: 'PROCESSING' };
+        return { status: 'READY', raw: response.data };
+    }
+
+    normalize(raw) {
+        const reportData = raw?.credit_report?.CCRResponse?.CIRReportDataLst?.[0]?.CIRReportData;
+        if (!reportData) {
+            throw new DeepVueError(DEEPVUE_ERROR_CODES.UPSTREAM, 'Credit report data missing in DeepVue response');
+        }
+
+        const personal = reportData.IDAndContactInfo?.PersonalInfo || {};
+        const scoreDetail = reportData.ScoreDetails?.[0] || {};
+        const scoreValue = parseInt(raw.credit_score ?? scoreDetail.Value, 10);
+
+        const accounts = (reportData.RetailAccountDetails || []).map((a) => ({
+            accountNumber: a.AccountNumber || null,
+            institution: a.Institution || null,
+            type: a.AccountType || null,
+            ownership: a.OwnershipType || null,
+            isOpen: String(a.Open || '').toLowerCase() === 'yes',
+            status: a.AccountStatus || null,
+            sanctionAmount: toNumber(a.SanctionAmount ?? a.HighCredit),
+            creditLimit: toNumberOrNull(a.CreditLimit),
+            balance: toNumber(a.Balance),
+            pastDue: toNumber(a.PastDueAmount),
+            emi: toNumber(a.InstallmentAmount),
+            writeOffAmount: toNumber(a.WriteOffAmount),
+            openedAt: a.DateOpened || null,
+            closedAt: a.DateClosed || null,
+            reportedAt: a.DateReported || null,
+            lastPaymentAt: a.LastPaymentDate || null,
+            dpd: (a.History48Months || [])
+                .map((h) => ({ month: equifaxHistoryMonth(h.key), ...parseEquifaxPaymentStatus(h.PaymentStatus) }))
+                .filter((h) => h.month),
+        }));
+
+        const enquiries = (reportData.Enquiries || []).map((e) => ({
+            institution: e.Institution || null,
+            purpose: e.RequestPurpose || null,
+            amount: toNumber(e.Amount),
+            date: e.Date || null,
+        }));
+
+        // Prefer the bureau's own totals; fall back to what the accounts add up to
+        const computed = summarizeReport(accounts, enquiries);
+        const summary = reportData.RetailAccountsSummary;
+        const enquiry = reportData.EnquirySummary;
+        const totalAccounts = summary ? toInt(summary.NoOfAccounts) : computed.totalAccounts;
+        const activeAccounts = summary ? toInt(summary.NoOfActiveAccounts) : computed.activeAccounts;
+
+        return {
+            bureau: this.bureau,
+            provider: this.provider,
+            person: {
+                name: raw.name || personal.Name?.FullName || null,
+                pan: raw.pan || reportData.IDAndContactInfo?.IdentityInfo?.PANId?.[0]?.IdNumber || null,
+                mobile: raw.mobile || null,
+                dateOfBirth: personal.DateOfBirth || null,
+                gender: personal.Gender || null,
+            },
+            score: {
+                // Equifax reports -1 (or nothing) for files too thin to score
+                value: Number.isFinite(scoreValue) && scoreValue > 0 ? scoreValue : null,
+                model: scoreDetail.Name || null,
+                factors: (scoreDetail.ScoringElements || []).map((e) => e.Description).filter(Boolean),
+            },
+            accounts,
+            enquiries,
+            summary: summary ? {
+                totalAccounts,
+                activeAccounts,
+                closedAccounts: Math.max(totalAccounts - activeAccounts, 0),
+                totalBalance: toNumber(summary.TotalBalanceAmount),
+                totalOverdue: toNumber(summary.TotalPastDue),
+                totalSanctionAmount: toNumber(summary.TotalSanctionAmount),
+                totalMonthlyPayment: toNumber(summary.TotalMonthlyPaymentAmount),
+                noOfWriteOffs: toInt(summary.NoOfWriteOffs),
+                oldestAccountDate: summary.OldestAccount || null,
+                newestAccountDate: summary.RecentAccount || null,
+                enquiryCount: enquiry ? toInt(enquiry.Total) : computed.enquiryCount,
+                enquiryPast30Days: enquiry ? toInt(enquiry.Past30Days) : computed.enquiryPast30Days,
+                enquiryPast12Months: enquiry ? toInt(enquiry.Past12Months) : computed.enquiryPast12Months,
+            } : computed,
+            pdfUrl: raw.pdf_url || null,
+        };
+    }
+}
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+const ADAPTERS = {
+    [CREDIT_BUREAUS.EQUIFAX]: DeepVueEquifaxAdapter,
+};
+
+const instances = new Map();
+
+/**
+ * Adapter for a bureau (default: CREDIT_BUREAU env, else EQUIFAX).
+ * Bureaus without an adapter yet are a 501, not a crash.
+ */
+export const getBureauAdapter = (bureau = process.env.CREDIT_BUREAU || CREDIT_BUREAUS.EQUIFAX) => {
+    const Adapter = ADAPTERS[bureau];
+    if (!Adapter) {
+        throw new ApiError(501, `No adapter for credit bureau ${bureau} yet`);
+    }
+    if (!instances.has(bureau)) instances.set(bureau, new Adapter());
+    return instances.get(bureau);
+};
+
+/** Bureaus that can currently produce reports */
+export const supportedBureaus = () => Object.keys(ADAPTERS);
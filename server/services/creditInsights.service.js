@@ -0,0 +1,270 @@
+/**
+ * =============================================================
+ * CREDIT INSIGHTS — score factors and recommendations
+ * =============================================================
+ *
+ * Rules over a normalized report (bureauAdapter.service.js shape)
+ * that explain the score in five factors, weighted roughly the way
+ * Indian bureau scores weigh them:
+ *
+ *   payment history 35% · credit utilization 30% · credit age 15%
+ *   enquiry velocity 10% · credit mix 10%
+ *
+ * Each factor gets a rating and an impact on the score, and the
+ * rules emit plain-language recommendations ranked by an estimated
+ * point gain. Estimates are indicative only — bureaus do not publish
+ * their models — so the client shows them as "~N points".
+ * =============================================================
+ */
+
+import { cardUtilization } from './creditReportDiff.service.js';
+
+export const FACTOR_WEIGHTS = {
+    paymentHistory: 35,
+    utilization: 30,
+    creditAge: 15,
+    enquiries: 10,
+    creditMix: 10,
+};
+
+const RATING_IMPACT = {
+    excellent: 'positive',
+    good: 'positive',
+    fair: 'neutral',
+    poor: 'negative',
+};
+
+const SEVERE_CODES = ['WOF', 'SUB', 'DBT', 'LSS', 'SF', 'WDF'];
+const SECURED_TYPES = /home|housing|property|auto|car|two-wheeler|gold|vehicle|secured/i;
+
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+const formatAmount = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+const monthsBetween = (from, to) => Math.max(0, Math.floor((to - Date.parse(from)) / MONTH_MS));
+
+const formatAge = (months) => {
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    if (!years) return `${rest} month${rest === 1 ? '' : 's'}`;
+    return rest ? `${years} yr ${rest} mo` : `${years} yr${years === 1 ? '' : 's'}`;
+};
+
+const factor = (key, label, rating, value, detail) => ({
+    key,
+    label,
+    weight: FACTOR_WEIGHTS[key],
+    rating,
+    impact: rating ? RATING_IMPACT[rating] : 'neutral',
+    value,
+    detail,
+});
+
+const isSecured = (account) => SECURED_TYPES.test(account.type || '') && !/card/i.test(account.type || '');
+
+// ─── Factors ─────────────────────────────────────────────────────────────────
+
+const paymentHistoryFactor = (accounts, asOf) => {
+    const cutoff = new Date(asOf - 24 * MONTH_MS).toISOString().slice(0, 7);
+    const recent = accounts.flatMap((a) => a.dpd.filter((m) => m.month >= cutoff).map((m) => ({ ...m, account: a })));
+    const late = recent.filter((m) => m.dpd > 0 || SEVERE_CODES.includes(m.status));
+    const maxDpd = Math.max(0, ...late.map((m) => m.dpd || 0));
+    const severe = accounts.filter((a) =>
+        a.writeOffAmount > 0 || /written|settled/i.test(a.status || '') ||
+        a.dpd.some((m) => m.month >= cutoff && (SEVERE_CODES.includes(m.status) || m.dpd >= 90)));
+
+    let rating;
+    let detail;
+    if (!recent.length) {
+        rating = null;
+        detail = 'No repayment history reported in the last 24 months.';
+    } else if (severe.length) {
+        rating = 'poor';
+        detail = `${severe.length} account${severe.length > 1 ? 's' : ''} written off, settled or 90+ days late in the last 24 months.`;
+    } else if (maxDpd >= 30) {
+        rating = 'fair';
+        detail = `${late.length} late payment${late.length > 1 ? 's' : ''} in the last 24 months, up to ${maxDpd} days.`;
+    } else if (late.length) {
+        rating = 'good';
+        detail = `${late.length} payment${late.length > 1 ? 's' : ''} a few days late in the last 24 months.`;
+    } else {
+        rating = 'excellent';
+        detail = 'Every payment in the last 24 months was on time.';
+    }
+
+    const onTime = recent.length ? Math.round(((recent.length - late.length) / recent.length) * 100) : null;
+    return {
+        factor: factor('paymentHistory', 'Payment history', rating, onTime === null ? '—' : `${onTime}% on time`, detail),
+        late,
+        severe,
+    };
+};
+
+const utilizationFactor = (accounts) => {
+    const utilization = cardUtilization(accounts);
+    if (utilization === null) {
+        return { factor: factor('utilization', 'Credit utilization', null, '—', 'No open credit cards with a reported limit.'), utilization };
+    }
+
+    const rating = utilization < 10 ? 'excellent' : utilization < 30 ? 'good' : utilization < 50 ? 'fair' : 'poor';
+    return {
+        factor: factor('utilization', 'Credit utilization', rating, `${utilization}%`, `You are using ${utilization}% of your total card limit.`),
+        utilization,
+    };
+};
+
+const creditAgeFactor = (accounts, asOf) => {
+    const opened = accounts.filter((a) => a.openedAt && !Number.isNaN(Date.parse(a.openedAt)));
+    if (!opened.length) {
+        return { factor: factor('creditAge', 'Credit age', null, '—', 'No account open dates reported.'), oldest: null };
+    }
+
+    const ages = opened.map((a) => monthsBetween(a.openedAt, asOf));
+    const oldestMonths = Math.max(...ages);
+    const averageMonths = Math.round(ages.reduce((total, age) => total + age, 0) / ages.length);
+    const oldest = opened[ages.indexOf(oldestMonths)];
+
+    const rating = oldestMonths < 12 ? 'poor' : oldestMonths < 36 ? 'fair' : oldestMonths < 84 ? 'good' : 'excellent';
+    return {
+        factor: factor('creditAge', 'Credit age', rating, formatAge(oldestMonths),
+            `Oldest account is ${formatAge(oldestMonths)} old; average age ${formatAge(averageMonths)}.`),
+        oldest,
+        oldestMonths,
+    };
+};
+
+const enquiryFactor = (enquiries, asOf) => {
+    const within = (months) => enquiries.filter((e) => e.date && asOf - Date.parse(e.date) <= months * MONTH_MS).length;
+    const last6Months = within(6);
+    const last30Days = enquiries.filter((e) => e.date && asOf - Date.parse(e.date) <= 30 * 24 * 60 * 60 * 1000).length;
+
+    const rating = last6Months <= 1 ? 'excellent' : last6Months <= 3 ? 'good' : last6Months <= 5 ? 'fair' : 'poor';
+    return {
+        factor: factor('enquiries', 'Credit enquiries', rating, `${last6Months} in 6 months`,
+            `${last6Months} lender enquir${last6Months === 1 ? 'y' : 'ies'} in the last 6 months, ${last30Days} in the last 30 days.`),
+        last6Months,
+    };
+};
+
+const creditMixFactor = (accounts) => {
+    const secured = accounts.filter(isSecured).length;
+    const unsecured = accounts.length - secured;
+
+    let rating;
+    let detail;
+    if (!accounts.length) {
+        rating = 'poor';
+        detail = 'No credit accounts reported yet.';
+    } else if (secured && unsecured) {
+        rating = 'excellent';
+        detail = `A healthy mix: ${secured} secured and ${unsecured} unsecured account${unsecured > 1 ? 's' : ''}.`;
+    } else if (accounts.length >= 3) {
+        rating = 'good';
+        detail = `All ${accounts.length} accounts are ${secured ? 'secured loans' : 'unsecured (cards / personal loans)'}.`;
+    } else {
+        rating = 'fair';
+        detail = `Only ${accounts.length} ${secured ? 'secured' : 'unsecured'} account${accounts.length > 1 ? 's' : ''} on file.`;
+    }
+
+    return {
+        factor: factor('creditMix', 'Credit mix', rating, `${secured} secured · ${unsecured} unsecured`, detail),
+        secured,
+        unsecured,
+    };
+};
+
+// ─── Recommendations ─────────────────────────────────────────────────────────
+
+const recommendation = (id, factorKey, estimatedPoints, title, detail) => ({ id, factor: factorKey, estimatedPoints, title, detail });
+
+const buildRecommendations = (report, { payment, utilization, age, enquiries, mix }) => {
+    const { accounts } = report;
+    const recommendations = [];
+
+    const overdue = accounts.filter((a) => a.pastDue > 0);
+    if (overdue.length) {
+        const total = overdue.reduce((sum, a) => sum + a.pastDue, 0);
+        recommendations.push(recommendation('clear-overdue', 'paymentHistory', Math.min(20 + overdue.length * 10, 50),
+            `Clear ${formatAmount(total)} overdue to gain ~${Math.min(20 + overdue.length * 10, 50)} points`,
+            `Overdue on ${overdue.map((a) => `${a.institution} ${a.type}`).join(', ')}. Each month it stays unpaid is reported as another late payment.`));
+    }
+
+    for (const account of payment.severe.filter((a) => a.writeOffAmount > 0 || /written/i.test(a.status || ''))) {
+        // Numbered by position in the report (as CreditAccount.seq) — one lender can have several written-off accounts
+        recommendations.push(recommendation(`resolve-writeoff-${accounts.indexOf(account) + 1}`, 'paymentHistory', 30,
+            `Resolve the written-off ${account.type} with ${account.institution} to gain ~30 points over time`,
+            'Pay it in full rather than settling, and ask the lender for a closure letter and to update the bureau. A "settled" status still counts against you.'));
+    }
+
+    if (payment.late.length && !overdue.length) {
+        recommendations.push(recommendation('autopay', 'paymentHistory', 10,
+            'Turn on auto-debit for every EMI and card bill to gain ~10 points',
+            'Recent late payments are the biggest drag on a score; on-time months slowly outweigh them.'));
+    }
+
+    if (utilization.utilization !== null && utilization.utilization >= 30) {
+        const cards = accounts.filter((a) => a.isOpen && a.creditLimit > 0);
+        const limit = cards.reduce((sum, a) => sum + a.creditLimit, 0);
+        const balance = cards.reduce((sum, a) => sum + a.balance, 0);
+        const points = Math.min(Math.round((utilization.utilization - 30) / 10) * 8 + 10, 40);
+        recommendations.push(recommendation('reduce-utilization', 'utilization', points,
+            `Reduce card utilization below 30% to gain ~${points} points`,
+            `Paying down ${formatAmount(balance - limit * 0.29)} brings you from ${utilization.utilization}% to under 30% of your ${formatAmount(limit)} limit. Paying before the statement date lowers the reported balance.`));
+    } else if (utilization.utilization !== null && utilization.utilization >= 10) {
+        recommendations.push(recommendation('utilization-under-10', 'utilization', 5,
+            'Keep card utilization under 10% to gain ~5 points',
+            `You are at ${utilization.utilization}%. The best scores usually use less than 10% of their limit.`));
+    }
+
+    if (enquiries.last6Months >= 4) {
+        const points = Math.min((enquiries.last6Months - 3) * 5, 25);
+        recommendations.push(recommendation('pause-applications', 'enquiries', points,
+            `Pause new credit applications for 6 months to gain ~${points} points`,
+            `${enquiries.last6Months} lenders checked your report in 6 months, which reads as credit hunger. Use pre-approved offers, which do not create hard enquiries.`));
+    }
+
+    if (age.oldest && age.oldest.isOpen && /card/i.test(age.oldest.type || '') && age.oldestMonths >= 24) {
+        recommendations.push(recommendation('keep-oldest-card', 'creditAge', 5,
+            `Keep your ${age.oldest.institution} card open`,
+            `It is your oldest account (${formatAge(age.oldestMonths)}). Closing it would shorten your credit history and cut your total limit.`));
+    }
+
+    if (!accounts.length || (report.score?.value === null && accounts.length < 2)) {
+        recommendations.push(recommendation('build-history', 'creditMix', 20,
+            'Start with a secured credit card to build a score',
+            'A card against a fixed deposit, used lightly and paid in full each month, usually generates a score within 6 months.'));
+    } else if (!mix.secured && accounts.length >= 2 && mix.factor.rating !== 'excellent') {
+        recommendations.push(recommendation('credit-mix', 'creditMix', 5,
+            'A secured loan would improve your credit mix',
+            'Only take one when you need it — for example a vehicle or home loan. Never borrow just for the score.'));
+    }
+
+    return recommendations
+        .sort((a, b) => b.estimatedPoints - a.estimatedPoints)
+        .map((r, i) => ({ rank: i + 1, ...r }));
+};
+
+// ─── Public ──────────────────────────────────────────────────────────────────
+
+/**
+ * Factors and ranked recommendations for a normalized report.
+ *
+ * @param {Object} report - normalized report (accounts, enquiries, score)
+ * @param {Date} [asOf] - when the report was fetched; ages and windows are measured from here
+ * @returns {{ factors: Object[], recommendations: Object[] } | null}
+ */
+export const buildInsights = (report, asOf = new Date()) => {
+    if (!report) return null;
+    const time = new Date(asOf).getTime();
+
+    const payment = paymentHistoryFactor(report.accounts, time);
+    const utilization = utilizationFactor(report.accounts);
+    const age = creditAgeFactor(report.accounts, time);
+    const enquiries = enquiryFactor(report.enquiries, time);
+    const mix = creditMixFactor(report.accounts);
+
+    return {
+        factors: [payment.factor, utilization.factor, age.factor, enquiries.factor, mix.factor],
+        recommendations: buildRecommendations(report, { payment, utilization, age, enquiries, mix }),
+    };
+};
@@ -0,0 +1,196 @@
+/**
+ * =============================================================
+ * CREDIT RECONCILIATION SERVICE — stuck DeepVue transactions
+ * =============================================================
+ *
+ * A DeepVue session is billed whether or not we ever save its
+ * report. When the browser never comes back and no callback
+ * arrives, the CreditReportRequest stays open. Reconciliation:
+ *
+ *   1. Picks open requests with a transaction whose nextCheckAt
+ *      has passed and fetches the report again (source 'reconcile')
+ *   2. Still processing / error → next check with exponential
+ *      backoff (5 min doubling, capped at 6 h)
+ *   3. Too old or too many attempts → gives up: ABANDONED when the
+ *      user never reached processing, otherwise FAILED
+ *
+ * A daily summary per IST day (sessions created, reports saved,
+ * orphans) is stored in CreditReconciliationSummary so finance can
+ * match DeepVue's invoice line by line.
+ * =============================================================
+ */
+
+import { prisma } from '../config/db.js';
+import { fetchAndSaveReport } from './creditReport.service.js';
+import * as requests from './creditReportRequest.service.js';
+import { ApiError } from '../utils/ApiError.js';
+import { toCsv } from '../utils/csv.util.js';
+
+const { REQUEST_STATUS } = requests;
+
+export const RECONCILE_CONFIG = {
+    BATCH_SIZE: 50,
+    BASE_DELAY_MS: 5 * 60 * 1000,       // first retry after 5 minutes
+    MAX_DELAY_MS: 6 * 60 * 60 * 1000,   // never wait more than 6 hours
+    MAX_ATTEMPTS: 12,
+    MAX_AGE_MS: 48 * 60 * 60 * 1000,    // DeepVue sessions are useless after 2 days
+};
+
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ─── Retry loop ──────────────────────────────────────────────────────────────
+
+const nextCheckAfter = (attempts) =>
+    new Date(Date.now() + Math.min(RECONCILE_CONFIG.BASE_DELAY_MS * 2 ** attempts, RECONCILE_CONFIG.MAX_DELAY_MS));
+
+const giveUpReason = (request) => {
+    if (request.attempts >= RECONCILE_CONFIG.MAX_ATTEMPTS) {
+        return `Gave up after ${request.attempts} attempts`;
+    }
+    if (Date.now() - request.createdAt.getTime() > RECONCILE_CONFIG.MAX_AGE_MS) {
+        return 'Gave up: session older than 48 hours';
+    }
+    return null;
+};
+
+/**
+ * Check every request that is due once. Requests are processed one at a time
+ * so a DeepVue outage is not hammered by a whole batch in parallel.
+ *
+ * @returns {Promise<{ checked: number, recovered: number, pending: number, gaveUp: number, errors: number }>}
+ */
+export const reconcilePendingRequests = async () => {
+    const due = await prisma.creditReportRequest.findMany({
+        where: {
+            status: { in: [REQUEST_STATUS.REDIRECTED, REQUEST_STATUS.PROCESSING, REQUEST_STATUS.FAILED] },
+            transactionId: { not: null },
+            nextCheckAt: { lte: new Date() },
+        },
+        orderBy: { nextCheckAt: 'asc' },
+        take: RECONCILE_CONFIG.BATCH_SIZE,
+    });
+
+    const result = { checked: due.length, recovered: 0, pending: 0, gaveUp: 0, errors: 0 };
+
+    for (const request of due) {
+        const reason = giveUpReason(request);
+        if (reason) {
+            await requests.giveUpRequest(request, reason);
+            result.gaveUp++;
+            continue;
+        }
+
+        try {
+            const report = await fetchAndSaveReport(request.userId, request.transactionId, { source: 'reconcile' });
+            if (report?.status === 'PROCESSING') {
+                await requests.scheduleNextCheck(request.id, nextCheckAfter(request.attempts + 1));
+                result.pending++;
+            } else {
+                result.recovered++;
+            }
+        } catch (error) {
+            // fetchAndSaveReport already recorded the error on the request
+            console.error(`[Reconcile] ${request.transactionId} failed:`, error.message);
+            await requests.scheduleNextCheck(request.id, nextCheckAfter(request.attempts + 1));
+            result.errors++;
+        }
+    }
+
+    return result;
+};
+
+// ─── Daily summary ───────────────────────────────────────────────────────────
+
+/** YYYY-MM-DD of the IST day `offsetDays` from today */
+export const istDay = (offsetDays = 0) =>
+    new Date(Date.now() + IST_OFFSET_MS + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+const istDayBounds = (day) => {
+    if (!DAY_PATTERN.test(day) || Number.isNaN(Date.parse(day))) {
+        throw new ApiError(400, 'Day must be in YYYY-MM-DD format');
+    }
+    const start = new Date(Date.parse(`${day}T00:00:00.000Z`) - IST_OFFSET_MS);
+    return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+const DETAIL_COLUMNS = [
+    'transactionId', 'status', 'createdAt', 'completedAt', 'completedVia', 'creditReportId', 'attempts', 'lastError',
+];
+
+/**
+ * Build (or rebuild) the summary of one IST day. Safe to re-run: later
+ * recoveries of that day's sessions move them from orphans to completed.
+ *
+ * @param {string} day - YYYY-MM-DD (IST)
+ */
+export const buildReconciliationSummary = async (day) => {
+    const { start, end } = istDayBounds(day);
+
+    const [dayRequests, reportsSaved] = await Promise.all([
+        prisma.creditReportRequest.findMany({
+            where: { createdAt: { gte: start, lt: end } },
+            orderBy: { createdAt: 'asc' },
+            select: {
+                transactionId: true,
+                status: true,
+                createdAt: true,
+                completedAt: true,
+                completedVia: true,
+                creditReportId: true,
+                attempts: true,
+                lastError: true,
+            },
+        }),
+        prisma.creditReport.count({ where: { fetchedAt: { gte: start, lt: end } } }),
+    ]);
+
+    // Only sessions that reached DeepVue are billed
+    const sessions = dayRequests
+        .filter((r) => r.transactionId)
+        .map((r) => ({ ...r, createdAt: r.createdAt.toISOString(), completedAt: r.completedAt?.toISOString() ?? null }));
+    const countStatus = (status) => sessions.filter((r) => r.status === status).length;
+
+    const totals = {
+        sessionsCreated: sessions.length,
+        sessionFailures: dayRequests.length - sessions.length,
+        reportsSaved,
+        completed: countStatus(REQUEST_STATUS.COMPLETED),
+        recovered: sessions.filter((r) => r.completedVia === 'callback' || r.completedVia === 'reconcile').length,
+        failed: countStatus(REQUEST_STATUS.FAILED),
+        abandoned: countStatus(REQUEST_STATUS.ABANDONED),
+        orphans: sessions.filter((r) => !r.creditReportId).length,
+    };
+
+    return prisma.creditReconciliationSummary.upsert({
+        where: { day: new Date(`${day}T00:00:00.000Z`) },
+        create: { day: new Date(`${day}T00:00:00.000Z`), ...totals, details: sessions },
+        update: { ...totals, details: sessions, generatedAt: new Date() },
+    });
+};
+
+const formatSummary = ({ day, ...summary }) => ({ day: day.toISOString().slice(0, 10), ...summary });
+
+/** Most recent summaries without their per-transaction details */
+export const listReconciliationSummaries = async (limit = 31) => {
+    const rows = await prisma.creditReconciliationSummary.findMany({
+        orderBy: { day: 'desc' },
+        take: Math.min(Math.max(parseInt(limit, 10) || 31, 1), 366),
+        omit: { details: true },
+    });
+    return rows.map(formatSummary);
+};
+
+/**
+ * One day's summary with details; built on demand when missing or `refresh`.
+ */
+export const getReconciliationSummary = async (day, { refresh = false } = {}) => {
+    istDayBounds(day);
+    const existing = refresh ? null : await prisma.creditReconciliationSummary.findUnique({
+        where: { day: new Date(`${day}T00:00:00.000Z`) },
+    });
+    return formatSummary(existing || await buildReconciliationSummary(day));
+};
+
+export const reconciliationDetailsToCsv = (summary) => toCsv(DETAIL_COLUMNS, summary.details);
@@ -6,7 +6,7 @@
  * Security Notes:
  * - userId always comes from req.user.id (JWT-verified) — never from body.
  * - PAN is ALWAYS returned masked (ABC****34F) to any frontend.
- * - Full PAN visible only to SUPER_ADMIN in admin detail view.
+ * - Full PAN / mobile visible only to admins with pii:view in admin detail view.
  * - CDN URLs for PDF are NEVER sent to frontend (secure stream only).
  * - AES KMS encryption for all sensitive fields before DB write.
  * - Race condition prevented: DB uniqueness + guard check.
@@ -14,9 +14,18 @@
  */
 
 import { prisma } from '../config/db.js';   // Shared singleton Prisma instance
-import { deepVueService } from '../services/deepvue.service.js';
+import { RETENTION_CONFIG } from '../config/retention.js';
+import { deepVueService, DeepVueError, DEEPVUE_ERROR_CODES } from '../services/deepvue.service.js';
+import { getBureauAdapter } from './bureauAdapter.service.js';
+import { buildTradelineData, getStoredClientReport } from './creditTradeline.service.js';
+import { recordReportDiff, getReportDiff } from './creditReportDiff.service.js';
+import { buildInsights } from './creditInsights.service.js';
+import { renderCreditReportPdf, derivePdfPassword } from './creditReportPdf.service.js';
 import * as encryption from '../services/encryption.service.js';
 import * as storage from '../utils/storage.js';
+import { computeSearchIndex, searchIndexFilter } from '../utils/blindIndex.util.js';
+import { ApiError } from '../utils/ApiError.js';
+import * as requests from './creditReportRequest.service.js';
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -64,6 +73,27 @@ function buildSummary(report) {
     };
 }
 
+/**
+ * Normalized report (bureauAdapter.service.js) for the owner's view, built from
+ * the raw payload of reports saved before the tradeline tables existed.
+ * SECURITY: PAN / mobile are left out — the response carries masked copies.
+ * Returns null when the stored payload cannot be normalized.
+ */
+function toClientReport(bureau, raw) {
+    if (!raw) return null;
+    try {
+        const { person, ...normalized } = getBureauAdapter(bureau).normalize(raw);
+        return {
+            ...normalized,
+            person: { name: person.name, dateOfBirth: person.dateOfBirth, gender: person.gender },
+            pdfUrl: undefined,
+        };
+    } catch (error) {
+        console.error(`[CreditReport] Could not normalize ${bureau} report:`, error.message);
+        return null;
+    }
+}
+
 // ─── USER: Check Cache ────────────────────────────────────────────────────────
 
 /**
@@ -103,18 +133,38 @@ export const checkCache = async (userId) => {
     }
 };
 
-// ─── USER: Create DeepVue Session ────────────────────────────────────────────
+// ─── USER: Create Bureau Session ─────────────────────────────────────────────
 
-export const getSession = async (userData) => {
+export const getSession = async (userId, userData) => {
     // GUARD: Don't create a session if user already has a valid report
     // (Secondary check — primary is in fetchAndSaveReport)
-    return await deepVueService.createCibilSession(userData);
+    const adapter = getBureauAdapter();
+
+    // Track the paid transaction from before the bureau is called
+    const request = await requests.createReportRequest(userId, adapter.bureau);
+
+    try {
+        const session = await adapter.createSession(userData);
+        await requests.markRequestRedirected(request.id, session.transaction_id);
+        return session;
+    } catch (error) {
+        await requests.markRequestFailed({ requestId: request.id }, `${error.code || 'ERROR'}: ${error.message}`);
+        throw error;
+    }
 };
 
+/** Circuit-breaker state of the bureau client (CreditCheckClient shows a banner when unavailable) */
+export const getBureauStatus = () => deepVueService.getStatus();
+
 // ─── USER: Fetch + Save Report ────────────────────────────────────────────────
 
 /**
- * Main entry point for generating a new credit report.
+ * Main entry point for generating a new credit report — called by the browser
+ * poll, the DeepVue callback and reconciliation (`source`).
+ *
+ * OWNERSHIP: a transaction recorded for another user is rejected (403).
+ * A tracked request that has not completed yet is always fetched and saved,
+ * even if the user already holds an active report — it was paid for.
  *
  * RACE CONDITION PROTECTION:
  * We use a DB-level guard (status=ACTIVE + expiresAt>now) BEFORE the external API call.
@@ -127,10 +177,32 @@ export const getSession = async (userData) => {
  * - All sensitive data encrypted via AWS KMS before DB write.
  * - PDF CDN URL never returned to client.
  */
-export const fetchAndSaveReport = async (userId, transactionId) => {
-    // ── GUARD 1: 28-day check ─────────────────────────────────────────────────
+export const fetchAndSaveReport = async (userId, transactionId, { source = 'browser' } = {}) => {
+    const request = await requests.findRequestByTransaction(transactionId);
+    if (request && request.userId !== userId) {
+        throw new ApiError(403, 'This transaction does not belong to you');
+    }
+
+    try {
+        return await fetchAndSaveForTransaction(userId, transactionId, {
+            source,
+            pendingRequest: !!request && request.status !== requests.REQUEST_STATUS.COMPLETED,
+            bureau: request?.bureau,
+        });
+    } catch (error) {
+        // Another source (browser / callback) saved this transaction first — return its report
+        if (error.code === 'P2002') {
+            return fetchAndSaveForTransaction(userId, transactionId, { source, pendingRequest: false, bureau: request?.bureau });
+        }
+        await requests.markRequestFailed({ transactionId }, error.code ? `${error.code}: ${error.message}` : error).catch(() => {});
+        throw error;
+    }
+};
+
+async function fetchAndSaveForTransaction(userId, transactionId, { source, pendingRequest, bureau }) {
+    // ── GUARD 1: Report validity check (REPORT_VALIDITY_DAYS) ─────────────────
     // IMPORTANT: This check must happen BEFORE any external API call.
-    const existingActive = await prisma.creditReport.findFirst({
+    const existingActive = pendingRequest ? null : await prisma.creditReport.findFirst({
         where: {
             userId,
             status: 'ACTIVE',
@@ -154,6 +226,7 @@ export const fetchAndSaveReport = async (userId, transactionId) => {
         where: { userId, transactionId },
     });
     if (duplicateTxn) {
+        await requests.markRequestCompleted(transactionId, duplicateTxn.id, source);
         return {
             ...buildResponse('database', duplicateTxn),
             ...buildSummary(duplicateTxn),
@@ -162,122 +235,125 @@ export const fetchAndSaveReport = async (userId, transactionId) => {
         };
     }
 
-    // ── STEP 1: Fetch from DeepVue ────────────────────────────────────────────
-    const response = await deepVueService.fetchCibilReport(transactionId);
-
-    if (!response) {
-        throw new Error('No response from DeepVue');
-    }
+    // ── STEP 1: Fetch from the bureau + normalize ─────────────────────────────
+    const adapter = getBureauAdapter(bureau);
+    const response = await adapter.fetchReport(transactionId);
 
     // Still processing — tell frontend to retry
     if (response.status === 'PROCESSING') {
-        return { status: 'PROCESSING', message: 'Report is being processed. Please wait...' };
-    }
-
-    if (!response.success || !response.data) {
-        throw new Error(response.message || 'Invalid response from DeepVue');
-    }
-
-    const { data } = response;
-    const reportData = data.credit_report?.CCRResponse?.CIRReportDataLst?.[0]?.CIRReportData;
-
-    if (!reportData) {
-        throw new Error('Credit report data missing in DeepVue response');
+        await requests.markRequestProcessing(transactionId);
+        return { status: 'PROCESSING', code: DEEPVUE_ERROR_CODES.NOT_READY, message: 'Report is being processed. Please wait...' };
     }
 
-    const summary = reportData.RetailAccountsSummary || {};
-    const enquiry = reportData.EnquirySummary || {};
+    const { raw } = response;
+    const normalized = adapter.normalize(raw);
+    const { person, summary } = normalized;
 
     // ── STEP 2: Encrypt sensitive fields via AWS KMS ──────────────────────────
     // SECURITY: Only encrypted blobs are stored in DB. Never plaintext.
-    if (!data.pan) throw new Error('PAN missing from DeepVue response');
-
-    const [panEncrypted, mobileEncrypted, nameEncrypted, fullReportEncrypted] = await Promise.all([
-        encryption.encrypt(data.pan),
-        encryption.encrypt(data.mobile || ''),
-        encryption.encrypt(data.name || ''),
-        encryption.encryptLarge(JSON.stringify(data)),   // KMS envelope encryption
+    // The raw bureau payload is kept so reports can be re-normalized later.
+    if (!person.pan) throw new DeepVueError(DEEPVUE_ERROR_CODES.UPSTREAM, 'PAN missing from bureau response');
+
+    const [panEncrypted, mobileEncrypted, nameEncrypted, fullReportEncrypted, tradelines] = await Promise.all([
+        encryption.encrypt(person.pan),
+        encryption.encrypt(person.mobile || ''),
+        encryption.encrypt(person.name || ''),
+        encryption.encryptLarge(JSON.stringify(raw)),   // KMS envelope encryption
+        buildTradelineData(normalized),                  // account numbers + DOB encrypted per field
     ]);
 
-    // ── STEP 3: Upload PDF to DigitalOcean Spaces ─────────────────────────────
-    // Path: {year}/{month}/{date}/user_{userId}.pdf
-    // If upload fails, we still save the report (non-blocking)
-    let doPath = null;
-    let doUrl = null;
-    if (data.pdf_url) {
-        try {
-            const uploadResult = await storage.uploadPdfFromUrl(data.pdf_url, userId);
-            doPath = uploadResult.doPath;
-            doUrl = uploadResult.doUrl;    // Internal use only — NOT sent to client
-        } catch (uploadErr) {
-            // Log but continue — report data is more important than PDF
-            console.error('[CreditReport] PDF upload failed (non-fatal):', uploadErr.message);
-        }
-    }
-
-    // ── STEP 4: Expire any previous ACTIVE reports for this user ──────────────
-    // This must happen BEFORE creating the new record
-    await prisma.creditReport.updateMany({
-        where: {
-            userId,
-            status: 'ACTIVE',
-        },
-        data: {
-            status: 'EXPIRED',
-            pdfSpacesPath: null,
-            pdfSpacesUrl: null,
-        },
-    });
-
-    // ── STEP 5: Save new report to DB ─────────────────────────────────────────
+    // ── STEP 3: Store the PDF (utils/storage.js — Spaces / local / memory) ──────
+    // Path: {year}/{month}/{date}/user_{userId}_{suffix}.pdf
+    // A failed upload does not fail the report — the status and reason are saved
+    const pdf = normalized.pdfUrl
+        ? await storage.uploadPdfFromUrl(normalized.pdfUrl, userId)
+        : { status: storage.PDF_STATUS.NOT_AVAILABLE, path: null, driver: null, keyEncrypted: null, checksum: null, size: null, error: null };
+
+    // ── STEP 4 + 5: Expire previous ACTIVE reports and save the new one ───────
+    // One transaction: when the callback and the browser poll save the same
+    // transaction at once, the loser's create fails on the unique transactionId
+    // (P2002) and its expire rolls back with it — the winner's report stays ACTIVE.
     const now = new Date();
-    const expiresAt = new Date(now.getTime() + 28 * 24 * 60 * 60 * 1000); // +28 days exactly
+    const expiresAt = new Date(now.getTime() + RETENTION_CONFIG.REPORT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
 
-    const savedReport = await prisma.creditReport.create({
-        data: {
-            userId,
-            status: 'ACTIVE',
+    const savedReport = await prisma.$transaction(async (tx) => {
+        await tx.creditReport.updateMany({
+            where: {
+                userId,
+                status: 'ACTIVE',
+            },
+            data: {
+                status: 'EXPIRED',
+                pdfSpacesPath: null,
+                pdfSpacesUrl: null,
+                pdfKeyEncrypted: null,     // The old PDF is unreadable without its key
+            },
+        });
 
-            // Encrypted via AWS KMS — NO plaintext stored
-            panEncrypted,
-            mobileEncrypted,
-            nameEncrypted,
-            fullReportEncrypted,
-
-            // Non-sensitive summary fields (safe to store plaintext for queries)
-            creditScore: parseInt(data.credit_score) || 0,
-            totalAccounts: parseInt(summary.NoOfAccounts) || 0,
-            activeAccounts: parseInt(summary.NoOfActiveAccounts) || 0,
-            closedAccounts: Math.max((parseInt(summary.NoOfAccounts) - parseInt(summary.NoOfActiveAccounts)) || 0, 0),
-            totalBalance: parseFloat(summary.TotalBalanceAmount) || 0,
-            totalOverdue: parseFloat(summary.TotalPastDue) || 0,
-            totalSanctionAmount: parseFloat(summary.TotalSanctionAmount) || 0,
-            totalMonthlyPayment: parseFloat(summary.TotalMonthlyPaymentAmount) || 0,
-            noOfWriteOffs: parseInt(summary.NoOfWriteOffs) || 0,
-            oldestAccountDate: summary.OldestAccount || null,
-            newestAccountDate: summary.RecentAccount || null,
-
-            enquiryCount: parseInt(enquiry.Total) || 0,
-            enquiryPast30Days: parseInt(enquiry.Past30Days) || 0,
-            enquiryPast12Months: parseInt(enquiry.Past12Months) || 0,
-
-            transactionId,
-            pdfOriginalUrl: data.pdf_url || null,   // Original URL (from DeepVue, not public)
-            pdfSpacesPath: doPath,                   // Internal storage path
-            pdfSpacesUrl: doUrl,                     // INTERNAL ONLY — never sent to client
-
-            fetchedAt: now,
-            expiresAt,
-        },
+        return tx.creditReport.create({
+            data: {
+                userId,
+                status: 'ACTIVE',
+
+                // Encrypted via AWS KMS — NO plaintext stored
+                panEncrypted,
+                mobileEncrypted,
+                nameEncrypted,
+                fullReportEncrypted,
+                searchIndex: computeSearchIndex('CreditReport', {
+                    panEncrypted: person.pan,
+                    mobileEncrypted: person.mobile,
+                    nameEncrypted: person.name,
+                }),
+
+                // Non-sensitive summary fields (safe to store plaintext for queries)
+                creditScore: normalized.score.value,    // null = not scored (thin file)
+                ...summary,
+
+                // Accounts / enquiries as rows — written in the same transaction
+                ...tradelines.report,
+                accounts: { create: tradelines.accounts },
+                enquiries: { create: tradelines.enquiries },
+
+                bureau: normalized.bureau,
+                transactionId,
+                pdfOriginalUrl: normalized.pdfUrl,      // Original URL (from the bureau, not public)
+                pdfSpacesPath: pdf.path,                 // Internal storage key
+                pdfStatus: pdf.status,
+                pdfError: pdf.error,
+                pdfStorageDriver: pdf.driver,
+                pdfChecksum: pdf.checksum,
+                pdfSize: pdf.size,
+                pdfKeyEncrypted: pdf.keyEncrypted,       // Wrapped PDF data key (KMS)
+
+                fetchedAt: now,
+                expiresAt,
+            },
+        });
+    }).catch(async (error) => {
+        // Not saved (e.g. P2002 — the other source won): its PDF object is unreferenced
+        if (pdf.path) {
+            await storage.deletePdf(pdf.path, { driver: pdf.driver }).catch(() => {});
+        }
+        throw error;
     });
 
+    await requests.markRequestCompleted(transactionId, savedReport.id, source);
+
+    // ── STEP 6: Diff against the previous report (non-fatal) ──────────────────
+    try {
+        await recordReportDiff(savedReport);
+    } catch (diffErr) {
+        console.error('[CreditReport] Report diff failed (non-fatal):', diffErr.message);
+    }
+
     return {
         ...buildResponse('api', savedReport),
         ...buildSummary(savedReport),
         // SECURITY: No PAN, no mobile, no PDF URL in this response
         // Client must call /my-report to get masked PAN
     };
-};
+}
 
 // ─── USER: Get My Report ──────────────────────────────────────────────────────
 
@@ -317,24 +393,9 @@ export const getMyReport = async (userId) => {
     }
 
     // ACTIVE — decrypt and return (with masking)
-    let maskedPan = null;
-    let maskedMobile = null;
-    let decryptedName = null;
-    let fullReportObj = null;
-
+    let owner;
     try {
-        const [pan, mobile, name, fullReportJson] = await Promise.all([
-            encryption.decrypt(report.panEncrypted),
-            encryption.decrypt(report.mobileEncrypted),
-            encryption.decrypt(report.nameEncrypted),
-            encryption.decryptLarge(report.fullReportEncrypted),
-        ]);
-
-        maskedPan = encryption.maskPan(pan);    // ALWAYS masked ABC****34F
-        // SECURITY: Mask mobile — only show last 4 digits to user
-        maskedMobile = mobile ? `XXXXXX${mobile.slice(-4)}` : null;
-        decryptedName = name;
-        fullReportObj = JSON.parse(fullReportJson);
+        owner = await decryptForOwner(report);
     } catch (decryptErr) {
         console.error('[CreditReport] Decryption failed for report', report.id, '—', decryptErr.message);
         // Return partial response with only summary (score + stats)
@@ -348,6 +409,7 @@ export const getMyReport = async (userId) => {
             history: [],
         };
     }
+    const { creditReport } = owner;
 
     // Score history (6 months)
     const historyData = await prisma.creditReport.findMany({
@@ -365,26 +427,143 @@ export const getMyReport = async (userId) => {
         date: h.fetchedAt,
     }));
 
+    // What changed since the previous report (null for a first report)
+    const changes = await getReportDiff(report.id);
+
     return {
         ...buildResponse('database', report),
         ...buildSummary(report),
 
         // SECURITY: Masked PAN always
-        pan: maskedPan,
-        maskedPan,
+        pan: owner.maskedPan,
+        maskedPan: owner.maskedPan,
         // SECURITY: Masked mobile (only last 4 digits)
-        mobile: maskedMobile,
-        name: decryptedName,
-        fullReport: fullReportObj,
+        mobile: owner.maskedMobile,
+        name: owner.name,
+        bureau: report.bureau,
+        creditReport,
+        // Score factors + ranked recommendations (creditInsights.service.js)
+        insights: buildInsights(creditReport, report.fetchedAt),
         history,
+        changes,
 
         oldestAccountDate: report.oldestAccountDate,
         newestAccountDate: report.newestAccountDate,
         // SECURITY: No pdfSpacesUrl — use /download-pdf endpoint
         hasPdf: !!report.pdfSpacesPath,
+        pdfStatus: report.pdfStatus,
+        // Branded PDF (download-pdf?type=branded); null when no password can be derived
+        pdfPasswordHint: brandedPdfHint(owner),
     };
 };
 
+/**
+ * Decrypt an ACTIVE report for its owner: holder details (PAN / mobile
+ * masked) and the client report.
+ * @throws {Error} when decryption fails
+ */
+const decryptForOwner = async (report) => {
+    // Accounts / enquiries come from the tradeline tables; only reports saved
+    // before those existed still need the full bureau payload decrypted
+    const extracted = !!report.tradelinesExtractedAt;
+    const [pan, mobile, name, dateOfBirth, fullReportJson] = await Promise.all([
+        encryption.decrypt(report.panEncrypted),
+        encryption.decrypt(report.mobileEncrypted),
+        encryption.decrypt(report.nameEncrypted),
+        encryption.decrypt(report.dobEncrypted),
+        extracted ? null : encryption.decryptLarge(report.fullReportEncrypted),
+    ]);
+    const creditReport = extracted
+        ? await getStoredClientReport(report, { name, dateOfBirth })
+        : toClientReport(report.bureau, JSON.parse(fullReportJson));
+
+    return {
+        name,
+        // DOB is only on the raw payload for reports saved before dobEncrypted
+        dateOfBirth: dateOfBirth || creditReport?.person?.dateOfBirth || null,
+        mobile,
+        pan,                                   // owner's data export only — never in report responses
+        maskedPan: encryption.maskPan(pan),    // ALWAYS masked ABC****34F
+        // SECURITY: Mask mobile — only show last 4 digits to user
+        maskedMobile: mobile ? `XXXXXX${mobile.slice(-4)}` : null,
+        creditReport,
+    };
+};
+
+const brandedPdfHint = (owner) => {
+    try {
+        return derivePdfPassword(owner).hint;
+    } catch {
+        return null;
+    }
+};
+
+// ─── USER: Data export ───────────────────────────────────────────────────────
+
+/**
+ * Every credit report of a user, decrypted and unmasked, for their own data
+ * export (services/dataRights.service.js). Reports whose encrypted data was
+ * removed by retention keep only their summary.
+ */
+export const getMyReportsForExport = async (userId) => {
+    const reports = await prisma.creditReport.findMany({
+        where: { userId },
+        orderBy: { fetchedAt: 'desc' },
+    });
+
+    return Promise.all(reports.map(async (report) => {
+        const exported = {
+            id: report.id,
+            bureau: report.bureau,
+            status: report.status,
+            fetchedAt: report.fetchedAt,
+            expiresAt: report.expiresAt,
+            ...buildSummary(report),
+            scoreModel: report.scoreModel,
+            scoreFactors: report.scoreFactors,
+            pdfStatus: report.pdfStatus,
+        };
+        try {
+            const { pan, mobile, name, dateOfBirth, creditReport } = await decryptForOwner(report);
+            return { ...exported, pan, mobile, name, dateOfBirth, creditReport };
+        } catch (error) {
+            console.error('[CreditReport] Export decryption failed for report', report.id, '—', error.message);
+            return { ...exported, decryptionError: true };
+        }
+    }));
+};
+
+// ─── USER: Branded PDF ───────────────────────────────────────────────────────
+
+/**
+ * Borrowww-branded, password-protected PDF of the user's active report,
+ * rendered from stored data (creditReportPdf.service.js). Works whether
+ * or not the bureau's PDF was saved.
+ *
+ * @returns {Promise<Buffer|null>} null without an active report
+ * @throws {ApiError} 409 when no PDF password can be derived
+ */
+export const getMyBrandedPdf = async (userId) => {
+    const report = await prisma.creditReport.findFirst({
+        where: { userId, status: 'ACTIVE', expiresAt: { gt: new Date() } },
+        orderBy: { fetchedAt: 'desc' },
+    });
+    if (!report) return null;
+
+    const owner = await decryptForOwner(report);
+    if (!owner.creditReport) {
+        throw new ApiError(409, 'A PDF cannot be created for this report');
+    }
+    const { password } = derivePdfPassword(owner);
+
+    return renderCreditReportPdf(owner.creditReport, {
+        person: owner,
+        insights: buildInsights(owner.creditReport, report.fetchedAt),
+        fetchedAt: report.fetchedAt,
+        password,
+    });
+};
+
 // ─── USER: Get PDF Path (internal — for streaming) ───────────────────────────
 
 /**
@@ -393,7 +572,7 @@ export const getMyReport = async (userId) => {
  * - Only ACTIVE and within expiry — never for expired reports
  * - userId from JWT, not request body
  *
- * Returns { id, pdfSpacesPath } or null
+ * Returns { id, pdfSpacesPath, pdfStatus, pdfStorageDriver, pdfChecksum, pdfKeyEncrypted } or null
  */
 export const getMyPdfPath = async (userId) => {
     // SECURITY: Check both status=ACTIVE AND expiresAt>now
@@ -405,7 +584,14 @@ export const getMyPdfPath = async (userId) => {
             expiresAt: { gt: new Date() },    // FIX: Must validate expiry here too
         },
         orderBy: { fetchedAt: 'desc' },
-        select: { id: true, pdfSpacesPath: true },
+        select: {
+            id: true,
+            pdfSpacesPath: true,
+            pdfStatus: true,
+            pdfStorageDriver: true,
+            pdfChecksum: true,
+            pdfKeyEncrypted: true,
+        },
     });
     return report;
 };
@@ -419,7 +605,16 @@ export const getMyPdfPath = async (userId) => {
 export const getReportPdfPath = async (reportId) => {
     const report = await prisma.creditReport.findUnique({
         where: { id: reportId },
-        select: { id: true, pdfSpacesPath: true, userId: true, status: true },
+        select: {
+            id: true,
+            userId: true,
+            status: true,
+            pdfSpacesPath: true,
+            pdfStatus: true,
+            pdfStorageDriver: true,
+            pdfChecksum: true,
+            pdfKeyEncrypted: true,
+        },
     });
     return report;
 };
@@ -442,7 +637,7 @@ export const getAllReportsAdmin = async (
     page = 1,
     limit = 10,
     search = '',
-    isSuperAdmin = false,
+    canViewPii = false,
     month = undefined,
     year = undefined,
 ) => {
@@ -462,11 +657,10 @@ export const getAllReportsAdmin = async (
         };
     }
 
-    // Search (by phone)
-    if (search) {
-        where.user = {
-            OR: [{ phoneNumber: { contains: search } }],
-        };
+    // Search (blind index: report holder's name / mobile / PAN, or the account's user)
+    const searchFilter = searchIndexFilter(search);
+    if (searchFilter) {
+        where.OR = [searchFilter, { user: searchFilter }];
     }
 
     // Single DB call with count (no N+1 issue)
@@ -476,6 +670,7 @@ export const getAllReportsAdmin = async (
             skip,
             take: limit,
             orderBy: { fetchedAt: 'desc' },
+            omit: { searchIndex: true, pdfKeyEncrypted: true },
             include: {
                 user: {
                     select: { id: true, firstName: true, lastName: true, phoneNumber: true },
@@ -491,7 +686,7 @@ export const getAllReportsAdmin = async (
             // Decrypt user name fields
             if (report.user) {
                 try {
-                    report.user = await encryption.decryptUserData(report.user, false);
+                    report.user = await encryption.decryptUserData(report.user, !canViewPii);
                 } catch {
                     // Keep encrypted value if decryption fails
                 }
@@ -534,10 +729,10 @@ export const getAllReportsAdmin = async (
 /**
  * Full report detail for admin.
  * SECURITY:
- * - PAN: masked for regular admin, FULL only for SUPER_ADMIN
+ * - PAN / mobile: masked unless the admin holds pii:view
  * - PDF URL: never returned — admin uses /admin/:id/download-pdf
  */
-export const getReportDetailAdmin = async (reportId, isSuperAdmin = false) => {
+export const getReportDetailAdmin = async (reportId, canViewPii = false) => {
     const report = await prisma.creditReport.findUnique({
         where: { id: reportId },
         include: {
@@ -572,7 +767,7 @@ export const getReportDetailAdmin = async (reportId, isSuperAdmin = false) => {
     // Decrypt user fields
     if (report.user) {
         try {
-            report.user = await encryption.decryptUserData(report.user, false);
+            report.user = await encryption.decryptUserData(report.user, !canViewPii);
         } catch { /* keep encrypted */ }
     }
 
@@ -580,9 +775,9 @@ export const getReportDetailAdmin = async (reportId, isSuperAdmin = false) => {
 
     return {
         ...report,
-        // PAN: Full only for SUPER_ADMIN; masked for regular admin
-        pan: isSuperAdmin ? pan : encryption.maskPan(pan),
-        mobile,
+        // PAN / mobile: full only with pii:view
+        pan: canViewPii ? pan : encryption.maskPan(pan),
+        mobile: canViewPii ? mobile : encryption.maskPhone(mobile),
         name,
         fullReport: fullReportObj,
         statusLabel: isExpired ? 'expired' : 'active',
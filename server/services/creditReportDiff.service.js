@@ -0,0 +1,190 @@
+/**
+ * =============================================================
+ * CREDIT REPORT DIFF — what changed since the last report
+ * =============================================================
+ *
+ * When a returning user saves a new report, it is compared with
+ * their previous one using the tradeline tables
+ * (creditTradeline.service.js):
+ *
+ *   - score delta
+ *   - new accounts and accounts closed since
+ *   - new enquiries
+ *   - new overdues (overdue now, none before)
+ *   - credit card utilization before / after
+ *
+ * The diff is stored in CreditReportDiff and shown with the report.
+ * With CREDIT_CHANGE_ALERTS=sms the user also gets an SMS
+ * (CREDIT_CHANGE template) when anything changed.
+ * =============================================================
+ */
+
+import { prisma } from '../config/db.js';
+import { extractTradelines } from './creditTradeline.service.js';
+import { smsService } from './sms.service.js';
+
+// 'sms' | 'off'
+const ALERT_CHANNEL = process.env.CREDIT_CHANGE_ALERTS || 'off';
+
+// ─── Comparison ──────────────────────────────────────────────────────────────
+
+const day = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+// Bureaus mask account numbers, so an account is lender + type + last 4 + open date
+const accountKey = (a) => [a.institution, a.accountType, a.accountNumberLast4, day(a.openedAt)].join('|');
+
+const enquiryKey = (e) => [e.institution, e.purpose, day(e.enquiredAt)].join('|');
+
+const accountView = (a) => ({
+    institution: a.institution,
+    accountType: a.accountType,
+    accountNumberLast4: a.accountNumberLast4,
+    sanctionAmount: a.sanctionAmount,
+    openedAt: day(a.openedAt),
+});
+
+/** Card balance as a % of card limits, one decimal; null without card limits */
+export const cardUtilization = (accounts) => {
+    const cards = accounts.filter((a) => a.isOpen && a.creditLimit > 0);
+    const limit = cards.reduce((total, a) => total + a.creditLimit, 0);
+    if (!limit) return null;
+    const balance = cards.reduce((total, a) => total + a.balance, 0);
+    return Math.round((balance / limit) * 1000) / 10;
+};
+
+/**
+ * Compare two reports. Each side is { report, accounts, enquiries } with
+ * CreditReport / CreditAccount / CreditEnquiry rows.
+ */
+export const diffReports = (previous, current) => {
+    const previousAccounts = new Map(previous.accounts.map((a) => [accountKey(a), a]));
+    const previousEnquiries = new Set(previous.enquiries.map(enquiryKey));
+
+    const newAccounts = [];
+    const closedAccounts = [];
+    const newOverdues = [];
+
+    for (const account of current.accounts) {
+        const before = previousAccounts.get(accountKey(account));
+        if (!before) newAccounts.push(accountView(account));
+        if (before?.isOpen && !account.isOpen) {
+            closedAccounts.push({ ...accountView(account), closedAt: day(account.closedAt) });
+        }
+        if (account.overdue > 0 && !(before?.overdue > 0)) {
+            newOverdues.push({ ...accountView(account), overdue: account.overdue });
+        }
+    }
+
+    const previousScore = previous.report.creditScore;
+    const currentScore = current.report.creditScore;
+
+    return {
+        previousFetchedAt: previous.report.fetchedAt,
+        previousScore,
+        currentScore,
+        scoreDelta: previousScore !== null && currentScore !== null ? currentScore - previousScore : null,
+        utilizationBefore: cardUtilization(previous.accounts),
+        utilizationAfter: cardUtilization(current.accounts),
+        newAccounts,
+        closedAccounts,
+        newEnquiries: current.enquiries
+            .filter((e) => !previousEnquiries.has(enquiryKey(e)))
+            .map((e) => ({ institution: e.institution, purpose: e.purpose, amount: e.amount, enquiredAt: day(e.enquiredAt) })),
+        newOverdues,
+    };
+};
+
+export const hasChanges = (diff) =>
+    !!diff.scoreDelta ||
+    diff.newAccounts.length > 0 ||
+    diff.closedAccounts.length > 0 ||
+    diff.newEnquiries.length > 0 ||
+    diff.newOverdues.length > 0;
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+
+const loadTradelines = async (report) => {
+    const [accounts, enquiries] = await Promise.all([
+        prisma.creditAccount.findMany({ where: { creditReportId: report.id }, omit: { accountNumberEncrypted: true } }),
+        prisma.creditEnquiry.findMany({ where: { creditReportId: report.id } }),
+    ]);
+    return { report, accounts, enquiries };
+};
+
+/**
+ * Compare a just-saved report with the user's previous report, store the
+ * diff and send the change alert. Returns null for a first report.
+ *
+ * @param {Object} report - the saved CreditReport row
+ */
+export const recordReportDiff = async (report) => {
+    let previous = await prisma.creditReport.findFirst({
+        where: { userId: report.userId, id: { not: report.id }, fetchedAt: { lt: report.fetchedAt } },
+        orderBy: { fetchedAt: 'desc' },
+    });
+    if (!previous) return null;
+
+    // Reports saved before the tradeline tables are extracted on first comparison
+    if (!previous.tradelinesExtractedAt && previous.fullReportEncrypted) {
+        await extractTradelines(previous);
+        previous = await prisma.creditReport.findUnique({ where: { id: previous.id } });
+    }
+
+    const diff = diffReports(await loadTradelines(previous), await loadTradelines(report));
+    const saved = await prisma.creditReportDiff.upsert({
+        where: { creditReportId: report.id },
+        create: { creditReportId: report.id, previousReportId: previous.id, userId: report.userId, ...diff },
+        update: { previousReportId: previous.id, ...diff },
+    });
+
+    if (ALERT_CHANNEL === 'sms' && hasChanges(diff)) {
+        // Not awaited — the report response must not wait for the SMS gateway
+        sendChangeAlert(saved).catch((error) => {
+            console.error('[CreditDiff] Change alert failed:', error.message);
+        });
+    }
+    return saved;
+};
+
+const sendChangeAlert = async (diff) => {
+    const user = await prisma.user.findUnique({ where: { id: diff.userId }, select: { phoneNumber: true } });
+    if (!user?.phoneNumber) return;
+
+    // Counts only — no lender names or amounts in an SMS
+    const result = await smsService.sendTemplate(user.phoneNumber, 'CREDIT_CHANGE', {
+        score: diff.currentScore ?? 'NA',
+        change: diff.scoreDelta === null ? 'NA' : `${diff.scoreDelta > 0 ? '+' : ''}${diff.scoreDelta}`,
+        accounts: diff.newAccounts.length,
+        enquiries: diff.newEnquiries.length,
+        overdues: diff.newOverdues.length,
+    });
+
+    if (result.success) {
+        await prisma.creditReportDiff.update({
+            where: { id: diff.id },
+            data: { notifiedAt: new Date(), notifyChannel: `sms:${result.provider}` },
+        });
+    }
+};
+
+/**
+ * The stored diff for a report, shaped for the client; null when there is none.
+ */
+export const getReportDiff = async (creditReportId) => {
+    const diff = await prisma.creditReportDiff.findUnique({ where: { creditReportId } });
+    if (!diff) return null;
+
+    return {
+        previousFetchedAt: diff.previousFetchedAt,
+        previousScore: diff.previousScore,
+        currentScore: diff.currentScore,
+        scoreDelta: diff.scoreDelta,
+        utilizationBefore: diff.utilizationBefore,
+        utilizationAfter: diff.utilizationAfter,
+        newAccounts: diff.newAccounts,
+        closedAccounts: diff.closedAccounts,
+        newEnquiries: diff.newEnquiries,
+        newOverdues: diff.newOverdues,
+        hasChanges: hasChanges(diff),
+    };
+};
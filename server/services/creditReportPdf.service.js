@@ -0,0 +1,417 @@
+/**
+ * =============================================================
+ * CREDIT REPORT PDF — Borrowww-branded, password-protected
+ * =============================================================
+ *
+ * Renders our own PDF from the stored report (the client report
+ * from getStoredClientReport / toClientReport plus insights), so a
+ * user always has a PDF even when the bureau's could not be saved:
+ *
+ *   score gauge · summary · insights · accounts with DPD grid · enquiries
+ *
+ * The file is AES-256 encrypted with a user password, as banks do:
+ * first 4 letters of the name on the report in capitals + date of
+ * birth as DDMM (last 4 digits of the mobile when there is no DOB).
+ * The owner password is random, so print-only permissions cannot be
+ * lifted. Nothing is stored — the PDF is rendered per download.
+ * =============================================================
+ */
+
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { ApiError } from '../utils/ApiError.js';
+
+const BRAND = {
+    NAVY: '#2D3E50',
+    BLUE: '#3A6EA5',
+    TEXT: '#1F2937',
+    MUTED: '#6B7280',
+    LINE: '#E5E7EB',
+    PANEL: '#F3F4F6',
+};
+
+// Score bands on the 300–900 scale, low to high
+const SCORE_BANDS = [
+    { upTo: 550, color: '#DC2626', label: 'Poor' },
+    { upTo: 650, color: '#F97316', label: 'Fair' },
+    { upTo: 750, color: '#EAB308', label: 'Good' },
+    { upTo: 900, color: '#16A34A', label: 'Excellent' },
+];
+
+const DPD_COLORS = {
+    current: '#16A34A',
+    late: '#EAB308',
+    serious: '#F97316',
+    default: '#DC2626',
+    notReported: '#E5E7EB',
+};
+
+const PAGE_MARGIN = 40;
+
+// ─── Password ────────────────────────────────────────────────────────────────
+
+/**
+ * Bank-style PDF password from the report holder's details.
+ *
+ * @param {{ name: string|null, dateOfBirth: string|null, mobile: string|null }} person - decrypted
+ * @returns {{ password: string, hint: string }}
+ * @throws {ApiError} 409 when the report has neither a name nor a DOB / mobile to build one from
+ */
+export const derivePdfPassword = ({ name, dateOfBirth, mobile }) => {
+    const letters = String(name || '').replace(/[^A-Za-z]/g, '').toUpperCase().slice(0, 4);
+    const dob = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateOfBirth || '');
+    const digits = dob ? `${dob[3]}${dob[2]}` : String(mobile || '').replace(/\D/g, '').slice(-4);
+
+    if (letters.length < 2 || digits.length < 4) {
+        throw new ApiError(409, 'A password-protected PDF cannot be created for this report');
+    }
+
+    const hint = dob
+        ? 'The first 4 letters of your name as on the report, in capitals, followed by your date of birth as DDMM (e.g. RAHU1406 for Rahul, born 14 June).'
+        : 'The first 4 letters of your name as on the report, in capitals, followed by the last 4 digits of your mobile number (e.g. RAHU3210).';
+    return { password: `${letters}${digits}`, hint };
+};
+
+// ─── Layout helpers ──────────────────────────────────────────────────────────
+
+// Standard PDF fonts have no ₹ glyph
+const rupees = (value) => (value === null || value === undefined ? '-' : `Rs. ${Math.round(value).toLocaleString('en-IN')}`);
+
+const formatDay = (value) => {
+    if (!value) return '-';
+    const date = new Date(value);
+    return Number.isNaN(date.getTime())
+        ? String(value)
+        : date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' });
+};
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > doc.page.height - PAGE_MARGIN - 30) {
+        doc.addPage();
+    }
+};
+
+const sectionTitle = (doc, title) => {
+    ensureSpace(doc, 60);
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(BRAND.NAVY).text(title, PAGE_MARGIN, doc.y);
+    const y = doc.y + 3;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + contentWidth(doc), y).lineWidth(1).strokeColor(BRAND.LINE).stroke();
+    doc.y = y + 8;
+};
+
+/** Label / value pairs in `columns` columns */
+const keyValueGrid = (doc, pairs, columns = 3) => {
+    const width = contentWidth(doc) / columns;
+    for (let i = 0; i < pairs.length; i += columns) {
+        ensureSpace(doc, 34);
+        const y = doc.y;
+        pairs.slice(i, i + columns).forEach(([label, value], col) => {
+            const x = PAGE_MARGIN + col * width;
+            doc.font('Helvetica').fontSize(8).fillColor(BRAND.MUTED).text(label.toUpperCase(), x, y, { width: width - 8 });
+            doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND.TEXT).text(String(value ?? '-'), x, y + 11, { width: width - 8 });
+        });
+        doc.y = y + 32;
+    }
+};
+
+/** Simple table; columns: [{ header, width (fraction), value(row), align }] */
+const table = (doc, columns, rows) => {
+    const total = contentWidth(doc);
+    const drawHeader = () => {
+        const y = doc.y;
+        doc.rect(PAGE_MARGIN, y, total, 18).fill(BRAND.PANEL);
+        let x = PAGE_MARGIN;
+        for (const column of columns) {
+            doc.font('Helvetica-Bold').fontSize(8).fillColor(BRAND.MUTED)
+                .text(column.header, x + 4, y + 5, { width: column.width * total - 8, align: column.align || 'left' });
+            x += column.width * total;
+        }
+        doc.y = y + 22;
+    };
+
+    drawHeader();
+    for (const row of rows) {
+        if (doc.y + 18 > doc.page.height - PAGE_MARGIN - 30) {
+            doc.addPage();
+            drawHeader();
+        }
+        const y = doc.y;
+        let x = PAGE_MARGIN;
+        for (const column of columns) {
+            doc.font('Helvetica').fontSize(9).fillColor(BRAND.TEXT)
+                .text(String(column.value(row) ?? '-'), x + 4, y, { width: column.width * total - 8, align: column.align || 'left', lineBreak: false, ellipsis: true });
+            x += column.width * total;
+        }
+        doc.moveTo(PAGE_MARGIN, y + 14).lineTo(PAGE_MARGIN + total, y + 14).lineWidth(0.5).strokeColor(BRAND.LINE).stroke();
+        doc.y = y + 18;
+    }
+};
+
+// ─── Sections ────────────────────────────────────────────────────────────────
+
+const drawHeader = (doc, { bureau, fetchedAt, generatedAt }) => {
+    doc.rect(0, 0, doc.page.width, 70).fill(BRAND.NAVY);
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#FFFFFF').text('Borrowww', PAGE_MARGIN, 22);
+    doc.font('Helvetica').fontSize(10).fillColor('#CBD5E1')
+        .text('Credit Report', PAGE_MARGIN, 48)
+        .text(`${bureau} report fetched ${formatDay(fetchedAt)}`, PAGE_MARGIN, 22, { width: contentWidth(doc), align: 'right' })
+        .text(`Generated ${formatDay(generatedAt)}`, PAGE_MARGIN, 36, { width: contentWidth(doc), align: 'right' });
+    doc.y = 90;
+};
+
+const polar = (cx, cy, r, score) => {
+    // 300 → left end of the semicircle, 900 → right end
+    const angle = Math.PI * (1 - (Math.min(Math.max(score, 300), 900) - 300) / 600);
+    return [cx + r * Math.cos(angle), cy - r * Math.sin(angle)];
+};
+
+const drawScoreGauge = (doc, score, x, y) => {
+    const cx = x + 90;
+    const cy = y + 90;
+    const r = 75;
+
+    let from = 300;
+    for (const band of SCORE_BANDS) {
+        const [x1, y1] = polar(cx, cy, r, from);
+        const [x2, y2] = polar(cx, cy, r, band.upTo);
+        doc.path(`M ${x1} ${y1} A ${r} ${r} 0 0 1 ${x2} ${y2}`).lineWidth(16).strokeColor(band.color).stroke();
+        from = band.upTo;
+    }
+
+    if (score !== null) {
+        const [nx, ny] = polar(cx, cy, r - 22, score);
+        doc.moveTo(cx, cy).lineTo(nx, ny).lineWidth(3).strokeColor(BRAND.NAVY).stroke();
+        doc.circle(cx, cy, 5).fill(BRAND.NAVY);
+    }
+
+    const band = score === null ? null : SCORE_BANDS.find((b) => score <= b.upTo);
+    doc.font('Helvetica-Bold').fontSize(28).fillColor(BRAND.TEXT)
+        .text(score === null ? 'NA' : String(score), x, cy + 10, { width: 180, align: 'center' });
+    doc.font('Helvetica').fontSize(10).fillColor(band ? band.color : BRAND.MUTED)
+        .text(band ? band.label : 'Not enough history to score', x, cy + 42, { width: 180, align: 'center' });
+    doc.font('Helvetica').fontSize(8).fillColor(BRAND.MUTED)
+        .text('300', cx - r - 12, cy + 2).text('900', cx + r - 4, cy + 2);
+};
+
+const drawOverview = (doc, report, person) => {
+    const top = doc.y;
+    drawScoreGauge(doc, report.score.value, PAGE_MARGIN, top);
+
+    // Holder details to the right of the gauge
+    const x = PAGE_MARGIN + 210;
+    const width = contentWidth(doc) - 210;
+    const rows = [
+        ['Name', person.name || '-'],
+        ['Date of birth', formatDay(person.dateOfBirth)],
+        ['Gender', report.person.gender || '-'],
+        ['PAN', person.maskedPan || '-'],
+        ['Mobile', person.maskedMobile || '-'],
+        ['Score model', report.score.model || '-'],
+    ];
+    rows.forEach(([label, value], i) => {
+        const y = top + 8 + i * 24;
+        doc.font('Helvetica').fontSize(8).fillColor(BRAND.MUTED).text(label.toUpperCase(), x, y, { width });
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND.TEXT).text(String(value), x, y + 10, { width });
+    });
+    doc.y = top + 170;
+};
+
+const drawSummary = (doc, summary) => {
+    sectionTitle(doc, 'Summary');
+    keyValueGrid(doc, [
+        ['Total accounts', summary.totalAccounts ?? 0],
+        ['Active accounts', summary.activeAccounts ?? 0],
+        ['Closed accounts', summary.closedAccounts ?? 0],
+        ['Total balance', rupees(summary.totalBalance)],
+        ['Total overdue', rupees(summary.totalOverdue)],
+        ['Monthly EMIs', rupees(summary.totalMonthlyPayment)],
+        ['Total sanctioned', rupees(summary.totalSanctionAmount)],
+        ['Written-off accounts', summary.noOfWriteOffs ?? 0],
+        ['Enquiries (12 months)', summary.enquiryPast12Months ?? 0],
+    ]);
+};
+
+const drawInsights = (doc, insights) => {
+    if (!insights) return;
+    sectionTitle(doc, 'What shapes your score');
+    table(doc, [
+        { header: 'Factor', width: 0.25, value: (f) => f.label },
+        { header: 'Weight', width: 0.1, value: (f) => `${f.weight}%`, align: 'right' },
+        { header: 'Rating', width: 0.15, value: (f) => f.rating || '-' },
+        { header: 'Your report', width: 0.5, value: (f) => f.value },
+    ], insights.factors);
+
+    if (insights.recommendations.length) {
+        sectionTitle(doc, 'How to improve');
+        for (const rec of insights.recommendations) {
+            ensureSpace(doc, 40);
+            const y = doc.y;
+            doc.circle(PAGE_MARGIN + 8, y + 6, 8).fill(BRAND.BLUE);
+            doc.font('Helvetica-Bold').fontSize(9).fillColor('#FFFFFF').text(String(rec.rank), PAGE_MARGIN, y + 2, { width: 16, align: 'center' });
+            doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND.TEXT).text(rec.title, PAGE_MARGIN + 24, y, { width: contentWidth(doc) - 24 });
+            doc.font('Helvetica').fontSize(9).fillColor(BRAND.MUTED).text(rec.detail, PAGE_MARGIN + 24, doc.y + 2, { width: contentWidth(doc) - 24 });
+            doc.y += 8;
+        }
+        doc.font('Helvetica').fontSize(8).fillColor(BRAND.MUTED)
+            .text('Point estimates are indicative. Bureaus do not publish how scores are calculated.', PAGE_MARGIN, doc.y);
+    }
+};
+
+const dpdColor = (month) => {
+    if (!month) return DPD_COLORS.notReported;
+    if (month.dpd === null) return month.status === 'STD' ? DPD_COLORS.current : DPD_COLORS.default;
+    if (month.dpd === 0) return DPD_COLORS.current;
+    if (month.dpd <= 30) return DPD_COLORS.late;
+    if (month.dpd <= 89) return DPD_COLORS.serious;
+    return DPD_COLORS.default;
+};
+
+const shiftMonth = (month, delta) => {
+    const [year, m] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, m - 1 + delta, 1)).toISOString().slice(0, 7);
+};
+
+/** 36 months, newest first, 12 per row */
+const drawDpdGrid = (doc, dpd) => {
+    if (!dpd.length) {
+        doc.font('Helvetica').fontSize(8).fillColor(BRAND.MUTED).text('No payment history reported', PAGE_MARGIN, doc.y);
+        return;
+    }
+    const byMonth = new Map(dpd.map((m) => [m.month, m]));
+    const newest = [...byMonth.keys()].sort().pop();
+    const cell = (contentWidth(doc) - 60) / 12;
+
+    for (let row = 0; row < 3; row++) {
+        ensureSpace(doc, 26);
+        const y = doc.y;
+        const rowNewest = shiftMonth(newest, -row * 12);
+        doc.font('Helvetica').fontSize(7).fillColor(BRAND.MUTED).text(rowNewest.slice(0, 4), PAGE_MARGIN, y + 6, { width: 56 });
+        for (let col = 0; col < 12; col++) {
+            const month = shiftMonth(newest, -(row * 12 + col));
+            const entry = byMonth.get(month);
+            const x = PAGE_MARGIN + 60 + col * cell;
+            doc.rect(x + 1, y, cell - 2, 20).fill(dpdColor(entry));
+            const label = entry ? (entry.dpd === null ? entry.status : String(entry.dpd)) : '';
+            doc.font('Helvetica-Bold').fontSize(7).fillColor(entry ? '#FFFFFF' : BRAND.MUTED)
+                .text(label, x + 1, y + 3, { width: cell - 2, align: 'center', lineBreak: false });
+            doc.font('Helvetica').fontSize(5.5).fillColor(entry ? '#FFFFFF' : BRAND.MUTED)
+                .text(month.slice(5), x + 1, y + 12, { width: cell - 2, align: 'center', lineBreak: false });
+        }
+        doc.y = y + 24;
+    }
+};
+
+const drawAccounts = (doc, accounts) => {
+    sectionTitle(doc, `Accounts (${accounts.length})`);
+    if (!accounts.length) {
+        doc.font('Helvetica').fontSize(10).fillColor(BRAND.MUTED).text('No accounts on this report.', PAGE_MARGIN, doc.y);
+        return;
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor(BRAND.MUTED).text(
+        'Payment grid: days past due per month, newest first. Green = on time, yellow = 1-30, orange = 31-89, red = 90+ or written off / settled.',
+        PAGE_MARGIN, doc.y, { width: contentWidth(doc) },
+    );
+    doc.moveDown(0.5);
+
+    for (const account of accounts) {
+        ensureSpace(doc, 170);
+        const y = doc.y;
+        doc.rect(PAGE_MARGIN, y, contentWidth(doc), 20).fill(BRAND.PANEL);
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND.NAVY)
+            .text(`${account.institution || 'Unknown lender'} - ${account.type || 'Account'}`, PAGE_MARGIN + 6, y + 5, { width: contentWidth(doc) - 120, lineBreak: false, ellipsis: true });
+        doc.font('Helvetica-Bold').fontSize(9).fillColor(account.isOpen ? '#16A34A' : BRAND.MUTED)
+            .text(account.status || (account.isOpen ? 'Open' : 'Closed'), PAGE_MARGIN, y + 6, { width: contentWidth(doc) - 6, align: 'right', lineBreak: false });
+        doc.y = y + 26;
+
+        keyValueGrid(doc, [
+            ['Account', account.accountNumber || '-'],
+            ['Opened', formatDay(account.openedAt)],
+            [account.isOpen ? 'Reported' : 'Closed', formatDay(account.isOpen ? account.reportedAt : account.closedAt)],
+            [account.creditLimit ? 'Credit limit' : 'Sanctioned', rupees(account.creditLimit || account.sanctionAmount)],
+            ['Balance', rupees(account.balance)],
+            ['Overdue', rupees(account.pastDue)],
+        ], 6);
+        drawDpdGrid(doc, account.dpd || []);
+        doc.moveDown(0.6);
+    }
+};
+
+const drawEnquiries = (doc, enquiries) => {
+    sectionTitle(doc, `Enquiries (${enquiries.length})`);
+    if (!enquiries.length) {
+        doc.font('Helvetica').fontSize(10).fillColor(BRAND.MUTED).text('No enquiries on this report.', PAGE_MARGIN, doc.y);
+        return;
+    }
+    table(doc, [
+        { header: 'Date', width: 0.18, value: (e) => formatDay(e.date) },
+        { header: 'Lender', width: 0.42, value: (e) => e.institution },
+        { header: 'Purpose', width: 0.22, value: (e) => e.purpose },
+        { header: 'Amount', width: 0.18, value: (e) => rupees(e.amount), align: 'right' },
+    ], enquiries);
+};
+
+const drawFooters = (doc, bureau) => {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin must not start a new page
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(7).fillColor(BRAND.MUTED).text(
+            `Prepared by Borrowww from your ${bureau} credit report. This is not the bureau's official report. Page ${i + 1} of ${count}`,
+            PAGE_MARGIN, doc.page.height - 28, { width: contentWidth(doc), align: 'center', lineBreak: false },
+        );
+        doc.page.margins.bottom = bottom;
+    }
+};
+
+// ─── Render ──────────────────────────────────────────────────────────────────
+
+/**
+ * Render the branded PDF.
+ *
+ * @param {Object} report - client report (getStoredClientReport / toClientReport shape)
+ * @param {Object} options
+ * @param {{ name: string|null, dateOfBirth: string|null, maskedPan: string|null, maskedMobile: string|null }} options.person
+ * @param {Object|null} options.insights - buildInsights() output
+ * @param {Date} options.fetchedAt
+ * @param {string} options.password - user password (derivePdfPassword)
+ * @returns {Promise<Buffer>}
+ */
+export const renderCreditReportPdf = (report, { person, insights, fetchedAt, password }) =>
+    new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: PAGE_MARGIN,
+            bufferPages: true,
+            info: { Title: 'Credit Report', Author: 'Borrowww', Creator: 'Borrowww' },
+            // AES-256; the owner password is never stored, so permissions are final
+            pdfVersion: '1.7ext3',
+            userPassword: password,
+            ownerPassword: crypto.randomBytes(24).toString('hex'),
+            permissions: { printing: 'highResolution', copying: false, modifying: false, annotating: false },
+        });
+
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            const bureau = report.bureau || 'Bureau';
+            drawHeader(doc, { bureau, fetchedAt, generatedAt: new Date() });
+            drawOverview(doc, report, person);
+            drawSummary(doc, report.summary || {});
+            drawInsights(doc, insights);
+            drawAccounts(doc, report.accounts || []);
+            drawEnquiries(doc, report.enquiries || []);
+            drawFooters(doc, bureau);
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
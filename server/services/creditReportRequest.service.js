@@ -0,0 +1,133 @@
+/**
+ * =============================================================
+ * CREDIT REPORT REQUEST SERVICE — DeepVue transaction tracking
+ * =============================================================
+ *
+ * Every DeepVue session we create is a paid transaction. A
+ * CreditReportRequest row follows it through its states so a report
+ * is never lost when the browser does not come back:
+ *
+ *   CREATED → REDIRECTED → PROCESSING → COMPLETED | FAILED
+ *   CREATED → ABANDONED (user started a newer session)
+ *   REDIRECTED → ABANDONED (reconciliation gave up before processing)
+ *
+ * COMPLETED is final. Every other state can still complete — the signed
+ * DeepVue callback or reconciliation may finish a request the browser
+ * gave up on. Reconciliation (services/creditReconciliation.service.js)
+ * re-checks open requests at nextCheckAt until they complete or it gives up.
+ * =============================================================
+ */
+
+import { prisma } from '../config/db.js';
+
+export const REQUEST_STATUS = {
+    CREATED: 'CREATED',
+    REDIRECTED: 'REDIRECTED',
+    PROCESSING: 'PROCESSING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED',
+    ABANDONED: 'ABANDONED',
+};
+
+// Sources that can complete a request (stored in completedVia)
+export const COMPLETION_SOURCES = ['browser', 'callback', 'reconcile'];
+
+const MAX_ERROR_LENGTH = 500;
+
+const notCompleted = { status: { not: REQUEST_STATUS.COMPLETED } };
+
+// ─── Session lifecycle ───────────────────────────────────────────────────────
+
+/**
+ * Record a new request before the bureau is called. Older requests of the user
+ * that never got a bureau session (CREATED) are marked ABANDONED. REDIRECTED
+ * ones are left alone: their transaction is already billed and the user may
+ * still consent in another tab — reconciliation resolves them.
+ *
+ * @param {string} userId
+ * @param {string} [bureau] - CreditBureau of the adapter creating the session (default EQUIFAX)
+ */
+export const createReportRequest = async (userId, bureau) => {
+    await prisma.creditReportRequest.updateMany({
+        where: { userId, status: REQUEST_STATUS.CREATED },
+        data: { status: REQUEST_STATUS.ABANDONED },
+    });
+    return prisma.creditReportRequest.create({ data: { userId, bureau } });
+};
+
+/** DeepVue session created — the browser is sent to redirect_url */
+export const markRequestRedirected = (requestId, transactionId) =>
+    prisma.creditReportRequest.update({
+        where: { id: requestId },
+        data: { status: REQUEST_STATUS.REDIRECTED, transactionId, redirectedAt: new Date() },
+    });
+
+// ─── Report fetch outcomes (keyed by transactionId) ─────────────────────────
+
+export const findRequestByTransaction = (transactionId) =>
+    prisma.creditReportRequest.findUnique({ where: { transactionId } });
+
+/** A fetch was attempted and DeepVue is still preparing the report */
+export const markRequestProcessing = (transactionId) =>
+    prisma.creditReportRequest.updateMany({
+        where: { transactionId, ...notCompleted },
+        data: {
+            status: REQUEST_STATUS.PROCESSING,
+            attempts: { increment: 1 },
+            lastCheckedAt: new Date(),
+        },
+    });
+
+export const markRequestCompleted = (transactionId, creditReportId, source = 'browser') =>
+    prisma.creditReportRequest.updateMany({
+        where: { transactionId, ...notCompleted },
+        data: {
+            status: REQUEST_STATUS.COMPLETED,
+            creditReportId,
+            completedVia: COMPLETION_SOURCES.includes(source) ? source : null,
+            completedAt: new Date(),
+            lastCheckedAt: new Date(),
+            lastError: null,
+            nextCheckAt: null,
+        },
+    });
+
+/**
+ * Request failed (by id before a transaction exists, else by transactionId).
+ * Without a transaction, or with `final`, there is nothing left to reconcile.
+ */
+export const markRequestFailed = ({ requestId, transactionId }, error, { final = false } = {}) =>
+    prisma.creditReportRequest.updateMany({
+        where: { ...(requestId ? { id: requestId } : { transactionId }), ...notCompleted },
+        data: {
+            status: REQUEST_STATUS.FAILED,
+            attempts: transactionId ? { increment: 1 } : undefined,
+            lastCheckedAt: new Date(),
+            lastError: String(error?.message || error || 'Unknown error').slice(0, MAX_ERROR_LENGTH),
+            ...(final || !transactionId ? { nextCheckAt: null } : {}),
+        },
+    });
+
+// ─── Reconciliation ──────────────────────────────────────────────────────────
+
+export const scheduleNextCheck = (requestId, nextCheckAt) =>
+    prisma.creditReportRequest.updateMany({
+        where: { id: requestId, ...notCompleted },
+        data: { nextCheckAt },
+    });
+
+/**
+ * Stop reconciling a request. One the user never got past (CREATED / REDIRECTED /
+ * ABANDONED) becomes ABANDONED, anything that reached DeepVue processing FAILED.
+ */
+export const giveUpRequest = (request, reason) =>
+    prisma.creditReportRequest.updateMany({
+        where: { id: request.id, ...notCompleted },
+        data: {
+            status: request.status === REQUEST_STATUS.PROCESSING || request.status === REQUEST_STATUS.FAILED
+                ? REQUEST_STATUS.FAILED
+                : REQUEST_STATUS.ABANDONED,
+            lastError: String(reason).slice(0, MAX_ERROR_LENGTH),
+            nextCheckAt: null,
+        },
+    });
@@ -0,0 +1,276 @@
+/**
+ * =============================================================
+ * CREDIT TRADELINE SERVICE — accounts & enquiries as rows
+ * =============================================================
+ *
+ * The normalized report (bureauAdapter.service.js) is split into
+ * CreditAccount and CreditEnquiry rows when a report is saved, so
+ * analytics can query tradelines and getMyReport can render without
+ * decrypting the full bureau payload.
+ *
+ * - Account numbers are KMS-encrypted per field; only the last four
+ *   digits are kept in plaintext for display
+ * - Payment history is stored as a 36-month DPD string, 3 characters
+ *   per month, newest first (see encodeDpdHistory)
+ * - Reports saved before these tables existed have
+ *   tradelinesExtractedAt = null; backfillTradelines() fills them in
+ * =============================================================
+ */
+
+import { prisma } from '../config/db.js';
+import * as encryption from './encryption.service.js';
+import { getBureauAdapter } from './bureauAdapter.service.js';
+
+export const DPD_MONTHS = 36;
+
+// Month with no payment status reported
+const NOT_REPORTED = 'XXX';
+
+// ─── DPD string ──────────────────────────────────────────────────────────────
+
+const shiftMonth = (month, delta) => {
+    const [year, m] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, m - 1 + delta, 1));
+    return date.toISOString().slice(0, 7);
+};
+
+/**
+ * 36 months of DPD as one string, newest month (dpdAsOf) first.
+ * Each month is 3 characters: "000"–"999" days past due, the bureau
+ * code when the month has no day count (WOF, SUB, DBT…), or "XXX".
+ *
+ * @param {import('./bureauAdapter.service.js').NormalizedDpdMonth[]} history
+ * @returns {{ dpdAsOf: string|null, dpd36: string, maxDpd36: number }}
+ */
+export const encodeDpdHistory = (history = []) => {
+    const byMonth = new Map(history.filter((h) => h.month).map((h) => [h.month, h]));
+    const dpdAsOf = [...byMonth.keys()].sort().pop() || null;
+    if (!dpdAsOf) return { dpdAsOf: null, dpd36: NOT_REPORTED.repeat(DPD_MONTHS), maxDpd36: 0 };
+
+    let maxDpd36 = 0;
+    let dpd36 = '';
+    for (let i = 0; i < DPD_MONTHS; i++) {
+        const entry = byMonth.get(shiftMonth(dpdAsOf, -i));
+        if (Number.isInteger(entry?.dpd)) {
+            const days = Math.min(entry.dpd, 999);
+            maxDpd36 = Math.max(maxDpd36, days);
+            dpd36 += String(days).padStart(3, '0');
+        } else if (entry?.status) {
+            dpd36 += entry.status.slice(0, 3).padEnd(3, 'X');
+        } else {
+            dpd36 += NOT_REPORTED;
+        }
+    }
+    return { dpdAsOf, dpd36, maxDpd36 };
+};
+
+/**
+ * Inverse of encodeDpdHistory; months that were not reported are left out.
+ * @returns {import('./bureauAdapter.service.js').NormalizedDpdMonth[]}
+ */
+export const decodeDpdHistory = (dpdAsOf, dpd36) => {
+    if (!dpdAsOf || !dpd36) return [];
+    const months = [];
+    for (let i = 0; i * 3 < dpd36.length; i++) {
+        const code = dpd36.slice(i * 3, i * 3 + 3);
+        if (code === NOT_REPORTED) continue;
+        const days = /^\d{3}$/.test(code) ? parseInt(code, 10) : null;
+        months.push({ month: shiftMonth(dpdAsOf, -i), dpd: days, status: days === null ? code.replace(/X+$/, '') : null });
+    }
+    return months;
+};
+
+// ─── Rows ────────────────────────────────────────────────────────────────────
+
+/** "YYYY-MM-DD" → Date for @db.Date columns (null when missing or invalid) */
+const toDbDate = (value) => {
+    if (!value || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+    const date = new Date(`${value.slice(0, 10)}T00:00:00.000Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const fromDbDate = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+const lastFour = (accountNumber) => {
+    const digits = String(accountNumber || '').replace(/[^0-9A-Za-z]/g, '');
+    return digits.length >= 4 ? digits.slice(-4) : null;
+};
+
+/**
+ * CreditAccount / CreditEnquiry create data for a normalized report,
+ * plus the CreditReport columns that let it render without the payload.
+ *
+ * @param {import('./bureauAdapter.service.js').NormalizedCreditReport} normalized
+ */
+export const buildTradelineData = async (normalized) => {
+    const [accountNumbers, dobEncrypted] = await Promise.all([
+        Promise.all(normalized.accounts.map((a) => (a.accountNumber ? encryption.encrypt(a.accountNumber) : null))),
+        normalized.person.dateOfBirth ? encryption.encrypt(normalized.person.dateOfBirth) : null,
+    ]);
+
+    const accounts = normalized.accounts.map((a, i) => ({
+        seq: i + 1,
+        accountNumberEncrypted: accountNumbers[i],
+        accountNumberLast4: lastFour(a.accountNumber),
+        institution: a.institution,
+        accountType: a.type,
+        ownership: a.ownership,
+        isOpen: a.isOpen,
+        accountStatus: a.status,
+        sanctionAmount: a.sanctionAmount,
+        creditLimit: a.creditLimit,
+        balance: a.balance,
+        overdue: a.pastDue,
+        emi: a.emi,
+        writeOffAmount: a.writeOffAmount,
+        openedAt: toDbDate(a.openedAt),
+        closedAt: toDbDate(a.closedAt),
+        reportedAt: toDbDate(a.reportedAt),
+        lastPaymentAt: toDbDate(a.lastPaymentAt),
+        ...encodeDpdHistory(a.dpd),
+    }));
+
+    const enquiries = normalized.enquiries.map((e, i) => ({
+        seq: i + 1,
+        institution: e.institution,
+        purpose: e.purpose,
+        amount: e.amount,
+        enquiredAt: toDbDate(e.date),
+    }));
+
+    return {
+        report: {
+            dobEncrypted,
+            gender: normalized.person.gender,
+            scoreModel: normalized.score.model,
+            scoreFactors: normalized.score.factors,
+            tradelinesExtractedAt: new Date(),
+        },
+        accounts,
+        enquiries,
+    };
+};
+
+/**
+ * The owner's normalized report, rebuilt from the tradeline tables
+ * (same shape as bureauAdapter normalize(), minus PAN / mobile / pdfUrl).
+ * Account numbers are masked to their last four digits.
+ *
+ * @param {Object} report - CreditReport row
+ * @param {{ name: string|null, dateOfBirth: string|null }} person - decrypted
+ */
+export const getStoredClientReport = async (report, person) => {
+    const [accounts, enquiries] = await Promise.all([
+        prisma.creditAccount.findMany({
+            where: { creditReportId: report.id },
+            orderBy: { seq: 'asc' },
+            omit: { accountNumberEncrypted: true },
+        }),
+        prisma.creditEnquiry.findMany({
+            where: { creditReportId: report.id },
+            orderBy: { seq: 'asc' },
+        }),
+    ]);
+
+    return {
+        bureau: report.bureau,
+        person: { name: person.name, dateOfBirth: person.dateOfBirth, gender: report.gender },
+        score: { value: report.creditScore, model: report.scoreModel, factors: report.scoreFactors },
+        accounts: accounts.map((a) => ({
+            accountNumber: a.accountNumberLast4 ? `XXXX${a.accountNumberLast4}` : null,
+            institution: a.institution,
+            type: a.accountType,
+            ownership: a.ownership,
+            isOpen: a.isOpen,
+            status: a.accountStatus,
+            sanctionAmount: a.sanctionAmount,
+            creditLimit: a.creditLimit,
+            balance: a.balance,
+            pastDue: a.overdue,
+            emi: a.emi,
+            writeOffAmount: a.writeOffAmount,
+            openedAt: fromDbDate(a.openedAt),
+            closedAt: fromDbDate(a.closedAt),
+            reportedAt: fromDbDate(a.reportedAt),
+            lastPaymentAt: fromDbDate(a.lastPaymentAt),
+            dpd: decodeDpdHistory(a.dpdAsOf, a.dpd36),
+        })),
+        enquiries: enquiries.map((e) => ({
+            institution: e.institution,
+            purpose: e.purpose,
+            amount: e.amount,
+            date: fromDbDate(e.enquiredAt),
+        })),
+        summary: {
+            totalAccounts: report.totalAccounts,
+            activeAccounts: report.activeAccounts,
+            closedAccounts: report.closedAccounts,
+            totalBalance: report.totalBalance,
+            totalOverdue: report.totalOverdue,
+            totalSanctionAmount: report.totalSanctionAmount,
+            totalMonthlyPayment: report.totalMonthlyPayment,
+            noOfWriteOffs: report.noOfWriteOffs,
+            oldestAccountDate: report.oldestAccountDate,
+            newestAccountDate: report.newestAccountDate,
+            enquiryCount: report.enquiryCount,
+            enquiryPast30Days: report.enquiryPast30Days,
+            enquiryPast12Months: report.enquiryPast12Months,
+        },
+    };
+};
+
+// ─── Backfill ────────────────────────────────────────────────────────────────
+
+/**
+ * Extract tradelines for one report saved before the tables existed.
+ * Replaces any partial rows in a single transaction.
+ */
+export const extractTradelines = async (report) => {
+    const raw = JSON.parse(await encryption.decryptLarge(report.fullReportEncrypted));
+    const data = await buildTradelineData(getBureauAdapter(report.bureau).normalize(raw));
+
+    await prisma.$transaction([
+        prisma.creditAccount.deleteMany({ where: { creditReportId: report.id } }),
+        prisma.creditEnquiry.deleteMany({ where: { creditReportId: report.id } }),
+        prisma.creditAccount.createMany({ data: data.accounts.map((a) => ({ ...a, creditReportId: report.id })) }),
+        prisma.creditEnquiry.createMany({ data: data.enquiries.map((e) => ({ ...e, creditReportId: report.id })) }),
+        prisma.creditReport.update({ where: { id: report.id }, data: data.report }),
+    ]);
+    return { accounts: data.accounts.length, enquiries: data.enquiries.length };
+};
+
+/**
+ * Extract tradelines for every report that does not have them yet.
+ * A report that cannot be decrypted or normalized is counted and skipped.
+ *
+ * @returns {Promise<{ extracted: number, failed: number }>}
+ */
+export const backfillTradelines = async ({ batchSize = 100 } = {}) => {
+    const result = { extracted: 0, failed: 0 };
+    const failedIds = [];
+
+    for (;;) {
+        const batch = await prisma.creditReport.findMany({
+            where: {
+                tradelinesExtractedAt: null,
+                fullReportEncrypted: { not: null },
+                id: { notIn: failedIds },
+            },
+            orderBy: { id: 'asc' },
+            take: batchSize,
+            select: { id: true, bureau: true, fullReportEncrypted: true },
+        });
+        if (!batch.length) return result;
+
+        for (const report of batch) {
+            try {
+                await extractTradelines(report);
+                result.extracted++;
+            } catch (error) {
+                console.error(`[Tradelines] Report ${report.id} could not be extracted:`, error.message);
+                failedIds.push(report.id);
+                result.failed++;
+            }
+        }
+    }
+};
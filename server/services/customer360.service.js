@@ -0,0 +1,276 @@
+/**
+ * ================================================================================
+ * CUSTOMER 360 SERVICE - ONE PERSON ACROSS EVERY TABLE
+ * ================================================================================
+ *
+ * Stitches a user's profile, credit reports + score history, legacy CIBIL checks,
+ * loans, tracking sessions and inquiries / referrals into one response with a
+ * single newest-first timeline.
+ *
+ * - Owned rows (reports, CIBIL, loans, sessions) are joined by userId
+ * - Inquiries carry no userId: they are matched on the user's phone number via
+ *   the blind index (same number → same token), so matching is exact
+ * - Each section is only loaded when the admin holds its read permission
+ * - Session IP addresses and device details are only returned with pii:view
+ *
+ * ================================================================================
+ */
+
+import { prisma } from '../config/db.js';
+import { PERMISSIONS } from '../config/rbac.js';
+import { decryptFields, SENSITIVE_FIELDS } from '../utils/kms.util.js';
+import { phoneIndexFilter, normalizePhone } from '../utils/blindIndex.util.js';
+import { maskPhone } from './encryption.service.js';
+
+// Most recent rows returned per section (see `counts` for totals)
+const SECTION_LIMIT = 50;
+
+// ─── Section loaders ─────────────────────────────────────────────────────────
+
+const loadCreditReports = (userId) =>
+    prisma.creditReport.findMany({
+        where: { userId },
+        orderBy: { fetchedAt: 'desc' },
+        take: SECTION_LIMIT,
+        select: {
+            id: true,
+            status: true,
+            creditScore: true,
+            totalAccounts: true,
+            activeAccounts: true,
+            totalBalance: true,
+            totalOverdue: true,
+            enquiryCount: true,
+            pdfSpacesPath: true,
+            fetchedAt: true,
+            expiresAt: true,
+        },
+    });
+
+const loadCibilChecks = (userId) =>
+    prisma.cibilData.findMany({
+        where: { userId, isDeleted: false },
+        orderBy: { createdAt: 'desc' },
+        take: SECTION_LIMIT,
+        select: {
+            id: true,
+            status: true,
+            score: true,
+            isSubmitted: true,
+            source: true,
+            fetchedAt: true,
+            createdAt: true,
+        },
+    });
+
+const loadLoans = (userId) =>
+    prisma.loan.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        take: SECTION_LIMIT,
+        select: {
+            id: true,
+            type: true,
+            amount: true,
+            status: true,
+            purpose: true,
+            isSubmitted: true,
+            approvedAt: true,
+            rejectedAt: true,
+            createdAt: true,
+        },
+    });
+
+/**
+ * Tracking sessions. IP address and device details identify the person, so
+ * they are only returned with showPii (pii:view) — null otherwise.
+ */
+const loadSessions = async (userId, showPii) => {
+    const sessions = await prisma.userSession.findMany({
+        where: { userId },
+        orderBy: { startTime: 'desc' },
+        take: SECTION_LIMIT,
+        select: {
+            id: true,
+            startTime: true,
+            endTime: true,
+            lastActivity: true,
+            isActive: true,
+            totalPageViews: true,
+            currentPage: true,
+            ipAddress: true,
+            deviceInfo: true,
+        },
+    });
+    return showPii ? sessions : sessions.map((session) => ({ ...session, ipAddress: null, deviceInfo: null }));
+};
+
+// Also used by the user's own data export (services/dataRights.service.js)
+export const INQUIRY_SOURCES = [
+    { key: 'creditCheck', model: 'CreditCheckInquiry', delegate: 'creditCheckInquiry', phones: ['mobileNumber'] },
+    { key: 'contact', model: 'ContactInquiry', delegate: 'contactInquiry', phones: ['phone'] },
+    { key: 'homeLoan', model: 'HomeLoanInquiry', delegate: 'homeLoanInquiry', phones: ['phone'] },
+    { key: 'referral', model: 'ReferralInquiry', delegate: 'referralInquiry', phones: ['referrerPhone', 'refereePhone'] },
+];
+
+const noInquiries = () => Object.fromEntries(INQUIRY_SOURCES.map(({ key }) => [key, []]));
+
+/**
+ * Inquiries whose phone column(s) hold the user's number, decrypted.
+ * Referrals get `role`: whether the user was the referrer or the referee.
+ */
+const loadInquiries = async (phoneNumber, showPii) => {
+    const filter = phoneIndexFilter(phoneNumber);
+    if (!filter) return noInquiries();
+
+    const phone = normalizePhone(phoneNumber);
+    const sections = await Promise.all(INQUIRY_SOURCES.map(async (source) => {
+        const rows = await prisma[source.delegate].findMany({
+            where: { isDeleted: false, ...filter },
+            orderBy: { createdAt: 'desc' },
+            take: SECTION_LIMIT,
+            omit: { searchIndex: true, ipAddress: true, userAgent: true },
+        });
+
+        const decrypted = await Promise.all(rows.map(async (row) => {
+            const inquiry = await decryptFields(row, SENSITIVE_FIELDS[source.model]);
+            if (source.model === 'ReferralInquiry') {
+                inquiry.role = normalizePhone(inquiry.referrerPhone || '') === phone ? 'referrer' : 'referee';
+            }
+            if (!showPii) {
+                for (const column of source.phones) inquiry[column] = maskPhone(inquiry[column]);
+            }
+            return inquiry;
+        }));
+        return [source.key, decrypted];
+    }));
+
+    return Object.fromEntries(sections);
+};
+
+// ─── Timeline ────────────────────────────────────────────────────────────────
+
+const event = (at, type, model, id, summary) => ({ at, type, model, id, summary });
+
+/**
+ * Flatten every section into one newest-first list of events.
+ */
+const buildTimeline = ({ profile, creditReports, cibilChecks, loans, sessions, inquiries }) => {
+    const events = [event(profile.createdAt, 'ACCOUNT_CREATED', 'User', profile.id, 'Account created')];
+
+    if (profile.lastLogin) {
+        events.push(event(profile.lastLogin, 'LAST_LOGIN', 'User', profile.id, 'Last login'));
+    }
+
+    for (const report of creditReports) {
+        events.push(event(report.fetchedAt, 'CREDIT_REPORT_FETCHED', 'CreditReport', report.id,
+            `Credit report fetched — score ${report.creditScore ?? 'N/A'}`));
+    }
+
+    for (const check of cibilChecks) {
+        events.push(event(check.fetchedAt || check.createdAt, 'CIBIL_CHECK', 'CibilData', check.id,
+            `CIBIL check ${check.status.toLowerCase()}${check.score ? ` — score ${check.score}` : ''}`));
+    }
+
+    for (const loan of loans) {
+        events.push(event(loan.createdAt, 'LOAN_APPLIED', 'Loan', loan.id, `${loan.type} loan application`));
+        if (loan.approvedAt) events.push(event(loan.approvedAt, 'LOAN_APPROVED', 'Loan', loan.id, `${loan.type} loan approved`));
+        if (loan.rejectedAt) events.push(event(loan.rejectedAt, 'LOAN_REJECTED', 'Loan', loan.id, `${loan.type} loan rejected`));
+    }
+
+    for (const session of sessions) {
+        events.push(event(session.startTime, 'SESSION', 'UserSession', session.id,
+            `Website visit — ${session.totalPageViews} page view(s)`));
+    }
+
+    const inquiryLabels = {
+        creditCheck: ['CreditCheckInquiry', 'Credit check inquiry'],
+        contact: ['ContactInquiry', 'Contact inquiry'],
+        homeLoan: ['HomeLoanInquiry', 'Home loan inquiry'],
+    };
+    for (const [key, [model, label]] of Object.entries(inquiryLabels)) {
+        for (const inquiry of inquiries[key]) {
+            events.push(event(inquiry.createdAt, 'INQUIRY', model, inquiry.id, `${label} (${inquiry.status.toLowerCase()})`));
+        }
+    }
+    for (const referral of inquiries.referral) {
+        const summary = referral.role === 'referrer' ? 'Referred someone' : 'Was referred';
+        events.push(event(referral.createdAt, 'REFERRAL', 'ReferralInquiry', referral.id,
+            `${summary}${referral.loanType ? ` for ${referral.loanType}` : ''} (${referral.status.toLowerCase()})`));
+    }
+
+    return events.sort((a, b) => new Date(b.at) - new Date(a.at));
+};
+
+/**
+ * Oldest-first score points from credit reports and legacy CIBIL checks.
+ */
+const buildScoreHistory = (creditReports, cibilChecks) =>
+    [
+        ...creditReports
+            .filter((report) => report.creditScore)
+            .map((report) => ({ date: report.fetchedAt, score: report.creditScore, source: 'CreditReport', id: report.id })),
+        ...cibilChecks
+            .filter((check) => check.score)
+            .map((check) => ({ date: check.fetchedAt || check.createdAt, score: check.score, source: 'CibilData', id: check.id })),
+    ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Everything we hold on one user.
+ *
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string[]} options.permissions - req.admin.permissions
+ * @param {boolean} options.showPii - phone numbers are masked and session IP / device details left out when false
+ * @returns {Promise<Object|null>} null when the user does not exist (or is deleted)
+ */
+export const buildCustomer360 = async (userId, { permissions = [], showPii = false } = {}) => {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        omit: { searchIndex: true, refreshToken: true, accessToken: true },
+        include: {
+            _count: { select: { creditReports: true, cibilData: true, loans: true, userSessions: true } },
+        },
+    });
+    if (!user || user.isDeleted) return null;
+
+    const can = (permission) => permissions.includes(permission);
+    const { _count: counts, ...profileRow } = user;
+
+    const [profile, creditReports, cibilChecks, loans, sessions, inquiries] = await Promise.all([
+        decryptFields(profileRow, SENSITIVE_FIELDS.User),
+        can(PERMISSIONS.REPORTS_READ) ? loadCreditReports(userId) : [],
+        can(PERMISSIONS.CIBIL_READ) ? loadCibilChecks(userId) : [],
+        can(PERMISSIONS.LOANS_READ) ? loadLoans(userId) : [],
+        loadSessions(userId, showPii),
+        can(PERMISSIONS.INQUIRIES_READ) ? loadInquiries(user.phoneNumber, showPii) : noInquiries(),
+    ]);
+
+    const sections = { profile, creditReports, cibilChecks, loans, sessions, inquiries };
+
+    return {
+        ...sections,
+        creditReports: creditReports.map(({ pdfSpacesPath, ...report }) => ({ ...report, hasPdf: !!pdfSpacesPath })),
+        scoreHistory: buildScoreHistory(creditReports, cibilChecks),
+        timeline: buildTimeline(sections),
+        // Totals (sections above hold at most SECTION_LIMIT rows); null when hidden
+        counts: {
+            creditReports: can(PERMISSIONS.REPORTS_READ) ? counts.creditReports : null,
+            cibilChecks: can(PERMISSIONS.CIBIL_READ) ? counts.cibilData : null,
+            loans: can(PERMISSIONS.LOANS_READ) ? counts.loans : null,
+            sessions: counts.userSessions,
+            inquiries: can(PERMISSIONS.INQUIRIES_READ)
+                ? Object.values(inquiries).reduce((sum, rows) => sum + rows.length, 0)
+                : null,
+        },
+        // Sections left out because the admin lacks the read permission
+        hidden: [
+            !can(PERMISSIONS.REPORTS_READ) && 'creditReports',
+            !can(PERMISSIONS.CIBIL_READ) && 'cibilChecks',
+            !can(PERMISSIONS.LOANS_READ) && 'loans',
+            !can(PERMISSIONS.INQUIRIES_READ) && 'inquiries',
+        ].filter(Boolean),
+    };
+};
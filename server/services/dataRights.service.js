@@ -0,0 +1,347 @@
+/**
+ * ================================================================================
+ * DATA PRINCIPAL RIGHTS SERVICE - DPDP ACCESS AND ERASURE
+ * ================================================================================
+ *
+ * Lets a logged-in user exercise their rights under the DPDP Act:
+ *
+ * - ACCESS: buildDataExport() — one machine-readable bundle of everything held
+ *   on them: profile, credit reports (decrypted), CIBIL checks, loans, visit and
+ *   login sessions, and inquiries matched on their phone number
+ * - ERASURE: a tracked ErasureRequest. An admin reviews it; approving it
+ *   soft-deletes the user and anonymizes their data across tables
+ *   (anonymizeUser, services/retention.service.js)
+ *
+ * Erasure follows the production safety rules (middlewares/prodSafety.js): no
+ * row on a soft-delete model is ever hard-deleted, and credit / loan records are
+ * kept with personal data removed. A request cannot be approved while a legal
+ * hold applies — an open loan, or a bureau pull still in progress.
+ *
+ * ================================================================================
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/db.js';
+import ApiError from '../utils/ApiError.js';
+import { decryptFields, SENSITIVE_FIELDS, logDataAccess } from '../utils/kms.util.js';
+import { phoneIndexFilter, normalizePhone } from '../utils/blindIndex.util.js';
+import { softDelete } from '../middlewares/prodSafety.js';
+import { decryptCibilData, maskPhone } from './encryption.service.js';
+import { getMyReportsForExport } from './creditReport.service.js';
+import { INQUIRY_SOURCES } from './customer360.service.js';
+import { anonymizeUser, getLegalHolds } from './retention.service.js';
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+const ERASURE_SELECT = {
+    id: true,
+    status: true,
+    reason: true,
+    legalHolds: true,
+    reviewNote: true,
+    reviewedAt: true,
+    completedAt: true,
+    createdAt: true,
+};
+
+const DUPLICATE_REQUEST = 'You already have an erasure request under review';
+
+// Requests the user cannot add another to: waiting for review, or being erased
+const OPEN_STATUSES = ['PENDING', 'IN_PROGRESS'];
+
+// An approval that died mid-erasure leaves its claim behind; after this long it can be approved again
+const CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Free text from the user (reason) or the reviewer (note): trimmed, capped, null when empty
+const normalizeText = (value) => (value ? String(value).trim().slice(0, 1000) || null : null);
+
+const findRequest = async (requestId) => {
+    const request = await prisma.erasureRequest.findUnique({ where: { id: requestId } });
+    if (!request) throw new ApiError(404, 'Erasure request not found');
+    return request;
+};
+
+/**
+ * Status change guarded on the current state: it only applies while the
+ * request still matches `from`, so of a concurrent cancel, rejection and
+ * approval exactly one wins — the others get a 409.
+ *
+ * @throws {ApiError} 409 when the request has moved on
+ */
+const transition = async (requestId, from, data) => {
+    const { count } = await prisma.erasureRequest.updateMany({ where: { id: requestId, ...from }, data });
+    if (count === 0) {
+        const current = await prisma.erasureRequest.findUnique({ where: { id: requestId }, select: { status: true } });
+        const state = current?.status === 'IN_PROGRESS' ? 'being erased' : `already ${current?.status.toLowerCase()}`;
+        throw new ApiError(409, `Erasure request is ${state}`);
+    }
+};
+
+// ─── Access (data export) ────────────────────────────────────────────────────
+
+/**
+ * Inquiries submitted with the user's phone number, decrypted. For referrals
+ * the other party's contact details are left out — they are not the user's data.
+ */
+const loadInquiries = async (phoneNumber) => {
+    const filter = phoneIndexFilter(phoneNumber);
+    if (!filter) return Object.fromEntries(INQUIRY_SOURCES.map(({ key }) => [key, []]));
+
+    const phone = normalizePhone(phoneNumber);
+    const sections = await Promise.all(INQUIRY_SOURCES.map(async (source) => {
+        const rows = await prisma[source.delegate].findMany({
+            where: { isDeleted: false, ...filter },
+            orderBy: { createdAt: 'desc' },
+            omit: { searchIndex: true, notes: true },
+        });
+
+        const decrypted = await Promise.all(rows.map(async (row) => {
+            const inquiry = await decryptFields(row, SENSITIVE_FIELDS[source.model]);
+            if (source.model === 'ReferralInquiry') {
+                inquiry.role = normalizePhone(inquiry.referrerPhone || '') === phone ? 'referrer' : 'referee';
+                const other = inquiry.role === 'referrer' ? 'referee' : 'referrer';
+                inquiry[`${other}Phone`] = null;
+                inquiry[`${other}Email`] = null;
+            }
+            return inquiry;
+        }));
+        return [source.key, decrypted];
+    }));
+
+    return Object.fromEntries(sections);
+};
+
+/**
+ * Everything held on a user, for them to download.
+ *
+ * @param {string} userId
+ * @returns {Promise<Object>} JSON-serializable bundle
+ */
+export const buildDataExport = async (userId) => {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        omit: { searchIndex: true, refreshToken: true, accessToken: true, latestCibilId: true },
+    });
+    if (!user) throw new ApiError(404, 'User not found');
+
+    const [profile, creditReports, cibilRows, loans, visits, logins, inquiries, erasureRequests] = await Promise.all([
+        decryptFields(user, SENSITIVE_FIELDS.User),
+        getMyReportsForExport(userId),
+        prisma.cibilData.findMany({
+            where: { userId, isDeleted: false },
+            orderBy: { createdAt: 'desc' },
+            omit: { searchIndex: true, sessionUrl: true, tempFormData: true },
+        }),
+        prisma.loan.findMany({
+            where: { userId },
+            orderBy: { createdAt: 'desc' },
+            omit: { tempFormData: true },
+        }),
+        prisma.userSession.findMany({
+            where: { userId },
+            orderBy: { startTime: 'desc' },
+            omit: { sessionId: true },
+        }),
+        prisma.userAuthSession.findMany({
+            where: { userId },
+            orderBy: { createdAt: 'desc' },
+            select: {
+                id: true,
+                ipAddress: true,
+                userAgent: true,
+                deviceInfo: true,
+                lastUsedAt: true,
+                expiresAt: true,
+                revokedAt: true,
+                revokedReason: true,
+                createdAt: true,
+            },
+        }),
+        loadInquiries(user.phoneNumber),
+        prisma.erasureRequest.findMany({ where: { userId }, orderBy: { createdAt: 'desc' }, select: ERASURE_SELECT }),
+    ]);
+
+    logDataAccess('data_export', 'User', userId, null, { subjectUserId: userId, piiUnmasked: true });
+
+    return {
+        format: 'borrowww-data-export',
+        version: EXPORT_FORMAT_VERSION,
+        generatedAt: new Date().toISOString(),
+        profile,
+        creditReports,
+        cibilChecks: await Promise.all(cibilRows.map(decryptCibilData)),
+        loans,
+        sessions: { visits, logins },
+        inquiries,
+        erasureRequests,
+    };
+};
+
+// ─── Erasure requests (user) ─────────────────────────────────────────────────
+
+/**
+ * The user's latest erasure request, or null
+ */
+export const getMyErasureRequest = (userId) => prisma.erasureRequest.findFirst({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    select: ERASURE_SELECT,
+});
+
+/**
+ * The open-request check and the insert run in one serializable transaction,
+ * so a double submit cannot create two PENDING requests — the loser conflicts.
+ *
+ * @throws {ApiError} 409 when a request is already pending or being erased
+ */
+export const createErasureRequest = async (userId, reason) => {
+    let request;
+    try {
+        request = await prisma.$transaction(async (tx) => {
+            const open = await tx.erasureRequest.findFirst({
+                where: { userId, status: { in: OPEN_STATUSES } },
+                select: { id: true },
+            });
+            if (open) {
+                throw new ApiError(409, DUPLICATE_REQUEST);
+            }
+            return tx.erasureRequest.create({
+                data: { userId, reason: normalizeText(reason) },
+                select: ERASURE_SELECT,
+            });
+        }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+    } catch (error) {
+        // P2034: serialization conflict with a concurrent submit
+        if (error.code === 'P2034' || error.code === 'P2002') {
+            throw new ApiError(409, DUPLICATE_REQUEST);
+        }
+        throw error;
+    }
+    logDataAccess('erasure_requested', 'ErasureRequest', request.id, null, { subjectUserId: userId });
+    return request;
+};
+
+/**
+ * @throws {ApiError} 404 when the user has no pending request, 409 when an
+ *         admin has already started erasing or reviewed it
+ */
+export const cancelErasureRequest = async (userId) => {
+    const pending = await prisma.erasureRequest.findFirst({ where: { userId, status: 'PENDING' }, select: { id: true } });
+    if (!pending) {
+        throw new ApiError(404, 'No pending erasure request');
+    }
+
+    await transition(pending.id, { status: 'PENDING' }, { status: 'CANCELLED' });
+    logDataAccess('erasure_cancelled', 'ErasureRequest', pending.id, null, { subjectUserId: userId });
+    return prisma.erasureRequest.findUnique({ where: { id: pending.id }, select: ERASURE_SELECT });
+};
+
+// ─── Erasure requests (admin) ────────────────────────────────────────────────
+
+/**
+ * Erasure requests for review, oldest pending first. Phone numbers are
+ * masked unless showPii.
+ */
+export const listErasureRequests = async ({ status, page = 1, limit = 20, showPii = false } = {}) => {
+    const where = status ? { status } : {};
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [requests, total] = await Promise.all([
+        prisma.erasureRequest.findMany({
+            where,
+            orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+            skip,
+            take,
+            include: { user: { select: { id: true, phoneNumber: true, isDeleted: true, anonymizedAt: true } } },
+        }),
+        prisma.erasureRequest.count({ where }),
+    ]);
+
+    if (!showPii) {
+        for (const request of requests) request.user.phoneNumber = maskPhone(request.user.phoneNumber);
+    }
+
+    return { requests, total, page: Math.floor(skip / take) + 1, limit: take };
+};
+
+/**
+ * Approve and carry out an erasure: claim the request (IN_PROGRESS), soft-delete
+ * the user, then anonymize everything linked to them. A legal hold or a failure
+ * hands the request back as PENDING, with the holds or the error, so it can be
+ * approved again.
+ *
+ * @throws {ApiError} 409 with the holds as errors when a legal hold applies,
+ *         or when the request was cancelled, reviewed or claimed meanwhile
+ */
+export const approveErasureRequest = async (requestId, adminId, note) => {
+    const request = await findRequest(requestId);
+
+    // A claim left by an approval that died mid-erasure can be taken over
+    await transition(request.id, {
+        OR: [
+            { status: 'PENDING' },
+            { status: 'IN_PROGRESS', updatedAt: { lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } },
+        ],
+    }, { status: 'IN_PROGRESS', reviewedById: adminId, reviewedAt: new Date() });
+
+    const release = (data) => prisma.erasureRequest.updateMany({
+        where: { id: request.id, status: 'IN_PROGRESS' },
+        data: { status: 'PENDING', ...data },
+    });
+
+    const legalHolds = await getLegalHolds(request.userId);
+    if (legalHolds.length > 0) {
+        await release({ legalHolds });
+        throw new ApiError(409, 'This user\'s data is under a legal hold and cannot be erased yet', legalHolds);
+    }
+
+    try {
+        await softDelete(prisma, 'user', request.userId);
+        await anonymizeUser(request.userId);
+    } catch (error) {
+        await release({ error: error.message.slice(0, 500), legalHolds: [] });
+        logDataAccess('erasure_failed', 'ErasureRequest', request.id, adminId, {
+            outcome: 'failure',
+            subjectUserId: request.userId,
+            metadata: { error: error.message.slice(0, 200) },
+        });
+        throw new ApiError(500, 'Erasure failed — the request is still pending and can be approved again');
+    }
+
+    await transition(request.id, { status: 'IN_PROGRESS' }, {
+        status: 'COMPLETED',
+        reason: null,
+        legalHolds: [],
+        error: null,
+        reviewNote: normalizeText(note),
+        reviewedById: adminId,
+        reviewedAt: new Date(),
+        completedAt: new Date(),
+    });
+    logDataAccess('erasure_completed', 'User', request.userId, adminId, {
+        subjectUserId: request.userId,
+        metadata: { erasureRequestId: request.id },
+    });
+    return prisma.erasureRequest.findUnique({ where: { id: request.id } });
+};
+
+/**
+ * @throws {ApiError} 400 without a note — the user is told why
+ */
+export const rejectErasureRequest = async (requestId, adminId, note) => {
+    const reviewNote = normalizeText(note);
+    if (!reviewNote) {
+        throw new ApiError(400, 'A note explaining the rejection is required');
+    }
+    const request = await findRequest(requestId);
+
+    await transition(request.id, { status: 'PENDING' }, {
+        status: 'REJECTED',
+        reviewNote,
+        reviewedById: adminId,
+        reviewedAt: new Date(),
+    });
+    logDataAccess('erasure_rejected', 'ErasureRequest', request.id, adminId, { subjectUserId: request.userId });
+    return prisma.erasureRequest.findUnique({ where: { id: request.id } });
+};
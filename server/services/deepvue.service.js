@@ -1,11 +1,136 @@
+/**
+ * =============================================================
+ * DEEPVUE SERVICE — credit bureau client
+ * =============================================================
+ *
+ * RESILIENCE:
+ * - Every call has a timeout (DEEPVUE_TIMEOUT_MS, PDFs DEEPVUE_PDF_TIMEOUT_MS)
+ * - GETs are retried on timeouts, 429 and 5xx with jittered exponential
+ *   backoff. The session POST is never retried — each one is a paid session
+ * - A 401 on an API call drops the cached token, re-authorizes and
+ *   repeats the call once
+ * - A circuit breaker opens after repeated upstream failures and fails
+ *   fast with UNAVAILABLE until DeepVue answers again
+ *
+ * ERRORS: failures throw DeepVueError with a typed `code`:
+ *   AUTH          our credentials were rejected
+ *   RATE_LIMIT    DeepVue throttled us (retryAfter when known)
+ *   NOT_READY     report still being prepared (fetchCibilReport returns
+ *                 { status: 'PROCESSING' } instead of throwing)
+ *   INVALID_INPUT DeepVue rejected the request data
+ *   UPSTREAM      timeout, network error, 5xx or malformed response
+ *   UNAVAILABLE   circuit open — bureau temporarily unavailable
+ * =============================================================
+ */
+
 import axios from 'axios';
 import { ApiError } from '../utils/ApiError.js';
+import { CircuitBreaker, CIRCUIT_STATES } from '../utils/circuitBreaker.util.js';
 import { getDeepvueCallbackUrl, DEEPVUE_CONFIG } from '../config/deepvue.js';
 
+export const DEEPVUE_ERROR_CODES = {
+    AUTH: 'AUTH',
+    RATE_LIMIT: 'RATE_LIMIT',
+    NOT_READY: 'NOT_READY',
+    INVALID_INPUT: 'INVALID_INPUT',
+    UPSTREAM: 'UPSTREAM',
+    UNAVAILABLE: 'UNAVAILABLE',
+};
+
+const C = DEEPVUE_ERROR_CODES;
+
+// HTTP status we answer with for each code. AUTH is our configuration problem,
+// not the user's session, so it must never surface as a 401.
+const STATUS_FOR_CODE = {
+    [C.AUTH]: 502,
+    [C.RATE_LIMIT]: 429,
+    [C.NOT_READY]: 202,
+    [C.INVALID_INPUT]: 400,
+    [C.UPSTREAM]: 502,
+    [C.UNAVAILABLE]: 503,
+};
+
+export class DeepVueError extends ApiError {
+    /**
+     * @param {keyof DEEPVUE_ERROR_CODES} code
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {number} [options.retryAfter] - seconds
+     * @param {boolean} [options.retryable]
+     * @param {*} [options.details] - DeepVue response body, for logs only
+     */
+    constructor(code, message, { retryAfter = null, retryable = false, details = null } = {}) {
+        super(STATUS_FOR_CODE[code] || 502, message);
+        this.name = 'DeepVueError';
+        this.code = code;
+        this.retryAfter = retryAfter;
+        this.retryable = retryable;
+        this.details = details;
+    }
+}
+
+// Failures that say something about DeepVue's health (they trip the breaker)
+const UPSTREAM_FAILURES = [C.UPSTREAM, C.RATE_LIMIT];
+
+const parseRetryAfter = (value) => {
+    const seconds = parseInt(value, 10);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+};
+
+/**
+ * Map an axios error to a DeepVueError.
+ */
+const classifyError = (error) => {
+    if (error instanceof DeepVueError) return error;
+
+    const response = error.response;
+    if (!response) {
+        const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        return new DeepVueError(C.UPSTREAM, timedOut ? 'Credit bureau timed out' : 'Credit bureau unreachable', {
+            retryable: true,
+            details: error.code || error.message,
+        });
+    }
+
+    const details = Buffer.isBuffer(response.data) ? null : response.data;
+    const { status } = response;
+    if (status === 401 || status === 403) {
+        return new DeepVueError(C.AUTH, 'Credit bureau rejected our credentials', { details });
+    }
+    if (status === 404) {
+        return new DeepVueError(C.NOT_READY, 'Report is being processed', { details });
+    }
+    if (status === 429) {
+        return new DeepVueError(C.RATE_LIMIT, 'Credit bureau is busy. Please try again shortly', {
+            retryable: true,
+            retryAfter: parseRetryAfter(response.headers?.['retry-after']),
+            details,
+        });
+    }
+    if (status === 400 || status === 422) {
+        return new DeepVueError(C.INVALID_INPUT, 'Credit bureau rejected the submitted details', { details });
+    }
+    return new DeepVueError(C.UPSTREAM, `Credit bureau error (${status})`, {
+        retryable: status >= 500,
+        details,
+    });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Full jitter: random delay in [0, base * 2^attempt], capped */
+const backoffDelay = (attempt) =>
+    Math.random() * Math.min(DEEPVUE_CONFIG.RETRY_BASE_MS * 2 ** attempt, DEEPVUE_CONFIG.RETRY_MAX_MS);
+
 class DeepVueService {
     constructor() {
         this.accessToken = null;
         this.tokenExpiry = null;
+        this.breaker = new CircuitBreaker({
+            name: 'DeepVue',
+            failureThreshold: DEEPVUE_CONFIG.BREAKER_FAILURE_THRESHOLD,
+            resetTimeoutMs: DEEPVUE_CONFIG.BREAKER_RESET_MS,
+        });
     }
 
     get baseURL() {
@@ -24,70 +149,140 @@ class DeepVueService {
         return DEEPVUE_CONFIG.API_KEY;
     }
 
-    async getAccessToken() {
-        if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
-            return this.accessToken;
+    /** { available, state, retryAfterSeconds } for the client's "bureau unavailable" banner */
+    getStatus() {
+        const status = this.breaker.status();
+        return { available: status.state !== CIRCUIT_STATES.OPEN, ...status };
+    }
+
+    // ─── Transport ───────────────────────────────────────────────────────────
+
+    /**
+     * One HTTP call through the circuit breaker.
+     */
+    async send(config) {
+        if (!this.breaker.allowRequest()) {
+            throw new DeepVueError(C.UNAVAILABLE, 'Credit bureau is temporarily unavailable. Please try again in a few minutes', {
+                retryAfter: Math.ceil(this.breaker.retryAfterMs / 1000),
+            });
         }
 
         try {
-            const params = new URLSearchParams();
-            params.append('client_id', this.clientId);
-            params.append('client_secret', this.clientSecret);
-
-            const response = await axios.post(
-                `${this.baseURL}/v1/authorize`,
-                params,
-                {
+            const response = await axios({ timeout: DEEPVUE_CONFIG.TIMEOUT_MS, ...config });
+            this.breaker.recordSuccess();
+            return response;
+        } catch (error) {
+            const typed = classifyError(error);
+            // A 404 / 4xx is DeepVue answering normally
+            if (UPSTREAM_FAILURES.includes(typed.code)) {
+                this.breaker.recordFailure();
+            } else {
+                this.breaker.recordSuccess();
+            }
+            throw typed;
+        }
+    }
+
+    /**
+     * Authenticated call: bearer token, one re-authorization on 401,
+     * and retries with backoff for GETs.
+     */
+    async request(config) {
+        const retries = config.method === 'get' ? DEEPVUE_CONFIG.MAX_RETRIES : 0;
+        let refreshed = false;
+
+        for (let attempt = 0; ; attempt++) {
+            const token = await this.getAccessToken();
+            try {
+                return await this.send({
+                    ...config,
                     headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded',
+                        'Authorization': `Bearer ${token}`,
                         'x-api-key': this.apiKey,
+                        ...config.headers,
                     },
+                });
+            } catch (error) {
+                // Token revoked or expired early — re-authorize once
+                if (error.code === C.AUTH && !refreshed) {
+                    refreshed = true;
+                    this.invalidateToken();
+                    attempt--;
+                    continue;
                 }
-            );
+                if (!error.retryable || attempt >= retries) throw error;
 
-            this.accessToken = response.data.access_token;
-            // Default 24h, use 23h buffer
-            this.tokenExpiry = new Date(Date.now() + 23 * 60 * 60 * 1000);
-            return this.accessToken;
-
-        } catch (error) {
-            console.error('[DeepVue] Auth Failed:', error.response?.data || error.message);
-            throw new Error('DeepVue Authentication Failed');
+                const delay = error.retryAfter !== null
+                    ? Math.min(error.retryAfter * 1000, DEEPVUE_CONFIG.RETRY_MAX_MS)
+                    : backoffDelay(attempt);
+                console.warn(`[DeepVue] ${error.code} on ${config.url.split('?')[0]}, retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+                await sleep(delay);
+            }
         }
     }
 
-    async createCibilSession(userData) {
+    invalidateToken() {
+        this.accessToken = null;
+        this.tokenExpiry = null;
+    }
+
+    async getAccessToken() {
+        if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
+            return this.accessToken;
+        }
 
+        const params = new URLSearchParams();
+        params.append('client_id', this.clientId);
+        params.append('client_secret', this.clientSecret);
 
         try {
-            // Validate required fields
-            if (!userData.firstName || !userData.mobileNumber) {
-                throw new ApiError(400, "Full Name and Mobile Number are required for DeepVue Session");
+            const response = await this.send({
+                method: 'post',
+                url: `${this.baseURL}/v1/authorize`,
+                data: params,
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'x-api-key': this.apiKey,
+                },
+            });
+
+            if (!response.data?.access_token) {
+                throw new DeepVueError(C.UPSTREAM, 'Credit bureau returned no access token', { details: response.data });
             }
 
-            const token = await this.getAccessToken();
-            const callbackUrl = getDeepvueCallbackUrl();
+            this.accessToken = response.data.access_token;
+            // Use the token lifetime DeepVue reports (default 24h), less a 5 minute buffer
+            const lifetimeSeconds = parseInt(response.data.expires_in) || 24 * 60 * 60;
+            this.tokenExpiry = new Date(Date.now() + Math.max(lifetimeSeconds - 300, 60) * 1000);
+            return this.accessToken;
+        } catch (error) {
+            console.error('[DeepVue] Auth Failed:', error.details || error.message);
+            throw error;
+        }
+    }
 
+    // ─── API ─────────────────────────────────────────────────────────────────
 
-            const payload = {
-                redirect_uri: callbackUrl,
-                full_name: userData.firstName,
-                mobile_number: userData.mobileNumber,
-                enrich: true
-            };
+    async createCibilSession(userData) {
+        // Validate required fields
+        if (!userData.firstName || !userData.mobileNumber) {
+            throw new DeepVueError(C.INVALID_INPUT, 'Full Name and Mobile Number are required for DeepVue Session');
+        }
 
-            const response = await axios.post(
-                `${this.baseURL}/v2/financial-services/credit-bureau/equifax/credit-report/sdk/session`,
-                payload,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'x-api-key': this.apiKey,
-                        'Content-Type': 'application/json',
-                    },
-                }
-            );
+        const payload = {
+            redirect_uri: getDeepvueCallbackUrl(),
+            full_name: userData.firstName,
+            mobile_number: userData.mobileNumber,
+            enrich: true
+        };
 
+        try {
+            const response = await this.request({
+                method: 'post',
+                url: `${this.baseURL}/v2/financial-services/credit-bureau/equifax/credit-report/sdk/session`,
+                data: payload,
+                headers: { 'Content-Type': 'application/json' },
+            });
 
             if (response.data.code === 201 && response.data.data?.redirect_url) {
                 return {
@@ -98,36 +293,24 @@ class DeepVueService {
                 };
             }
 
-            return {
-                success: false,
-                message: 'Unexpected response code from DeepVue',
-                deepvue_error: response.data
-            };
-
+            throw new DeepVueError(C.UPSTREAM, 'Unexpected response code from DeepVue', { details: response.data });
         } catch (error) {
-            console.error('[DeepVue] Session Failure:', error.response?.data || error.message);
-            return {
-                success: false,
-                message: 'Failed to create DeepVue session',
-                deepvue_error: error.response?.data || error.message
-            };
+            console.error('[DeepVue] Session Failure:', error.code, error.details || error.message);
+            throw error;
         }
     }
 
+    /**
+     * @returns {Promise<{ success: true, data: Object } | { success: false, status: 'PROCESSING', code: 'NOT_READY', message: string }>}
+     * @throws {DeepVueError} on every other failure
+     */
     async fetchCibilReport(transactionId) {
         try {
-            const token = await this.getAccessToken();
-
-            const response = await axios.get(
-                `${this.baseURL}/v2/financial-services/credit-bureau/credit-report/sdk/report?transaction_id=${transactionId}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'x-api-key': this.apiKey,
-                        'Content-Type': 'application/json',
-                    },
-                }
-            );
+            const response = await this.request({
+                method: 'get',
+                url: `${this.baseURL}/v2/financial-services/credit-bureau/credit-report/sdk/report?transaction_id=${encodeURIComponent(transactionId)}`,
+                headers: { 'Content-Type': 'application/json' },
+            });
 
             if (response.data.code === 200 && response.data.data) {
                 return {
@@ -136,39 +319,35 @@ class DeepVueService {
                 };
             }
 
-            return {
-                success: false,
-                message: 'Report not ready or invalid response',
-                deepvue_error: response.data
-            };
-
+            throw new DeepVueError(C.UPSTREAM, 'Report not ready or invalid response', { details: response.data });
         } catch (error) {
-            console.error('[DeepVue] Fetch Report Error:', error.response?.data || error.message);
-
-            if (error.response?.status === 404) {
+            // DeepVue answers 404 until the bureau report is ready
+            if (error.code === C.NOT_READY) {
                 return {
                     success: false,
                     status: 'PROCESSING',
+                    code: C.NOT_READY,
                     message: 'Report is being processed'
                 };
             }
 
-            return {
-                success: false,
-                message: 'Failed to fetch CIBIL report',
-                deepvue_error: error.response?.data || error.message
-            };
+            console.error('[DeepVue] Fetch Report Error:', error.code, error.details || error.message);
+            throw error;
         }
     }
 
+    /**
+     * Download a report PDF from the URL the bureau returned. The URL can point
+     * anywhere (often a pre-signed storage link), so it is fetched without the
+     * DeepVue bearer token or API key, and outside the DeepVue circuit breaker.
+     */
     async downloadCibilPdf(pdfUrl) {
         try {
-            const token = await this.getAccessToken();
             const response = await axios.get(pdfUrl, {
                 responseType: 'arraybuffer',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                },
+                timeout: DEEPVUE_CONFIG.PDF_TIMEOUT_MS,
+            }).catch((error) => {
+                throw classifyError(error);
             });
 
             return {
@@ -177,10 +356,10 @@ class DeepVueService {
                 contentType: 'application/pdf'
             };
         } catch (error) {
-            console.error('[DeepVue] PDF Download Error:', error.message);
-            throw new ApiError(500, 'Failed to download CIBIL PDF');
+            console.error('[DeepVue] PDF Download Error:', error.code, error.message);
+            throw error;
         }
     }
 }
 
-export const deepVueService = new DeepVueService();
\ No newline at end of file
+export const deepVueService = new DeepVueService();
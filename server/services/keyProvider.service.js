@@ -0,0 +1,264 @@
+import { KMSClient, EncryptCommand, DecryptCommand, GenerateDataKeyCommand } from '@aws-sdk/client-kms';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { KMS_CONFIG } from '../config/kms.js';
+
+const SERVER_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Key provider interface.
+ *
+ * Every provider implements:
+ * - name: string
+ * - keyId: string — id of the CURRENT master key ([a-z0-9-]), written into every
+ *   ciphertext header so rows on an older key can be found and re-encrypted
+ * - generateDataKey(): Promise<{ plaintext: Buffer, ciphertext: Buffer }> — fresh 256-bit DEK
+ * - decryptDataKey(ciphertext: Buffer): Promise<Buffer> — also for DEKs wrapped by a previous key
+ * - encrypt(plaintext: Buffer): Promise<Buffer> — direct (small payloads, ≤ 4 KB on AWS)
+ * - decrypt(ciphertext: Buffer): Promise<Buffer>
+ *
+ * Envelope layouts built on top (kms.util, encryption.service) are the same for
+ * every provider; only the bytes of the wrapped DEK differ. decrypt() on data the
+ * provider did not produce throws an error named InvalidCiphertextException, like AWS.
+ */
+export class KeyProvider {
+    get name() {
+        throw new Error('KeyProvider.name not implemented');
+    }
+
+    get keyId() {
+        throw new Error(`${this.name}: keyId not implemented`);
+    }
+
+    async generateDataKey() {
+        throw new Error(`${this.name}: generateDataKey not implemented`);
+    }
+
+    async decryptDataKey(ciphertext) {
+        throw new Error(`${this.name}: decryptDataKey not implemented`);
+    }
+
+    async encrypt(plaintext) {
+        throw new Error(`${this.name}: encrypt not implemented`);
+    }
+
+    async decrypt(ciphertext) {
+        throw new Error(`${this.name}: decrypt not implemented`);
+    }
+}
+
+/** AWS KMS customer managed key */
+export class AwsKmsKeyProvider extends KeyProvider {
+    constructor(config = KMS_CONFIG.AWS) {
+        super();
+        // SECURITY: Credentials come from environment only — never hardcoded
+        if (!config.REGION) {
+            throw new Error('AWS_REGION environment variable is required for KMS encryption');
+        }
+        if (!config.KEY_ID) {
+            throw new Error('AWS_KMS_KEY_ID environment variable is required for KMS encryption');
+        }
+        this.kmsKeyId = config.KEY_ID;
+        this.client = new KMSClient({
+            region: config.REGION,
+            credentials: {
+                accessKeyId: config.ACCESS_KEY_ID,
+                secretAccessKey: config.SECRET_ACCESS_KEY,
+            },
+        });
+    }
+
+    get name() {
+        return 'aws';
+    }
+
+    /** Changes when AWS_KMS_KEY_ID points at a different CMK */
+    get keyId() {
+        return `aws-${crypto.createHash('sha256').update(this.kmsKeyId).digest('hex').slice(0, 12)}`;
+    }
+
+    async generateDataKey() {
+        const { Plaintext, CiphertextBlob } = await this.client.send(new GenerateDataKeyCommand({
+            KeyId: this.kmsKeyId,
+            KeySpec: 'AES_256',
+        }));
+        const plaintext = Buffer.from(Plaintext);
+        Plaintext.fill(0); // callers zero the copy they get
+        return { plaintext, ciphertext: Buffer.from(CiphertextBlob) };
+    }
+
+    async decryptDataKey(ciphertext) {
+        return this.decrypt(ciphertext);
+    }
+
+    async encrypt(plaintext) {
+        const { CiphertextBlob } = await this.client.send(new EncryptCommand({
+            KeyId: this.kmsKeyId,
+            Plaintext: plaintext,
+        }));
+        return Buffer.from(CiphertextBlob);
+    }
+
+    async decrypt(ciphertext) {
+        // No KeyId: KMS reads it from the blob, so data under a previous CMK still decrypts
+        const { Plaintext } = await this.client.send(new DecryptCommand({
+            CiphertextBlob: ciphertext,
+        }));
+        const plaintext = Buffer.from(Plaintext);
+        Plaintext.fill(0);
+        return plaintext;
+    }
+}
+
+// ─── Local master key ─────────────────────────────────────────────────────────
+
+// Wrapped blob: [4 bytes "LKP1"][8 bytes key fingerprint][12 bytes IV][16 bytes tag][ciphertext]
+const LOCAL_MAGIC = Buffer.from('LKP1');
+const FINGERPRINT_LENGTH = 8;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const LOCAL_HEADER_LENGTH = LOCAL_MAGIC.length + FINGERPRINT_LENGTH + IV_LENGTH + AUTH_TAG_LENGTH;
+
+const invalidCiphertext = (message) => {
+    const error = new Error(message);
+    error.name = 'InvalidCiphertextException';
+    return error;
+};
+
+const parseMasterKey = (value, source) => {
+    const trimmed = String(value).trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed)
+        ? Buffer.from(trimmed, 'hex')
+        : Buffer.from(trimmed, 'base64');
+    if (key.length !== 32) {
+        throw new Error(`Local master key from ${source} must be 32 bytes (base64 or hex)`);
+    }
+    return key;
+};
+
+/**
+ * Load the master key from LOCAL_MASTER_KEY, else from the key file.
+ * Outside production a missing key file is created (mode 0600) so a fresh
+ * checkout works offline with no setup.
+ */
+const loadMasterKey = (config) => {
+    if (config.MASTER_KEY) {
+        return parseMasterKey(config.MASTER_KEY, 'LOCAL_MASTER_KEY');
+    }
+
+    const file = path.resolve(SERVER_ROOT, config.MASTER_KEY_FILE);
+    if (fs.existsSync(file)) {
+        return parseMasterKey(fs.readFileSync(file, 'utf8'), file);
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('Local key provider needs LOCAL_MASTER_KEY or LOCAL_MASTER_KEY_FILE in production');
+    }
+
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(file, `${key.toString('base64')}\n`, { mode: 0o600 });
+    console.warn(`[KMS] Generated local master key at ${file} (development only — do not commit)`);
+    return key;
+};
+
+const fingerprintOf = (key) => crypto.createHash('sha256').update(key).digest().subarray(0, FINGERPRINT_LENGTH);
+
+/**
+ * Wraps keys with a 256-bit master key held in an env secret or file (AES-256-GCM).
+ * For development and CI — no AWS access needed. The fingerprint in each blob picks
+ * the key: the current one, or one of LOCAL_PREVIOUS_MASTER_KEYS after a rotation.
+ */
+export class LocalKeyProvider extends KeyProvider {
+    constructor(config = KMS_CONFIG.LOCAL) {
+        super();
+        this.masterKey = loadMasterKey(config);
+        this.fingerprint = fingerprintOf(this.masterKey);
+
+        // Keyring: fingerprint (hex) → key, for decrypting data under a retired key
+        this.keyring = new Map([[this.fingerprint.toString('hex'), this.masterKey]]);
+        for (const [index, value] of (config.PREVIOUS_MASTER_KEYS || []).entries()) {
+            const key = parseMasterKey(value, `LOCAL_PREVIOUS_MASTER_KEYS[${index}]`);
+            this.keyring.set(fingerprintOf(key).toString('hex'), key);
+        }
+    }
+
+    get name() {
+        return 'local';
+    }
+
+    get keyId() {
+        return `local-${this.fingerprint.toString('hex')}`;
+    }
+
+    async generateDataKey() {
+        const plaintext = crypto.randomBytes(32);
+        return { plaintext, ciphertext: await this.encrypt(plaintext) };
+    }
+
+    async decryptDataKey(ciphertext) {
+        return this.decrypt(ciphertext);
+    }
+
+    async encrypt(plaintext) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.masterKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+        // Bind the header to the ciphertext so it can't be swapped
+        cipher.setAAD(Buffer.concat([LOCAL_MAGIC, this.fingerprint]));
+        const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        return Buffer.concat([LOCAL_MAGIC, this.fingerprint, iv, cipher.getAuthTag(), encrypted]);
+    }
+
+    async decrypt(ciphertext) {
+        const blob = Buffer.from(ciphertext);
+        if (blob.length < LOCAL_HEADER_LENGTH || !blob.subarray(0, LOCAL_MAGIC.length).equals(LOCAL_MAGIC)) {
+            throw invalidCiphertext('Not a local key provider ciphertext');
+        }
+
+        let offset = LOCAL_MAGIC.length;
+        const fingerprint = blob.subarray(offset, offset + FINGERPRINT_LENGTH);
+        offset += FINGERPRINT_LENGTH;
+        const masterKey = this.keyring.get(fingerprint.toString('hex'));
+        if (!masterKey) {
+            throw invalidCiphertext('Ciphertext was encrypted with an unknown local master key');
+        }
+
+        const iv = blob.subarray(offset, offset + IV_LENGTH);
+        offset += IV_LENGTH;
+        const authTag = blob.subarray(offset, offset + AUTH_TAG_LENGTH);
+        offset += AUTH_TAG_LENGTH;
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+        decipher.setAAD(Buffer.concat([LOCAL_MAGIC, fingerprint]));
+        decipher.setAuthTag(authTag);
+        return Buffer.concat([decipher.update(blob.subarray(offset)), decipher.final()]);
+    }
+}
+
+const PROVIDERS = {
+    aws: AwsKmsKeyProvider,
+    local: LocalKeyProvider,
+};
+
+export const createKeyProvider = (name) => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown key provider: ${name}`);
+    }
+    return new Provider();
+};
+
+let keyProvider = null;
+
+/**
+ * The configured provider (KEY_PROVIDER), created on first use so a missing
+ * configuration surfaces when encryption is attempted, not at import time.
+ */
+export const getKeyProvider = () => {
+    if (!keyProvider) {
+        keyProvider = createKeyProvider(KMS_CONFIG.PROVIDER);
+    }
+    return keyProvider;
+};
@@ -0,0 +1,292 @@
+/**
+ * =============================================================
+ * LOAN OFFER SERVICE — lender catalogue + pre-qualification
+ * =============================================================
+ *
+ * Admins keep a catalogue of lender products (LenderProduct): rate
+ * bands by score, FOIR limit, minimum income, amount range and
+ * maximum tenure. matchOffers() checks a user's active CreditReport
+ * and declared monthly income against every active product:
+ *
+ *   1. Score, write-offs, overdue and income gates
+ *   2. FOIR: income × maxFoir% − existing EMIs (totalMonthlyPayment)
+ *      is the EMI the user can still take on
+ *   3. Largest amount that EMI repays over the tenure at the band
+ *      rate, capped at the product's maxAmount
+ *
+ * Offers are indicative only — the lender decides on a full
+ * application. Nothing here calls a bureau.
+ * =============================================================
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/db.js';
+import { ApiError } from '../utils/ApiError.js';
+
+export const LOAN_TYPES = ['HOME', 'PERSONAL', 'CAR', 'BUSINESS', 'EDUCATION'];
+
+// An application in these states blocks another of the same loan type
+const OPEN_LOAN_STATUSES = ['PENDING', 'UNDER_REVIEW', 'APPROVED'];
+
+// Offer amounts are rounded down to this
+const AMOUNT_STEP = 1000;
+
+// ─── Catalogue ───────────────────────────────────────────────────────────────
+
+const PRODUCT_FIELDS = [
+    'lenderName', 'productName', 'loanType', 'isActive', 'minScore', 'rateBands', 'maxFoir',
+    'minMonthlyIncome', 'minAmount', 'maxAmount', 'maxTenureMonths', 'processingFeePct',
+    'allowWriteOffs', 'maxOverdue',
+];
+
+const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Validate a create / update body. Returns only known fields.
+ * @throws {ApiError} 400 with one message per invalid field
+ */
+export const validateLenderProduct = (body, { partial = false } = {}) => {
+    const data = {};
+    for (const field of PRODUCT_FIELDS) {
+        if (body?.[field] !== undefined) data[field] = body[field];
+    }
+
+    const errors = [];
+    const check = (field, valid, message) => {
+        if (data[field] === undefined) {
+            if (!partial && !['isActive', 'processingFeePct', 'allowWriteOffs', 'maxOverdue', 'minMonthlyIncome'].includes(field)) {
+                errors.push(`${field} is required`);
+            }
+            return;
+        }
+        if (!valid(data[field])) errors.push(message);
+    };
+
+    check('lenderName', (v) => typeof v === 'string' && v.trim().length > 0, 'lenderName must be a non-empty string');
+    check('productName', (v) => typeof v === 'string' && v.trim().length > 0, 'productName must be a non-empty string');
+    check('loanType', (v) => LOAN_TYPES.includes(v), `loanType must be one of ${LOAN_TYPES.join(', ')}`);
+    check('isActive', (v) => typeof v === 'boolean', 'isActive must be true or false');
+    check('minScore', (v) => Number.isInteger(v) && v >= 0 && v <= 900, 'minScore must be an integer from 0 to 900');
+    check('rateBands', (v) => Array.isArray(v) && v.length > 0 && v.every((b) =>
+        Number.isInteger(b?.minScore) && b.minScore >= 0 && b.minScore <= 900 && isNumberIn(b?.rate, 0.1, 60)),
+    'rateBands must be a non-empty list of { minScore: 0-900, rate: 0.1-60 }');
+    check('maxFoir', (v) => isNumberIn(v, 1, 100), 'maxFoir must be a percentage from 1 to 100');
+    check('minMonthlyIncome', (v) => isNumberIn(v, 0, 1e9), 'minMonthlyIncome must be 0 or more');
+    check('minAmount', (v) => isNumberIn(v, 1, 1e11), 'minAmount must be greater than 0');
+    check('maxAmount', (v) => isNumberIn(v, 1, 1e11), 'maxAmount must be greater than 0');
+    check('maxTenureMonths', (v) => Number.isInteger(v) && v >= 1 && v <= 480, 'maxTenureMonths must be an integer from 1 to 480');
+    check('processingFeePct', (v) => v === null || isNumberIn(v, 0, 10), 'processingFeePct must be from 0 to 10');
+    check('allowWriteOffs', (v) => typeof v === 'boolean', 'allowWriteOffs must be true or false');
+    check('maxOverdue', (v) => isNumberIn(v, 0, 1e11), 'maxOverdue must be 0 or more');
+
+    if (data.minAmount !== undefined && data.maxAmount !== undefined && data.minAmount > data.maxAmount) {
+        errors.push('minAmount cannot be more than maxAmount');
+    }
+    if (errors.length) throw new ApiError(400, 'Invalid lender product', errors);
+
+    if (data.lenderName) data.lenderName = data.lenderName.trim();
+    if (data.productName) data.productName = data.productName.trim();
+    if (data.rateBands) data.rateBands = [...data.rateBands].sort((a, b) => a.minScore - b.minScore);
+    return data;
+};
+
+/**
+ * @throws {ApiError} 400 for an unknown loanType
+ */
+export const listLenderProducts = async ({ loanType, includeInactive = true } = {}) => {
+    if (loanType !== undefined && !LOAN_TYPES.includes(loanType)) {
+        throw new ApiError(400, 'Invalid loanType', [`loanType must be one of ${LOAN_TYPES.join(', ')}`]);
+    }
+    return prisma.lenderProduct.findMany({
+        where: {
+            ...(loanType ? { loanType } : {}),
+            ...(includeInactive ? {} : { isActive: true }),
+        },
+        orderBy: [{ loanType: 'asc' }, { lenderName: 'asc' }, { productName: 'asc' }],
+    });
+};
+
+export const createLenderProduct = (body, adminId) =>
+    prisma.lenderProduct.create({ data: { ...validateLenderProduct(body), createdById: adminId } });
+
+export const updateLenderProduct = async (id, body) => {
+    const existing = await prisma.lenderProduct.findUnique({ where: { id } });
+    if (!existing) throw new ApiError(404, 'Lender product not found');
+
+    const data = validateLenderProduct(body, { partial: true });
+    if ((data.minAmount ?? existing.minAmount) > (data.maxAmount ?? existing.maxAmount)) {
+        throw new ApiError(400, 'Invalid lender product', ['minAmount cannot be more than maxAmount']);
+    }
+    return prisma.lenderProduct.update({ where: { id }, data });
+};
+
+export const deleteLenderProduct = async (id) => {
+    const existing = await prisma.lenderProduct.findUnique({ where: { id } });
+    if (!existing) throw new ApiError(404, 'Lender product not found');
+    return prisma.lenderProduct.delete({ where: { id } });
+};
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+
+/** Monthly EMI for a principal at an annual rate (%) over n months */
+export const computeEmi = (principal, annualRate, months) => {
+    const r = annualRate / 12 / 100;
+    if (!r) return principal / months;
+    const growth = (1 + r) ** months;
+    return (principal * r * growth) / (growth - 1);
+};
+
+/** Largest principal an EMI repays at an annual rate (%) over n months */
+export const principalForEmi = (emi, annualRate, months) => {
+    const r = annualRate / 12 / 100;
+    if (!r) return emi * months;
+    const growth = (1 + r) ** months;
+    return (emi * (growth - 1)) / (r * growth);
+};
+
+const rateForScore = (rateBands, score) =>
+    [...rateBands].sort((a, b) => b.minScore - a.minScore).find((band) => score >= band.minScore)?.rate ?? null;
+
+/**
+ * Check one product against a report. Returns { offer } or { reasons }.
+ */
+export const evaluateProduct = (product, report, { monthlyIncome, amount, tenureMonths }) => {
+    const reasons = [];
+    const score = report.creditScore;
+    const existingEmi = report.totalMonthlyPayment || 0;
+
+    if (score === null || score < product.minScore) {
+        reasons.push(score === null ? 'Needs a credit score' : `Needs a score of ${product.minScore}+`);
+    }
+    if (report.noOfWriteOffs > 0 && !product.allowWriteOffs) reasons.push('Written-off accounts on the report');
+    if ((report.totalOverdue || 0) > product.maxOverdue) reasons.push('Overdue amount on the report');
+    if (monthlyIncome < product.minMonthlyIncome) {
+        reasons.push(`Needs a monthly income of ₹${product.minMonthlyIncome.toLocaleString('en-IN')}+`);
+    }
+
+    const rate = score === null ? null : rateForScore(product.rateBands, score);
+    if (score !== null && rate === null && !reasons.length) reasons.push('No rate band for this score');
+
+    const availableEmi = (monthlyIncome * product.maxFoir) / 100 - existingEmi;
+    if (availableEmi <= 0) reasons.push('Existing EMIs already use the income limit (FOIR)');
+    if (reasons.length) return { reasons };
+
+    const tenure = Math.min(tenureMonths || product.maxTenureMonths, product.maxTenureMonths);
+    const eligibleAmount = Math.min(principalForEmi(availableEmi, rate, tenure), product.maxAmount);
+    const offerAmount = Math.floor(Math.min(amount || eligibleAmount, eligibleAmount) / AMOUNT_STEP) * AMOUNT_STEP;
+    if (offerAmount < product.minAmount) {
+        return { reasons: [`Eligible amount is below the ₹${product.minAmount.toLocaleString('en-IN')} minimum`] };
+    }
+
+    const emi = Math.round(computeEmi(offerAmount, rate, tenure));
+    return {
+        offer: {
+            productId: product.id,
+            lenderName: product.lenderName,
+            productName: product.productName,
+            loanType: product.loanType,
+            rate,
+            tenureMonths: tenure,
+            maxEligibleAmount: Math.floor(eligibleAmount / AMOUNT_STEP) * AMOUNT_STEP,
+            amount: offerAmount,
+            emi,
+            processingFee: product.processingFeePct ? Math.round((offerAmount * product.processingFeePct) / 100) : null,
+            foirAfter: Math.round(((existingEmi + emi) / monthlyIncome) * 1000) / 10,
+        },
+    };
+};
+
+/**
+ * Pre-qualified offers for a user's active report.
+ *
+ * @param {string} userId
+ * @param {{ monthlyIncome: number, loanType?: string, amount?: number, tenureMonths?: number }} input
+ * @throws {ApiError} 400 for invalid input, 404 without an active report
+ */
+export const matchOffers = async (userId, { monthlyIncome, loanType, amount, tenureMonths } = {}) => {
+    const errors = [];
+    if (!isNumberIn(monthlyIncome, 1, 1e9)) errors.push('monthlyIncome must be a positive number');
+    if (loanType !== undefined && !LOAN_TYPES.includes(loanType)) errors.push(`loanType must be one of ${LOAN_TYPES.join(', ')}`);
+    if (amount !== undefined && !isNumberIn(amount, 1, 1e11)) errors.push('amount must be a positive number');
+    if (tenureMonths !== undefined && !(Number.isInteger(tenureMonths) && tenureMonths >= 1 && tenureMonths <= 480)) {
+        errors.push('tenureMonths must be an integer from 1 to 480');
+    }
+    if (errors.length) throw new ApiError(400, 'Invalid offer request', errors);
+
+    const report = await prisma.creditReport.findFirst({
+        where: { userId, status: 'ACTIVE', expiresAt: { gt: new Date() } },
+        orderBy: { fetchedAt: 'desc' },
+        select: { id: true, creditScore: true, totalMonthlyPayment: true, totalOverdue: true, noOfWriteOffs: true, expiresAt: true },
+    });
+    if (!report) throw new ApiError(404, 'Check your credit score first to see pre-qualified offers');
+
+    const products = await listLenderProducts({ loanType, includeInactive: false });
+
+    const offers = [];
+    const notEligible = [];
+    for (const product of products) {
+        const result = evaluateProduct(product, report, { monthlyIncome, amount, tenureMonths });
+        if (result.offer) {
+            offers.push(result.offer);
+        } else {
+            notEligible.push({ lenderName: product.lenderName, productName: product.productName, loanType: product.loanType, reasons: result.reasons });
+        }
+    }
+
+    return {
+        creditScore: report.creditScore,
+        existingEmi: report.totalMonthlyPayment || 0,
+        validUntil: report.expiresAt,
+        offers: offers.sort((a, b) => a.rate - b.rate || b.amount - a.amount),
+        notEligible,
+    };
+};
+
+/**
+ * Turn an offer into a loan lead. The offer is re-evaluated here — the
+ * client only says which product, amount and income it was shown.
+ *
+ * One open application per loan type: the check and the insert run in a
+ * serializable transaction, so a double submit cannot create two loans.
+ *
+ * @throws {ApiError} 404 unknown product, 409 no longer eligible or already applied
+ */
+export const applyForOffer = async (userId, productId, input = {}) => {
+    const product = await prisma.lenderProduct.findFirst({ where: { id: productId, isActive: true } });
+    if (!product) throw new ApiError(404, 'Offer not found');
+
+    const { offers, notEligible } = await matchOffers(userId, { ...input, loanType: product.loanType });
+    const offer = offers.find((o) => o.productId === product.id);
+    if (!offer) {
+        const reasons = notEligible.find((n) => n.productName === product.productName && n.lenderName === product.lenderName)?.reasons;
+        throw new ApiError(409, 'You are no longer pre-qualified for this offer', reasons || []);
+    }
+
+    const alreadyApplied = `You already have an open ${product.loanType.toLowerCase()} loan application`;
+    try {
+        return await prisma.$transaction(async (tx) => {
+            const open = await tx.loan.findFirst({
+                where: { userId, type: product.loanType, isSubmitted: true, status: { in: OPEN_LOAN_STATUSES } },
+                select: { id: true },
+            });
+            if (open) throw new ApiError(409, alreadyApplied);
+
+            return tx.loan.create({
+                data: {
+                    userId,
+                    type: product.loanType,
+                    amount: offer.amount,
+                    interestRate: offer.rate,
+                    duration: offer.tenureMonths,
+                    monthlyIncome: input.monthlyIncome,
+                    purpose: `Pre-qualified offer: ${product.lenderName} — ${product.productName}`,
+                    isSubmitted: true,
+                },
+            });
+        }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+    } catch (error) {
+        // P2034: serialization conflict with a concurrent application
+        if (error.code === 'P2034') throw new ApiError(409, alreadyApplied);
+        throw error;
+    }
+};
@@ -0,0 +1,326 @@
+/**
+ * ================================================================================
+ * RE-ENCRYPTION SERVICE - KEY ROTATION
+ * ================================================================================
+ *
+ * Moves every encrypted column to the bw1 format on the key provider's CURRENT
+ * key (utils/kms.util.js). Run after rotating LOCAL_MASTER_KEY / AWS_KMS_KEY_ID,
+ * and once after upgrading from the legacy formats.
+ *
+ * - Walks each target model in id order, batchSize rows at a time
+ * - Only values that are already ciphertext and not bw1-on-current-key are touched;
+ *   plaintext is left alone (never encrypted as a side effect)
+ * - A value that cannot be decrypted is counted as failed and left unchanged
+ * - Each row write is guarded by the old value (updateMany), so a concurrent
+ *   application write is never overwritten
+ * - Progress (per model lastId + counters) is saved after every batch, so a job
+ *   can be paused, resumed, or picked up again after a crash
+ *
+ * Retire the old key only once a job has COMPLETED with failed = 0.
+ *
+ * ================================================================================
+ */
+
+import { prisma } from '../config/db.js';
+import ApiError from '../utils/ApiError.js';
+import { SENSITIVE_FIELDS, needsReencryption, reencryptText } from '../utils/kms.util.js';
+import { getKeyProvider } from './keyProvider.service.js';
+
+const DEFAULT_BATCH_SIZE = 100;
+const MAX_BATCH_SIZE = 1000;
+
+// A RUNNING job whose heartbeat is older than this is considered abandoned
+export const STALE_JOB_MS = 5 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['PENDING', 'RUNNING', 'PAUSED'];
+
+/**
+ * Models and columns to re-encrypt, in processing order.
+ * jsonFields are Json columns — only string values (encrypted blobs) are touched.
+ */
+export const REENCRYPTION_TARGETS = [
+    { model: 'User', delegate: 'user', fields: SENSITIVE_FIELDS.User },
+    { model: 'CibilData', delegate: 'cibilData', fields: SENSITIVE_FIELDS.CibilData, jsonFields: ['reportData'] },
+    {
+        model: 'CreditReport',
+        delegate: 'creditReport',
+        fields: ['panEncrypted', 'mobileEncrypted', 'nameEncrypted', 'dobEncrypted', 'fullReportEncrypted', 'pdfKeyEncrypted'],
+    },
+    { model: 'CreditAccount', delegate: 'creditAccount', fields: ['accountNumberEncrypted'] },
+    { model: 'CreditCheckInquiry', delegate: 'creditCheckInquiry', fields: SENSITIVE_FIELDS.CreditCheckInquiry },
+    { model: 'ContactInquiry', delegate: 'contactInquiry', fields: SENSITIVE_FIELDS.ContactInquiry },
+    { model: 'HomeLoanInquiry', delegate: 'homeLoanInquiry', fields: SENSITIVE_FIELDS.HomeLoanInquiry },
+    { model: 'ReferralInquiry', delegate: 'referralInquiry', fields: SENSITIVE_FIELDS.ReferralInquiry },
+    { model: 'Admin', delegate: 'admin', fields: ['totpSecret'] },
+];
+
+const emptyProgress = () => ({ lastId: null, total: 0, scanned: 0, reencrypted: 0, skipped: 0, failed: 0, done: false });
+
+// Jobs being run by THIS process (guards against double-starting the same job)
+const runningJobs = new Set();
+
+// ─── Progress ────────────────────────────────────────────────────────────────
+
+/**
+ * Job row plus an overall summary computed from per-model progress.
+ */
+export const withSummary = (job) => {
+    const models = REENCRYPTION_TARGETS.map(({ model }) => ({ model, ...emptyProgress(), ...(job.progress?.[model] || {}) }));
+    const total = models.reduce((sum, m) => sum + m.total, 0);
+    const scanned = models.reduce((sum, m) => sum + m.scanned, 0);
+
+    return {
+        ...job,
+        summary: {
+            total,
+            scanned,
+            reencrypted: models.reduce((sum, m) => sum + m.reencrypted, 0),
+            failed: models.reduce((sum, m) => sum + m.failed, 0),
+            percent: total ? Math.min(100, Math.round((scanned / total) * 100)) : (job.status === 'COMPLETED' ? 100 : 0),
+        },
+        models,
+    };
+};
+
+// ─── Runner ──────────────────────────────────────────────────────────────────
+
+/**
+ * Re-encrypt one row. Returns per-row counts; never throws for a bad value.
+ */
+const reencryptRow = async (target, row) => {
+    const data = {};
+    const where = { id: row.id };
+    let failed = 0;
+
+    for (const field of [...target.fields, ...(target.jsonFields || [])]) {
+        const value = row[field];
+        if (typeof value !== 'string' || !needsReencryption(value)) continue;
+
+        try {
+            data[field] = await reencryptText(value);
+            where[field] = target.jsonFields?.includes(field) ? { equals: value } : value;
+        } catch (error) {
+            failed++;
+            console.error(`[Reencryption] ${target.model} ${row.id}.${field} could not be decrypted: ${error.message}`);
+        }
+    }
+
+    const changed = Object.keys(data).length;
+    if (!changed) return { reencrypted: 0, skipped: 1, failed };
+
+    const { count } = await prisma[target.delegate].updateMany({ where, data });
+    // count 0: the row was rewritten meanwhile — the app always writes the current format
+    return count ? { reencrypted: changed, skipped: 0, failed } : { reencrypted: 0, skipped: 1, failed };
+};
+
+/**
+ * Process one model from its saved cursor until done, or until the job is paused.
+ * @returns {Promise<boolean>} false when the job was paused / stopped
+ */
+const processTarget = async (job, target, progress, onProgress) => {
+    const state = { ...emptyProgress(), ...(progress[target.model] || {}) };
+    if (state.done) return true;
+
+    if (!state.lastId) {
+        state.total = await prisma[target.delegate].count();
+    }
+
+    const select = { id: true };
+    for (const field of [...target.fields, ...(target.jsonFields || [])]) select[field] = true;
+
+    while (true) {
+        const rows = await prisma[target.delegate].findMany({
+            where: state.lastId ? { id: { gt: state.lastId } } : {},
+            orderBy: { id: 'asc' },
+            take: job.batchSize,
+            select,
+        });
+
+        if (rows.length === 0) {
+            state.done = true;
+        }
+
+        for (const row of rows) {
+            const result = await reencryptRow(target, row);
+            state.scanned++;
+            state.reencrypted += result.reencrypted;
+            state.skipped += result.skipped;
+            state.failed += result.failed;
+            state.lastId = row.id;
+        }
+
+        progress[target.model] = state;
+
+        // Persist after every batch, and pick up a pause requested meanwhile
+        const { status } = await prisma.reencryptionJob.update({
+            where: { id: job.id },
+            data: { progress, currentModel: target.model, heartbeatAt: new Date() },
+            select: { status: true },
+        });
+        onProgress?.(target.model, state);
+
+        if (state.done) return true;
+        if (status !== 'RUNNING') return false;
+    }
+};
+
+/**
+ * Run (or continue) a job in this process until it completes, pauses or fails.
+ *
+ * @param {string} jobId
+ * @param {Object} [options]
+ * @param {(model: string, state: Object) => void} [options.onProgress] - called after every batch
+ * @returns {Promise<Object|null>} final job row, or null if it is already running here
+ */
+export const runReencryptionJob = async (jobId, { onProgress } = {}) => {
+    if (runningJobs.has(jobId)) return null;
+    runningJobs.add(jobId);
+
+    try {
+        const job = await prisma.reencryptionJob.findUnique({ where: { id: jobId } });
+        if (!job || job.status !== 'RUNNING') return job;
+
+        const keyId = getKeyProvider().keyId;
+        if (job.targetKeyId !== keyId) {
+            // Key configuration changed since the job started — start a new job instead
+            return prisma.reencryptionJob.update({
+                where: { id: jobId },
+                data: { status: 'FAILED', error: `Current key is ${keyId}, job targets ${job.targetKeyId}`, finishedAt: new Date() },
+            });
+        }
+
+        console.log(`[Reencryption] Job ${jobId} running → ${keyId}`);
+        const progress = { ...(job.progress || {}) };
+
+        for (const target of REENCRYPTION_TARGETS) {
+            const finished = await processTarget(job, target, progress, onProgress);
+            if (!finished) {
+                console.log(`[Reencryption] Job ${jobId} paused at ${target.model}`);
+                return prisma.reencryptionJob.findUnique({ where: { id: jobId } });
+            }
+        }
+
+        console.log(`[Reencryption] Job ${jobId} completed`);
+        return prisma.reencryptionJob.update({
+            where: { id: jobId },
+            data: { status: 'COMPLETED', currentModel: null, finishedAt: new Date(), heartbeatAt: new Date() },
+        });
+    } catch (error) {
+        console.error(`[Reencryption] Job ${jobId} failed:`, error.message);
+        return prisma.reencryptionJob.update({
+            where: { id: jobId },
+            data: { status: 'FAILED', error: error.message, finishedAt: new Date() },
+        });
+    } finally {
+        runningJobs.delete(jobId);
+    }
+};
+
+/** Fire-and-forget run for HTTP handlers and the scheduler */
+export const runInBackground = (jobId) => {
+    setImmediate(() => {
+        runReencryptionJob(jobId).catch((error) => {
+            console.error(`[Reencryption] Job ${jobId} crashed:`, error.message);
+        });
+    });
+};
+
+// ─── Lifecycle ───────────────────────────────────────────────────────────────
+
+/**
+ * Create a RUNNING job targeting the current key. Only one unfinished job may exist.
+ * The caller decides whether to run it in the background or in the foreground.
+ *
+ * @throws {ApiError} 409 when a job is already pending, running or paused
+ */
+export const createReencryptionJob = async ({ startedById = null, batchSize } = {}) => {
+    const active = await prisma.reencryptionJob.findFirst({
+        where: { status: { in: ACTIVE_STATUSES } },
+        select: { id: true, status: true },
+    });
+    if (active) {
+        throw new ApiError(409, `Re-encryption job ${active.id} is already ${active.status.toLowerCase()}`);
+    }
+
+    const size = Number.parseInt(batchSize, 10);
+    const now = new Date();
+
+    return prisma.reencryptionJob.create({
+        data: {
+            status: 'RUNNING',
+            targetKeyId: getKeyProvider().keyId,
+            batchSize: Number.isInteger(size) && size > 0 ? Math.min(size, MAX_BATCH_SIZE) : DEFAULT_BATCH_SIZE,
+            startedById,
+            startedAt: now,
+            heartbeatAt: now,
+        },
+    });
+};
+
+/**
+ * Ask a running job to stop after its current batch.
+ * @throws {ApiError} 404 / 409
+ */
+export const pauseReencryptionJob = async (jobId) => {
+    const { count } = await prisma.reencryptionJob.updateMany({
+        where: { id: jobId, status: { in: ['PENDING', 'RUNNING'] } },
+        data: { status: 'PAUSED' },
+    });
+    if (!count) {
+        const exists = await prisma.reencryptionJob.findUnique({ where: { id: jobId }, select: { id: true } });
+        throw exists ? new ApiError(409, 'Only a running job can be paused') : new ApiError(404, 'Re-encryption job not found');
+    }
+    return prisma.reencryptionJob.findUnique({ where: { id: jobId } });
+};
+
+/**
+ * Mark a paused or failed job RUNNING again; it continues from its saved cursor.
+ * @throws {ApiError} 404 / 409
+ */
+export const resumeReencryptionJob = async (jobId) => {
+    const { count } = await prisma.reencryptionJob.updateMany({
+        where: { id: jobId, status: { in: ['PAUSED', 'FAILED'] } },
+        data: { status: 'RUNNING', error: null, finishedAt: null, heartbeatAt: new Date() },
+    });
+    if (!count) {
+        const exists = await prisma.reencryptionJob.findUnique({ where: { id: jobId }, select: { id: true } });
+        throw exists ? new ApiError(409, 'Only a paused or failed job can be resumed') : new ApiError(404, 'Re-encryption job not found');
+    }
+    return prisma.reencryptionJob.findUnique({ where: { id: jobId } });
+};
+
+export const listReencryptionJobs = async ({ limit = 20 } = {}) => {
+    const jobs = await prisma.reencryptionJob.findMany({
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+    });
+    return jobs.map(withSummary);
+};
+
+/**
+ * Claim RUNNING jobs whose heartbeat went stale (process crashed or restarted).
+ * The conditional update makes sure only one instance takes over a job.
+ *
+ * @returns {Promise<string[]>} ids of the jobs claimed by this process
+ */
+export const claimStaleReencryptionJobs = async () => {
+    const cutoff = new Date(Date.now() - STALE_JOB_MS);
+    const stale = await prisma.reencryptionJob.findMany({
+        where: {
+            status: 'RUNNING',
+            OR: [{ heartbeatAt: null }, { heartbeatAt: { lt: cutoff } }],
+        },
+        select: { id: true, heartbeatAt: true },
+    });
+
+    const claimed = [];
+    for (const job of stale) {
+        if (runningJobs.has(job.id)) continue;
+        const { count } = await prisma.reencryptionJob.updateMany({
+            where: { id: job.id, status: 'RUNNING', heartbeatAt: job.heartbeatAt },
+            data: { heartbeatAt: new Date() },
+        });
+        if (count) claimed.push(job.id);
+    }
+    return claimed;
+};
@@ -0,0 +1,548 @@
+/**
+ * ================================================================================
+ * DATA RETENTION SERVICE - POLICY ENGINE
+ * ================================================================================
+ *
+ * Applies the retention policies in config/retention.js. Each data class has a
+ * TTL, counted from its reference date, and one action:
+ *
+ *   creditReportPdf   expiresAt     PURGE_BLOB | CRYPTO_SHRED
+ *   creditReportData  expiresAt     CRYPTO_SHRED (full bureau payload + account numbers)
+ *   sessions          last activity ANONYMIZE | HARD_DELETE (analytics + login sessions)
+ *   otpSessions       expiresAt     HARD_DELETE
+ *   inquiries         updatedAt     ANONYMIZE (all four inquiry types)
+ *   deletedUsers      deletedAt     ANONYMIZE (the user and everything linked to them)
+ *
+ * Inquiries and users are only ever anonymized: in production every delete on a
+ * soft-delete model becomes a soft delete (middlewares/prodSafety.js), and a
+ * user's credit and loan records are kept for audit.
+ *
+ * - Rows are walked in id order, BATCH_SIZE at a time; a row that fails is
+ *   counted and left for the next run
+ * - Deleted users under a legal hold (getLegalHolds — an open loan or bureau
+ *   pull) are counted as skipped and anonymized by a later run once it lifts
+ * - A dry run only counts what each policy would touch
+ * - Every run is saved as a RetentionRun (the retention report) and written to
+ *   the audit log
+ *
+ * ================================================================================
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/db.js';
+import { RETENTION_CONFIG, RETENTION_ACTIONS } from '../config/retention.js';
+import ApiError from '../utils/ApiError.js';
+import { logDataAccess } from '../utils/kms.util.js';
+import { phoneIndexFilter } from '../utils/blindIndex.util.js';
+import * as storage from '../utils/storage.js';
+
+const A = RETENTION_ACTIONS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ERRORS_PER_POLICY = 20;
+
+// Placeholder for anonymized values in required columns
+export const REDACTED = 'REDACTED';
+
+// Anonymized users keep a unique phoneNumber that is never a real number
+const ERASED_PHONE_PREFIX = 'deleted_';
+
+// Soft-delete models hide deleted rows unless isDeleted is given (middlewares/prodSafety.js)
+const ANY_DELETED = { isDeleted: { in: [true, false] } };
+
+const ids = (rows) => rows.map((row) => row.id);
+
+// Returned by a perRow handler that left its row alone on purpose
+const SKIPPED = Symbol('skipped');
+
+// Loans in these states are still being decided or repaid
+const OPEN_LOAN_STATUSES = ['PENDING', 'UNDER_REVIEW', 'APPROVED', 'DISBURSED'];
+// A bureau pull in these states may still save a report
+const OPEN_REQUEST_STATUSES = ['CREATED', 'REDIRECTED', 'PROCESSING'];
+
+// ─── Shared actions ──────────────────────────────────────────────────────────
+
+const hardDeleteBatch = (delegate) => async (rows) => {
+    await prisma[delegate].deleteMany({ where: { id: { in: ids(rows) } } });
+};
+
+const anonymizeBatch = (delegate, data) => async (rows) => {
+    await prisma[delegate].updateMany({ where: { id: { in: ids(rows) } }, data: data() });
+};
+
+// Per inquiry model: what anonymizing replaces (status, amounts and dates stay)
+const INQUIRY_REDACTIONS = [
+    { model: 'CreditCheckInquiry', delegate: 'creditCheckInquiry', fields: { firstName: REDACTED, mobileNumber: REDACTED } },
+    { model: 'ContactInquiry', delegate: 'contactInquiry', fields: { name: REDACTED, email: REDACTED, phone: null, subject: null, message: REDACTED } },
+    { model: 'HomeLoanInquiry', delegate: 'homeLoanInquiry', fields: { name: REDACTED, phone: REDACTED, city: null, monthlyIncome: null, remarks: null } },
+    {
+        model: 'ReferralInquiry',
+        delegate: 'referralInquiry',
+        fields: {
+            referrerName: REDACTED,
+            referrerPhone: REDACTED,
+            referrerEmail: null,
+            refereeName: REDACTED,
+            refereePhone: REDACTED,
+            refereeEmail: null,
+            remarks: null,
+        },
+    },
+];
+
+const inquiryAnonymization = (fields) => () => ({
+    ...fields,
+    notes: null,
+    ipAddress: null,
+    userAgent: null,
+    searchIndex: [],
+    anonymizedAt: new Date(),
+});
+
+const inquiryTarget = ({ model, delegate, fields }) => ({
+    model,
+    delegate,
+    where: (cutoff) => ({ updatedAt: { lte: cutoff }, anonymizedAt: null, ...ANY_DELETED }),
+    [A.ANONYMIZE]: anonymizeBatch(delegate, inquiryAnonymization(fields)),
+});
+
+const SESSION_DETAILS = () => ({ ipAddress: null, userAgent: null, deviceInfo: Prisma.DbNull });
+
+/**
+ * Reasons a user's data must be kept for now — an erasure cannot be approved
+ * (services/dataRights.service.js) and the deletedUsers policy skips them.
+ *
+ * @returns {Promise<{ model: string, id: string, reason: string }[]>}
+ */
+export const getLegalHolds = async (userId) => {
+    const [loans, bureauRequests] = await Promise.all([
+        prisma.loan.findMany({
+            where: { userId, isSubmitted: true, status: { in: OPEN_LOAN_STATUSES } },
+            select: { id: true, type: true, status: true },
+        }),
+        prisma.creditReportRequest.findMany({
+            where: { userId, status: { in: OPEN_REQUEST_STATUSES } },
+            select: { id: true, status: true },
+        }),
+    ]);
+
+    return [
+        ...loans.map((loan) => ({
+            model: 'Loan',
+            id: loan.id,
+            reason: `${loan.type} loan is ${loan.status.toLowerCase().replace('_', ' ')} — records must be kept until it is closed or rejected`,
+        })),
+        ...bureauRequests.map((request) => ({
+            model: 'CreditReportRequest',
+            id: request.id,
+            reason: `Credit report request is ${request.status.toLowerCase()} — wait for it to complete or be abandoned`,
+        })),
+    ];
+};
+
+/**
+ * Remove a user's personal data, keeping the rows. Credit reports keep their
+ * plain summary numbers; encrypted identity, the bureau payload and PDFs go.
+ * Inquiries matched on their phone number are anonymized too. Loans lose their
+ * uploaded document references, tracking sessions their pages and device
+ * details, and login sessions and OTPs are deleted.
+ *
+ * The database changes commit first; stored PDFs are deleted afterwards. The
+ * transaction already drops each PDF's data key, so a PDF left behind cannot
+ * be decrypted, and it keeps its pdfSpacesPath until its blob is gone.
+ * Calling this again (or the creditReportPdf policy) deletes the leftovers.
+ *
+ * @throws {Error} when a PDF cannot be deleted — the rest of the user is already anonymized
+ */
+export const anonymizeUser = async (userId) => {
+    const user = await prisma.user.findFirst({ where: { id: userId, ...ANY_DELETED }, select: { id: true, phoneNumber: true } });
+    if (!user) throw new ApiError(404, 'User not found');
+
+    // Inquiries carry no userId — matched on the phone number's blind index (as in customer360)
+    const phoneFilter = user.phoneNumber.startsWith(ERASED_PHONE_PREFIX) ? null : phoneIndexFilter(user.phoneNumber);
+    const inquiryUpdates = phoneFilter
+        ? INQUIRY_REDACTIONS.map(({ delegate, fields }) => prisma[delegate].updateMany({
+            where: { ...phoneFilter, anonymizedAt: null, ...ANY_DELETED },
+            data: inquiryAnonymization(fields)(),
+        }))
+        : [];
+
+    await prisma.$transaction([
+        ...inquiryUpdates,
+        prisma.creditAccount.updateMany({ where: { creditReport: { userId } }, data: { accountNumberEncrypted: null } }),
+        prisma.creditReport.updateMany({
+            where: { userId },
+            data: {
+                panEncrypted: null,
+                mobileEncrypted: null,
+                nameEncrypted: null,
+                dobEncrypted: null,
+                fullReportEncrypted: null,
+                pdfOriginalUrl: null,
+                pdfSpacesUrl: null,
+                pdfKeyEncrypted: null,     // pdfSpacesPath stays until the blob is deleted below
+                searchIndex: [],
+            },
+        }),
+        prisma.cibilData.updateMany({
+            where: { userId, ...ANY_DELETED },
+            data: {
+                firstName: null,
+                middleName: null,
+                lastName: null,
+                dateOfBirth: null,
+                mobileNumber: null,
+                identityNumber: null,
+                panNumber: null,
+                address: null,
+                state: null,
+                pincode: null,
+                reportData: Prisma.DbNull,
+                tempFormData: Prisma.DbNull,
+                sessionUrl: null,
+                pdfUrl: null,
+                requestedIp: null,
+                requestedUA: null,
+                searchIndex: [],
+            },
+        }),
+        prisma.loan.updateMany({
+            where: { userId },
+            data: { documents: Prisma.DbNull, tempFormData: Prisma.DbNull, remarks: null },
+        }),
+        prisma.userSession.updateMany({
+            where: { userId },
+            data: { ...SESSION_DETAILS(), currentPage: null, pagesVisited: Prisma.DbNull },
+        }),
+        prisma.userAuthSession.deleteMany({ where: { userId } }),
+        prisma.otpSession.deleteMany({ where: { OR: [{ userId }, { phoneNumber: user.phoneNumber }] } }),
+        prisma.user.update({
+            where: { id: userId },
+            data: {
+                phoneNumber: `${ERASED_PHONE_PREFIX}${userId}`,
+                firstName: null,
+                middleName: null,
+                lastName: null,
+                dateOfBirth: null,
+                gender: null,
+                address: null,
+                state: null,
+                pincode: null,
+                identityType: null,
+                identityNumber: null,
+                refreshToken: null,
+                accessToken: null,
+                isActive: false,
+                searchIndex: [],
+                anonymizedAt: new Date(),
+            },
+        }),
+    ]);
+
+    // Blobs after the commit: a failed transaction must not leave rows pointing at deleted PDFs
+    const reports = await prisma.creditReport.findMany({
+        where: { userId, pdfSpacesPath: { not: null } },
+        select: { id: true, pdfSpacesPath: true, pdfStorageDriver: true },
+    });
+    let undeleted = 0;
+    for (const report of reports) {
+        try {
+            await storage.deletePdf(report.pdfSpacesPath, { driver: report.pdfStorageDriver });
+            await prisma.creditReport.update({
+                where: { id: report.id },
+                data: { pdfSpacesPath: null, pdfStatus: storage.PDF_STATUS.DELETED },
+            });
+        } catch {
+            undeleted += 1;
+        }
+    }
+    if (undeleted > 0) {
+        throw new Error(`User anonymized, but ${undeleted} PDF(s) could not be deleted — left for the next attempt`);
+    }
+};
+
+// ─── Data classes ────────────────────────────────────────────────────────────
+
+/**
+ * One entry per data class: the actions it supports and its targets. A target
+ * is one model — where(cutoff, action) selects rows past their TTL, and each
+ * supported action handles a batch of them.
+ */
+export const RETENTION_CLASSES = {
+    creditReportPdf: {
+        description: 'Bureau PDFs of expired credit reports',
+        actions: [A.PURGE_BLOB, A.CRYPTO_SHRED],
+        targets: [{
+            model: 'CreditReport',
+            delegate: 'creditReport',
+            where: (cutoff) => ({ expiresAt: { lte: cutoff }, pdfSpacesPath: { not: null } }),
+            select: { id: true, pdfSpacesPath: true, pdfStorageDriver: true, pdfKeyEncrypted: true },
+            perRow: true,
+            [A.PURGE_BLOB]: async (report) => {
+                await storage.deletePdf(report.pdfSpacesPath, { driver: report.pdfStorageDriver });
+                await prisma.creditReport.update({
+                    where: { id: report.id },
+                    data: { pdfSpacesPath: null, pdfSpacesUrl: null, pdfKeyEncrypted: null, pdfStatus: storage.PDF_STATUS.DELETED },
+                });
+            },
+            // Drop the data key and leave the ciphertext; PDFs stored before
+            // encryption have no key, so those are deleted instead
+            [A.CRYPTO_SHRED]: async (report) => {
+                if (!report.pdfKeyEncrypted) {
+                    await storage.deletePdf(report.pdfSpacesPath, { driver: report.pdfStorageDriver });
+                }
+                await prisma.creditReport.update({
+                    where: { id: report.id },
+                    data: { pdfSpacesPath: null, pdfSpacesUrl: null, pdfKeyEncrypted: null, pdfStatus: storage.PDF_STATUS.DELETED },
+                });
+            },
+        }],
+    },
+
+    creditReportData: {
+        description: 'Full encrypted bureau payload and account numbers of expired credit reports',
+        actions: [A.CRYPTO_SHRED],
+        targets: [{
+            model: 'CreditReport',
+            delegate: 'creditReport',
+            where: (cutoff) => ({ expiresAt: { lte: cutoff }, status: { not: 'ACTIVE' }, fullReportEncrypted: { not: null } }),
+            // The envelope's wrapped data key is part of the stored value — clearing it shreds the payload
+            [A.CRYPTO_SHRED]: async (rows) => {
+                await prisma.$transaction([
+                    prisma.creditAccount.updateMany({ where: { creditReportId: { in: ids(rows) } }, data: { accountNumberEncrypted: null } }),
+                    prisma.creditReport.updateMany({ where: { id: { in: ids(rows) } }, data: { fullReportEncrypted: null } }),
+                ]);
+            },
+        }],
+    },
+
+    sessions: {
+        description: 'IP address, user agent and device details of analytics and login sessions',
+        actions: [A.ANONYMIZE, A.HARD_DELETE],
+        targets: [
+            {
+                model: 'UserSession',
+                delegate: 'userSession',
+                where: (cutoff, action) => ({
+                    lastActivity: { lte: cutoff },
+                    ...(action === A.ANONYMIZE ? { OR: [{ ipAddress: { not: null } }, { userAgent: { not: null } }] } : {}),
+                }),
+                [A.ANONYMIZE]: anonymizeBatch('userSession', SESSION_DETAILS),
+                [A.HARD_DELETE]: hardDeleteBatch('userSession'),
+            },
+            {
+                model: 'UserAuthSession',
+                delegate: 'userAuthSession',
+                where: (cutoff, action) => ({
+                    expiresAt: { lte: cutoff },
+                    ...(action === A.ANONYMIZE ? { OR: [{ ipAddress: { not: null } }, { userAgent: { not: null } }] } : {}),
+                }),
+                [A.ANONYMIZE]: anonymizeBatch('userAuthSession', SESSION_DETAILS),
+                [A.HARD_DELETE]: hardDeleteBatch('userAuthSession'),    // refresh tokens cascade
+            },
+        ],
+    },
+
+    otpSessions: {
+        description: 'Expired OTP sessions',
+        actions: [A.HARD_DELETE],
+        targets: [{
+            model: 'OtpSession',
+            delegate: 'otpSession',
+            where: (cutoff) => ({ expiresAt: { lte: cutoff } }),
+            [A.HARD_DELETE]: hardDeleteBatch('otpSession'),
+        }],
+    },
+
+    inquiries: {
+        description: 'Names, contact details and messages of credit check, contact, home loan and referral inquiries',
+        actions: [A.ANONYMIZE],
+        targets: INQUIRY_REDACTIONS.map(inquiryTarget),
+    },
+
+    deletedUsers: {
+        description: 'Soft-deleted users and their linked personal data',
+        actions: [A.ANONYMIZE],
+        targets: [{
+            model: 'User',
+            delegate: 'user',
+            where: (cutoff) => ({ isDeleted: true, deletedAt: { lte: cutoff }, anonymizedAt: null }),
+            perRow: true,
+            [A.ANONYMIZE]: async (user) => {
+                if ((await getLegalHolds(user.id)).length > 0) return SKIPPED;
+                return anonymizeUser(user.id);
+            },
+        }],
+    },
+};
+
+// ─── Policies ────────────────────────────────────────────────────────────────
+
+/**
+ * Configured policies, validated against what each data class supports.
+ *
+ * @returns {{ dataClass: string, description: string, enabled: boolean, ttlDays: number, action: string }[]}
+ * @throws {Error} on an unknown class, a bad TTL or an unsupported action
+ */
+export const getRetentionPolicies = (policies = RETENTION_CONFIG.POLICIES) => Object.entries(policies).map(([dataClass, policy]) => {
+    const definition = RETENTION_CLASSES[dataClass];
+    if (!definition) {
+        throw new Error(`Unknown retention data class: ${dataClass}`);
+    }
+    if (!Number.isFinite(policy.ttlDays) || policy.ttlDays < 0) {
+        throw new Error(`Retention policy ${dataClass}: ttlDays must be a number >= 0`);
+    }
+    if (!definition.actions.includes(policy.action)) {
+        throw new Error(`Retention policy ${dataClass}: action ${policy.action} is not supported (use ${definition.actions.join(' | ')})`);
+    }
+    return { dataClass, description: definition.description, ...policy };
+});
+
+const applyTarget = async (target, action, cutoff, dryRun, result) => {
+    const where = target.where(cutoff, action);
+    if (dryRun) {
+        result.matched += await prisma[target.delegate].count({ where });
+        return;
+    }
+
+    const handler = target[action];
+    let lastId = null;
+    for (;;) {
+        const rows = await prisma[target.delegate].findMany({
+            where: lastId ? { ...where, id: { gt: lastId } } : where,
+            select: target.select || { id: true },
+            orderBy: { id: 'asc' },
+            take: RETENTION_CONFIG.BATCH_SIZE,
+        });
+        if (rows.length === 0) break;
+        lastId = rows[rows.length - 1].id;
+        result.matched += rows.length;
+
+        const batches = target.perRow ? rows.map((row) => [row]) : [rows];
+        for (const batch of batches) {
+            try {
+                const outcome = await (target.perRow ? handler(batch[0]) : handler(batch));
+                if (outcome === SKIPPED) {
+                    result.skipped += batch.length;
+                } else {
+                    result.processed += batch.length;
+                }
+            } catch (error) {
+                result.failed += batch.length;
+                if (result.errors.length < MAX_ERRORS_PER_POLICY) {
+                    result.errors.push({ model: target.model, ids: ids(batch).slice(0, 10), error: error.message.slice(0, 300) });
+                }
+            }
+        }
+
+        if (rows.length < RETENTION_CONFIG.BATCH_SIZE) break;
+    }
+};
+
+const applyPolicy = async (policy, now, dryRun) => {
+    const cutoff = new Date(now.getTime() - policy.ttlDays * DAY_MS);
+    const result = {
+        dataClass: policy.dataClass,
+        action: policy.action,
+        ttlDays: policy.ttlDays,
+        cutoff: cutoff.toISOString(),
+        matched: 0,
+        processed: 0,
+        skipped: 0,
+        failed: 0,
+        errors: [],
+    };
+
+    for (const target of RETENTION_CLASSES[policy.dataClass].targets) {
+        try {
+            await applyTarget(target, policy.action, cutoff, dryRun, result);
+        } catch (error) {
+            // A failed query stops this target; the other targets and policies still run
+            result.errors.push({ model: target.model, ids: [], error: error.message.slice(0, 300) });
+        }
+    }
+    return result;
+};
+
+// ─── Runs ────────────────────────────────────────────────────────────────────
+
+// One run that changes data at a time in this process — overlapping runs would race on the same rows
+let activeRunId = null;
+
+/**
+ * Start a retention run: validates the policies and saves the RetentionRun row.
+ * Apply it with applyRetentionRun().
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - count matching rows, change nothing
+ * @param {string[]} [options.only] - data classes to apply (default: every enabled policy)
+ * @param {'schedule'|'manual'|'script'} [options.trigger='manual']
+ * @param {string} [options.startedById] - admin who started a manual run
+ * @returns {Promise<{ run: Object, policies: Object[] }>}
+ * @throws {ApiError} 400 for an unknown data class, 409 while another run is changing data
+ */
+export const createRetentionRun = async ({ dryRun = false, only, trigger = 'manual', startedById = null } = {}) => {
+    const unknown = (only || []).filter((dataClass) => !RETENTION_CLASSES[dataClass]);
+    if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown retention data class: ${unknown.join(', ')}`);
+    }
+    if (!dryRun && activeRunId) {
+        throw new ApiError(409, `Retention run ${activeRunId} is still in progress`);
+    }
+
+    const policies = getRetentionPolicies()
+        .filter((policy) => policy.enabled && (!only || only.includes(policy.dataClass)));
+
+    const run = await prisma.retentionRun.create({ data: { trigger, dryRun, startedById } });
+    if (!dryRun) activeRunId = run.id;
+    return { run, policies };
+};
+
+/**
+ * Apply a run's policies and save the results — the retention report.
+ *
+ * @returns {Promise<Object>} the completed RetentionRun row
+ */
+export const applyRetentionRun = async ({ run, policies }) => {
+    try {
+        const results = [];
+        for (const policy of policies) {
+            results.push(await applyPolicy(policy, run.startedAt, run.dryRun));
+        }
+
+        const completed = await prisma.retentionRun.update({
+            where: { id: run.id },
+            data: {
+                results,
+                processed: results.reduce((sum, r) => sum + r.processed, 0),
+                failed: results.reduce((sum, r) => sum + r.failed, 0),
+                finishedAt: new Date(),
+            },
+        });
+
+        logDataAccess(run.dryRun ? 'retention_dry_run' : 'retention_run', 'RetentionRun', run.id, run.startedById, {
+            outcome: results.some((r) => r.errors.length > 0) ? 'failure' : 'success',
+            metadata: {
+                trigger: run.trigger,
+                results: results.map(({ dataClass, action, matched, processed, skipped, failed }) => ({ dataClass, action, matched, processed, skipped, failed })),
+            },
+        });
+
+        return completed;
+    } finally {
+        if (activeRunId === run.id) activeRunId = null;
+    }
+};
+
+/**
+ * Create and apply a run in one step (scheduler, scripts, dry runs).
+ * Options as for createRetentionRun().
+ */
+export const runRetention = async (options) => applyRetentionRun(await createRetentionRun(options));
+
+/**
+ * Recent retention runs, newest first
+ */
+export const listRetentionRuns = async (limit = 20) => prisma.retentionRun.findMany({
+    orderBy: { startedAt: 'desc' },
+    take: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+});
@@ -0,0 +1,175 @@
+/**
+ * ================================================================================
+ * SEARCH INDEX SERVICE - BLIND INDEX MAINTENANCE + CROSS-TABLE SEARCH
+ * ================================================================================
+ *
+ * - Create paths compute searchIndex from the plaintext they already have
+ *   (computeSearchIndex in utils/blindIndex.util.js)
+ * - Partial updates call refreshSearchIndex() with the updated row, which
+ *   decrypts the indexed columns and rewrites the tokens
+ * - reindexSearchModel() backfills existing rows (npm run search:reindex)
+ * - searchAllRecords() answers "everything we have on <phone / email / PAN / name>"
+ *
+ * ================================================================================
+ */
+
+import { prisma } from '../config/db.js';
+import { PERMISSIONS } from '../config/rbac.js';
+import { decryptText } from '../utils/kms.util.js';
+import { SEARCH_INDEX_FIELDS, computeSearchIndex, searchIndexFilter } from '../utils/blindIndex.util.js';
+
+export const SEARCH_INDEX_MODELS = {
+    User: 'user',
+    CibilData: 'cibilData',
+    CreditReport: 'creditReport',
+    CreditCheckInquiry: 'creditCheckInquiry',
+    ContactInquiry: 'contactInquiry',
+    HomeLoanInquiry: 'homeLoanInquiry',
+    ReferralInquiry: 'referralInquiry',
+};
+
+const sameTokens = (a = [], b = []) => a.length === b.length && a.every((t, i) => t === b[i]);
+
+/**
+ * Compute searchIndex for a stored (encrypted) row.
+ */
+export const buildSearchIndexFromRow = async (model, row) => {
+    const plain = {};
+    for (const column of Object.keys(SEARCH_INDEX_FIELDS[model])) {
+        if (row[column]) plain[column] = await decryptText(row[column]);
+    }
+    return computeSearchIndex(model, plain);
+};
+
+/**
+ * Rewrite searchIndex after a partial update. Pass the row returned by the update
+ * (it holds every column). Never throws — a stale index only affects search.
+ *
+ * @returns {Promise<boolean>} true when the index changed
+ */
+export const refreshSearchIndex = async (model, row) => {
+    if (!row?.id) return false;
+    try {
+        const searchIndex = await buildSearchIndexFromRow(model, row);
+        if (sameTokens(searchIndex, row.searchIndex)) return false;
+
+        await prisma[SEARCH_INDEX_MODELS[model]].update({
+            where: { id: row.id },
+            data: { searchIndex },
+        });
+        return true;
+    } catch (error) {
+        console.error(`[SearchIndex] Failed to refresh ${model} ${row.id}:`, error.message);
+        return false;
+    }
+};
+
+/**
+ * Recompute searchIndex for every row of a model (backfill / key change).
+ *
+ * @param {string} model
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=200]
+ * @param {(state: { scanned: number, updated: number }) => void} [options.onProgress]
+ * @returns {Promise<{ scanned: number, updated: number }>}
+ */
+export const reindexSearchModel = async (model, { batchSize = 200, onProgress } = {}) => {
+    const delegate = SEARCH_INDEX_MODELS[model];
+    const select = { id: true, searchIndex: true };
+    for (const column of Object.keys(SEARCH_INDEX_FIELDS[model])) select[column] = true;
+
+    const state = { scanned: 0, updated: 0 };
+    let lastId = null;
+
+    while (true) {
+        const rows = await prisma[delegate].findMany({
+            where: lastId ? { id: { gt: lastId } } : {},
+            orderBy: { id: 'asc' },
+            take: batchSize,
+            select,
+        });
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+            if (await refreshSearchIndex(model, row)) state.updated++;
+            state.scanned++;
+        }
+        lastId = rows[rows.length - 1].id;
+        onProgress?.(state);
+    }
+
+    return state;
+};
+
+// ─── Cross-table search ──────────────────────────────────────────────────────
+
+const CROSS_TABLE_SOURCES = [
+    {
+        model: 'User',
+        permission: PERMISSIONS.USERS_READ,
+        where: { isDeleted: false },
+        select: { id: true, createdAt: true, isActive: true, isVerified: true },
+    },
+    {
+        model: 'CibilData',
+        permission: PERMISSIONS.CIBIL_READ,
+        where: { isDeleted: false },
+        select: { id: true, createdAt: true, userId: true, status: true, score: true },
+    },
+    {
+        model: 'CreditReport',
+        permission: PERMISSIONS.REPORTS_READ,
+        where: {},
+        select: { id: true, createdAt: true, userId: true, status: true, creditScore: true },
+    },
+    {
+        model: 'CreditCheckInquiry',
+        permission: PERMISSIONS.INQUIRIES_READ,
+        where: { isDeleted: false },
+        select: { id: true, createdAt: true, status: true },
+    },
+    {
+        model: 'ContactInquiry',
+        permission: PERMISSIONS.INQUIRIES_READ,
+        where: { isDeleted: false },
+        select: { id: true, createdAt: true, status: true, subject: true },
+    },
+    {
+        model: 'HomeLoanInquiry',
+        permission: PERMISSIONS.INQUIRIES_READ,
+        where: { isDeleted: false },
+        select: { id: true, createdAt: true, status: true, loanAmount: true },
+    },
+    {
+        model: 'ReferralInquiry',
+        permission: PERMISSIONS.INQUIRIES_READ,
+        where: { isDeleted: false },
+        select: { id: true, createdAt: true, status: true, loanType: true },
+    },
+];
+
+/**
+ * Find matching records in every searchable table the admin may read.
+ * Returns ids and non-PII columns only — open a record to see decrypted data.
+ *
+ * @param {string} query
+ * @param {string[]} permissions - req.admin.permissions
+ * @param {number} [limit=20] - per table
+ * @returns {Promise<Array<{ model: string, total: number, records: Object[] }>>}
+ */
+export const searchAllRecords = async (query, permissions = [], limit = 20) => {
+    const filter = searchIndexFilter(query);
+    if (!filter) return [];
+
+    const sources = CROSS_TABLE_SOURCES.filter((source) => permissions.includes(source.permission));
+
+    return Promise.all(sources.map(async (source) => {
+        const delegate = prisma[SEARCH_INDEX_MODELS[source.model]];
+        const where = { ...source.where, ...filter };
+        const [records, total] = await Promise.all([
+            delegate.findMany({ where, select: source.select, orderBy: { createdAt: 'desc' }, take: limit }),
+            delegate.count({ where }),
+        ]);
+        return { model: source.model, total, records };
+    }));
+};
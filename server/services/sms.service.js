@@ -0,0 +1,228 @@
+import axios from 'axios';
+import { SMS_CONFIG } from '../config/sms.js';
+
+/**
+ * SMS provider interface.
+ *
+ * Every provider implements:
+ * - name: string
+ * - isConfigured(): boolean
+ * - sendOtp(phoneNumber, otp): Promise<{ success, provider, response }>
+ * - sendTemplate(phoneNumber, template, variables): same result, for
+ *   non-OTP messages (template names: SMS_CONFIG.MSG91.TEMPLATES)
+ *
+ * Neither may throw for a rejected message — they return success: false with
+ * the provider body so SmsService can fail over to the secondary provider.
+ */
+export class SmsProvider {
+    get name() {
+        throw new Error('SmsProvider.name not implemented');
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async sendOtp(phoneNumber, otp) {
+        throw new Error(`${this.name}: sendOtp not implemented`);
+    }
+
+    async sendTemplate(phoneNumber, template, variables) {
+        return { success: false, provider: this.name, response: { message: 'Template messages not supported' } };
+    }
+}
+
+/** MSG91 Flow API */
+export class Msg91Provider extends SmsProvider {
+    get name() {
+        return 'msg91';
+    }
+
+    isConfigured() {
+        return !!(SMS_CONFIG.MSG91.AUTH_KEY && SMS_CONFIG.MSG91.TEMPLATE_ID);
+    }
+
+    async sendOtp(phoneNumber, otp) {
+        return this.sendFlow(SMS_CONFIG.MSG91.TEMPLATE_ID, phoneNumber, { otp });
+    }
+
+    async sendTemplate(phoneNumber, template, variables) {
+        const templateId = SMS_CONFIG.MSG91.TEMPLATES[template];
+        if (!templateId) {
+            return { success: false, provider: this.name, response: { message: `No MSG91 template for ${template}` } };
+        }
+        return this.sendFlow(templateId, phoneNumber, variables);
+    }
+
+    async sendFlow(templateId, phoneNumber, variables) {
+        // Format mobile number with country code
+        const formattedMobile = phoneNumber && phoneNumber.length === 10
+            ? `91${phoneNumber}`
+            : phoneNumber;
+
+        const requestBody = {
+            template_id: templateId,
+            short_url: '0',
+            realTimeResponse: '1',
+            recipients: [{ mobiles: formattedMobile, ...variables }],
+        };
+
+        try {
+            const resp = await axios.post(`${SMS_CONFIG.MSG91.BASE_URL}/api/v5/flow`, requestBody, {
+                headers: {
+                    'accept': 'application/json',
+                    'authkey': SMS_CONFIG.MSG91.AUTH_KEY,
+                    'content-type': 'application/json',
+                },
+                timeout: SMS_CONFIG.TIMEOUT_MS,
+            });
+
+            const d = resp.data || {};
+            // MSG91 success response has type: 'success'
+            return { success: d.type === 'success', provider: this.name, response: d };
+        } catch (err) {
+            return {
+                success: false,
+                provider: this.name,
+                response: err.response?.data || { message: err.message },
+            };
+        }
+    }
+}
+
+/** Logs the OTP instead of sending it — development only */
+export class ConsoleSmsProvider extends SmsProvider {
+    get name() {
+        return 'console';
+    }
+
+    async sendOtp(phoneNumber, otp) {
+        console.log(`[DEV] OTP for ${phoneNumber}: ${otp}`);
+        return { success: true, provider: this.name, response: { type: 'success' } };
+    }
+
+    async sendTemplate(phoneNumber, template, variables) {
+        console.log(`[DEV] SMS ${template} for ${phoneNumber}:`, variables);
+        return { success: true, provider: this.name, response: { type: 'success' } };
+    }
+}
+
+/**
+ * Posts { mobile, otp } as JSON to SMS_HTTP_URL.
+ * Used to point the server at a local fake gateway for integration tests.
+ * Accepts either { success: true } or MSG91-style { type: 'success' } as success.
+ */
+export class HttpSmsProvider extends SmsProvider {
+    get name() {
+        return 'http';
+    }
+
+    isConfigured() {
+        return !!SMS_CONFIG.HTTP.URL;
+    }
+
+    async sendOtp(phoneNumber, otp) {
+        return this.post(SMS_CONFIG.HTTP.URL, { mobile: phoneNumber, otp });
+    }
+
+    async sendTemplate(phoneNumber, template, variables) {
+        return this.post(SMS_CONFIG.HTTP.MESSAGE_URL, { mobile: phoneNumber, template, variables });
+    }
+
+    async post(url, body) {
+        try {
+            const resp = await axios.post(url, body, {
+                headers: { 'content-type': 'application/json' },
+                timeout: SMS_CONFIG.TIMEOUT_MS,
+            });
+
+            const d = resp.data || {};
+            return { success: d.success === true || d.type === 'success', provider: this.name, response: d };
+        } catch (err) {
+            return {
+                success: false,
+                provider: this.name,
+                response: err.response?.data || { message: err.message },
+            };
+        }
+    }
+}
+
+const PROVIDERS = {
+    msg91: Msg91Provider,
+    console: ConsoleSmsProvider,
+    http: HttpSmsProvider,
+};
+
+export const createSmsProvider = (name) => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    return new Provider();
+};
+
+/**
+ * Sends OTPs through the configured primary provider and fails over to the
+ * secondary provider when the primary rejects the message or errors out.
+ */
+class SmsService {
+    constructor(primaryName = SMS_CONFIG.PROVIDER, fallbackName = SMS_CONFIG.FALLBACK_PROVIDER) {
+        this.primary = createSmsProvider(primaryName);
+        this.fallback = fallbackName && fallbackName !== primaryName
+            ? createSmsProvider(fallbackName)
+            : null;
+    }
+
+    /** True if at least one provider has the credentials it needs */
+    isConfigured() {
+        return this.primary.isConfigured() || !!this.fallback?.isConfigured();
+    }
+
+    /** True if the OTP is only logged, not delivered */
+    get isDevMode() {
+        return this.primary.name === 'console';
+    }
+
+    /**
+     * @returns {Promise<{ success: boolean, provider: string, response: object, attempts: object[] }>}
+     */
+    async sendOtp(phoneNumber, otp) {
+        return this.deliver('OTP', (provider) => provider.sendOtp(phoneNumber, otp));
+    }
+
+    /**
+     * Non-OTP message from a DLT template (e.g. 'CREDIT_CHANGE').
+     * @returns {Promise<{ success: boolean, provider: string, response: object, attempts: object[] }>}
+     */
+    async sendTemplate(phoneNumber, template, variables = {}) {
+        return this.deliver(template, (provider) => provider.sendTemplate(phoneNumber, template, variables));
+    }
+
+    /** Try the primary, then the fallback provider */
+    async deliver(label, send) {
+        const attempts = [];
+
+        for (const provider of [this.primary, this.fallback]) {
+            if (!provider || !provider.isConfigured()) continue;
+
+            const result = await send(provider);
+            attempts.push(result);
+
+            if (result.success) {
+                return { ...result, attempts };
+            }
+            console.warn(`[SMS] Provider ${provider.name} rejected ${label} request:`, result.response);
+        }
+
+        const last = attempts[attempts.length - 1];
+        return {
+            success: false,
+            provider: last?.provider || null,
+            response: last?.response || null,
+            attempts,
+        };
+    }
+}
+
+export const smsService = new SmsService();
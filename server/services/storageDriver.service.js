@@ -0,0 +1,235 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { STORAGE_CONFIG } from '../config/storage.js';
+
+const SERVER_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const STORAGE_ERROR_CODES = {
+    NOT_FOUND: 'NOT_FOUND',
+    INVALID_KEY: 'INVALID_KEY',
+    UNSUPPORTED: 'UNSUPPORTED',
+    CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH',
+};
+
+export class StorageError extends Error {
+    /**
+     * @param {keyof STORAGE_ERROR_CODES} code
+     * @param {string} message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'StorageError';
+        this.code = code;
+    }
+}
+
+/** Keys are relative, '/'-separated paths — e.g. 2026/February/25-02-2026/user_abc.pdf */
+const assertValidKey = (key) => {
+    if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some((part) => !part || part === '.' || part === '..')) {
+        throw new StorageError(STORAGE_ERROR_CODES.INVALID_KEY, `Invalid storage key: ${key}`);
+    }
+};
+
+/**
+ * Storage driver interface.
+ *
+ * Every driver implements:
+ * - name: string — recorded on each stored object's row (e.g. pdfStorageDriver)
+ *   so it is always read back from where it was written
+ * - put(key, body: Buffer, { contentType, checksum }): Promise<void>
+ * - get(key): Promise<{ stream: Readable, size: number|null }>
+ * - delete(key): Promise<void> — a missing object is not an error
+ * - signedUrl(key, expiresIn): Promise<string> — time-limited direct link
+ *
+ * A missing object throws StorageError NOT_FOUND; a driver that cannot sign
+ * URLs throws UNSUPPORTED. `checksum` is the SHA-256 hex of the body; drivers
+ * that support object metadata keep it with the object.
+ */
+export class StorageDriver {
+    get name() {
+        throw new Error('StorageDriver.name not implemented');
+    }
+
+    async put(key, body, options) {
+        throw new Error(`${this.name}: put not implemented`);
+    }
+
+    async get(key) {
+        throw new Error(`${this.name}: get not implemented`);
+    }
+
+    async delete(key) {
+        throw new Error(`${this.name}: delete not implemented`);
+    }
+
+    async signedUrl(key, expiresIn) {
+        throw new StorageError(STORAGE_ERROR_CODES.UNSUPPORTED, `${this.name}: signed URLs are not supported`);
+    }
+}
+
+/** DigitalOcean Spaces (any S3-compatible bucket). Objects are private. */
+export class SpacesStorageDriver extends StorageDriver {
+    constructor(config = STORAGE_CONFIG.SPACES) {
+        super();
+        // SECURITY: Credentials come from environment only — never hardcoded
+        if (!config.BUCKET) {
+            throw new Error('SPACES_BUCKET environment variable is required for the spaces storage driver');
+        }
+        this.bucket = config.BUCKET;
+        this.client = new S3Client({
+            endpoint: config.ENDPOINT,
+            region: config.REGION,
+            credentials: {
+                accessKeyId: config.ACCESS_KEY,
+                secretAccessKey: config.SECRET_KEY,
+            },
+            forcePathStyle: false,
+        });
+    }
+
+    get name() {
+        return 'spaces';
+    }
+
+    async put(key, body, { contentType = 'application/octet-stream', checksum } = {}) {
+        assertValidKey(key);
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            Metadata: checksum ? { sha256: checksum } : undefined,
+            // NO ACL property — bucket defaults to private
+        }));
+    }
+
+    async get(key) {
+        assertValidKey(key);
+        try {
+            const data = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+            return { stream: data.Body, size: data.ContentLength ?? null };
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+                throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, `Object not found: ${key}`);
+            }
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        assertValidKey(key);
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+
+    async signedUrl(key, expiresIn = 3600) {
+        assertValidKey(key);
+        return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn });
+    }
+}
+
+/** Files under STORAGE_LOCAL_DIR — for dev and CI, not for multi-instance deployments */
+export class LocalStorageDriver extends StorageDriver {
+    constructor(config = STORAGE_CONFIG.LOCAL) {
+        super();
+        this.root = path.resolve(SERVER_ROOT, config.DIR);
+    }
+
+    get name() {
+        return 'local';
+    }
+
+    filePath(key) {
+        assertValidKey(key);
+        return path.join(this.root, ...key.split('/'));
+    }
+
+    async put(key, body) {
+        const file = this.filePath(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+
+        // Write + rename so a reader never sees a half-written file
+        const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(temp, body, { mode: 0o600 });
+        await fs.promises.rename(temp, file);
+    }
+
+    async get(key) {
+        const file = this.filePath(key);
+        try {
+            const { size } = await fs.promises.stat(file);
+            return { stream: fs.createReadStream(file), size };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, `Object not found: ${key}`);
+            }
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.filePath(key), { force: true });
+    }
+}
+
+/** In-process map — lost on restart; for tests */
+export class MemoryStorageDriver extends StorageDriver {
+    constructor() {
+        super();
+        this.objects = new Map();
+    }
+
+    get name() {
+        return 'memory';
+    }
+
+    async put(key, body, { contentType = 'application/octet-stream', checksum = null } = {}) {
+        assertValidKey(key);
+        this.objects.set(key, { body: Buffer.from(body), contentType, checksum });
+    }
+
+    async get(key) {
+        assertValidKey(key);
+        const object = this.objects.get(key);
+        if (!object) throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, `Object not found: ${key}`);
+        return { stream: Readable.from([object.body]), size: object.body.length };
+    }
+
+    async delete(key) {
+        assertValidKey(key);
+        this.objects.delete(key);
+    }
+}
+
+const DRIVERS = {
+    spaces: SpacesStorageDriver,
+    local: LocalStorageDriver,
+    memory: MemoryStorageDriver,
+};
+
+export const createStorageDriver = (name) => {
+    const Driver = DRIVERS[name];
+    if (!Driver) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+    return new Driver();
+};
+
+const drivers = new Map();
+
+/**
+ * A driver by name — the configured one (STORAGE_DRIVER) by default. Created
+ * on first use so missing configuration surfaces on the first upload or
+ * download, not at import time. One instance per name, so objects in the
+ * memory driver outlive a single request.
+ */
+export const getStorageDriver = (name = STORAGE_CONFIG.DRIVER) => {
+    if (!drivers.has(name)) {
+        drivers.set(name, createStorageDriver(name));
+    }
+    return drivers.get(name);
+};
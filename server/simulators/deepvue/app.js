@@ -0,0 +1,234 @@
+/**
+ * =============================================================
+ * DEEPVUE SIMULATOR — offline stand-in for the bureau API
+ * =============================================================
+ *
+ * Implements the DeepVue endpoints DeepVueService calls, so the
+ * credit-check journey runs end to end without paid bureau calls:
+ *
+ *   POST /v1/authorize                                   token
+ *   POST /v2/.../equifax/credit-report/sdk/session       session + redirect_url
+ *   GET  /sdk/consent/:transactionId                     "consent" → back to redirect_uri
+ *   GET  /v2/.../credit-report/sdk/report                report (fixtures.js)
+ *   GET  /reports/:transactionId.pdf                     report PDF
+ *
+ * Control endpoints (simulator only):
+ *   GET  /__simulator            scenarios, default scenario, sessions
+ *   PUT  /__simulator/scenario   { scenario } — change the default
+ *
+ * Sessions live in memory and are lost on restart.
+ * Run with `npm run deepvue:sim` and set DEEPVUE_SIMULATOR=true for the API.
+ * =============================================================
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import axios from 'axios';
+import { SCENARIOS, TEST_MOBILES, reportFor } from './fixtures.js';
+import { signWebhookPayload } from '../../utils/webhookSignature.util.js';
+
+const SESSION_PATH = '/v2/financial-services/credit-bureau/equifax/credit-report/sdk/session';
+const REPORT_PATH = '/v2/financial-services/credit-bureau/credit-report/sdk/report';
+const TOKEN_PREFIX = 'sim_';
+
+/** Smallest valid single-page PDF with a few lines of text */
+const buildPdf = (lines) => {
+    const text = lines
+        .map((line, i) => `BT /F1 12 Tf 72 ${760 - i * 20} Td (${line.replace(/[()\\]/g, '')}) Tj ET`)
+        .join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${Buffer.byteLength(text)} >>\nstream\n${text}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = Buffer.byteLength(pdf);
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf);
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.publicUrl - URL the simulator is reachable at (redirect and PDF links)
+ * @param {string} [options.defaultScenario='excellent'] - for mobile numbers not in TEST_MOBILES
+ * @param {number} [options.processingPolls=2] - report polls answered 404 in the processing scenario
+ * @param {string} [options.callbackUrl] - send a signed completion callback here after consent
+ * @param {string} [options.webhookSecret] - DEEPVUE_WEBHOOK_SECRET for that callback
+ * @returns {import('express').Express}
+ */
+export const createDeepVueSimulator = ({
+    publicUrl,
+    defaultScenario = 'excellent',
+    processingPolls = 2,
+    callbackUrl,
+    webhookSecret,
+}) => {
+    if (!SCENARIOS.includes(defaultScenario)) {
+        throw new Error(`Unknown scenario "${defaultScenario}". Expected one of: ${SCENARIOS.join(', ')}`);
+    }
+
+    const app = express();
+    const sessions = new Map();
+    let scenario = defaultScenario;
+
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    const unauthorized = (res) => res.status(401).json({ code: 401, message: 'Invalid or expired access token' });
+
+    const authorized = (req, sessionScenario = scenario) =>
+        sessionScenario !== 'auth-failure' &&
+        (req.get('authorization') || '').startsWith(`Bearer ${TOKEN_PREFIX}`);
+
+    const sendCallback = async (transactionId) => {
+        if (!callbackUrl || !webhookSecret) return;
+        const rawBody = JSON.stringify({ transaction_id: transactionId, status: 'completed' });
+        const timestamp = Math.floor(Date.now() / 1000);
+        try {
+            const response = await axios.post(callbackUrl, rawBody, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-DeepVue-Timestamp': String(timestamp),
+                    'X-DeepVue-Signature': `sha256=${signWebhookPayload(webhookSecret, timestamp, rawBody)}`,
+                },
+                validateStatus: () => true,
+            });
+            console.log(`[DeepVue Sim] Callback ${transactionId} → ${response.status}`);
+        } catch (error) {
+            console.warn(`[DeepVue Sim] Callback ${transactionId} failed:`, error.message);
+        }
+    };
+
+    // ─── DeepVue API ─────────────────────────────────────────────────────────
+
+    app.post('/v1/authorize', (req, res) => {
+        if (scenario === 'auth-failure' || !req.body?.client_id || !req.body?.client_secret) {
+            return res.status(401).json({ detail: 'Invalid client credentials' });
+        }
+        res.json({
+            access_token: `${TOKEN_PREFIX}${crypto.randomBytes(16).toString('hex')}`,
+            token_type: 'bearer',
+            expires_in: 86400,
+        });
+    });
+
+    app.post(SESSION_PATH, (req, res) => {
+        const { redirect_uri: redirectUri, full_name: fullName, mobile_number: mobile } = req.body || {};
+        const sessionScenario = TEST_MOBILES[mobile] || scenario;
+        if (!authorized(req, sessionScenario)) return unauthorized(res);
+
+        if (!redirectUri || !fullName || !mobile) {
+            return res.status(422).json({ code: 422, message: 'redirect_uri, full_name and mobile_number are required' });
+        }
+
+        const transactionId = `sim_${crypto.randomUUID()}`;
+        sessions.set(transactionId, {
+            scenario: sessionScenario,
+            fullName,
+            mobile,
+            redirectUri,
+            consented: false,
+            polls: 0,
+            createdAt: new Date(),
+        });
+        console.log(`[DeepVue Sim] Session ${transactionId} (${sessionScenario})`);
+
+        res.json({
+            code: 201,
+            transaction_id: transactionId,
+            data: { redirect_url: `${publicUrl}/sdk/consent/${transactionId}` },
+        });
+    });
+
+    // The real SDK page collects bureau consent; the simulator approves at once
+    app.get('/sdk/consent/:transactionId', (req, res) => {
+        const session = sessions.get(req.params.transactionId);
+        if (!session) return res.status(404).send('Unknown transaction');
+
+        session.consented = true;
+        sendCallback(req.params.transactionId);
+
+        const target = new URL(session.redirectUri);
+        target.searchParams.set('transaction_id', req.params.transactionId);
+        res.redirect(302, target.toString());
+    });
+
+    app.get(REPORT_PATH, (req, res) => {
+        const transactionId = req.query.transaction_id;
+        const session = sessions.get(transactionId);
+        if (session && !authorized(req, session.scenario)) return unauthorized(res);
+        if (!session && !authorized(req)) return unauthorized(res);
+
+        // DeepVue answers 404 while the bureau report is being prepared
+        if (!session || !session.consented) {
+            return res.status(404).json({ code: 404, message: 'Report not found' });
+        }
+        session.polls++;
+        if (session.scenario === 'processing' && session.polls <= processingPolls) {
+            return res.status(404).json({ code: 404, message: 'Report is being processed' });
+        }
+
+        if (session.scenario === 'malformed') {
+            return res.json({ code: 200, data: { name: session.fullName, mobile: session.mobile, credit_report: null } });
+        }
+
+        const data = reportFor(session.scenario, { name: session.fullName, mobile: session.mobile });
+        res.json({
+            code: 200,
+            transaction_id: transactionId,
+            data: { ...data, pdf_url: `${publicUrl}/reports/${transactionId}.pdf` },
+        });
+    });
+
+    app.get('/reports/:transactionId.pdf', (req, res) => {
+        const session = sessions.get(req.params.transactionId);
+        if (!session?.consented) return res.status(404).send('Not found');
+
+        const report = reportFor(session.scenario, { name: session.fullName, mobile: session.mobile });
+        res.type('application/pdf').send(buildPdf([
+            'DeepVue Simulator - Equifax Credit Report (TEST DATA)',
+            `Name: ${session.fullName}`,
+            `Scenario: ${session.scenario}`,
+            `Score: ${report?.credit_score ?? 'Not scored'}`,
+            `Transaction: ${req.params.transactionId}`,
+        ]));
+    });
+
+    // ─── Simulator control ───────────────────────────────────────────────────
+
+    app.get('/__simulator', (req, res) => {
+        res.json({
+            scenario,
+            scenarios: SCENARIOS,
+            testMobiles: TEST_MOBILES,
+            sessions: [...sessions].map(([transactionId, s]) => ({
+                transactionId,
+                scenario: s.scenario,
+                consented: s.consented,
+                polls: s.polls,
+                createdAt: s.createdAt,
+            })),
+        });
+    });
+
+    app.put('/__simulator/scenario', (req, res) => {
+        if (!SCENARIOS.includes(req.body?.scenario)) {
+            return res.status(400).json({ message: `scenario must be one of: ${SCENARIOS.join(', ')}` });
+        }
+        scenario = req.body.scenario;
+        console.log(`[DeepVue Sim] Default scenario → ${scenario}`);
+        res.json({ scenario });
+    });
+
+    return app;
+};
@@ -0,0 +1,290 @@
+/**
+ * =============================================================
+ * DEEPVUE SIMULATOR FIXTURES
+ * =============================================================
+ *
+ * Equifax CIR payloads in the shape DeepVue returns from the SDK
+ * report endpoint (data.credit_report.CCRResponse...). Dates are
+ * relative to today so reports never look stale.
+ *
+ * Scenarios:
+ *   excellent   — 812 score, five clean accounts, low utilisation
+ *   thin-file   — one young account, not scored yet
+ *   write-offs  — 584 score, a written-off card and overdue loan
+ *   processing  — report 404s (processing) for a few polls, then excellent
+ *   auth-failure — every call is rejected with 401
+ *   malformed   — 200 response without the credit_report block
+ *
+ * Pick a scenario per session with the test mobile numbers below,
+ * or for every session with DEEPVUE_SIM_SCENARIO.
+ * =============================================================
+ */
+
+export const SCENARIOS = ['excellent', 'thin-file', 'write-offs', 'processing', 'auth-failure', 'malformed'];
+
+// Test mobile number → scenario (any other number uses the default scenario)
+export const TEST_MOBILES = {
+    '9000000001': 'excellent',
+    '9000000002': 'thin-file',
+    '9000000003': 'write-offs',
+    '9000000004': 'processing',
+    '9000000005': 'auth-failure',
+    '9000000006': 'malformed',
+};
+
+export const TEST_PAN = 'ABCDE1234F';
+
+// ─── Date helpers ────────────────────────────────────────────────────────────
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+const monthsAgo = (months, day = 10) => {
+    const date = new Date();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() - months);
+    date.setUTCDate(day);
+    return isoDay(date);
+};
+
+/** 48 months of payment history, newest first ("000" = paid on time) */
+const paymentHistory = (ageMonths, statusFor = () => '000') =>
+    Array.from({ length: Math.min(ageMonths, 48) }, (_, i) => {
+        const date = new Date();
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() - i - 1);
+        return {
+            key: `${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCFullYear()).slice(2)}`,
+            PaymentStatus: statusFor(i),
+            SuitFiledStatus: '*',
+            AssetClassificationStatus: '*',
+        };
+    });
+
+// ─── Builders ────────────────────────────────────────────────────────────────
+
+const account = (seq, {
+    institution,
+    type,
+    ageMonths,
+    sanction,
+    balance,
+    pastDue = 0,
+    emi = 0,
+    tenure = null,
+    open = true,
+    status = 'Current Account',
+    writeOff = 0,
+    history,
+}) => ({
+    seq: String(seq),
+    AccountNumber: `XXXXXXXX${String(4000 + seq * 137).slice(-4)}`,
+    Institution: institution,
+    AccountType: type,
+    OwnershipType: 'Individual',
+    Balance: String(balance),
+    PastDueAmount: String(pastDue),
+    Open: open ? 'Yes' : 'No',
+    SanctionAmount: String(sanction),
+    HighCredit: String(sanction),
+    ...(type === 'Credit Card' ? { CreditLimit: String(sanction) } : {}),
+    InstallmentAmount: String(emi),
+    RepaymentTenure: tenure ? String(tenure) : undefined,
+    LastPaymentDate: monthsAgo(1, 5),
+    DateReported: monthsAgo(0, 1),
+    DateOpened: monthsAgo(ageMonths),
+    ...(open ? {} : { DateClosed: monthsAgo(2) }),
+    AccountStatus: status,
+    AssetClassification: writeOff ? 'L' : 'S',
+    ...(writeOff ? { WriteOffAmount: String(writeOff), SuitFiledStatus: 'Written-off' } : {}),
+    source: 'INDIVIDUAL',
+    History48Months: history || paymentHistory(ageMonths),
+});
+
+const enquiry = (seq, institution, purpose, ageDays, amount) => {
+    const date = new Date(Date.now() - ageDays * 24 * 60 * 60 * 1000);
+    return {
+        seq: String(seq),
+        Institution: institution,
+        Date: isoDay(date),
+        Time: '11:24',
+        RequestPurpose: purpose,
+        Amount: String(amount),
+    };
+};
+
+const sum = (rows, field) => rows.reduce((total, row) => total + (parseFloat(row[field]) || 0), 0);
+
+const accountsSummary = (accounts) => {
+    const open = accounts.filter((a) => a.Open === 'Yes');
+    const byOpened = [...accounts].sort((a, b) => a.DateOpened.localeCompare(b.DateOpened));
+    const label = (a) => (a ? `${a.AccountType} on ${a.DateOpened}` : null);
+
+    return {
+        NoOfAccounts: String(accounts.length),
+        NoOfActiveAccounts: String(open.length),
+        NoOfWriteOffs: String(accounts.filter((a) => a.WriteOffAmount).length),
+        TotalPastDue: String(sum(accounts, 'PastDueAmount')),
+        NoOfPastDueAccounts: String(accounts.filter((a) => parseFloat(a.PastDueAmount) > 0).length),
+        NoOfZeroBalanceAccounts: String(accounts.filter((a) => parseFloat(a.Balance) === 0).length),
+        TotalBalanceAmount: String(sum(open, 'Balance')),
+        TotalSanctionAmount: String(sum(open, 'SanctionAmount')),
+        TotalCreditLimit: String(sum(open.filter((a) => a.CreditLimit), 'CreditLimit')),
+        TotalMonthlyPaymentAmount: String(sum(open, 'InstallmentAmount')),
+        SingleHighestSanctionAmount: String(Math.max(0, ...accounts.map((a) => parseFloat(a.SanctionAmount)))),
+        MostSevereStatusWithIn24Months: accounts.some((a) => a.WriteOffAmount) ? 'WOF' : 'Std',
+        OldestAccount: label(byOpened[0]),
+        RecentAccount: label(byOpened[byOpened.length - 1]),
+    };
+};
+
+const enquirySummary = (enquiries) => {
+    const within = (days) => enquiries.filter((e) => Date.now() - Date.parse(e.Date) <= days * 24 * 60 * 60 * 1000).length;
+    return {
+        Purpose: 'ALL',
+        Total: String(enquiries.length),
+        Past30Days: String(within(30)),
+        Past12Months: String(within(365)),
+        Past24Months: String(within(730)),
+        Recent: enquiries[0]?.Date || null,
+    };
+};
+
+/**
+ * Full `data` object of a successful DeepVue report response.
+ */
+const buildReport = ({ name, mobile, score, scoreReasons, accounts, enquiries }) => ({
+    name,
+    mobile,
+    pan: TEST_PAN,
+    credit_score: score === null ? null : String(score),
+    credit_report: {
+        CCRResponse: {
+            Status: '1',
+            CIRReportDataLst: [{
+                InquiryResponseHeader: {
+                    ClientID: 'SIMULATOR',
+                    ReportOrderNO: `SIM${Date.now()}`,
+                    Date: isoDay(new Date()),
+                    ProductCode: ['PCS'],
+                    SuccessCode: '1',
+                },
+                CIRReportData: {
+                    IDAndContactInfo: {
+                        PersonalInfo: {
+                            Name: { FullName: name.toUpperCase(), FirstName: name.split(' ')[0].toUpperCase() },
+                            DateOfBirth: '1991-06-14',
+                            Gender: 'Male',
+                            Age: { Age: String(new Date().getUTCFullYear() - 1991) },
+                        },
+                        IdentityInfo: {
+                            PANId: [{ seq: '1', ReportedDate: monthsAgo(3), IdNumber: TEST_PAN }],
+                        },
+                        AddressInfo: [{
+                            Seq: '1',
+                            ReportedDate: monthsAgo(3),
+                            Address: '42 SIMULATOR LANE ANDHERI EAST',
+                            State: 'MH',
+                            Postal: '400069',
+                            Type: 'Primary',
+                        }],
+                        PhoneInfo: [{ seq: '1', typeCode: 'M', ReportedDate: monthsAgo(3), Number: mobile }],
+                    },
+                    RetailAccountDetails: accounts,
+                    RetailAccountsSummary: accountsSummary(accounts),
+                    Enquiries: enquiries,
+                    EnquirySummary: enquirySummary(enquiries),
+                    ScoreDetails: [{
+                        Type: 'ERS',
+                        Version: '4.0',
+                        Name: 'ERS4.0',
+                        Value: score === null ? '-1' : String(score),
+                        ScoringElements: scoreReasons.map((Description, i) => ({ type: 'RES', seq: String(i + 1), Description })),
+                    }],
+                },
+            }],
+        },
+    },
+});
+
+// ─── Scenario reports ────────────────────────────────────────────────────────
+
+const excellent = (person) => buildReport({
+    ...person,
+    score: 812,
+    scoreReasons: ['Long and clean repayment history', 'Low credit card utilisation'],
+    accounts: [
+        account(1, { institution: 'HDFC BANK', type: 'Home Loan', ageMonths: 62, sanction: 4500000, balance: 3120000, emi: 38500, tenure: 240 }),
+        account(2, { institution: 'ICICI BANK', type: 'Credit Card', ageMonths: 96, sanction: 300000, balance: 24000 }),
+        account(3, { institution: 'AXIS BANK', type: 'Credit Card', ageMonths: 41, sanction: 200000, balance: 8000 }),
+        account(4, { institution: 'BAJAJ FINANCE LTD', type: 'Consumer Loan', ageMonths: 30, sanction: 65000, balance: 0, open: false, status: 'Closed' }),
+        account(5, { institution: 'STATE BANK OF INDIA', type: 'Auto Loan (Personal)', ageMonths: 28, sanction: 750000, balance: 310000, emi: 15800, tenure: 60 }),
+    ],
+    enquiries: [
+        enquiry(1, 'HDFC BANK', 'Credit Card', 120, 0),
+        enquiry(2, 'STATE BANK OF INDIA', 'Auto Loan (Personal)', 860, 750000),
+    ],
+});
+
+const thinFile = (person) => buildReport({
+    ...person,
+    score: null,
+    scoreReasons: ['Insufficient credit history to generate a score'],
+    accounts: [
+        account(1, { institution: 'KOTAK MAHINDRA BANK', type: 'Credit Card', ageMonths: 4, sanction: 50000, balance: 12000 }),
+    ],
+    enquiries: [
+        enquiry(1, 'KOTAK MAHINDRA BANK', 'Credit Card', 140, 0),
+    ],
+});
+
+const writeOffs = (person) => buildReport({
+    ...person,
+    score: 584,
+    scoreReasons: ['Written-off account in the last 24 months', 'Overdue amount on active loans', 'High number of recent enquiries'],
+    accounts: [
+        account(1, {
+            institution: 'RBL BANK',
+            type: 'Credit Card',
+            ageMonths: 38,
+            sanction: 100000,
+            balance: 0,
+            open: false,
+            status: 'Written-off',
+            writeOff: 86500,
+            history: paymentHistory(38, (i) => (i < 14 ? 'WOF' : i < 20 ? '90+' : '000')),
+        }),
+        account(2, {
+            institution: 'IDFC FIRST BANK',
+            type: 'Personal Loan',
+            ageMonths: 20,
+            sanction: 300000,
+            balance: 214000,
+            pastDue: 27400,
+            emi: 9800,
+            tenure: 36,
+            status: 'Overdue',
+            history: paymentHistory(20, (i) => (i < 3 ? '030' : '000')),
+        }),
+        account(3, { institution: 'HDFC BANK', type: 'Two-Wheeler Loan', ageMonths: 15, sanction: 90000, balance: 41000, emi: 3400, tenure: 30 }),
+    ],
+    enquiries: [
+        enquiry(1, 'PAYSENSE', 'Personal Loan', 6, 100000),
+        enquiry(2, 'MONEYVIEW', 'Personal Loan', 12, 150000),
+        enquiry(3, 'KREDITBEE', 'Personal Loan', 25, 50000),
+        enquiry(4, 'BAJAJ FINANCE LTD', 'Consumer Loan', 70, 40000),
+        enquiry(5, 'IDFC FIRST BANK', 'Personal Loan', 610, 300000),
+    ],
+});
+
+const REPORT_BUILDERS = {
+    excellent,
+    'thin-file': thinFile,
+    'write-offs': writeOffs,
+    processing: excellent,
+};
+
+/**
+ * `data` for a scenario's report response, or null for scenarios
+ * that never return a report (auth-failure, malformed).
+ */
+export const reportFor = (scenario, person) => REPORT_BUILDERS[scenario]?.(person) || null;
@@ -0,0 +1,245 @@
+/**
+ * ================================================================================
+ * BLIND INDEX UTILITY - SEARCH OVER ENCRYPTED PII
+ * ================================================================================
+ *
+ * Encrypted columns cannot be filtered in SQL. Next to the ciphertext each
+ * searchable row stores `searchIndex String[]`: keyed HMAC-SHA256 tokens of
+ * normalized values. A search computes the same tokens from the query and
+ * matches them with an array filter (GIN index), without decrypting anything.
+ *
+ * NORMALIZATION (index and query use the same rules):
+ * - phone:    digits only, +91 / leading 0 removed → 10 digits
+ * - email:    trimmed, lowercase
+ * - identity: PAN / Aadhaar, uppercase without spaces or dashes
+ * - name:     lowercase words (2+ letters) — every word is a token, so "rahul"
+ *             finds "Rahul Kumar Sharma"
+ *
+ * Matches are EXACT per token: a full phone number or email, not a fragment.
+ * The HMAC key (BLIND_INDEX_KEY) never leaves the server; without it the
+ * tokens cannot be linked back to a value.
+ *
+ * Changing BLIND_INDEX_KEY requires `npm run search:reindex`.
+ *
+ * ================================================================================
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { KMS_CONFIG } from '../config/kms.js';
+
+const SERVER_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// 128 bits of HMAC output is plenty for equality matching and halves index size
+const TOKEN_LENGTH = 32;
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const AADHAAR_PATTERN = /^[0-9]{12}$/;
+const NAME_QUERY_PATTERN = /^[\p{L}\s.'-]+$/u;
+
+// ================================================================================
+// INDEXED COLUMNS
+// ================================================================================
+
+/**
+ * Column → value kind for every model with a searchIndex column.
+ * Values are read as PLAINTEXT (decrypt first when building from a stored row).
+ */
+export const SEARCH_INDEX_FIELDS = {
+    User: {
+        firstName: 'name',
+        middleName: 'name',
+        lastName: 'name',
+        phoneNumber: 'phone',
+        identityNumber: 'identity',
+    },
+    CibilData: {
+        firstName: 'name',
+        middleName: 'name',
+        lastName: 'name',
+        mobileNumber: 'phone',
+        panNumber: 'identity',
+        identityNumber: 'identity',
+    },
+    CreditReport: {
+        nameEncrypted: 'name',
+        mobileEncrypted: 'phone',
+        panEncrypted: 'identity',
+    },
+    CreditCheckInquiry: {
+        firstName: 'name',
+        mobileNumber: 'phone',
+    },
+    ContactInquiry: {
+        name: 'name',
+        email: 'email',
+        phone: 'phone',
+    },
+    HomeLoanInquiry: {
+        name: 'name',
+        phone: 'phone',
+    },
+    ReferralInquiry: {
+        referrerName: 'name',
+        referrerPhone: 'phone',
+        referrerEmail: 'email',
+        refereeName: 'name',
+        refereePhone: 'phone',
+        refereeEmail: 'email',
+    },
+};
+
+// ================================================================================
+// KEY
+// ================================================================================
+
+let indexKey = null;
+
+const loadIndexKey = () => {
+    const config = KMS_CONFIG.BLIND_INDEX;
+    const parse = (value, source) => {
+        const trimmed = String(value).trim();
+        const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+        if (key.length !== 32) {
+            throw new Error(`Blind index key from ${source} must be 32 bytes (base64 or hex)`);
+        }
+        return key;
+    };
+
+    if (config.KEY) return parse(config.KEY, 'BLIND_INDEX_KEY');
+
+    const file = path.resolve(SERVER_ROOT, config.KEY_FILE);
+    if (fs.existsSync(file)) return parse(fs.readFileSync(file, 'utf8'), file);
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('BLIND_INDEX_KEY or BLIND_INDEX_KEY_FILE is required in production');
+    }
+
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(file, `${key.toString('base64')}\n`, { mode: 0o600 });
+    console.warn(`[BlindIndex] Generated blind index key at ${file} (development only — do not commit)`);
+    return key;
+};
+
+const getIndexKey = () => {
+    if (!indexKey) indexKey = loadIndexKey();
+    return indexKey;
+};
+
+// ================================================================================
+// NORMALIZATION
+// ================================================================================
+
+export const normalizePhone = (value) => {
+    let digits = String(value).replace(/\D/g, '');
+    if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+    if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    return digits.length === 10 ? digits : null;
+};
+
+export const normalizeEmail = (value) => {
+    const email = String(value).trim().toLowerCase();
+    return email.includes('@') ? email : null;
+};
+
+export const normalizeIdentity = (value) => {
+    const id = String(value).replace(/[\s-]/g, '').toUpperCase();
+    return PAN_PATTERN.test(id) || AADHAAR_PATTERN.test(id) ? id : null;
+};
+
+export const normalizeNameTokens = (value) =>
+    String(value)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}]+/u)
+        .filter((word) => word.length >= 2);
+
+// ================================================================================
+// TOKENS
+// ================================================================================
+
+const token = (kind, normalized) =>
+    crypto.createHmac('sha256', getIndexKey()).update(`${kind}:${normalized}`).digest('hex').slice(0, TOKEN_LENGTH);
+
+const tokensFor = (kind, value) => {
+    if (value === null || value === undefined || value === '') return [];
+    switch (kind) {
+        case 'phone': {
+            const phone = normalizePhone(value);
+            return phone ? [token('phone', phone)] : [];
+        }
+        case 'email': {
+            const email = normalizeEmail(value);
+            return email ? [token('email', email)] : [];
+        }
+        case 'identity': {
+            const id = normalizeIdentity(value);
+            return id ? [token('identity', id)] : [];
+        }
+        case 'name':
+            return normalizeNameTokens(value).map((word) => token('name', word));
+        default:
+            return [];
+    }
+};
+
+/**
+ * Build the searchIndex value for a row from its PLAINTEXT fields.
+ * Columns not present in `plain` contribute nothing.
+ *
+ * @param {keyof SEARCH_INDEX_FIELDS} model
+ * @param {Object} plain - { column: plaintext }
+ * @returns {string[]} sorted, de-duplicated tokens
+ */
+export const computeSearchIndex = (model, plain) => {
+    const fields = SEARCH_INDEX_FIELDS[model];
+    if (!fields) throw new Error(`No search index defined for ${model}`);
+
+    const tokens = new Set();
+    for (const [column, kind] of Object.entries(fields)) {
+        for (const t of tokensFor(kind, plain?.[column])) tokens.add(t);
+    }
+    return [...tokens].sort();
+};
+
+/**
+ * Prisma `where` fragment for a free-text admin search, or null when the
+ * query is blank. The query is tried as every kind it could be (a 12-digit
+ * number may be a +91 phone or an Aadhaar); a name needs all its words to match.
+ * A query that fits no kind returns a filter that matches nothing.
+ *
+ * @param {string} query
+ * @returns {Object|null}
+ */
+export const searchIndexFilter = (query) => {
+    const q = typeof query === 'string' ? query.trim() : '';
+    if (!q) return null;
+
+    const alternatives = [];
+    for (const kind of ['phone', 'email', 'identity']) {
+        const tokens = tokensFor(kind, q);
+        if (tokens.length) alternatives.push({ searchIndex: { has: tokens[0] } });
+    }
+    if (NAME_QUERY_PATTERN.test(q)) {
+        const tokens = tokensFor('name', q);
+        if (tokens.length) alternatives.push({ searchIndex: { hasEvery: tokens } });
+    }
+
+    if (alternatives.length === 0) return { id: { in: [] } };
+    return alternatives.length === 1 ? alternatives[0] : { OR: alternatives };
+};
+
+/**
+ * Prisma `where` fragment matching rows that hold this phone number in any
+ * indexed phone column, or null when the value is not a valid phone number.
+ *
+ * @param {string} phone
+ * @returns {Object|null}
+ */
+export const phoneIndexFilter = (phone) => {
+    const tokens = tokensFor('phone', phone);
+    return tokens.length ? { searchIndex: { has: tokens[0] } } : null;
+};
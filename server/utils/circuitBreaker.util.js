@@ -0,0 +1,93 @@
+/**
+ * ================================================================================
+ * CIRCUIT BREAKER - FAIL FAST WHILE AN UPSTREAM IS DOWN
+ * ================================================================================
+ *
+ *   CLOSED ── failureThreshold consecutive failures ──▶ OPEN
+ *   OPEN ── resetTimeout elapsed ──▶ HALF_OPEN (one trial request)
+ *   HALF_OPEN ── trial succeeds ──▶ CLOSED, fails ──▶ OPEN again
+ *
+ * While OPEN, callers are rejected without touching the network, so a dead
+ * upstream does not tie up request handlers until their timeouts fire.
+ * State is per process (each API instance decides on its own).
+ *
+ * ================================================================================
+ */
+
+export const CIRCUIT_STATES = {
+    CLOSED: 'CLOSED',
+    OPEN: 'OPEN',
+    HALF_OPEN: 'HALF_OPEN',
+};
+
+export class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - used in logs
+     * @param {number} [options.failureThreshold=5] - consecutive failures that open the circuit
+     * @param {number} [options.resetTimeoutMs=30000] - how long to stay open before a trial request
+     */
+    constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000 }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /** Milliseconds until a trial request is allowed (0 when not open) */
+    get retryAfterMs() {
+        if (this.state !== CIRCUIT_STATES.OPEN) return 0;
+        return Math.max(this.openedAt + this.resetTimeoutMs - Date.now(), 0);
+    }
+
+    /**
+     * Whether a request may go out now. Moves OPEN → HALF_OPEN once the reset
+     * timeout has passed and lets exactly one trial request through.
+     */
+    allowRequest() {
+        if (this.state === CIRCUIT_STATES.OPEN && this.retryAfterMs === 0) {
+            this.state = CIRCUIT_STATES.HALF_OPEN;
+            this.trialInFlight = false;
+        }
+        if (this.state === CIRCUIT_STATES.CLOSED) return true;
+        if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            console.log(`[CircuitBreaker] ${this.name} closed`);
+        }
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            if (this.state !== CIRCUIT_STATES.OPEN) {
+                console.warn(`[CircuitBreaker] ${this.name} opened after ${this.failures} failure(s)`);
+            }
+            this.state = CIRCUIT_STATES.OPEN;
+            this.openedAt = Date.now();
+            this.trialInFlight = false;
+        }
+    }
+
+    /** Snapshot for status endpoints */
+    status() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryAfterSeconds: Math.ceil(this.retryAfterMs / 1000),
+        };
+    }
+}
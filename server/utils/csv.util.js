@@ -0,0 +1,26 @@
+/**
+ * CSV helpers for admin exports (audit log, reconciliation summaries).
+ */
+
+/**
+ * One CSV cell. Dates → ISO, arrays → `a;b`, objects → JSON.
+ * Values that a spreadsheet would run as a formula are prefixed with `'`.
+ */
+export const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let str = value instanceof Date ? value.toISOString()
+        : Array.isArray(value) ? value.join(';')
+            : typeof value === 'object' ? JSON.stringify(value)
+                : String(value);
+    // Neutralise spreadsheet formula injection
+    if (/^[=+\-@]/.test(str)) str = `'${str}`;
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * @param {string[]} columns - header row and the keys read from each row
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) =>
+    [columns.join(','), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(','))].join('\n');
@@ -0,0 +1,137 @@
+/**
+ * ================================================================================
+ * FILE ENCRYPTION UTILITY - ENCRYPTED OBJECTS AT REST
+ * ================================================================================
+ *
+ * Files in object storage (credit report PDFs) are encrypted before upload, so a
+ * bucket misconfiguration exposes only ciphertext.
+ *
+ * - Each file gets its own 256-bit data key and is encrypted with AES-256-GCM
+ * - The data key is wrapped with encryptText() (utils/kms.util.js) — same key
+ *   provider and "bw1:<keyId>:" format as every other encrypted column — and
+ *   stored on the owning row, never next to the object. Key rotation re-wraps
+ *   it like any other field (services/reencryption.service.js); the object
+ *   itself never has to be rewritten
+ * - Object layout: [6 bytes "BWENC1"][12 bytes IV][16 bytes authTag][ciphertext]
+ *   The magic is bound as GCM additional data
+ *
+ * Decryption is a stream: bytes are decrypted while they are sent. The last
+ * chunk is held back until the auth tag verifies, so a tampered object ends as
+ * a truncated download, never as a complete-looking file.
+ *
+ * ================================================================================
+ */
+
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { encryptText, decryptCiphertext } from './kms.util.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const MAGIC = Buffer.from('BWENC1', 'latin1');
+
+export const ENCRYPTED_HEADER_LENGTH = MAGIC.length + IV_LENGTH + AUTH_TAG_LENGTH;
+
+/**
+ * Encrypt a file for upload.
+ *
+ * @param {Buffer} plaintext
+ * @returns {Promise<{ body: Buffer, keyEncrypted: string }>} body to store; keyEncrypted for the DB row
+ */
+export const encryptFile = async (plaintext) => {
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    try {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+        cipher.setAAD(MAGIC);
+        const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        return {
+            body: Buffer.concat([MAGIC, iv, cipher.getAuthTag(), encrypted]),
+            keyEncrypted: await encryptText(dataKey.toString('base64')),
+        };
+    } finally {
+        // SECURITY - Zero out plaintext data key from memory
+        dataKey.fill(0);
+    }
+};
+
+/** Plaintext size of an encrypted object of `size` bytes */
+export const decryptedSize = (size) => (size ? size - ENCRYPTED_HEADER_LENGTH : size);
+
+/**
+ * Transform stream that decrypts an object written by encryptFile().
+ *
+ * @param {string} keyEncrypted - the wrapped data key from the DB row
+ * @returns {Promise<Transform>}
+ * @throws {Error} when the data key cannot be unwrapped
+ */
+export const createDecryptStream = async (keyEncrypted) => {
+    const dataKey = Buffer.from(await decryptCiphertext(keyEncrypted), 'base64');
+    if (dataKey.length !== KEY_LENGTH) {
+        dataKey.fill(0);
+        throw new Error('Invalid file data key');
+    }
+
+    let header = Buffer.alloc(0);
+    let decipher = null;
+    let held = null;
+
+    const push = (stream, chunk) => {
+        if (!chunk.length) return;
+        if (held) stream.push(held);
+        held = chunk;
+    };
+
+    const done = () => {
+        // SECURITY - Zero out plaintext data key once the stream ends either way
+        dataKey.fill(0);
+    };
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                if (!decipher) {
+                    header = Buffer.concat([header, chunk]);
+                    if (header.length < ENCRYPTED_HEADER_LENGTH) return callback();
+
+                    if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+                        throw new Error('Object is not an encrypted file');
+                    }
+                    const iv = header.subarray(MAGIC.length, MAGIC.length + IV_LENGTH);
+                    const authTag = header.subarray(MAGIC.length + IV_LENGTH, ENCRYPTED_HEADER_LENGTH);
+                    decipher = crypto.createDecipheriv(ALGORITHM, dataKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+                    decipher.setAAD(MAGIC);
+                    decipher.setAuthTag(authTag);
+
+                    chunk = header.subarray(ENCRYPTED_HEADER_LENGTH);
+                    header = null;
+                }
+                push(this, decipher.update(chunk));
+                callback();
+            } catch (error) {
+                done();
+                callback(error);
+            }
+        },
+        flush(callback) {
+            try {
+                if (!decipher) throw new Error('Encrypted file is truncated');
+                // Throws when the auth tag does not match — the held chunk is never sent
+                push(this, decipher.final());
+                if (held) this.push(held);
+                callback();
+            } catch (error) {
+                callback(error);
+            } finally {
+                done();
+            }
+        },
+        destroy(error, callback) {
+            done();
+            callback(error);
+        },
+    });
+};
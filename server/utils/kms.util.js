@@ -1,14 +1,18 @@
 /**
  * ================================================================================
- * AWS KMS ENVELOPE ENCRYPTION UTILITY
+ * KMS ENVELOPE ENCRYPTION UTILITY
  * ================================================================================
  * 
  * SECURITY ARCHITECTURE:
- * - Uses AWS KMS Customer Managed Key (CMK) for key encryption
+ * - Uses a key provider (services/keyProvider.service.js) for key encryption:
+ *   AWS KMS Customer Managed Key (CMK) in production, or a local master key
+ *   for development and CI (no AWS access needed)
+ * - Every value is tagged "bw1:<keyId>:" (see CIPHERTEXT FORMAT below) so key
+ *   rotation can find and re-encrypt rows still on an older key
  * - Implements envelope encryption pattern:
  *   1. Generate a unique Data Encryption Key (DEK) per encryption
  *   2. Encrypt plaintext with DEK using AES-256-GCM
- *   3. Encrypt DEK with KMS CMK
+ *   3. Encrypt DEK with the provider's master key (KMS CMK or local key)
  *   4. Store encrypted DEK + encrypted data together
  * 
  * WHY THIS APPROACH:
@@ -18,69 +22,176 @@
  * - Even AWS cannot decrypt without CMK access
  * - Meets banking compliance requirements (PCI-DSS, SOC2)
  * 
- * ENVIRONMENT VARIABLES REQUIRED:
+ * ENVIRONMENT VARIABLES (see config/kms.js):
+ * - KEY_PROVIDER: 'aws' | 'local' (default: aws if AWS_KMS_KEY_ID is set or in production)
  * - AWS_REGION: AWS region where KMS key exists (e.g., ap-south-1)
  * - AWS_KMS_KEY_ID: ARN of Customer Managed Key
  * - AWS_ACCESS_KEY_ID: IAM user access key with kms:Encrypt, kms:Decrypt
  * - AWS_SECRET_ACCESS_KEY: IAM user secret key
+ * - LOCAL_MASTER_KEY / LOCAL_MASTER_KEY_FILE: 32-byte master key for the local provider
+ * - LOCAL_PREVIOUS_MASTER_KEYS: retired local keys, kept for decryption during rotation
  * 
  * ================================================================================
  */
 
-import { KMSClient, GenerateDataKeyCommand, DecryptCommand } from '@aws-sdk/client-kms';
 import crypto from 'crypto';
+import { getKeyProvider } from '../services/keyProvider.service.js';
+import { appendAuditLog } from '../services/audit.service.js';
+import { getRequestContext } from './requestContext.js';
 
 // ================================================================================
-// KMS CLIENT CONFIGURATION
+// ENCRYPTION CONFIGURATION
 // ================================================================================
 
+const ALGORITHM = 'aes-256-gcm';  // AES-GCM provides authenticated encryption
+const IV_LENGTH = 12;              // 96 bits recommended for GCM
+const AUTH_TAG_LENGTH = 16;        // 128 bits authentication tag
+
+// Minimum envelope: 4 (DEK length) + 1 (DEK) + 12 (IV) + 16 (authTag) = 33 bytes
+const MIN_ENVELOPE_LENGTH = 4 + 1 + IV_LENGTH + AUTH_TAG_LENGTH;
+
+// ================================================================================
+// CIPHERTEXT FORMAT
+// ================================================================================
+//
+// Every value written by this module looks like:
+//
+//     bw1:<keyId>:<base64 envelope>
+//
+// - "bw1"   format version
+// - keyId   the key provider's current master key id (e.g. local-3fa1…, aws-9c0e…),
+//           so rows still on a retired key can be found without decrypting
+// - envelope [4 bytes DEK length][encrypted DEK][12 bytes IV][16 bytes authTag][ciphertext]
+//           The "bw1:<keyId>:" header is bound as GCM additional data.
+//
+// Older formats are still READ (never written) until the re-encryption job
+// (jobs/reencryption.job.js) has moved every row to bw1 on the current key:
+// - 'legacy-envelope'  bare base64 envelope (previous encryptText)
+// - 'legacy-direct'    base64 of a provider.encrypt() blob (previous encryption.service encrypt)
+// - 'legacy-large'     JSON { k, iv, t, d } (previous encryption.service encryptLarge)
+
+const FORMAT_PREFIX = 'bw1';
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const KEY_ID_PATTERN = /^[a-z0-9-]+$/;
+
+const invalidCiphertext = (message) => {
+    const error = new Error(message);
+    error.name = 'InvalidCiphertextException';
+    return error;
+};
+
+const buildHeader = (keyId) => `${FORMAT_PREFIX}:${keyId}:`;
+
+const parseLegacyLarge = (value) => {
+    if (!value.startsWith('{')) return null;
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && parsed.k && parsed.iv && parsed.t && parsed.d ? parsed : null;
+    } catch {
+        return null;
+    }
+};
+
 /**
- * SECURITY: KMS client is initialized with credentials from environment variables.
- * NEVER hardcode AWS credentials in source code.
- * IAM user should have MINIMAL permissions: kms:GenerateDataKey, kms:Decrypt only.
+ * Identify the format of a stored value WITHOUT decrypting it.
+ *
+ * @param {string} value
+ * @returns {{ format: 'v1'|'legacy-envelope'|'legacy-direct'|'legacy-large'|'plaintext', keyId: string|null }}
+ *          keyId is only known for v1 values
  */
-const getKMSClient = () => {
-    // Validate required environment variables before creating client
-    if (!process.env.AWS_REGION) {
-        throw new Error('AWS_REGION environment variable is required for KMS encryption');
+export const inspectCiphertext = (value) => {
+    if (!value || typeof value !== 'string') {
+        return { format: 'plaintext', keyId: null };
     }
-    if (!process.env.AWS_KMS_KEY_ID) {
-        throw new Error('AWS_KMS_KEY_ID environment variable is required for KMS encryption');
+
+    if (value.startsWith(`${FORMAT_PREFIX}:`)) {
+        const [, keyId, body] = value.split(':');
+        if (KEY_ID_PATTERN.test(keyId || '') && body && BASE64_PATTERN.test(body)) {
+            return { format: 'v1', keyId };
+        }
+        return { format: 'plaintext', keyId: null };
     }
 
-    return new KMSClient({
-        region: process.env.AWS_REGION,
-        credentials: {
-            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-        },
-    });
+    if (parseLegacyLarge(value)) {
+        return { format: 'legacy-large', keyId: null };
+    }
+
+    if (!BASE64_PATTERN.test(value)) {
+        return { format: 'plaintext', keyId: null };
+    }
+    const blob = Buffer.from(value, 'base64');
+    if (blob.length < MIN_ENVELOPE_LENGTH) {
+        return { format: 'plaintext', keyId: null };
+    }
+
+    // A direct provider blob starts with a magic / version prefix, which reads as
+    // a DEK length far larger than the value itself
+    const dekLength = blob.readUInt32BE(0);
+    const isEnvelope = dekLength > 0 && 4 + dekLength + IV_LENGTH + AUTH_TAG_LENGTH <= blob.length;
+    return { format: isEnvelope ? 'legacy-envelope' : 'legacy-direct', keyId: null };
 };
 
-// ================================================================================
-// ENCRYPTION CONFIGURATION
-// ================================================================================
+/** AES-256-GCM decrypt of an envelope buffer; the DEK is unwrapped by the key provider */
+const openEnvelope = async (envelope, aad) => {
+    const dekLength = envelope.readUInt32BE(0);
+    let offset = 4;
 
-const ALGORITHM = 'aes-256-gcm';  // AES-GCM provides authenticated encryption
-const IV_LENGTH = 12;              // 96 bits recommended for GCM
-const AUTH_TAG_LENGTH = 16;        // 128 bits authentication tag
+    const encryptedDEK = envelope.subarray(offset, offset + dekLength);
+    offset += dekLength;
+
+    const iv = envelope.subarray(offset, offset + IV_LENGTH);
+    offset += IV_LENGTH;
+
+    const authTag = envelope.subarray(offset, offset + AUTH_TAG_LENGTH);
+    offset += AUTH_TAG_LENGTH;
+
+    const encrypted = envelope.subarray(offset);
+
+    const plaintextDEK = await getKeyProvider().decryptDataKey(encryptedDEK);
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, plaintextDEK, iv, {
+            authTagLength: AUTH_TAG_LENGTH,
+        });
+        if (aad) decipher.setAAD(aad);
+        decipher.setAuthTag(authTag);
+
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } finally {
+        // SECURITY - Zero out plaintext DEK from memory immediately
+        plaintextDEK.fill(0);
+    }
+};
+
+const openLegacyLarge = async ({ k, iv, t, d }) => {
+    const plaintextDEK = await getKeyProvider().decryptDataKey(Buffer.from(k, 'base64'));
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, plaintextDEK, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(t, 'base64'));
+        return decipher.update(d, 'base64', 'utf8') + decipher.final('utf8');
+    } finally {
+        plaintextDEK.fill(0);
+    }
+};
+
+const openLegacyDirect = async (value) =>
+    (await getKeyProvider().decrypt(Buffer.from(value, 'base64'))).toString('utf8');
 
 // ================================================================================
 // ENVELOPE ENCRYPTION FUNCTIONS
 // ================================================================================
 
 /**
- * Encrypt plaintext using AWS KMS envelope encryption.
+ * Encrypt plaintext using envelope encryption.
  * 
  * SECURITY FLOW:
- * 1. Request KMS to generate a new Data Encryption Key (DEK)
- * 2. KMS returns plaintext DEK (for local encryption) + encrypted DEK
- * 3. Encrypt plaintext with plaintext DEK using AES-256-GCM
+ * 1. Request the key provider to generate a new Data Encryption Key (DEK)
+ * 2. Provider returns plaintext DEK (for local encryption) + encrypted DEK
+ * 3. Encrypt plaintext with plaintext DEK using AES-256-GCM (header as AAD)
  * 4. Immediately zero out plaintext DEK from memory
- * 5. Return base64 encoded: encryptedDEK + IV + authTag + ciphertext
+ * 5. Return "bw1:<keyId>:" + base64 of: encryptedDEK + IV + authTag + ciphertext
  * 
  * @param {string} plainText - The text to encrypt
- * @returns {Promise<string>} - Base64 encoded encrypted envelope
+ * @returns {Promise<string>} - Versioned, key-tagged ciphertext (see CIPHERTEXT FORMAT)
  * @throws {Error} - On encryption failure or missing config
  */
 export const encryptText = async (plainText) => {
@@ -90,17 +201,13 @@ export const encryptText = async (plainText) => {
     }
 
     try {
-        const kmsClient = getKMSClient();
+        const provider = getKeyProvider();
+        const header = buildHeader(provider.keyId);
 
-        // Step 1: Generate a unique Data Encryption Key (DEK) from KMS
+        // Step 1: Generate a unique 256-bit Data Encryption Key (DEK)
         // SECURITY: Each encryption gets a unique DEK - no key reuse
-        const generateKeyCommand = new GenerateDataKeyCommand({
-            KeyId: process.env.AWS_KMS_KEY_ID,
-            KeySpec: 'AES_256',  // 256-bit key for AES-256
-        });
-
-        const { CiphertextBlob: encryptedDEK, Plaintext: plaintextDEK } =
-            await kmsClient.send(generateKeyCommand);
+        const { ciphertext: encryptedDEK, plaintext: plaintextDEK } =
+            await provider.generateDataKey();
 
         // Step 2: Generate random IV for AES-GCM
         const iv = crypto.randomBytes(IV_LENGTH);
@@ -109,6 +216,7 @@ export const encryptText = async (plainText) => {
         const cipher = crypto.createCipheriv(ALGORITHM, plaintextDEK, iv, {
             authTagLength: AUTH_TAG_LENGTH,
         });
+        cipher.setAAD(Buffer.from(header, 'utf8'));
 
         let encrypted = cipher.update(plainText, 'utf8');
         encrypted = Buffer.concat([encrypted, cipher.final()]);
@@ -131,8 +239,8 @@ export const encryptText = async (plainText) => {
             encrypted,
         ]);
 
-        // Return as base64 for safe storage in database String columns
-        return envelope.toString('base64');
+        // Base64 keeps it safe for database String columns
+        return header + envelope.toString('base64');
 
     } catch (error) {
         // SECURITY: Log error but don't expose internal details
@@ -146,18 +254,53 @@ export const encryptText = async (plainText) => {
 };
 
 /**
- * Decrypt ciphertext using AWS KMS envelope encryption.
+ * Decrypt any supported ciphertext format (bw1 or legacy) — strict.
+ *
+ * @param {string} cipherText
+ * @returns {Promise<string>} - Decrypted plaintext
+ * @throws {Error} - InvalidCiphertextException when the value is not ciphertext;
+ *                   provider / auth tag errors when it cannot be decrypted
+ */
+export const decryptCiphertext = async (cipherText) => {
+    const { format } = inspectCiphertext(cipherText);
+
+    switch (format) {
+        case 'v1': {
+            const body = cipherText.slice(cipherText.lastIndexOf(':') + 1);
+            const header = cipherText.slice(0, cipherText.length - body.length);
+            return openEnvelope(Buffer.from(body, 'base64'), Buffer.from(header, 'utf8'));
+        }
+        case 'legacy-large':
+            return openLegacyLarge(parseLegacyLarge(cipherText));
+        case 'legacy-envelope':
+            try {
+                return await openEnvelope(Buffer.from(cipherText, 'base64'));
+            } catch {
+                // A direct blob can pass the envelope length check by chance
+                return openLegacyDirect(cipherText);
+            }
+        case 'legacy-direct':
+            return openLegacyDirect(cipherText);
+        default:
+            throw invalidCiphertext('Value is not in a recognised ciphertext format');
+    }
+};
+
+/**
+ * Decrypt ciphertext using envelope encryption — lenient.
  * 
  * SECURITY FLOW:
- * 1. Parse the envelope to extract encrypted DEK, IV, authTag, ciphertext
- * 2. Request KMS to decrypt the DEK using the CMK
+ * 1. Identify the format (bw1 or legacy) from the value itself
+ * 2. Request the key provider to decrypt the DEK
  * 3. Decrypt ciphertext with plaintext DEK
  * 4. Immediately zero out plaintext DEK from memory
  * 5. Return decrypted plaintext
  * 
- * @param {string} cipherText - Base64 encoded encrypted envelope
+ * Values that are not ciphertext, or fail to decrypt, are returned unchanged.
+ * Use decryptCiphertext() where a failure must not be silent.
+ * 
+ * @param {string} cipherText - Stored value
  * @returns {Promise<string>} - Decrypted plaintext
- * @throws {Error} - On decryption failure or tampering detected
  */
 export const decryptText = async (cipherText) => {
     // SECURITY: Handle null/undefined gracefully
@@ -165,63 +308,13 @@ export const decryptText = async (cipherText) => {
         return cipherText;
     }
 
-    // SECURITY: Check if data looks like it's encrypted with our format
-    // If not, it might be legacy data or unencrypted - return as-is
-    try {
-        // Quick validation: base64 encoded envelope should be longer than minimum
-        // Minimum: 4 (DEK length) + 1 (DEK) + 12 (IV) + 16 (authTag) = 33 bytes
-        const envelope = Buffer.from(cipherText, 'base64');
-        if (envelope.length < 33) {
-            // Likely not encrypted with our format, return as-is
-            return cipherText;
-        }
-    } catch {
-        // Not valid base64, return as-is (might be legacy or plain)
+    // Not encrypted (legacy plain data) — return as-is
+    if (inspectCiphertext(cipherText).format === 'plaintext') {
         return cipherText;
     }
 
     try {
-        const kmsClient = getKMSClient();
-
-        // Step 1: Parse the envelope
-        const envelope = Buffer.from(cipherText, 'base64');
-
-        const dekLength = envelope.readUInt32BE(0);
-        let offset = 4;
-
-        const encryptedDEK = envelope.subarray(offset, offset + dekLength);
-        offset += dekLength;
-
-        const iv = envelope.subarray(offset, offset + IV_LENGTH);
-        offset += IV_LENGTH;
-
-        const authTag = envelope.subarray(offset, offset + AUTH_TAG_LENGTH);
-        offset += AUTH_TAG_LENGTH;
-
-        const encrypted = envelope.subarray(offset);
-
-        // Step 2: Decrypt the DEK using KMS
-        const decryptKeyCommand = new DecryptCommand({
-            CiphertextBlob: encryptedDEK,
-            KeyId: process.env.AWS_KMS_KEY_ID,
-        });
-
-        const { Plaintext: plaintextDEK } = await kmsClient.send(decryptKeyCommand);
-
-        // Step 3: Decrypt ciphertext with DEK
-        const decipher = crypto.createDecipheriv(ALGORITHM, plaintextDEK, iv, {
-            authTagLength: AUTH_TAG_LENGTH,
-        });
-        decipher.setAuthTag(authTag);
-
-        let decrypted = decipher.update(encrypted);
-        decrypted = Buffer.concat([decrypted, decipher.final()]);
-
-        // Step 4: SECURITY - Zero out plaintext DEK from memory immediately
-        plaintextDEK.fill(0);
-
-        return decrypted.toString('utf8');
-
+        return await decryptCiphertext(cipherText);
     } catch (error) {
         // SECURITY: Log error with context for debugging
         console.error('[KMS DECRYPTION ERROR]', {
@@ -234,13 +327,38 @@ export const decryptText = async (cipherText) => {
 
         // SECURITY: For decryption errors, we might be dealing with:
         // 1. Tampered data (auth tag mismatch)
-        // 2. Legacy encrypted data (old format)
-        // 3. Already decrypted plain data
+        // 2. Data under a master key this provider no longer holds
         // Return as-is to not break the application, but log for investigation
         return cipherText;
     }
 };
 
+// ================================================================================
+// KEY ROTATION
+// ================================================================================
+
+/**
+ * True when the value is ciphertext that is not bw1 on the current key.
+ * Plaintext is never reported — re-encryption does not encrypt unencrypted data.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const needsReencryption = (value) => {
+    const { format, keyId } = inspectCiphertext(value);
+    if (format === 'plaintext') return false;
+    return format !== 'v1' || keyId !== getKeyProvider().keyId;
+};
+
+/**
+ * Decrypt (any format) and encrypt again as bw1 under the current key.
+ *
+ * @param {string} value
+ * @returns {Promise<string>}
+ * @throws {Error} - When the value cannot be decrypted
+ */
+export const reencryptText = async (value) => encryptText(await decryptCiphertext(value));
+
 // ================================================================================
 // HELPER FUNCTIONS FOR BATCH OPERATIONS
 // ================================================================================
@@ -356,20 +474,43 @@ export const SENSITIVE_FIELDS = {
 /**
  * Log sensitive data access for compliance auditing.
  * 
- * @param {string} action - 'encrypt' or 'decrypt'
+ * Writes a console line AND appends to the hash-chained audit_logs table
+ * (services/audit.service.js). IP, user agent, method and route are taken from
+ * the current request context. Fire-and-forget: never blocks or fails the caller.
+ * 
+ * @param {string} action - e.g. 'encrypt', 'decrypt', 'download_pdf', 'permission_denied'
  * @param {string} model - Model name (e.g., 'User')
- * @param {string} recordId - Record ID being accessed
+ * @param {string|string[]} recordId - Record ID(s) being accessed
  * @param {string} adminId - Admin ID if applicable
+ * @param {Object} [details]
+ * @param {'success'|'denied'|'failure'} [details.outcome='success']
+ * @param {string} [details.subjectUserId] - Customer whose data was accessed
+ * @param {boolean} [details.piiUnmasked] - Full PAN / Aadhaar / phone was returned
+ * @param {Object} [details.metadata]
  */
-export const logDataAccess = (action, model, recordId, adminId = null) => {
+export const logDataAccess = (action, model, recordId, adminId = null, details = {}) => {
+    const recordIds = Array.isArray(recordId) ? recordId : recordId ? [recordId] : [];
+    const entry = {
+        action,
+        model,
+        recordIds,
+        adminId,
+        outcome: details.outcome || 'success',
+        subjectUserId: details.subjectUserId || null,
+        piiUnmasked: !!details.piiUnmasked,
+        metadata: details.metadata,
+        ...getRequestContext(),
+    };
+
     // SECURITY: Audit log for compliance (PCI-DSS, DPDP Act)
     console.log(JSON.stringify({
         type: 'DATA_ACCESS_AUDIT',
         timestamp: new Date().toISOString(),
-        action,
-        model,
-        recordId,
-        adminId,
-        // In production, this should go to a secure, immutable log service
+        ...entry,
     }));
+
+    appendAuditLog(entry).catch((error) => {
+        // Console line above is the fallback record
+        console.error('[AUDIT] Failed to persist audit entry:', error.message);
+    });
 };
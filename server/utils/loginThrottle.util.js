@@ -0,0 +1,113 @@
+/**
+ * ================================================================================
+ * ADMIN LOGIN THROTTLE - PER-ACCOUNT AND PER-IP LOCKOUT WITH EXPONENTIAL BACKOFF
+ * ================================================================================
+ *
+ * Failures are counted under two keys: `account:<email>` and `ip:<address>`.
+ * Once a key passes its free attempts, each further failure locks it for
+ *   base * 2^(failures - freeAttempts - 1) seconds, capped at the max.
+ * A key's counter resets after a quiet day with no failures, or (account key only)
+ * on a fully successful login — an IP keeps its history so one valid login
+ * cannot be used to reset a spraying attacker's counter.
+ *
+ * Unknown emails are counted exactly like real ones, so lockout behaviour
+ * does not reveal which accounts exist.
+ *
+ * ENVIRONMENT VARIABLES:
+ * - ADMIN_LOGIN_MAX_ATTEMPTS: free failures per account (default 5)
+ * - ADMIN_LOGIN_IP_MAX_ATTEMPTS: free failures per IP (default 20)
+ * - ADMIN_LOGIN_LOCKOUT_BASE_SECONDS: first lockout length (default 30)
+ * - ADMIN_LOGIN_LOCKOUT_MAX_SECONDS: lockout cap (default 3600)
+ *
+ * ================================================================================
+ */
+
+import { prisma } from '../config/db.js';
+import ApiError from './ApiError.js';
+
+const ACCOUNT_FREE_ATTEMPTS = parseInt(process.env.ADMIN_LOGIN_MAX_ATTEMPTS) || 5;
+const IP_FREE_ATTEMPTS = parseInt(process.env.ADMIN_LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOCKOUT_BASE_MS = (parseInt(process.env.ADMIN_LOGIN_LOCKOUT_BASE_SECONDS) || 30) * 1000;
+const LOCKOUT_MAX_MS = (parseInt(process.env.ADMIN_LOGIN_LOCKOUT_MAX_SECONDS) || 3600) * 1000;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+const lockoutFor = (failures, freeAttempts) => {
+    if (failures <= freeAttempts) return 0;
+    return Math.min(LOCKOUT_BASE_MS * 2 ** (failures - freeAttempts - 1), LOCKOUT_MAX_MS);
+};
+
+/**
+ * @returns {Promise<{ scope: 'account'|'ip', retryAfter: number } | null>}
+ */
+export const getLoginBlock = async (email, ip) => {
+    const rows = await prisma.adminLoginThrottle.findMany({
+        where: { key: { in: [accountKey(email), ipKey(ip)] }, lockedUntil: { gt: new Date() } },
+    });
+    if (rows.length === 0) return null;
+
+    // Report the longest remaining lock
+    const longest = rows.reduce((a, b) => (a.lockedUntil > b.lockedUntil ? a : b));
+    return {
+        scope: longest.key.startsWith('ip:') ? 'ip' : 'account',
+        retryAfter: Math.ceil((longest.lockedUntil.getTime() - Date.now()) / 1000),
+    };
+};
+
+/**
+ * Throttle check for admin login endpoints.
+ * Sets the Retry-After header and throws 429 while the account or IP is locked.
+ *
+ * @throws {ApiError} 429 with errors: [{ scope, retryAfter }]
+ */
+export const enforceLoginThrottle = async (res, email, ip) => {
+    const block = await getLoginBlock(email, ip);
+    if (!block) return;
+
+    res.set('Retry-After', String(block.retryAfter));
+    throw new ApiError(429, `Too many failed login attempts. Try again in ${block.retryAfter} seconds.`, [block]);
+};
+
+const recordFailureForKey = async (key, freeAttempts) => {
+    const now = new Date();
+    const existing = await prisma.adminLoginThrottle.findUnique({ where: { key } });
+
+    // Start over after a quiet period
+    const stale = !existing || now - existing.lastFailureAt > FAILURE_WINDOW_MS;
+    const failures = stale ? 1 : existing.failures + 1;
+    const lockMs = lockoutFor(failures, freeAttempts);
+
+    await prisma.adminLoginThrottle.upsert({
+        where: { key },
+        create: { key, failures, lastFailureAt: now, lockedUntil: lockMs ? new Date(now.getTime() + lockMs) : null },
+        update: { failures, lastFailureAt: now, lockedUntil: lockMs ? new Date(now.getTime() + lockMs) : null },
+    });
+
+    return { failures, lockedForSeconds: Math.ceil(lockMs / 1000) };
+};
+
+/** Count a failed password or second-factor attempt against the account and the IP */
+export const recordLoginFailure = async (email, ip) => {
+    const [account, address] = await Promise.all([
+        recordFailureForKey(accountKey(email), ACCOUNT_FREE_ATTEMPTS),
+        recordFailureForKey(ipKey(ip), IP_FREE_ATTEMPTS),
+    ]);
+
+    if (account.lockedForSeconds || address.lockedForSeconds) {
+        console.warn('[SECURITY] Admin login lockout:', {
+            timestamp: new Date().toISOString(),
+            account: accountKey(email),
+            ip,
+            accountFailures: account.failures,
+            ipFailures: address.failures,
+            lockedForSeconds: Math.max(account.lockedForSeconds, address.lockedForSeconds),
+        });
+    }
+};
+
+/** Reset the account counter after a fully successful login (password + 2FA) */
+export const clearAccountFailures = async (email) => {
+    await prisma.adminLoginThrottle.deleteMany({ where: { key: accountKey(email) } });
+};
@@ -0,0 +1,228 @@
+/**
+ * ================================================================================
+ * OTP UTILITY - HASHED STORAGE, ATTEMPT LIMITS, SEND THROTTLING
+ * ================================================================================
+ *
+ * SECURITY:
+ * - Only an HMAC-SHA256 of (phoneNumber + OTP) is stored — a DB leak does not
+ *   reveal live codes
+ * - Every verification attempt is counted; a session locks at maxAttempts
+ * - Failed attempts are also budgeted per phone: after OTP_MAX_FAILED_ATTEMPTS
+ *   in 24h (since the last successful verification) the phone is locked —
+ *   requesting a new OTP does not reset it
+ * - Sends are throttled per phone: resend cooldown + rolling 24h quota
+ * - Send checks, inserts and attempt reservations for a phone run under a
+ *   per-phone advisory lock, so concurrent requests cannot get past the limits
+ *
+ * ENVIRONMENT VARIABLES:
+ * - OTP_HMAC_SECRET: HMAC key (falls back to JWT_SECRET)
+ * - OTP_RESEND_COOLDOWN_SECONDS: min gap between sends (default 30, matches the client resend timer)
+ * - OTP_DAILY_LIMIT: max sends per phone per 24h (default 10)
+ * - OTP_MAX_FAILED_ATTEMPTS: wrong codes per phone per 24h before it locks (default 5)
+ *
+ * ================================================================================
+ */
+
+import crypto from 'crypto';
+import { prisma } from '../config/db.js';
+import ApiError from './ApiError.js';
+
+const OTP_TTL_MS = 5 * 60 * 1000; // 5 min
+const RESEND_COOLDOWN_MS = (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 30) * 1000;
+const DAILY_LIMIT = parseInt(process.env.OTP_DAILY_LIMIT) || 10;
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.OTP_MAX_FAILED_ATTEMPTS) || 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Namespace for pg_advisory_xact_lock(namespace, hashtext(phone)) — one lock per phone
+const OTP_LOCK_NAMESPACE = 740513;
+
+const getHmacSecret = () => {
+    const secret = process.env.OTP_HMAC_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('OTP_HMAC_SECRET (or JWT_SECRET) environment variable is required');
+    }
+    return secret;
+};
+
+/** Cryptographically random 6-digit OTP */
+export const generateOtp = () => crypto.randomInt(100000, 1000000).toString();
+
+/** HMAC binds the code to the phone number it was issued for */
+export const hashOtp = (phoneNumber, otp) =>
+    crypto.createHmac('sha256', getHmacSecret()).update(`${phoneNumber}:${otp}`).digest('hex');
+
+const hashesMatch = (a, b) => {
+    const bufA = Buffer.from(a, 'hex');
+    const bufB = Buffer.from(b, 'hex');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const lockPhone = (tx, phoneNumber) =>
+    tx.$executeRaw`SELECT pg_advisory_xact_lock(${OTP_LOCK_NAMESPACE}::int, hashtext(${phoneNumber}))`;
+
+/** The phone's OTP sessions from the last 24h, newest first */
+const loadRecentSessions = (client, phoneNumber, now) => client.otpSession.findMany({
+    where: { phoneNumber, createdAt: { gt: new Date(now - DAY_MS) } },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true, attempts: true, isVerified: true },
+});
+
+/**
+ * Wrong codes entered for the phone since its last successful verification.
+ * `since` is the oldest session counted — the lock lifts when it leaves the window.
+ */
+const countFailedAttempts = (recent) => {
+    let failed = 0;
+    let since = null;
+    for (const session of recent) {
+        if (session.isVerified) break;
+        if (session.attempts > 0) {
+            failed += session.attempts;
+            since = session.createdAt;
+        }
+    }
+    return { failed, since };
+};
+
+const lockedRetryAfter = (since, now) => Math.max(Math.ceil((since.getTime() + DAY_MS - now) / 1000), 1);
+
+/**
+ * Check the per-phone lock, resend cooldown and daily quota.
+ *
+ * @param {string} phoneNumber
+ * @param {object} [client] - prisma or a transaction client
+ * @returns {Promise<{ reason: string, retryAfter: number } | null>} null if a send is allowed;
+ *          otherwise the reason and seconds until the next send is allowed
+ */
+export const getOtpSendBlock = async (phoneNumber, client = prisma) => {
+    const now = Date.now();
+    const recent = await loadRecentSessions(client, phoneNumber, now);
+
+    const { failed, since } = countFailedAttempts(recent);
+    if (failed >= MAX_FAILED_ATTEMPTS) {
+        return { reason: 'locked', retryAfter: lockedRetryAfter(since, now) };
+    }
+
+    if (recent.length > 0) {
+        const sinceLast = now - recent[0].createdAt.getTime();
+        if (sinceLast < RESEND_COOLDOWN_MS) {
+            return {
+                reason: 'cooldown',
+                retryAfter: Math.ceil((RESEND_COOLDOWN_MS - sinceLast) / 1000),
+            };
+        }
+    }
+
+    if (recent.length >= DAILY_LIMIT) {
+        // Window frees up when the oldest send inside it ages out
+        const oldest = recent[DAILY_LIMIT - 1].createdAt.getTime();
+        return {
+            reason: 'daily_limit',
+            retryAfter: Math.ceil((oldest + DAY_MS - now) / 1000),
+        };
+    }
+
+    return null;
+};
+
+const SEND_BLOCK_MESSAGES = {
+    locked: 'Too many incorrect attempts for this phone number. Please try again later.',
+    daily_limit: 'Daily OTP limit reached for this phone number. Please try again later.',
+};
+
+/**
+ * Create a new OTP session (hash only) for an OTP send endpoint and return the
+ * plaintext OTP for delivery. The throttle check and the insert run in one
+ * transaction under the phone's advisory lock, so parallel sends are counted.
+ * Sets the Retry-After header and throws 429 when the phone is throttled.
+ *
+ * @throws {ApiError} 429 with errors: [{ reason, retryAfter }]
+ */
+export const createOtpSession = async (res, phoneNumber) => {
+    const otp = generateOtp();
+
+    const block = await prisma.$transaction(async (tx) => {
+        await lockPhone(tx, phoneNumber);
+
+        const sendBlock = await getOtpSendBlock(phoneNumber, tx);
+        if (sendBlock) return sendBlock;
+
+        await tx.otpSession.create({
+            data: {
+                phoneNumber,
+                otpHash: hashOtp(phoneNumber, otp),
+                expiresAt: new Date(Date.now() + OTP_TTL_MS),
+            },
+        });
+        return null;
+    });
+
+    if (block) {
+        res.set('Retry-After', String(block.retryAfter));
+        throw new ApiError(429, SEND_BLOCK_MESSAGES[block.reason]
+            || `Please wait ${block.retryAfter} seconds before requesting another OTP`, [block]);
+    }
+    return otp;
+};
+
+/**
+ * Verify an OTP against the latest live session for the phone number.
+ *
+ * Each call reserves one attempt BEFORE comparing, under the phone's advisory
+ * lock, so concurrent guesses can never exceed the session's maxAttempts or
+ * the phone's OTP_MAX_FAILED_ATTEMPTS. The reservation commits before the
+ * comparison, so a wrong code is always counted. On success the session is
+ * marked verified, which resets the phone's failure count.
+ *
+ * @throws {ApiError} 400 invalid/expired, 429 locked after too many attempts
+ */
+export const verifyOtpCode = async (phoneNumber, otp) => {
+    const { session, failed } = await prisma.$transaction(async (tx) => {
+        await lockPhone(tx, phoneNumber);
+
+        const now = Date.now();
+        const phoneFailures = countFailedAttempts(await loadRecentSessions(tx, phoneNumber, now));
+        if (phoneFailures.failed >= MAX_FAILED_ATTEMPTS) {
+            throw new ApiError(429, SEND_BLOCK_MESSAGES.locked,
+                [{ reason: 'locked', retryAfter: lockedRetryAfter(phoneFailures.since, now) }]);
+        }
+
+        const live = await tx.otpSession.findFirst({
+            where: { phoneNumber, isVerified: false, expiresAt: { gt: new Date(now) } },
+            orderBy: { createdAt: 'desc' },
+        });
+        if (!live) throw new ApiError(400, 'Invalid or expired OTP');
+
+        const reserved = await tx.otpSession.updateMany({
+            where: {
+                id: live.id,
+                isVerified: false,
+                attempts: { lt: prisma.otpSession.fields.maxAttempts },
+            },
+            data: { attempts: { increment: 1 } },
+        });
+        if (reserved.count === 0) {
+            throw new ApiError(429, 'Too many incorrect attempts. Please request a new OTP.');
+        }
+
+        return { session: live, failed: phoneFailures.failed };
+    });
+
+    if (!hashesMatch(session.otpHash, hashOtp(phoneNumber, String(otp)))) {
+        const phoneRemaining = MAX_FAILED_ATTEMPTS - (failed + 1);
+        const remaining = Math.min(session.maxAttempts - (session.attempts + 1), phoneRemaining);
+        if (remaining > 0) throw new ApiError(400, `Invalid OTP. ${remaining} attempt(s) remaining.`);
+        throw new ApiError(400, phoneRemaining > 0
+            ? 'Too many incorrect attempts. Please request a new OTP.'
+            : SEND_BLOCK_MESSAGES.locked);
+    }
+
+    // Guard against a concurrent request verifying the same session first
+    const verified = await prisma.otpSession.updateMany({
+        where: { id: session.id, isVerified: false },
+        data: { isVerified: true },
+    });
+    if (verified.count === 0) throw new ApiError(400, 'Invalid or expired OTP');
+
+    return session;
+};
@@ -0,0 +1,23 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { getClientIp, getUserAgent } from '../middleware/consentMiddleware.js';
+
+/**
+ * Per-request context (IP, user agent, method, route) carried through async calls,
+ * so helpers deep in the stack — e.g. logDataAccess — can record where a call came from
+ * without every caller threading `req` through.
+ */
+const storage = new AsyncLocalStorage();
+
+/** Express middleware: mount after session/body parsing, before the routes */
+export const requestContext = (req, res, next) => {
+    storage.run({
+        ipAddress: getClientIp(req),
+        userAgent: getUserAgent(req),
+        method: req.method,
+        // Path only — query strings can carry search terms (phone numbers, names)
+        route: req.originalUrl.split('?')[0],
+    }, next);
+};
+
+/** Context of the request currently being handled, or {} outside a request (jobs, scripts) */
+export const getRequestContext = () => storage.getStore() || {};
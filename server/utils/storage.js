@@ -1,21 +1,55 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+/**
+ * =============================================================
+ * PDF STORAGE — credit report PDFs on the configured driver
+ * =============================================================
+ *
+ * Bytes go through a storage driver (services/storageDriver.service.js):
+ * DigitalOcean Spaces in production, local disk in dev / CI, memory in
+ * tests. Each report row records the driver, SHA-256 checksum and size
+ * of its PDF, so it is read back from where it was written and verified
+ * on the way out.
+ *
+ * PDFs are encrypted before upload (utils/fileEncryption.util.js) and
+ * decrypted while streamed; the wrapped data key is saved on the report
+ * (pdfKeyEncrypted). Reports without one hold a plaintext PDF from before
+ * encryption and are streamed as stored.
+ *
+ * uploadPdfFromUrl() never throws — a failed upload must not fail the
+ * report — but returns status FAILED with the reason, which is saved on
+ * the report (pdfStatus / pdfError) instead of a silently missing PDF.
+ * =============================================================
+ */
+
 import axios from 'axios';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { STORAGE_CONFIG } from '../config/storage.js';
+import { encryptFile, createDecryptStream, decryptedSize } from './fileEncryption.util.js';
+import { getStorageDriver, StorageError, STORAGE_ERROR_CODES } from '../services/storageDriver.service.js';
+
+// Mirrors the PdfStatus enum in schema.prisma
+export const PDF_STATUS = {
+    STORED: 'STORED',
+    FAILED: 'FAILED',
+    NOT_AVAILABLE: 'NOT_AVAILABLE',
+    DELETED: 'DELETED',
+};
+
+// Reports saved before drivers were recorded all used Spaces
+const LEGACY_DRIVER = 'spaces';
 
-const s3Client = new S3Client({
-    endpoint: process.env.SPACES_ENDPOINT,
-    region: process.env.SPACES_REGION,
-    credentials: {
-        accessKeyId: process.env.SPACES_ACCESS_KEY,
-        secretAccessKey: process.env.SPACES_SECRET_KEY,
-    },
-    forcePathStyle: false,
-});
+const driverFor = (name) => getStorageDriver(name || LEGACY_DRIVER);
+
+export const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
 
 /**
  * Generate storage path in required format:
- * {year}/{month}/{date}/user_{userId}.pdf
- * Example: 2026/February/25-02-2026/user_abc123.pdf
+ * {year}/{month}/{date}/user_{userId}_{suffix}.pdf
+ * Example: 2026/February/25-02-2026/user_abc123_9f86d081884c7d65.pdf
+ * The random suffix keeps each upload in its own object — two saves on the
+ * same day (or racing saves of one transaction) must not overwrite each
+ * other, as every object is encrypted under its own data key.
  */
 function generatePdfPath(userId) {
     const now = new Date();
@@ -24,66 +58,76 @@ function generatePdfPath(userId) {
     const day = String(now.getDate()).padStart(2, '0');
     const month2 = String(now.getMonth() + 1).padStart(2, '0');
     const date = `${day}-${month2}-${year}`; // "25-02-2026"
-    return `${year}/${month}/${date}/user_${userId}.pdf`;
+    const suffix = crypto.randomBytes(8).toString('hex');
+    return `${year}/${month}/${date}/user_${userId}_${suffix}.pdf`;
 }
 
 /**
- * Upload a PDF from a URL to DigitalOcean Spaces.
- * Path format: {year}/{month}/{date}/user_{userId}.pdf
+ * Download a PDF from the bureau and store it on the configured driver.
+ * Path format: {year}/{month}/{date}/user_{userId}_{suffix}.pdf
+ *
+ * @returns {Promise<{ status: 'STORED'|'FAILED', path: string|null, driver: string|null,
+ *   keyEncrypted: string|null, checksum: string|null, size: number|null, error: string|null }>}
+ *   checksum and size are of the stored (encrypted) bytes
  */
 export async function uploadPdfFromUrl(sourceUrl, userId) {
+    let driver;
     try {
-        // 1. Download PDF from DeepVue
+        // Resolved inside the try: a misconfigured driver is a FAILED upload, not a throw
+        driver = getStorageDriver();
+
+        // 1. Download PDF from the bureau
         const response = await axios.get(sourceUrl, {
             responseType: 'arraybuffer',
-            timeout: 30000,
+            timeout: STORAGE_CONFIG.DOWNLOAD_TIMEOUT_MS,
+            maxContentLength: STORAGE_CONFIG.MAX_PDF_BYTES,
         });
-        const pdfBuffer = response.data;
+        const pdfBuffer = Buffer.from(response.data || []);
 
-        if (!pdfBuffer || pdfBuffer.byteLength === 0) {
+        if (pdfBuffer.length === 0) {
             throw new Error('PDF download returned empty buffer');
         }
+        if (pdfBuffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+            throw new Error('Downloaded file is not a PDF');
+        }
 
-        // 2. Generate structured path
-        const path = generatePdfPath(userId);
+        // 2. Encrypt — the bucket only ever holds ciphertext
+        const { body, keyEncrypted } = await encryptFile(pdfBuffer);
 
-        // 3. Upload to Spaces — PRIVATE (no ACL public-read)
+        // 3. Store — PRIVATE on every driver
         // SECURITY: PDFs are sensitive financial documents.
         // Access only via authenticated server-side stream (/download-pdf).
-        const command = new PutObjectCommand({
-            Bucket: process.env.SPACES_BUCKET,
-            Key: path,
-            Body: pdfBuffer,
-            ContentType: 'application/pdf',
-            // NO ACL property — bucket defaults to private
-        });
-
-        await s3Client.send(command);
+        const path = generatePdfPath(userId);
+        const checksum = sha256(body);
+        await driver.put(path, body, { contentType: 'application/octet-stream', checksum });
 
-        console.log(`[Storage] PDF uploaded (private): ${path}`);
+        console.log(`[Storage] PDF stored (${driver.name}, encrypted, private): ${path}`);
+        return { status: PDF_STATUS.STORED, path, driver: driver.name, keyEncrypted, checksum, size: body.length, error: null };
+    } catch (error) {
+        console.error(`[Storage] PDF upload failed (${driver?.name ?? 'unconfigured'}):`, error.message);
         return {
-            doPath: path,    // stored in pdfSpacesPath for server-side streaming
-            doUrl: null,     // SECURITY: No public CDN URL — use streamPdfToResponse()
+            status: PDF_STATUS.FAILED,
+            path: null,
+            driver: null,
+            keyEncrypted: null,
+            checksum: null,
+            size: null,
+            error: error.message.slice(0, 500),
         };
-    } catch (error) {
-        console.error("[Storage] PDF Upload Error:", error.message);
-        // Return nulls — don't fail report generation if PDF upload fails
-        return { doPath: null, doUrl: null };
     }
 }
 
 /**
  * Generate a signed (private) URL for a stored PDF.
- * Use for secure, time-limited download links.
+ * Use for secure, time-limited download links. Null when the driver
+ * cannot sign URLs (local, memory) or signing fails.
+ * NOTE: the link serves the object as stored — encrypted PDFs stay
+ * encrypted, so use streamPdfToResponse() for anything user-facing.
  */
-export async function generateSignedUrl(path, expiresIn = 3600) {
+export async function generateSignedUrl(path, expiresIn = 3600, { driver } = {}) {
     if (!path) return null;
     try {
-        const command = new GetObjectCommand({
-            Bucket: process.env.SPACES_BUCKET,
-            Key: path,
-        });
-        return await getSignedUrl(s3Client, command, { expiresIn });
+        return await driverFor(driver).signedUrl(path, expiresIn);
     } catch (error) {
         console.error("[Storage] Signed URL Error:", error.message);
         return null;
@@ -91,16 +135,12 @@ export async function generateSignedUrl(path, expiresIn = 3600) {
 }
 
 /**
- * Delete a PDF from Spaces by its stored path.
+ * Delete a PDF by its stored path. A PDF that is already gone is not an error.
  */
-export async function deletePdf(path) {
+export async function deletePdf(path, { driver } = {}) {
     if (!path) return;
     try {
-        const command = new DeleteObjectCommand({
-            Bucket: process.env.SPACES_BUCKET,
-            Key: path,
-        });
-        await s3Client.send(command);
+        await driverFor(driver).delete(path);
         console.log(`[Storage] PDF deleted: ${path}`);
     } catch (error) {
         console.error("[Storage] PDF Delete Error:", error.message);
@@ -109,43 +149,86 @@ export async function deletePdf(path) {
 }
 
 /**
- * Stream a PDF from Spaces directly to an HTTP response.
- * Use this for secure authenticated downloads — never expose CDN URL to client.
+ * Pass-through that hashes the stream and holds back the last chunk until
+ * the checksum is verified — a corrupted object ends as a truncated
+ * download rather than a complete-looking wrong file.
+ */
+const checksumVerifier = (expected) => {
+    const hash = crypto.createHash('sha256');
+    let held = null;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            if (held) this.push(held);
+            held = chunk;
+            callback();
+        },
+        flush(callback) {
+            const actual = hash.digest('hex');
+            if (actual !== expected) {
+                callback(new StorageError(STORAGE_ERROR_CODES.CHECKSUM_MISMATCH, `Checksum mismatch: expected ${expected}, got ${actual}`));
+                return;
+            }
+            if (held) this.push(held);
+            callback();
+        },
+    });
+};
+
+/**
+ * Stream a stored PDF directly to an HTTP response.
+ * Use this for secure authenticated downloads — never expose a storage URL to client.
  *
  * @param {string} path - The storage key (pdfSpacesPath in DB)
  * @param {object} res  - Express response object
  * @param {string} filename - Optional filename for Content-Disposition header
+ * @param {{ driver?: string|null, checksum?: string|null, keyEncrypted?: string|null }} [stored] -
+ *   pdfStorageDriver / pdfChecksum / pdfKeyEncrypted from the report; without a checksum the
+ *   bytes are not verified, without a key the PDF is sent as stored
  */
-export async function streamPdfToResponse(path, res, filename = 'credit-report.pdf') {
+export async function streamPdfToResponse(path, res, filename = 'credit-report.pdf', { driver, checksum, keyEncrypted } = {}) {
     if (!path) {
         res.status(404).json({ success: false, message: 'PDF not found' });
         return;
     }
-    try {
-        const command = new GetObjectCommand({
-            Bucket: process.env.SPACES_BUCKET,
-            Key: path,
-        });
-        const data = await s3Client.send(command);
-
-        // Set secure download headers
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-
-        if (data.ContentLength) {
-            res.setHeader('Content-Length', data.ContentLength);
-        }
 
-        // Pipe the S3 stream directly to the HTTP response
-        data.Body.pipe(res);
+    let object;
+    let decryptor = null;
+    try {
+        // Unwrap the key first so a key failure is still a clean 500
+        if (keyEncrypted) decryptor = await createDecryptStream(keyEncrypted);
+        object = await driverFor(driver).get(path);
     } catch (error) {
+        decryptor?.destroy();
         console.error("[Storage] Stream PDF Error:", error.message);
-        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        if (error.code === STORAGE_ERROR_CODES.NOT_FOUND) {
             res.status(404).json({ success: false, message: 'PDF file not found in storage' });
         } else {
             res.status(500).json({ success: false, message: 'Failed to retrieve PDF' });
         }
+        return;
+    }
+
+    // Set secure download headers
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    const size = decryptor ? decryptedSize(object.size) : object.size;
+    if (size) {
+        res.setHeader('Content-Length', size);
+    }
+
+    // stored bytes → checksum (of the stored bytes) → decrypt → response
+    const stages = [
+        ...(checksum ? [checksumVerifier(checksum)] : []),
+        ...(decryptor ? [decryptor] : []),
+    ];
+    try {
+        await pipeline(object.stream, ...stages, res);
+    } catch (error) {
+        // Headers are sent — pipeline has already destroyed the response
+        console.error(`[Storage] PDF stream aborted for ${path}:`, error.message);
     }
 }
@@ -0,0 +1,141 @@
+/**
+ * ================================================================================
+ * TOTP UTILITY - RFC 6238 TIME-BASED ONE-TIME PASSWORDS + RECOVERY CODES
+ * ================================================================================
+ *
+ * - HMAC-SHA1, 6 digits, 30s step — the defaults every authenticator app supports
+ * - Secrets are base32 (RFC 4648, no padding) for the otpauth:// URI
+ * - verifyTotp returns the matched time step so callers can reject replays
+ *   (a code must be for a LATER step than the last one accepted)
+ * - Recovery codes are random, shown once, stored only as SHA-256 hashes
+ *
+ * ================================================================================
+ */
+
+import crypto from 'crypto';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ─── Base32 ───────────────────────────────────────────────────────────────────
+
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+export const base32Decode = (input) => {
+    const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// ─── TOTP ─────────────────────────────────────────────────────────────────────
+
+/** 160-bit secret (RFC 4226 recommended length), base32 encoded */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/** otpauth:// URI for authenticator apps (QR code or manual entry) */
+export const buildOtpAuthUrl = (secret, accountName, issuer = 'Borrowww Admin') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/** HOTP value for a counter (RFC 4226 dynamic truncation) */
+const hotp = (secretBuffer, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', secretBuffer).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+export const currentTotpStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Verify a TOTP code, allowing ±window steps of clock drift.
+ *
+ * @param {string} secret - base32 secret
+ * @param {string} code - 6-digit code from the user
+ * @param {object} [options]
+ * @param {number} [options.window=1] - steps of drift tolerated either side
+ * @param {number|null} [options.lastUsedStep] - last accepted step; codes at or before it are rejected (replay)
+ * @returns {number|null} the matched step, or null if invalid
+ */
+export const verifyTotp = (secret, code, { window = 1, lastUsedStep = null } = {}) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const secretBuffer = base32Decode(secret);
+    const current = currentTotpStep();
+
+    for (let step = current - window; step <= current + window; step++) {
+        if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+        const expected = hotp(secretBuffer, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// ─── Recovery codes ───────────────────────────────────────────────────────────
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+export const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Generate one-time recovery codes (format: xxxxx-xxxxx, hex).
+ *
+ * @returns {{ codes: string[], hashes: string[] }} codes to show once, hashes to store
+ */
+export const generateRecoveryCodes = (count = 10) => {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
@@ -0,0 +1,57 @@
+/**
+ * ================================================================================
+ * WEBHOOK SIGNATURE UTILITY - HMAC-SHA256 SIGNED CALLBACKS
+ * ================================================================================
+ *
+ * A sender signs `<timestamp>.<raw request body>` with a shared secret and
+ * sends two headers (names are per integration, e.g. DeepVue):
+ *   signature: sha256=<hex HMAC-SHA256>
+ *   timestamp: <unix seconds>
+ *
+ * - The RAW body is signed (re-serialised JSON would not match byte for byte)
+ * - Timestamps outside the tolerance window are rejected, so a captured
+ *   request cannot be replayed later
+ * - Comparison is constant-time
+ *
+ * ================================================================================
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export const signWebhookPayload = (secret, timestamp, rawBody) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+
+/**
+ * @param {Object} params
+ * @param {string} params.secret
+ * @param {Buffer|string} params.rawBody
+ * @param {string} params.signature - header value, with or without the "sha256=" prefix
+ * @param {string|number} params.timestamp - unix seconds
+ * @param {number} [params.toleranceSeconds=300]
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export const verifyWebhookSignature = ({
+    secret,
+    rawBody,
+    signature,
+    timestamp,
+    toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+}) => {
+    if (!secret) return { valid: false, reason: 'Webhook secret not configured' };
+    if (!rawBody || !signature || !timestamp) return { valid: false, reason: 'Missing signature headers' };
+
+    const sentAt = Number(timestamp);
+    if (!Number.isInteger(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > toleranceSeconds) {
+        return { valid: false, reason: 'Timestamp outside tolerance' };
+    }
+
+    const expected = Buffer.from(signWebhookPayload(secret, sentAt, rawBody), 'hex');
+    const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return { valid: false, reason: 'Signature mismatch' };
+    }
+
+    return { valid: true };
+};